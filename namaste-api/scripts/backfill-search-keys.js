@@ -0,0 +1,29 @@
+import 'dotenv/config';
+import { migrateSearchKeys, backfillSearchKeys } from '../src/services/namaste-search.js';
+import { disconnectDb } from '../src/db/client.js';
+
+/**
+ * Fill namaste_codes.search_keys, the loose cross-script keys used by
+ * autocomplete, for codes imported before the column existed
+ *
+ * Adds the column and the autocomplete trigram indexes first when they are missing
+ */
+
+const main = async () => {
+  await migrateSearchKeys();
+
+  const { processed, updated } = await backfillSearchKeys({
+    onProgress: ({ processed: done }) => console.log(`  ${done} codes processed`),
+  });
+
+  console.log(`Search keys: ${updated} of ${processed} codes updated`);
+};
+
+main()
+  .catch((error) => {
+    console.error('Search key backfill failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await disconnectDb();
+  });
@@ -5,6 +5,7 @@ import { fileURLToPath } from 'url';
 import { PrismaClient } from '@prisma/client';
 import { PrismaPg } from '@prisma/adapter-pg';
 import pg from 'pg';
+import { buildSearchKeys } from '../src/services/transliteration.js';
 
 /**
  * Import NAMASTE codes from JSON files into PostgreSQL
@@ -80,6 +81,7 @@ const importSystem = async (system) => {
           longDefinition: code.longDefinition || null,
           englishName: code.englishName || null,
           searchableText: code.searchableText || null,
+          searchKeys: buildSearchKeys({ ...code, system: code.system || system }),
           metadata: code.metadata || {},
         },
         create: {
@@ -92,6 +94,7 @@ const importSystem = async (system) => {
           longDefinition: code.longDefinition || null,
           englishName: code.englishName || null,
           searchableText: code.searchableText || null,
+          searchKeys: buildSearchKeys({ ...code, system: code.system || system }),
           metadata: code.metadata || {},
         },
       });
@@ -0,0 +1,34 @@
+import 'dotenv/config';
+import { migrateEmbeddingColumns } from '../src/services/vector-search.js';
+import { disconnectDb } from '../src/db/client.js';
+
+/**
+ * Re-create the embedding columns and HNSW indexes for the configured
+ * embedding model (EMBEDDING_PROVIDER, LLM_EMBEDDING_MODEL, EMBEDDING_DIMENSIONS)
+ *
+ * Columns built for another model or size are dropped; refill them afterwards
+ * with POST /api/v1/admin/embeddings/generate (vectors of the new model that
+ * are already in the embeddings table are copied, not recomputed)
+ */
+
+const main = async () => {
+  const { modelId, dimensions, tables } = await migrateEmbeddingColumns({ recreate: true });
+
+  console.log(`Embedding model: ${modelId} (${dimensions} dimensions)`);
+  for (const { table, status, previous } of tables) {
+    console.log(`  ${table}: ${status}${previous ? ` (was ${previous.type}, ${previous.modelId})` : ''}`);
+  }
+
+  if (tables.some(t => t.status !== 'ok')) {
+    console.log('\nRegenerate embeddings: POST /api/v1/admin/embeddings/generate');
+  }
+};
+
+main()
+  .catch((error) => {
+    console.error('Embedding migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await disconnectDb();
+  });
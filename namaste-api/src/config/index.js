@@ -10,6 +10,8 @@ export const config = Object.freeze({
   port: parseInt(process.env.PORT || '3000', 10),
   nodeEnv: process.env.NODE_ENV || 'development',
   isDev: process.env.NODE_ENV !== 'production',
+  // Defaults to debug in development, info in production
+  logLevel: process.env.LOG_LEVEL || '',
 
   // Database
   database: {
@@ -32,6 +34,26 @@ export const config = Object.freeze({
     location: process.env.GOOGLE_LOCATION || 'us-central1',
   },
 
+  // LLM and embedding providers: gemini, vertex, openai (any OpenAI-compatible
+  // endpoint, e.g. Ollama or vLLM) or offline (no network); embeddings can
+  // also come from local (in-process sentence-embedding model)
+  llm: {
+    provider: process.env.LLM_PROVIDER || 'gemini',
+    embeddingProvider: process.env.EMBEDDING_PROVIDER || process.env.LLM_PROVIDER || 'gemini',
+    // Empty uses the provider's default model
+    chatModel: process.env.LLM_CHAT_MODEL || '',
+    reasoningModel: process.env.LLM_REASONING_MODEL || '',
+    embeddingModel: process.env.LLM_EMBEDDING_MODEL || '',
+    // 0 uses the embedding model's default size
+    embeddingDimensions: parseInt(process.env.EMBEDDING_DIMENSIONS || '0', 10),
+    // local provider: directory of pre-downloaded models (no download at runtime)
+    localModelPath: process.env.EMBEDDING_MODEL_PATH || '',
+    // openai provider
+    baseUrl: process.env.LLM_BASE_URL || '',
+    apiKey: process.env.LLM_API_KEY || '',
+    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS || '60000', 10),
+  },
+
   // LangSmith
   langsmith: {
     tracing: process.env.LANGSMITH_TRACING === 'true',
@@ -39,6 +61,63 @@ export const config = Object.freeze({
     project: process.env.LANGSMITH_PROJECT || 'namaste-icd-mapping',
   },
 
+  // Batch job queue (jobs and per-code results live in PostgreSQL)
+  batch: {
+    maxConcurrent: parseInt(process.env.BATCH_MAX_CONCURRENT || '3', 10),
+    pollIntervalMs: parseInt(process.env.BATCH_POLL_INTERVAL_MS || '5000', 10),
+    leaseMs: parseInt(process.env.BATCH_LEASE_MS || '120000', 10),
+    retentionHours: parseInt(process.env.BATCH_RETENTION_HOURS || '168', 10),
+    codeDelayMs: parseInt(process.env.BATCH_CODE_DELAY_MS || '500', 10),
+    // CSV/XLSX uploads
+    maxUploadRows: parseInt(process.env.BATCH_MAX_UPLOAD_ROWS || '5000', 10),
+    maxUploadBytes: parseInt(process.env.BATCH_MAX_UPLOAD_BYTES || '10485760', 10),
+    uploadProgressEvery: parseInt(process.env.BATCH_UPLOAD_PROGRESS_EVERY || '100', 10),
+  },
+
+  // Hybrid TM2 retrieval in the mapping workflow (see services/hybrid-search.js)
+  retrieval: {
+    // rrf (reciprocal rank fusion) or weighted (weighted sum of scores)
+    fusion: process.env.RETRIEVAL_FUSION || 'rrf',
+    weights: {
+      vector: parseFloat(process.env.RETRIEVAL_WEIGHT_VECTOR || '0.5'),
+      fullText: parseFloat(process.env.RETRIEVAL_WEIGHT_FULLTEXT || '0.3'),
+      trigram: parseFloat(process.env.RETRIEVAL_WEIGHT_TRIGRAM || '0.2'),
+      // Context variants of the diagnosis, with patient context only
+      context: parseFloat(process.env.RETRIEVAL_WEIGHT_CONTEXT || '0.3'),
+    },
+    rrfK: parseInt(process.env.RETRIEVAL_RRF_K || '60', 10),
+    limit: parseInt(process.env.RETRIEVAL_CANDIDATES || '10', 10),
+    minVectorSimilarity: parseFloat(process.env.RETRIEVAL_MIN_VECTOR_SIMILARITY || '0.5'),
+    minTrigramSimilarity: parseFloat(process.env.RETRIEVAL_MIN_TRIGRAM_SIMILARITY || '0.3'),
+    // Vector similarity at which the nearest candidate is mapped without LLM validation
+    highConfidenceSimilarity: parseFloat(process.env.RETRIEVAL_HIGH_CONFIDENCE_SIMILARITY || '0.9'),
+  },
+
+  // Typo-tolerant autocomplete (see services/text-match.js)
+  autocomplete: {
+    // Least pg_trgm word similarity of a fuzzy match (arthritus → arthritis is 0.7)
+    minSimilarity: parseFloat(process.env.AUTOCOMPLETE_MIN_SIMILARITY || '0.5'),
+    fuzzyCandidates: parseInt(process.env.AUTOCOMPLETE_FUZZY_CANDIDATES || '50', 10),
+  },
+
+  // Semantic search endpoint (see services/semantic-search.js)
+  semanticSearch: {
+    minSimilarity: parseFloat(process.env.SEMANTIC_MIN_SIMILARITY || '0.3'),
+    // Share of the blended score taken from the lexical match score
+    lexicalWeight: parseFloat(process.env.SEMANTIC_LEXICAL_WEIGHT || '0.3'),
+  },
+
+  // Webhook delivery (batch job callbacks)
+  webhooks: {
+    // Signs callbacks of jobs that were not created for a registered webhook client
+    defaultSecret: process.env.WEBHOOK_SECRET || '',
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8', 10),
+    backoffBaseMs: parseInt(process.env.WEBHOOK_BACKOFF_BASE_MS || '5000', 10),
+    backoffMaxMs: parseInt(process.env.WEBHOOK_BACKOFF_MAX_MS || '3600000', 10),
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10),
+    pollIntervalMs: parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS || '5000', 10),
+  },
+
   // FHIR
   fhir: {
     version: 'R4',
@@ -51,6 +130,14 @@ export const config = Object.freeze({
     icd11: {
       tm2System: 'http://id.who.int/icd/release/11/mms',
     },
+    // Statement timeout for ValueSet $expand and $validate-code queries
+    expandTimeoutMs: parseInt(process.env.FHIR_EXPAND_TIMEOUT_MS || '5000', 10),
+    // ABDM / NRCeS (India) profiles and identifier systems for document exports
+    abdm: {
+      profileBase: 'https://nrces.in/ndhm/fhir/r4/StructureDefinition',
+      healthIdSystem: 'https://healthid.ndhm.gov.in',
+      practitionerSystem: 'https://doctor.ndhm.gov.in',
+    },
   },
 });
 
@@ -65,12 +152,44 @@ export const validateConfig = () => {
     errors.push('DATABASE_URL is required');
   }
 
-  if (!config.whoIcd.clientId || !config.whoIcd.clientSecret) {
+  const { provider, embeddingProvider } = config.llm;
+  const offline = provider === 'offline' && ['offline', 'local'].includes(embeddingProvider);
+
+  // Air-gapped deployments run without the WHO API
+  if (!offline && (!config.whoIcd.clientId || !config.whoIcd.clientSecret)) {
     errors.push('WHO_ICD_CLIENT_ID and WHO_ICD_CLIENT_SECRET are required');
   }
 
-  if (!config.google.apiKey) {
-    errors.push('GOOGLE_API_KEY is required for Gemini');
+  if (provider === 'local') {
+    errors.push('LLM_PROVIDER cannot be local: it only provides embeddings (use EMBEDDING_PROVIDER=local)');
+  }
+
+  for (const name of new Set([provider, embeddingProvider])) {
+    if (!['gemini', 'vertex', 'openai', 'offline', 'local'].includes(name)) {
+      errors.push(`Unknown LLM provider '${name}' (expected gemini, vertex, openai or offline)`);
+    } else if (name === 'gemini' && !config.google.apiKey) {
+      errors.push('GOOGLE_API_KEY is required for the gemini provider');
+    } else if (name === 'vertex' && !config.google.projectId) {
+      errors.push('GOOGLE_PROJECT_ID is required for the vertex provider');
+    } else if (name === 'openai' && !config.llm.baseUrl) {
+      errors.push('LLM_BASE_URL is required for the openai provider');
+    }
+  }
+
+  // The Gemini API client sends no output size, so its embeddings stay at 768
+  if (embeddingProvider === 'gemini' && config.llm.embeddingDimensions && config.llm.embeddingDimensions !== 768) {
+    errors.push('EMBEDDING_DIMENSIONS must be 768 for the gemini provider (use vertex for reduced sizes)');
+  }
+
+  if (!['rrf', 'weighted'].includes(config.retrieval.fusion)) {
+    errors.push('RETRIEVAL_FUSION must be rrf or weighted');
+  }
+
+  // The context weight alone retrieves nothing without patient context
+  const { context: contextWeight, ...signalWeights } = config.retrieval.weights;
+  const weights = Object.values(signalWeights);
+  if (!(contextWeight >= 0) || weights.some(w => !(w >= 0)) || !weights.some(w => w > 0)) {
+    errors.push('RETRIEVAL_WEIGHT_* must be non-negative numbers, at least one above 0');
   }
 
   return {
@@ -89,6 +208,8 @@ export const logConfig = (logger) => {
     database: config.database.url.replace(/\/\/.*@/, '//*****@'),
     whoIcdConfigured: !!(config.whoIcd.clientId && config.whoIcd.clientSecret),
     googleConfigured: !!config.google.apiKey,
+    llmProvider: config.llm.provider,
+    embeddingProvider: config.llm.embeddingProvider,
     langsmithEnabled: config.langsmith.tracing,
   }, 'Configuration loaded');
 };
@@ -19,7 +19,7 @@ export const createLogger = (name = 'namaste-api') => {
 
   return pino({
     name,
-    level: config.isDev ? 'debug' : 'info',
+    level: config.logLevel || (config.isDev ? 'debug' : 'info'),
     transport,
   });
 };
@@ -88,6 +88,7 @@ Currently open for development. Production will require API keys via \`X-API-Key
     { name: 'Mapping', description: 'AI-powered NAMASTE to TM2 mapping' },
     { name: 'Autocomplete', description: 'Code search and autocomplete' },
     { name: 'Batch', description: 'Batch processing operations' },
+    { name: 'Export', description: 'Dual-coded documents for health information exchange' },
     { name: 'FHIR', description: 'FHIR R4 terminology operations' },
     { name: 'Health', description: 'Health check and monitoring' },
     { name: 'Admin', description: 'Administrative operations' },
@@ -140,6 +141,34 @@ Currently open for development. Production will require API keys via \`X-API-Key
     },
 
     // FHIR endpoints
+    '/fhir': {
+      post: {
+        tags: ['FHIR'],
+        summary: 'Batch/transaction of terminology operations',
+        description: 'Runs $lookup, $validate-code, $subsumes, $translate and $expand entries through the same handlers as the single-call endpoints. GET entries carry parameters in request.url, POST entries in a Parameters resource. A batch reports a status per entry; a transaction fails as a whole if any entry fails. Limited to 1000 entries',
+        operationId: 'processBundle',
+        requestBody: {
+          required: true,
+          content: {
+            'application/fhir+json': {
+              schema: { type: 'object' },
+              example: {
+                resourceType: 'Bundle',
+                type: 'batch',
+                entry: [
+                  { request: { method: 'GET', url: 'CodeSystem/$lookup?system=https://namaste.ayush.gov.in/ayurveda&code=AAA-1' } },
+                  { request: { method: 'GET', url: 'ConceptMap/$translate?system=https://namaste.ayush.gov.in/ayurveda&code=AAA-1' } },
+                ],
+              },
+            },
+          },
+        },
+        responses: {
+          200: { description: 'batch-response or transaction-response Bundle' },
+          400: { description: 'OperationOutcome for an invalid Bundle' },
+        },
+      },
+    },
     '/fhir/metadata': {
       get: {
         tags: ['FHIR'],
@@ -158,13 +187,31 @@ Currently open for development. Production will require API keys via \`X-API-Key
       get: {
         tags: ['FHIR'],
         summary: 'List code systems',
-        description: 'Returns all available code systems',
+        description: 'Returns all available code systems (summary form with concept counts)',
         operationId: 'listCodeSystems',
         responses: {
           200: { description: 'Bundle of CodeSystem resources' },
         },
       },
     },
+    '/fhir/CodeSystem/{id}': {
+      get: {
+        tags: ['FHIR'],
+        summary: 'Read code system',
+        description: 'CodeSystem with concepts, native-script and diacritical designations, definitions and parent/reference properties',
+        operationId: 'readCodeSystem',
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'string', enum: ['namaste-ayurveda', 'namaste-siddha', 'namaste-unani', 'icd11-tm2'] } },
+          { name: '_summary', in: 'query', schema: { type: 'boolean' }, description: 'Omit concepts' },
+          { name: '_count', in: 'query', schema: { type: 'integer', maximum: 1000 }, description: 'Concepts per page' },
+          { name: '_offset', in: 'query', schema: { type: 'integer', default: 0 } },
+        ],
+        responses: {
+          200: { description: 'CodeSystem resource' },
+          404: { description: 'CodeSystem not found' },
+        },
+      },
+    },
     '/fhir/CodeSystem/$lookup': {
       get: {
         tags: ['FHIR'],
@@ -180,16 +227,120 @@ Currently open for development. Production will require API keys via \`X-API-Key
           404: { description: 'Code not found' },
         },
       },
+      post: {
+        tags: ['FHIR'],
+        summary: 'Lookup code details (Parameters body)',
+        description: 'Accepts a FHIR Parameters resource with system + code or coding',
+        operationId: 'lookupCodePost',
+        requestBody: {
+          required: true,
+          content: { 'application/fhir+json': { schema: { $ref: '#/components/schemas/Parameters' } } },
+        },
+        responses: {
+          200: { description: 'Parameters with code details' },
+          400: { description: 'OperationOutcome for malformed parameters' },
+          404: { description: 'Code not found' },
+        },
+      },
+    },
+    '/fhir/CodeSystem/$validate-code': {
+      get: {
+        tags: ['FHIR'],
+        summary: 'Validate code against a code system',
+        description: 'Returns result, the preferred display and a message when the code is unknown or the display does not match. Also accepts POST with a Parameters body',
+        operationId: 'validateCodeSystemCode',
+        parameters: [
+          { name: 'url', in: 'query', required: true, schema: { type: 'string' }, description: 'Code system URL' },
+          { name: 'code', in: 'query', required: true, schema: { type: 'string' } },
+          { name: 'display', in: 'query', schema: { type: 'string' } },
+          { name: 'version', in: 'query', schema: { type: 'string' } },
+          { name: 'lenient-display-validation', in: 'query', schema: { type: 'boolean' }, description: 'Report a wrong display as a warning instead of failing' },
+        ],
+        responses: {
+          200: { description: 'Parameters with result, display and message' },
+        },
+      },
+    },
+    '/fhir/CodeSystem/$subsumes': {
+      get: {
+        tags: ['FHIR'],
+        summary: 'Test subsumption between two codes',
+        description: 'Uses the NAMASTE code hierarchy or TM2 parent relationships. Also accepts POST with codingA/codingB in a Parameters body',
+        operationId: 'subsumes',
+        parameters: [
+          { name: 'system', in: 'query', required: true, schema: { type: 'string' }, description: 'Code system URL' },
+          { name: 'codeA', in: 'query', required: true, schema: { type: 'string' } },
+          { name: 'codeB', in: 'query', required: true, schema: { type: 'string' } },
+        ],
+        responses: {
+          200: { description: 'Parameters with outcome: equivalent, subsumes, subsumed-by or not-subsumed' },
+          404: { description: 'Unknown code' },
+        },
+      },
+    },
+    '/fhir/ConceptMap': {
+      get: {
+        tags: ['FHIR'],
+        summary: 'Search concept maps',
+        description: 'Returns NAMASTE to ICD-11 TM2 ConceptMaps built from stored mappings (rejected mappings excluded)',
+        operationId: 'searchConceptMaps',
+        parameters: [
+          { name: 'url', in: 'query', schema: { type: 'string' } },
+          { name: 'source-system', in: 'query', schema: { type: 'string' }, description: 'NAMASTE system URL' },
+          { name: 'target-system', in: 'query', schema: { type: 'string' } },
+          { name: 'source-code', in: 'query', schema: { type: 'string' } },
+          { name: 'target-code', in: 'query', schema: { type: 'string' } },
+          { name: '_summary', in: 'query', schema: { type: 'boolean' }, description: 'Omit group content' },
+        ],
+        responses: {
+          200: { description: 'Bundle of ConceptMap resources' },
+        },
+      },
+    },
+    '/fhir/ConceptMap/{id}': {
+      get: {
+        tags: ['FHIR'],
+        summary: 'Read concept map',
+        description: 'Full R4 ConceptMap with equivalence, confidence and validation status extensions per target',
+        operationId: 'readConceptMap',
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'string', example: 'namaste-ayurveda-to-icd11-tm2' } },
+        ],
+        responses: {
+          200: { description: 'ConceptMap resource' },
+          404: { description: 'ConceptMap not found' },
+        },
+      },
     },
     '/fhir/ConceptMap/$translate': {
+      get: {
+        tags: ['FHIR'],
+        summary: 'Translate code',
+        description: 'Translate NAMASTE code to TM2 using stored mappings. With a TM2 source (or reverse=true) returns every NAMASTE concept mapped to the TM2 code, with wider/narrower equivalences inverted. A NAMASTE target translates across systems through TM2',
+        operationId: 'translateCodeGet',
+        parameters: [
+          { name: 'system', in: 'query', required: true, schema: { type: 'string' } },
+          { name: 'code', in: 'query', required: true, schema: { type: 'string' } },
+          { name: 'target', in: 'query', schema: { type: 'string' }, description: 'TM2 (default) or a NAMASTE system URL; a generic NAMASTE URL targets every other system' },
+          { name: 'reverse', in: 'query', schema: { type: 'boolean', default: false } },
+          { name: 'candidates', in: 'query', schema: { type: 'integer', minimum: 2, maximum: 10 }, description: 'NAMASTE → TM2 only: run the mapping workflow and return its top N candidates, each match carrying rank, selected, lexicalScore, vectorSimilarity, llmJudgement, confidence and rationale parts' },
+        ],
+        responses: {
+          200: { description: 'Translation result' },
+          400: { description: 'Invalid candidates value' },
+        },
+      },
       post: {
         tags: ['FHIR'],
         summary: 'Translate code',
-        description: 'Translate NAMASTE code to TM2 using AI mapping',
+        description: 'Translate NAMASTE code to TM2 using stored mappings, or TM2 back to NAMASTE (reverse). Accepts a FHIR Parameters resource (code, system, coding, codeableConcept, target, reverse) or a flat JSON body',
         operationId: 'translateCode',
         requestBody: {
           required: true,
           content: {
+            'application/fhir+json': {
+              schema: { $ref: '#/components/schemas/Parameters' },
+            },
             'application/json': {
               schema: { $ref: '#/components/schemas/TranslateRequest' },
             },
@@ -197,6 +348,26 @@ Currently open for development. Production will require API keys via \`X-API-Key
         },
         responses: {
           200: { description: 'Translation result' },
+          400: { description: 'OperationOutcome for malformed parameters' },
+        },
+      },
+    },
+    '/fhir/ValueSet/$validate-code': {
+      get: {
+        tags: ['FHIR'],
+        summary: 'Validate code against a value set',
+        description: 'Checks value set membership, then validates the code and display. Also accepts POST with a Parameters body',
+        operationId: 'validateValueSetCode',
+        parameters: [
+          { name: 'url', in: 'query', schema: { type: 'string' }, description: 'ValueSet URL (a code system URL selects all its codes)' },
+          { name: 'system', in: 'query', schema: { type: 'string' } },
+          { name: 'code', in: 'query', required: true, schema: { type: 'string' } },
+          { name: 'display', in: 'query', schema: { type: 'string' } },
+          { name: 'lenient-display-validation', in: 'query', schema: { type: 'boolean' } },
+        ],
+        responses: {
+          200: { description: 'Parameters with result, display and message' },
+          404: { description: 'ValueSet not found' },
         },
       },
     },
@@ -204,15 +375,144 @@ Currently open for development. Production will require API keys via \`X-API-Key
       get: {
         tags: ['FHIR'],
         summary: 'Expand ValueSet',
-        description: 'Expand a ValueSet with optional filter',
+        description: 'Expand a stored ValueSet (by url) or an implicit code system ValueSet. Stored compose filters are applied before the text filter and paging',
         operationId: 'expandValueSet',
         parameters: [
-          { name: 'url', in: 'query', schema: { type: 'string' } },
+          { name: 'url', in: 'query', schema: { type: 'string' }, description: 'ValueSet URL (a code system URL selects all its codes)' },
+          { name: 'filter', in: 'query', schema: { type: 'string' }, description: 'Text matched against code, display and designations' },
+          { name: 'count', in: 'query', schema: { type: 'integer', default: 20, maximum: 1000 } },
+          { name: 'offset', in: 'query', schema: { type: 'integer', default: 0 } },
+          { name: 'displayLanguage', in: 'query', schema: { type: 'string' }, description: 'Display language (en, sa, sa-Latn, ta, ur)' },
+          { name: 'includeDesignations', in: 'query', schema: { type: 'boolean', default: false } },
+        ],
+        responses: {
+          200: { description: 'Expanded ValueSet' },
+        },
+      },
+      post: {
+        tags: ['FHIR'],
+        summary: 'Expand ValueSet (Parameters body)',
+        operationId: 'expandValueSetPost',
+        requestBody: {
+          required: true,
+          content: { 'application/fhir+json': { schema: { $ref: '#/components/schemas/Parameters' } } },
+        },
+        responses: {
+          200: { description: 'Expanded ValueSet' },
+          400: { description: 'OperationOutcome for malformed parameters' },
+        },
+      },
+    },
+    '/fhir/Condition/$dual-code': {
+      get: {
+        tags: ['FHIR'],
+        summary: 'Build a dual-coded Condition.code',
+        description: 'Returns a CodeableConcept with the NAMASTE coding and the highest-confidence approved TM2 coding (with confidence, validation status and source extensions). Free text is resolved with the quick-map lookup. Also accepts POST with a Parameters body',
+        operationId: 'dualCodeCondition',
+        parameters: [
+          { name: 'system', in: 'query', schema: { type: 'string' }, description: 'NAMASTE system URL (defaults to Ayurveda for text)' },
+          { name: 'code', in: 'query', schema: { type: 'string' } },
+          { name: 'text', in: 'query', schema: { type: 'string' }, description: 'Free-text diagnosis' },
+        ],
+        responses: {
+          200: { description: 'Parameters with code (CodeableConcept)' },
+          404: { description: 'No matching NAMASTE code' },
+        },
+      },
+    },
+    '/fhir/Condition/$validate': {
+      post: {
+        tags: ['FHIR'],
+        summary: 'Validate a Condition',
+        description: 'Checks NAMASTE and TM2 codings (codes, displays, confidence extension) and that the pair is backed by a non-rejected mapping. Body is a Condition or a Parameters resource with a resource parameter',
+        operationId: 'validateCondition',
+        requestBody: {
+          required: true,
+          content: { 'application/fhir+json': { schema: { type: 'object' } } },
+        },
+        responses: {
+          200: { description: 'OperationOutcome listing errors, warnings or a single informational issue' },
+        },
+      },
+    },
+    '/fhir/ValueSet': {
+      get: {
+        tags: ['FHIR'],
+        summary: 'Search stored value sets',
+        operationId: 'searchValueSets',
+        parameters: [
+          { name: 'url', in: 'query', schema: { type: 'string' }, description: 'Canonical URL, optionally url|version' },
+          { name: 'name', in: 'query', schema: { type: 'string' }, description: 'Name prefix' },
+          { name: 'title', in: 'query', schema: { type: 'string' } },
+          { name: 'status', in: 'query', schema: { type: 'string' } },
+          { name: '_summary', in: 'query', schema: { type: 'boolean' }, description: 'Omit compose' },
+        ],
+        responses: {
+          200: { description: 'Bundle of ValueSet resources' },
+        },
+      },
+    },
+    '/fhir/ValueSet/{id}': {
+      get: {
+        tags: ['FHIR'],
+        summary: 'Read value set',
+        operationId: 'getValueSet',
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'string' } },
+        ],
+        responses: {
+          200: { description: 'ValueSet resource' },
+          404: { description: 'ValueSet not found' },
+        },
+      },
+      put: {
+        tags: ['FHIR'],
+        summary: 'Create or update value set',
+        description: 'compose.include/exclude entries take a system plus optional concept list and filters: code (=, in, not-in, regex; regex up to 200 characters), category (=, in; TM2 only), min-mapping-confidence (=)',
+        operationId: 'saveValueSet',
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'string' } },
+        ],
+        requestBody: {
+          required: true,
+          content: { 'application/fhir+json': { schema: { $ref: '#/components/schemas/ValueSet' } } },
+        },
+        responses: {
+          200: { description: 'ValueSet updated' },
+          201: { description: 'ValueSet created' },
+          400: { description: 'OperationOutcome for an invalid definition' },
+        },
+      },
+      delete: {
+        tags: ['FHIR'],
+        summary: 'Delete value set',
+        operationId: 'deleteValueSet',
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'string' } },
+        ],
+        responses: {
+          204: { description: 'ValueSet deleted' },
+          404: { description: 'ValueSet not found' },
+        },
+      },
+    },
+    '/fhir/ValueSet/{id}/$expand': {
+      get: {
+        tags: ['FHIR'],
+        summary: 'Expand stored value set',
+        description: 'Accepts the same parameters as /fhir/ValueSet/$expand (except url), by GET or POST',
+        operationId: 'expandValueSetInstance',
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'string' } },
           { name: 'filter', in: 'query', schema: { type: 'string' } },
           { name: 'count', in: 'query', schema: { type: 'integer', default: 20 } },
+          { name: 'offset', in: 'query', schema: { type: 'integer', default: 0 } },
+          { name: 'displayLanguage', in: 'query', schema: { type: 'string' } },
+          { name: 'includeDesignations', in: 'query', schema: { type: 'boolean' } },
         ],
         responses: {
           200: { description: 'Expanded ValueSet' },
+          404: { description: 'ValueSet not found' },
         },
       },
     },
@@ -221,8 +521,8 @@ Currently open for development. Production will require API keys via \`X-API-Key
     '/api/v1/mapping': {
       post: {
         tags: ['Mapping'],
-        summary: 'Map single code',
-        description: 'Map a single NAMASTE code to TM2 using AI workflow',
+        summary: 'Map single code or free text',
+        description: 'Map a single NAMASTE code to TM2 using AI workflow. With `text` instead of a code, the text is first resolved to ranked NAMASTE candidates (vector similarity plus keyword match) and the best one is mapped',
         operationId: 'mapSingleCode',
         requestBody: {
           required: true,
@@ -245,7 +545,7 @@ Currently open for development. Production will require API keys via \`X-API-Key
               },
             },
           },
-          404: { description: 'Code not found' },
+          404: { description: 'Code not found, or no NAMASTE code matches the text' },
           429: { description: 'Rate limit exceeded' },
         },
       },
@@ -267,6 +567,151 @@ Currently open for development. Production will require API keys via \`X-API-Key
       },
     },
 
+    '/api/v1/mapping/accept': {
+      post: {
+        tags: ['Mapping'],
+        summary: 'Accept a TM2 candidate',
+        description: 'Approve any TM2 code (e.g. a non-top candidate) as the mapping of a NAMASTE code. The mapping is stored as HUMAN_VALIDATED and APPROVED; unless supersedeOthers is false, the code\'s other mappings are marked REJECTED',
+        operationId: 'acceptMappingCandidate',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['code', 'system', 'tm2Code', 'equivalence', 'validatedBy'],
+                properties: {
+                  code: { type: 'string' },
+                  system: { type: 'string', enum: ['ayurveda', 'siddha', 'unani'] },
+                  tm2Code: { type: 'string' },
+                  equivalence: { type: 'string', enum: ['EQUIVALENT', 'WIDER', 'NARROWER', 'INEXACT', 'UNMATCHED', 'DISJOINT'] },
+                  confidence: { type: 'number', minimum: 0, maximum: 1 },
+                  reasoning: { type: 'string' },
+                  validatedBy: { type: 'string' },
+                  supersedeOthers: { type: 'boolean', default: true },
+                },
+              },
+              example: {
+                code: 'AAA-1',
+                system: 'ayurveda',
+                tm2Code: 'SK01',
+                equivalence: 'NARROWER',
+                validatedBy: 'dr.rao',
+              },
+            },
+          },
+        },
+        responses: {
+          200: { description: 'Accepted mapping and the number of superseded mappings' },
+          400: { description: 'Validation error' },
+          404: { description: 'NAMASTE or TM2 code not found' },
+        },
+      },
+    },
+    '/api/v1/mapping/cross-system': {
+      post: {
+        tags: ['Mapping'],
+        summary: 'Translate across NAMASTE systems',
+        description: 'Finds Siddha/Unani (or Ayurveda) candidates for a NAMASTE code using TM2 as the pivot. Equivalence is composed from both legs and confidences are multiplied; rejected, unmatched and disjoint mappings are ignored',
+        operationId: 'translateCrossSystem',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['code', 'system'],
+                properties: {
+                  code: { type: 'string', example: 'AAA-1' },
+                  system: { type: 'string', enum: ['ayurveda', 'siddha', 'unani'] },
+                  targetSystems: { type: 'array', items: { type: 'string', enum: ['ayurveda', 'siddha', 'unani'] }, description: 'Defaults to every other system' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: { description: 'Source code and ranked candidates with their TM2 pivots' },
+          400: { description: 'Validation error' },
+          404: { description: 'NAMASTE code not found' },
+        },
+      },
+    },
+
+    // Export endpoints
+    '/api/v1/export/abdm': {
+      post: {
+        tags: ['Export'],
+        summary: 'Export ABDM document Bundle',
+        description: 'Builds an NRCeS-profiled FHIR document Bundle (Composition, Patient, Encounter, Practitioner or Organization, Conditions) for ABDM exchange. Each Condition carries its NAMASTE code plus the approved ICD-11 TM2 mapping; the report lists diagnoses that could not be dual coded',
+        operationId: 'exportAbdmDocument',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['patient', 'diagnoses'],
+                properties: {
+                  patient: {
+                    type: 'object',
+                    required: ['name'],
+                    properties: {
+                      id: { type: 'string' },
+                      name: { type: 'string' },
+                      abhaNumber: { type: 'string', example: '91-1234-5678-9012' },
+                      gender: { type: 'string', enum: ['male', 'female', 'other', 'unknown'] },
+                      birthDate: { type: 'string', format: 'date' },
+                    },
+                  },
+                  encounter: {
+                    type: 'object',
+                    properties: {
+                      id: { type: 'string' },
+                      class: { type: 'string', enum: ['AMB', 'IMP', 'EMER', 'HH', 'VR'], default: 'AMB' },
+                      start: { type: 'string', format: 'date-time' },
+                      end: { type: 'string', format: 'date-time' },
+                      facility: { type: 'string' },
+                    },
+                  },
+                  practitioner: {
+                    type: 'object',
+                    required: ['name'],
+                    properties: {
+                      id: { type: 'string' },
+                      name: { type: 'string' },
+                      registrationNumber: { type: 'string' },
+                    },
+                  },
+                  diagnoses: {
+                    type: 'array',
+                    minItems: 1,
+                    maxItems: 100,
+                    items: {
+                      type: 'object',
+                      required: ['code', 'system'],
+                      properties: {
+                        code: { type: 'string', example: 'AAA-1' },
+                        system: { type: 'string', enum: ['ayurveda', 'siddha', 'unani'] },
+                        clinicalStatus: { type: 'string', default: 'active' },
+                        verificationStatus: { type: 'string' },
+                        onset: { type: 'string', format: 'date-time' },
+                        note: { type: 'string' },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: { description: 'Document Bundle and report (total, dualCoded, unapproved, unmapped, notFound)' },
+          400: { description: 'Validation error' },
+        },
+      },
+    },
+
     // Batch endpoints
     '/api/v1/mapping/batch': {
       post: {
@@ -294,6 +739,73 @@ Currently open for development. Production will require API keys via \`X-API-Key
         },
       },
     },
+    '/api/v1/mapping/batch/upload': {
+      post: {
+        tags: ['Batch'],
+        summary: 'Upload CSV/XLSX batch',
+        description: 'Create an async batch job from a spreadsheet of legacy diagnoses. Columns are chosen by header name or letter, or detected from common headers (code, diagnosis, system...). Rows without a code are resolved by their free-text term. Results are downloadable with the TM2 columns appended',
+        operationId: 'uploadBatch',
+        requestBody: {
+          required: true,
+          content: {
+            'multipart/form-data': {
+              schema: {
+                type: 'object',
+                required: ['file'],
+                properties: {
+                  file: { type: 'string', format: 'binary', description: '.csv, .xlsx or .xls' },
+                  sheet: { type: 'string', description: 'Worksheet (defaults to the first)' },
+                  codeColumn: { type: 'string', description: 'Header name or column letter of NAMASTE codes' },
+                  termColumn: { type: 'string', description: 'Header name or column letter of free-text diagnoses' },
+                  systemColumn: { type: 'string', description: 'Header name or column letter of the system' },
+                  system: { type: 'string', enum: ['ayurveda', 'siddha', 'unani'], default: 'ayurveda', description: 'System for rows without one' },
+                  callbackUrl: { type: 'string', format: 'uri' },
+                  webhookClientId: { type: 'string', format: 'uuid' },
+                  progressEvery: { type: 'integer', minimum: 0, description: 'Rows per job.progress webhook chunk (default BATCH_UPLOAD_PROGRESS_EVERY)' },
+                  saveResults: { type: 'boolean', default: true },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          202: { description: 'Job created, with the column mapping used and skipped rows' },
+          400: { description: 'Unreadable file, unknown column or no mappable rows' },
+          413: { description: 'File or row count over the upload limit' },
+        },
+      },
+    },
+    '/api/v1/mapping/batch/upload/preview': {
+      post: {
+        tags: ['Batch'],
+        summary: 'Preview CSV/XLSX batch',
+        description: 'Read a spreadsheet without creating a job: sheets, headers, detected columns and sample rows. Takes the same form fields as the upload',
+        operationId: 'previewBatchUpload',
+        requestBody: {
+          required: true,
+          content: {
+            'multipart/form-data': {
+              schema: {
+                type: 'object',
+                required: ['file'],
+                properties: {
+                  file: { type: 'string', format: 'binary' },
+                  sheet: { type: 'string' },
+                  codeColumn: { type: 'string' },
+                  termColumn: { type: 'string' },
+                  systemColumn: { type: 'string' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: { description: 'Spreadsheet preview' },
+          400: { description: 'Unreadable file' },
+          413: { description: 'File over the upload limit' },
+        },
+      },
+    },
     '/api/v1/mapping/batch/{jobId}': {
       get: {
         tags: ['Batch'],
@@ -337,16 +849,53 @@ Currently open for development. Production will require API keys via \`X-API-Key
         },
       },
     },
+    '/api/v1/mapping/batch/{jobId}/results/download': {
+      get: {
+        tags: ['Batch'],
+        summary: 'Download job results',
+        description: 'Job results as a spreadsheet: the uploaded columns (or code, system and term) followed by NAMASTE Code, NAMASTE Display, Mapping Status, TM2 Code, TM2 Title, Equivalence, Confidence and Error',
+        operationId: 'downloadJobResults',
+        parameters: [
+          { name: 'jobId', in: 'path', required: true, schema: { type: 'string' } },
+          { name: 'format', in: 'query', schema: { type: 'string', enum: ['csv', 'xlsx'], default: 'xlsx' } },
+        ],
+        responses: {
+          200: {
+            description: 'Results file',
+            content: {
+              'text/csv': { schema: { type: 'string' } },
+              'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { schema: { type: 'string', format: 'binary' } },
+            },
+          },
+          404: { description: 'Job not found' },
+        },
+      },
+    },
+    '/api/v1/mapping/batch/{jobId}/events': {
+      get: {
+        tags: ['Batch'],
+        summary: 'Stream job events',
+        description: 'Server-Sent Events stream of a batch job: `snapshot` (current status), `jobStarted`, `codeCompleted` (one per code with its result), `jobProgress` and a final `jobCompleted`, after which the stream closes. An `error` event (`{ jobId, message }`) ends the stream early, e.g. when the job is deleted. Results already produced are replayed first, so clients can connect at any time',
+        operationId: 'streamJobEvents',
+        parameters: [
+          { name: 'jobId', in: 'path', required: true, schema: { type: 'string' } },
+        ],
+        responses: {
+          200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+          404: { description: 'Job not found' },
+        },
+      },
+    },
 
     // Autocomplete endpoints
     '/api/v1/autocomplete/namaste': {
       get: {
         tags: ['Autocomplete'],
         summary: 'Search NAMASTE codes',
-        description: 'Search NAMASTE codes with autocomplete',
+        description: 'Search NAMASTE codes with autocomplete. The query may be a code, English name, or a term in Devanagari, Tamil or Urdu script, IAST, ITRANS/NAMASTE spelling or loose romanisation (khanja, kha~jjaH and खञ्जः all find kha~jjaH). Typo-tolerant (pg_trgm): arthritus finds arthritis. Results are ranked exact code, then prefix, word and fuzzy matches, by their best match across term, native script, romanised native script and English name, with the matched spans highlighted',
         operationId: 'searchNamaste',
         parameters: [
-          { name: 'q', in: 'query', required: true, schema: { type: 'string', minLength: 2 }, description: 'Search query' },
+          { name: 'q', in: 'query', required: true, schema: { type: 'string', minLength: 2 }, description: 'Search query, in any supported script' },
           { name: 'system', in: 'query', schema: { type: 'string', enum: ['ayurveda', 'siddha', 'unani'] } },
           { name: 'limit', in: 'query', schema: { type: 'integer', default: 10, maximum: 50 } },
         ],
@@ -366,7 +915,7 @@ Currently open for development. Production will require API keys via \`X-API-Key
       get: {
         tags: ['Autocomplete'],
         summary: 'Search TM2 codes',
-        description: 'Search ICD-11 TM2 codes with autocomplete',
+        description: 'Search ICD-11 TM2 codes with autocomplete. Typo-tolerant (pg_trgm); ranked exact code, then prefix, word and fuzzy matches on the title and definition, with the matched spans highlighted',
         operationId: 'searchTm2',
         parameters: [
           { name: 'q', in: 'query', required: true, schema: { type: 'string', minLength: 2 } },
@@ -379,12 +928,48 @@ Currently open for development. Production will require API keys via \`X-API-Key
       },
     },
 
+    '/api/v1/search/semantic': {
+      get: {
+        tags: ['Autocomplete'],
+        summary: 'Search codes by meaning',
+        description: 'NAMASTE and TM2 codes ranked by cosine similarity of their embeddings to the query ("pain radiating down the leg" finds sciatica). With blend=true, lexical autocomplete matches are merged in and score is the weighted sum of similarity and lexical score (SEMANTIC_LEXICAL_WEIGHT)',
+        operationId: 'searchSemantic',
+        parameters: [
+          { name: 'q', in: 'query', required: true, schema: { type: 'string', minLength: 2 }, description: 'Free-text query' },
+          { name: 'scope', in: 'query', schema: { type: 'string', enum: ['namaste', 'tm2', 'all'], default: 'all' } },
+          { name: 'system', in: 'query', schema: { type: 'string', enum: ['ayurveda', 'siddha', 'unani'] }, description: 'NAMASTE system' },
+          { name: 'limit', in: 'query', schema: { type: 'integer', default: 10, maximum: 50 }, description: 'Results per code system' },
+          { name: 'minSimilarity', in: 'query', schema: { type: 'number', minimum: 0, maximum: 1, default: 0.3 } },
+          { name: 'blend', in: 'query', schema: { type: 'boolean', default: false }, description: 'Merge in lexical matches' },
+          { name: 'model', in: 'query', schema: { type: 'string' }, description: 'Embedding model id (provider:model), the configured model by default' },
+        ],
+        responses: {
+          200: {
+            description: 'Codes per scope ({ namaste, tm2 }), each { count, results } with similarity, lexicalScore, score and matchedBy (semantic, lexical)',
+          },
+          400: { description: 'Invalid query, scope, system, minSimilarity or model' },
+        },
+      },
+    },
+
     // Admin endpoints
+    '/api/v1/admin/vector/migrate': {
+      post: {
+        tags: ['Admin'],
+        summary: 'Migrate embedding columns',
+        description: 'Re-create the code tables\' embedding columns and HNSW indexes for the configured embedding model and size. Columns built for another model are emptied (their vectors stay in the embeddings table); generate embeddings afterwards',
+        operationId: 'migrateEmbeddingColumns',
+        responses: {
+          200: { description: 'Model id, dimensions and per-table status (ok, created, recreated)' },
+          500: { description: 'Migration failed' },
+        },
+      },
+    },
     '/api/v1/admin/embeddings/generate': {
       post: {
         tags: ['Admin'],
         summary: 'Generate embeddings',
-        description: 'Batch generate embeddings for codes',
+        description: 'Embed codes that have no vector for the model or whose text changed since they were embedded (compared by SHA-256 hash), in the background. With the configured model, fails if the embedding columns were built for another model (see /api/v1/admin/vector/migrate)',
         operationId: 'generateEmbeddings',
         requestBody: {
           content: {
@@ -394,6 +979,12 @@ Currently open for development. Production will require API keys via \`X-API-Key
                 properties: {
                   type: { type: 'string', enum: ['namaste', 'tm2', 'all'] },
                   batchSize: { type: 'integer', default: 50 },
+                  model: {
+                    type: 'string',
+                    description: 'Embedding model id (provider:model) to embed with, for comparing models; the configured model by default',
+                    example: 'local:Xenova/paraphrase-multilingual-MiniLM-L12-v2',
+                  },
+                  force: { type: 'boolean', default: false, description: 'Re-embed every code' },
                 },
               },
             },
@@ -401,6 +992,7 @@ Currently open for development. Production will require API keys via \`X-API-Key
         },
         responses: {
           202: { description: 'Embedding generation started' },
+          400: { description: 'Invalid model id' },
         },
       },
     },
@@ -408,7 +1000,7 @@ Currently open for development. Production will require API keys via \`X-API-Key
       get: {
         tags: ['Admin'],
         summary: 'Embedding statistics',
-        description: 'Get embedding coverage statistics',
+        description: 'Embedding coverage of the configured model, and vectors stored per model',
         operationId: 'getEmbeddingStats',
         responses: {
           200: { description: 'Embedding statistics' },
@@ -437,6 +1029,99 @@ Currently open for development. Production will require API keys via \`X-API-Key
         },
       },
     },
+    '/api/v1/admin/webhooks/clients': {
+      get: {
+        tags: ['Admin'],
+        summary: 'List webhook clients',
+        description: 'Registered webhook clients (secrets are never listed)',
+        operationId: 'listWebhookClients',
+        responses: {
+          200: { description: 'Webhook clients' },
+        },
+      },
+      post: {
+        tags: ['Admin'],
+        summary: 'Register webhook client',
+        description: 'Creates a client with its own signing secret. The secret is only returned in this response and on rotation',
+        operationId: 'createWebhookClient',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: { type: 'object', required: ['name'], properties: { name: { type: 'string', example: 'State ETL' } } },
+            },
+          },
+        },
+        responses: {
+          201: { description: 'Client with id and secret' },
+          400: { description: 'Validation error' },
+        },
+      },
+    },
+    '/api/v1/admin/webhooks/clients/{id}/rotate-secret': {
+      post: {
+        tags: ['Admin'],
+        summary: 'Rotate webhook secret',
+        operationId: 'rotateWebhookSecret',
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } },
+        ],
+        responses: {
+          200: { description: 'Client with the new secret' },
+          404: { description: 'Client not found' },
+        },
+      },
+    },
+    '/api/v1/admin/webhooks/deliveries': {
+      get: {
+        tags: ['Admin'],
+        summary: 'Webhook delivery log',
+        description: 'Deliveries newest first with status (pending, delivered, failed), attempts and the last error',
+        operationId: 'listWebhookDeliveries',
+        parameters: [
+          { name: 'status', in: 'query', schema: { type: 'string', enum: ['pending', 'delivered', 'failed'] } },
+          { name: 'jobId', in: 'query', schema: { type: 'string' } },
+          { name: 'clientId', in: 'query', schema: { type: 'string' } },
+          { name: 'event', in: 'query', schema: { type: 'string', enum: ['job.progress', 'job.completed'] } },
+          { name: 'limit', in: 'query', schema: { type: 'integer', default: 20, maximum: 100 } },
+          { name: 'offset', in: 'query', schema: { type: 'integer', default: 0 } },
+        ],
+        responses: {
+          200: { description: 'Deliveries' },
+        },
+      },
+    },
+    '/api/v1/admin/webhooks/deliveries/{id}': {
+      get: {
+        tags: ['Admin'],
+        summary: 'Get webhook delivery',
+        description: 'Delivery with its payload and per-attempt log',
+        operationId: 'getWebhookDelivery',
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'string' } },
+        ],
+        responses: {
+          200: { description: 'Delivery' },
+          404: { description: 'Delivery not found' },
+        },
+      },
+    },
+    '/api/v1/admin/webhooks/deliveries/{id}/replay': {
+      post: {
+        tags: ['Admin'],
+        summary: 'Replay failed delivery',
+        description: 'Requeues a failed delivery with a fresh set of retries',
+        operationId: 'replayWebhookDelivery',
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'string' } },
+        ],
+        responses: {
+          202: { description: 'Delivery requeued' },
+          404: { description: 'Delivery not found' },
+          409: { description: 'Delivery is not in the failed state' },
+        },
+      },
+    },
     '/api/v1/admin/audit': {
       get: {
         tags: ['Admin'],
@@ -679,14 +1364,117 @@ Currently open for development. Production will require API keys via \`X-API-Key
           version: { type: 'string', example: '1.0.0' },
         },
       },
-      MappingRequest: {
+      Parameters: {
+        type: 'object',
+        required: ['resourceType'],
+        properties: {
+          resourceType: { type: 'string', enum: ['Parameters'] },
+          parameter: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['name'],
+              properties: {
+                name: { type: 'string', example: 'coding' },
+                valueCoding: {
+                  type: 'object',
+                  properties: {
+                    system: { type: 'string' },
+                    code: { type: 'string' },
+                    version: { type: 'string' },
+                    display: { type: 'string' },
+                  },
+                },
+              },
+              additionalProperties: true,
+            },
+          },
+        },
+      },
+      TranslateRequest: {
         type: 'object',
         required: ['code', 'system'],
+        properties: {
+          code: { type: 'string', example: 'AAA-1' },
+          system: { type: 'string', example: 'https://namaste.ayush.gov.in/ayurveda' },
+          target: { type: 'string', example: 'http://id.who.int/icd/release/11/mms' },
+          reverse: { type: 'boolean' },
+          candidates: { type: 'integer', minimum: 2, maximum: 10, description: 'Return the top N TM2 candidates from the mapping workflow' },
+        },
+      },
+      ValueSet: {
+        type: 'object',
+        required: ['resourceType', 'url', 'compose'],
+        properties: {
+          resourceType: { type: 'string', enum: ['ValueSet'] },
+          url: { type: 'string', example: 'https://namaste.ayush.gov.in/fhir/ValueSet/jwara-clinic' },
+          name: { type: 'string', example: 'JwaraClinic' },
+          title: { type: 'string' },
+          status: { type: 'string', enum: ['draft', 'active', 'retired', 'unknown'] },
+          compose: {
+            type: 'object',
+            properties: {
+              include: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  required: ['system'],
+                  properties: {
+                    system: { type: 'string', example: 'https://namaste.ayush.gov.in/ayurveda' },
+                    concept: { type: 'array', items: { type: 'object', properties: { code: { type: 'string' } } } },
+                    filter: {
+                      type: 'array',
+                      items: {
+                        type: 'object',
+                        properties: {
+                          property: { type: 'string', enum: ['code', 'category', 'min-mapping-confidence'] },
+                          op: { type: 'string', enum: ['=', 'in', 'not-in', 'regex'] },
+                          value: { type: 'string', example: 'AAE.*' },
+                        },
+                      },
+                    },
+                  },
+                },
+              },
+              exclude: { type: 'array', items: { type: 'object' } },
+            },
+          },
+        },
+      },
+      MappingRequest: {
+        type: 'object',
+        description: 'Either code and system, or free text (code wins when both are given)',
         properties: {
           code: { type: 'string', description: 'NAMASTE code', example: 'A-1' },
-          system: { type: 'string', enum: ['ayurveda', 'siddha', 'unani'], example: 'unani' },
+          system: { type: 'string', enum: ['ayurveda', 'siddha', 'unani'], example: 'unani', description: 'Required with code; restricts candidates in free-text mode' },
+          text: { type: 'string', minLength: 3, maxLength: 500, description: 'Free-text description resolved to NAMASTE candidates first', example: 'joint pain worse in cold with stiffness' },
+          candidateLimit: { type: 'integer', minimum: 1, maximum: 20, default: 5, description: 'NAMASTE candidates returned in free-text mode' },
+          tm2Candidates: { type: 'integer', minimum: 2, maximum: 10, description: 'Candidates mode: run the workflow and return its top N TM2 candidates for review' },
           term: { type: 'string', description: 'Optional term override' },
-          context: { type: 'string', description: 'Additional context for mapping' },
+          context: {
+            description: 'Patient/encounter context; shifts ranking toward fitting variants (e.g. SN1x pregnancy or paediatric codes). A plain string is read as the presenting complaint. Requests with context bypass stored mappings and are cached per context',
+            oneOf: [
+              { type: 'string', maxLength: 1000 },
+              {
+                type: 'object',
+                properties: {
+                  ageGroup: { type: 'string', enum: ['neonate', 'infant', 'child', 'adolescent', 'adult', 'older-adult'] },
+                  sex: { type: 'string', enum: ['male', 'female', 'other', 'unknown'] },
+                  pregnant: { type: 'boolean' },
+                  complaint: { type: 'string', maxLength: 1000, description: 'Presenting-complaint narrative' },
+                  dosha: { type: 'array', items: { type: 'string', enum: ['vata', 'pitta', 'kapha'] }, maxItems: 3 },
+                },
+              },
+            ],
+          },
+        },
+      },
+      RetrievalComponent: {
+        type: 'object',
+        nullable: true,
+        properties: {
+          score: { type: 'number' },
+          rank: { type: 'integer' },
         },
       },
       MappingResponse: {
@@ -719,6 +1507,119 @@ Currently open for development. Production will require API keys via \`X-API-Key
             },
           },
           processingTime: { type: 'integer', description: 'Processing time in ms' },
+          context: {
+            type: 'object',
+            description: 'Set when context was given: the normalized context plus how it changed the TM2 ranking',
+            properties: {
+              applied: { type: 'boolean' },
+              preferredVariants: { type: 'array', items: { type: 'string', enum: ['pregnancy', 'paediatric'] } },
+              topChanged: { type: 'boolean' },
+              summary: { type: 'string' },
+              changes: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    code: { type: 'string' },
+                    title: { type: 'string' },
+                    fromRank: { type: 'integer' },
+                    toRank: { type: 'integer' },
+                    adjustment: { type: 'number' },
+                    reasons: { type: 'array', items: { type: 'string' } },
+                  },
+                },
+              },
+            },
+          },
+          tm2Candidates: {
+            type: 'array',
+            description: 'Candidates mode: the selected candidate first, then by LLM confidence. Accept any of them with POST /api/v1/mapping/accept',
+            items: {
+              type: 'object',
+              properties: {
+                rank: { type: 'integer' },
+                code: { type: 'string' },
+                title: { type: 'string' },
+                category: { type: 'string', nullable: true },
+                retrievalScore: { type: 'number', description: 'Fused hybrid search score (RRF or weighted)' },
+                lexicalScore: { type: 'number', description: 'Best of the full-text and trigram scores' },
+                vectorSimilarity: { type: 'number', nullable: true },
+                components: {
+                  type: 'object',
+                  description: 'Score and rank from each hybrid search signal; null where the signal did not return the candidate',
+                  properties: {
+                    vector: { $ref: '#/components/schemas/RetrievalComponent' },
+                    fullText: { $ref: '#/components/schemas/RetrievalComponent' },
+                    trigram: { $ref: '#/components/schemas/RetrievalComponent' },
+                  },
+                },
+                llmJudgement: {
+                  type: 'object',
+                  nullable: true,
+                  properties: {
+                    verdict: { type: 'string', enum: ['best', 'plausible', 'unlikely'] },
+                    confidence: { type: 'number' },
+                  },
+                },
+                equivalence: { type: 'string', nullable: true, enum: ['EQUIVALENT', 'WIDER', 'NARROWER', 'INEXACT', 'UNMATCHED'] },
+                rationale: { type: 'string', nullable: true },
+                selected: { type: 'boolean' },
+              },
+            },
+          },
+          retrieval: {
+            type: 'object',
+            description: 'AI workflow only: how TM2 candidates were retrieved',
+            properties: {
+              fusion: { type: 'string', enum: ['rrf', 'weighted'] },
+              weights: {
+                type: 'object',
+                properties: {
+                  vector: { type: 'number' },
+                  fullText: { type: 'number' },
+                  trigram: { type: 'number' },
+                },
+              },
+              signals: { type: 'object', description: 'Candidates returned by each signal' },
+              keywordFallback: { type: 'boolean', description: 'No signal matched; keyword matching was used' },
+            },
+          },
+          mode: { type: 'string', enum: ['text'], description: 'Set for free-text requests' },
+          query: { type: 'string', description: 'Free text that was resolved' },
+          namaste: {
+            type: 'object',
+            description: 'Free-text mode: NAMASTE leg, with the ranked candidates (the first was mapped)',
+            properties: {
+              confidence: { type: 'number' },
+              vectorSimilarity: { type: 'number' },
+              lexicalScore: { type: 'number' },
+              candidates: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    code: { type: 'string' },
+                    system: { type: 'string' },
+                    term: { type: 'string' },
+                    englishName: { type: 'string' },
+                    confidence: { type: 'number', description: 'Weighted vector similarity and keyword score' },
+                    vectorSimilarity: { type: 'number' },
+                    lexicalScore: { type: 'number', description: 'Share of keywords found' },
+                    matchedKeywords: { type: 'array', items: { type: 'string' } },
+                  },
+                },
+              },
+            },
+          },
+          confidence: {
+            type: 'object',
+            description: 'Free-text mode: confidence of each leg and their product',
+            properties: {
+              namaste: { type: 'number' },
+              tm2: { type: 'number', nullable: true },
+              overall: { type: 'number', nullable: true, description: 'null when the TM2 leg has no confidence' },
+            },
+          },
         },
       },
       BatchRequest: {
@@ -738,7 +1639,9 @@ Currently open for development. Production will require API keys via \`X-API-Key
             minItems: 1,
             maxItems: 100,
           },
-          callbackUrl: { type: 'string', format: 'uri', description: 'Webhook URL for completion notification' },
+          callbackUrl: { type: 'string', format: 'uri', description: 'Webhook URL for progress and completion notifications' },
+          webhookClientId: { type: 'string', format: 'uuid', description: 'Registered webhook client whose secret signs the callbacks (defaults to WEBHOOK_SECRET)' },
+          progressEvery: { type: 'integer', minimum: 0, default: 0, description: 'Send a job.progress webhook with the chunk results every N codes (0 = completion only)' },
           saveResults: { type: 'boolean', default: true },
         },
       },
@@ -762,6 +1665,17 @@ Currently open for development. Production will require API keys via \`X-API-Key
         type: 'object',
         properties: {
           query: { type: 'string' },
+          script: { type: 'string', enum: ['latin', 'devanagari', 'tamil', 'arabic'], description: 'Script of the query' },
+          transliterations: {
+            type: 'object',
+            description: 'The query in each script (lossy for Tamil and Urdu)',
+            properties: {
+              latin: { type: 'string' },
+              devanagari: { type: 'string' },
+              tamil: { type: 'string' },
+              urdu: { type: 'string' },
+            },
+          },
           count: { type: 'integer' },
           results: {
             type: 'array',
@@ -771,8 +1685,19 @@ Currently open for development. Production will require API keys via \`X-API-Key
                 code: { type: 'string' },
                 system: { type: 'string' },
                 term: { type: 'string' },
+                nativeScript: { type: 'string' },
+                transliteration: { type: 'string', description: 'Native script romanised (IAST / ISO 15919)' },
                 display: { type: 'string' },
                 definition: { type: 'string' },
+                termDiacritical: { type: 'string' },
+                score: { type: 'number', description: 'Banded by match type: code 1, prefix 0.7-0.95, word 0.4-0.7, fuzzy below 0.4' },
+                matchType: { type: 'string', enum: ['code', 'prefix', 'word', 'fuzzy'] },
+                matchedOn: { type: 'string', enum: ['code', 'term', 'nativeScript', 'transliteration', 'termDiacritical', 'englishName', 'definition'] },
+                highlights: {
+                  type: 'object',
+                  description: 'Matched spans of the matchedOn field, as [start, end) offsets, e.g. { "englishName": [[11, 20]] }',
+                  additionalProperties: { type: 'array', items: { type: 'array', items: { type: 'integer' }, minItems: 2, maxItems: 2 } },
+                },
               },
             },
           },
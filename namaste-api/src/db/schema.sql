@@ -17,6 +17,7 @@ CREATE TABLE IF NOT EXISTS namaste_codes (
   long_definition TEXT,
   english_name TEXT,
   searchable_text TEXT,
+  search_keys TEXT,  -- Loose keys across scripts, see services/transliteration.js
   metadata JSONB DEFAULT '{}',
   created_at TIMESTAMPTZ DEFAULT NOW(),
   updated_at TIMESTAMPTZ DEFAULT NOW(),
@@ -71,9 +72,95 @@ CREATE TABLE IF NOT EXISTS embeddings (
   source_type VARCHAR(20) NOT NULL CHECK (source_type IN ('namaste', 'tm2')),
   source_code VARCHAR(20) NOT NULL,
   source_system VARCHAR(20),
-  embedding VECTOR(768),  -- Vertex AI embedding dimension
-  model_name VARCHAR(100) NOT NULL,
-  created_at TIMESTAMPTZ DEFAULT NOW()
+  embedding VECTOR,  -- Any size; one partial HNSW index per model (see vector-search.js ensureModelIndex)
+  model_name VARCHAR(100) NOT NULL,  -- Embedding model of the vector, e.g. gemini:text-embedding-004
+  text_hash VARCHAR(64),  -- SHA-256 of the embedded text, to find codes whose text changed
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT embeddings_source_model_hash_key
+    UNIQUE NULLS NOT DISTINCT (source_type, source_code, source_system, model_name, text_hash)
+);
+
+-- ValueSets Table (stored FHIR ValueSet resources)
+CREATE TABLE IF NOT EXISTS value_sets (
+  id VARCHAR(64) PRIMARY KEY,
+  url TEXT NOT NULL UNIQUE,
+  version VARCHAR(50),
+  name VARCHAR(255),
+  title TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('draft', 'active', 'retired', 'unknown')),
+  resource JSONB NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Batch Jobs Table (shared queue; workers claim jobs with a lease)
+CREATE TABLE IF NOT EXISTS batch_jobs (
+  id VARCHAR(64) PRIMARY KEY,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN (
+    'pending', 'processing', 'completed', 'failed', 'cancelled'
+  )),
+  priority VARCHAR(10) NOT NULL DEFAULT 'normal' CHECK (priority IN ('high', 'normal', 'low')),
+  user_id VARCHAR(100),
+  callback_url TEXT,
+  webhook_client_id UUID,
+  progress_every INTEGER NOT NULL DEFAULT 0,
+  save_results BOOLEAN NOT NULL DEFAULT TRUE,
+  source JSONB,  -- uploaded file name, format, headers and column mapping
+  total INTEGER NOT NULL,
+  completed INTEGER NOT NULL DEFAULT 0,
+  successful INTEGER NOT NULL DEFAULT 0,
+  failed INTEGER NOT NULL DEFAULT 0,
+  worker_id VARCHAR(100),
+  lease_expires_at TIMESTAMPTZ,
+  error TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Batch Job Items Table (one row per submitted code)
+CREATE TABLE IF NOT EXISTS batch_job_items (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  job_id VARCHAR(64) NOT NULL REFERENCES batch_jobs(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  code VARCHAR(20),  -- NULL when the row only has a free-text term
+  system VARCHAR(20) NOT NULL CHECK (system IN ('ayurveda', 'siddha', 'unani')),
+  term TEXT,
+  row JSONB,  -- original spreadsheet cells, echoed in result downloads
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'failed')),
+  result JSONB,
+  error TEXT,
+  processed_at TIMESTAMPTZ,
+  UNIQUE(job_id, position)
+);
+
+-- Webhook Clients Table (per-client signing secrets)
+CREATE TABLE IF NOT EXISTS webhook_clients (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name VARCHAR(255) NOT NULL,
+  secret VARCHAR(128) NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Webhook Deliveries Table (delivery log and retry queue)
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  client_id UUID REFERENCES webhook_clients(id) ON DELETE SET NULL,
+  job_id VARCHAR(64),
+  event VARCHAR(50) NOT NULL,
+  url TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ DEFAULT NOW(),
+  last_status_code INTEGER,
+  last_error TEXT,
+  attempt_log JSONB NOT NULL DEFAULT '[]',
+  delivered_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
 -- Audit Log Table
@@ -98,6 +185,8 @@ CREATE INDEX IF NOT EXISTS idx_namaste_codes_code ON namaste_codes(code);
 CREATE INDEX IF NOT EXISTS idx_namaste_codes_system ON namaste_codes(system);
 CREATE INDEX IF NOT EXISTS idx_namaste_codes_term_trgm ON namaste_codes USING gin(term gin_trgm_ops);
 CREATE INDEX IF NOT EXISTS idx_namaste_codes_searchable_trgm ON namaste_codes USING gin(searchable_text gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_namaste_codes_search_keys_trgm ON namaste_codes USING gin(search_keys gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_namaste_codes_english_name_trgm ON namaste_codes USING gin(english_name gin_trgm_ops);
 
 CREATE INDEX IF NOT EXISTS idx_tm2_codes_code ON tm2_codes(code);
 CREATE INDEX IF NOT EXISTS idx_tm2_codes_category ON tm2_codes(category);
@@ -108,6 +197,17 @@ CREATE INDEX IF NOT EXISTS idx_mappings_tm2 ON mappings(tm2_code);
 CREATE INDEX IF NOT EXISTS idx_mappings_confidence ON mappings(confidence DESC);
 
 CREATE INDEX IF NOT EXISTS idx_embeddings_source ON embeddings(source_type, source_code);
+CREATE INDEX IF NOT EXISTS embeddings_model_idx ON embeddings(model_name, source_type);
+
+CREATE INDEX IF NOT EXISTS idx_value_sets_name ON value_sets(name);
+
+CREATE INDEX IF NOT EXISTS idx_batch_jobs_status ON batch_jobs(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_batch_jobs_completed ON batch_jobs(completed_at);
+CREATE INDEX IF NOT EXISTS idx_batch_job_items_job ON batch_job_items(job_id, status);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_job ON webhook_deliveries(job_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_created ON webhook_deliveries(created_at DESC);
 
 CREATE INDEX IF NOT EXISTS idx_audit_logs_created ON audit_logs(created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_audit_logs_action ON audit_logs(action);
@@ -136,3 +236,23 @@ DROP TRIGGER IF EXISTS mappings_updated_at ON mappings;
 CREATE TRIGGER mappings_updated_at
   BEFORE UPDATE ON mappings
   FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+DROP TRIGGER IF EXISTS value_sets_updated_at ON value_sets;
+CREATE TRIGGER value_sets_updated_at
+  BEFORE UPDATE ON value_sets
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+DROP TRIGGER IF EXISTS batch_jobs_updated_at ON batch_jobs;
+CREATE TRIGGER batch_jobs_updated_at
+  BEFORE UPDATE ON batch_jobs
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+DROP TRIGGER IF EXISTS webhook_clients_updated_at ON webhook_clients;
+CREATE TRIGGER webhook_clients_updated_at
+  BEFORE UPDATE ON webhook_clients
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+DROP TRIGGER IF EXISTS webhook_deliveries_updated_at ON webhook_deliveries;
+CREATE TRIGGER webhook_deliveries_updated_at
+  BEFORE UPDATE ON webhook_deliveries
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
@@ -11,6 +11,9 @@ import { logger } from './config/logger.js';
 import { openApiSpec } from './config/openapi.js';
 import { connectDb, disconnectDb } from './db/client.js';
 import { testConnection as testIcdConnection } from './services/icd11-api.js';
+import { startBatchWorker, stopBatchWorker } from './services/batch-processor.js';
+import { startWebhookWorker, stopWebhookWorker } from './services/webhooks.js';
+import { checkPgvectorInstalled, getMismatchedEmbeddingColumns } from './services/vector-search.js';
 
 // Import middleware
 import { metricsMiddleware, getMetrics } from './middleware/metrics.js';
@@ -23,8 +26,10 @@ import { createHealthRoutes } from './routes/health.js';
 import { createFhirRoutes } from './routes/fhir.js';
 import { createMappingRoutes } from './routes/mapping.js';
 import { createAutocompleteRoutes } from './routes/autocomplete.js';
+import { createSearchRoutes } from './routes/search.js';
 import { createAdminRoutes } from './routes/admin.js';
 import { createFrontendRoutes } from './routes/frontend.js';
+import { createExportRoutes } from './routes/export.js';
 
 // OpenAPI spec is now in ./config/openapi.js
 
@@ -75,6 +80,7 @@ export const createApp = () => {
   app.use('/api/v1/mapping', rateLimitMiddleware.mapping);
   app.use('/api/v1/mapping/batch/*', rateLimitMiddleware.batch);
   app.use('/api/v1/autocomplete/*', rateLimitMiddleware.search);
+  app.use('/api/v1/search/*', rateLimitMiddleware.search);
   app.use('/fhir/*', rateLimitMiddleware.standard);
 
   // ============================================================================
@@ -122,6 +128,8 @@ export const createApp = () => {
   // Core API
   app.route('/api/v1/mapping', createMappingRoutes());
   app.route('/api/v1/autocomplete', createAutocompleteRoutes());
+  app.route('/api/v1/search', createSearchRoutes());
+  app.route('/api/v1/export', createExportRoutes());
 
   // Admin endpoints
   app.route('/api/v1/admin', createAdminRoutes());
@@ -156,6 +164,8 @@ export const createApp = () => {
         fhir: '/fhir',
         mapping: '/api/v1/mapping',
         autocomplete: '/api/v1/autocomplete',
+        search: '/api/v1/search/semantic',
+        export: '/api/v1/export',
         admin: '/api/v1/admin',
         docs: '/docs',
         openapi: '/openapi.json',
@@ -203,6 +213,16 @@ const startServer = async () => {
     process.exit(1);
   }
 
+  // Vector columns must match the embedding model (vectors of another model cannot be compared)
+  if (await checkPgvectorInstalled()) {
+    const mismatched = await getMismatchedEmbeddingColumns().catch(() => []);
+    if (mismatched.length > 0) {
+      logger.warn({
+        columns: mismatched.map(({ table, type, modelId }) => ({ table, type, modelId })),
+      }, 'Embedding columns were built for another model - run npm run db:migrate:embeddings and regenerate embeddings');
+    }
+  }
+
   // Test ICD-11 API connection (optional)
   if (config.whoIcd.clientId) {
     const icdConnected = await testIcdConnection();
@@ -224,9 +244,15 @@ const startServer = async () => {
     }, `🚀 NAMASTE-ICD API running at http://localhost:${info.port}`);
   });
 
+  // Resume queued and interrupted batch jobs, and retry pending webhooks
+  startBatchWorker();
+  startWebhookWorker();
+
   // Graceful shutdown
   const shutdown = async (signal) => {
     logger.info({ signal }, 'Shutting down...');
+    stopBatchWorker();
+    stopWebhookWorker();
     await disconnectDb();
     process.exit(0);
   };
@@ -211,7 +211,7 @@ export const auditMiddleware = async (c, next) => {
   } else if (requestDetails.path.includes('/fhir')) {
     resourceType = 'FHIR';
     action = requestDetails.method;
-  } else if (requestDetails.path.includes('/autocomplete')) {
+  } else if (requestDetails.path.includes('/autocomplete') || requestDetails.path.includes('/api/v1/search')) {
     resourceType = 'ValueSet';
     action = 'SEARCH';
   }
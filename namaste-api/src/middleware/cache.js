@@ -142,17 +142,18 @@ export const cacheMiddleware = (options = {}) => {
 
 /**
  * Get cached mapping
+ * contextKey separates mappings made for a given patient context
  */
-export const getCachedMapping = (namasteCode, system) => {
-  const key = `mapping:${system}:${namasteCode}`;
+export const getCachedMapping = (namasteCode, system, contextKey = '') => {
+  const key = `mapping:${system}:${namasteCode}${contextKey ? `:${contextKey}` : ''}`;
   return caches.mappings.get(key);
 };
 
 /**
  * Set cached mapping
  */
-export const setCachedMapping = (namasteCode, system, mapping) => {
-  const key = `mapping:${system}:${namasteCode}`;
+export const setCachedMapping = (namasteCode, system, mapping, contextKey = '') => {
+  const key = `mapping:${system}:${namasteCode}${contextKey ? `:${contextKey}` : ''}`;
   caches.mappings.set(key, mapping);
 };
 
@@ -8,10 +8,14 @@ import { Hono } from 'hono';
 import { logger } from '../config/logger.js';
 import { 
   initializeVectorSearch, 
-  batchGenerateEmbeddings, 
+  reembedCodes,
   getEmbeddingStats,
   checkPgvectorInstalled,
+  getEmbeddingColumns,
+  migrateEmbeddingColumns,
 } from '../services/vector-search.js';
+import { getLlmInfo } from '../services/llm.js';
+import { parseEmbeddingModelId } from '../services/llm-providers.js';
 import { 
   createBatchJob, 
   getJobStatus, 
@@ -20,6 +24,15 @@ import {
   listJobs,
   getQueueStats,
 } from '../services/batch-processor.js';
+import {
+  createWebhookClient,
+  listWebhookClients,
+  rotateWebhookSecret,
+  listDeliveries,
+  getDelivery,
+  replayDelivery,
+  getDeliveryStats,
+} from '../services/webhooks.js';
 import { getCacheStats, clearAllCaches, invalidateCache } from '../middleware/cache.js';
 import { getAuditLogs, exportAuditLogsAsFhirBundle } from '../middleware/audit.js';
 import { getMetrics, getMetricsJson, resetMetrics } from '../middleware/metrics.js';
@@ -46,21 +59,50 @@ export const createAdminRoutes = () => {
     }
   });
 
+  // Re-create embedding columns and indexes for the configured embedding model
+  // The previous model's vectors stay in the embeddings table; refill the columns afterwards
+  router.post('/vector/migrate', async (c) => {
+    try {
+      const result = await migrateEmbeddingColumns({ recreate: true });
+      return c.json({
+        success: true,
+        ...result,
+        message: result.tables.some(t => t.status !== 'ok')
+          ? 'Embedding columns migrated - regenerate embeddings'
+          : 'Embedding columns already match the model',
+      });
+    } catch (error) {
+      logger.error({ error: error.message }, 'Vector migration failed');
+      return c.json({ error: error.message }, 500);
+    }
+  });
+
   // Check pgvector status
   router.get('/vector/status', async (c) => {
     const installed = await checkPgvectorInstalled();
     const stats = await getEmbeddingStats();
+    const columns = installed ? await getEmbeddingColumns().catch(() => []) : [];
     
     return c.json({
       pgvectorInstalled: installed,
       embeddings: stats,
+      columns: columns.map(({ table, type, modelId }) => ({ table, type, modelId })),
     });
   });
 
-  // Generate embeddings
+  // Re-embed codes whose embedding is missing or whose text changed
+  // `model` embeds with another model for comparison; `force` re-embeds every code
   router.post('/embeddings/generate', async (c) => {
     const body = await c.req.json().catch(() => ({}));
-    const { type = 'all', batchSize = 50 } = body;
+    const { type = 'all', batchSize = 50, model, force = false } = body;
+
+    if (model) {
+      try {
+        parseEmbeddingModelId(model);
+      } catch (error) {
+        return c.json({ error: 'Invalid model', message: error.message }, 400);
+      }
+    }
 
     // Start async generation
     const jobId = `emb_${Date.now()}`;
@@ -68,14 +110,15 @@ export const createAdminRoutes = () => {
     // Run in background
     setImmediate(async () => {
       try {
-        if (type === 'all' || type === 'namaste') {
-          await batchGenerateEmbeddings('namaste', batchSize, (progress) => {
-            logger.info({ jobId, type: 'namaste', ...progress }, 'Embedding progress');
-          });
-        }
-        if (type === 'all' || type === 'tm2') {
-          await batchGenerateEmbeddings('tm2', batchSize, (progress) => {
-            logger.info({ jobId, type: 'tm2', ...progress }, 'Embedding progress');
+        for (const codeType of ['namaste', 'tm2']) {
+          if (type !== 'all' && type !== codeType) continue;
+          await reembedCodes(codeType, {
+            model,
+            batchSize,
+            force,
+            onProgress: (progress) => {
+              logger.info({ jobId, type: codeType, ...progress }, 'Embedding progress');
+            },
           });
         }
       } catch (error) {
@@ -88,6 +131,8 @@ export const createAdminRoutes = () => {
       jobId,
       type,
       batchSize,
+      model: model || getLlmInfo().embeddingModelId,
+      force,
     }, 202);
   });
 
@@ -104,7 +149,7 @@ export const createAdminRoutes = () => {
   // List batch jobs
   router.get('/jobs', async (c) => {
     const { status, limit, offset } = c.req.query();
-    const jobs = listJobs({
+    const jobs = await listJobs({
       status,
       limit: parseInt(limit) || 20,
       offset: parseInt(offset) || 0,
@@ -114,7 +159,87 @@ export const createAdminRoutes = () => {
 
   // Get queue stats
   router.get('/jobs/stats', async (c) => {
-    return c.json(getQueueStats());
+    return c.json(await getQueueStats());
+  });
+
+  // ============================================================================
+  // Webhooks
+  // ============================================================================
+
+  // List webhook clients (secrets are never listed)
+  router.get('/webhooks/clients', async (c) => {
+    return c.json({ clients: await listWebhookClients() });
+  });
+
+  // Register a webhook client; the response is the only time the secret is shown
+  router.post('/webhooks/clients', async (c) => {
+    const body = await c.req.json().catch(() => ({}));
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      return c.json({ error: 'Validation Error', message: 'name is required' }, 400);
+    }
+
+    const client = await createWebhookClient(body.name.trim());
+    logger.info({ clientId: client.id }, 'Webhook client created');
+    return c.json(client, 201);
+  });
+
+  // Rotate a client's signing secret
+  router.post('/webhooks/clients/:id/rotate-secret', async (c) => {
+    const { id } = c.req.param();
+    const client = await rotateWebhookSecret(id);
+
+    if (!client) {
+      return c.json({ error: 'Not Found', message: `Webhook client ${id} not found` }, 404);
+    }
+
+    logger.info({ clientId: id }, 'Webhook secret rotated');
+    return c.json(client);
+  });
+
+  // Delivery log
+  router.get('/webhooks/deliveries', async (c) => {
+    const { status, jobId, clientId, event, limit, offset } = c.req.query();
+    const deliveries = await listDeliveries({
+      status,
+      jobId,
+      clientId,
+      event,
+      limit: Math.min(parseInt(limit) || 20, 100),
+      offset: parseInt(offset) || 0,
+    });
+    return c.json(deliveries);
+  });
+
+  // Delivery counts by status
+  router.get('/webhooks/deliveries/stats', async (c) => {
+    return c.json(await getDeliveryStats());
+  });
+
+  // Delivery with payload and attempt log
+  router.get('/webhooks/deliveries/:id', async (c) => {
+    const { id } = c.req.param();
+    const delivery = await getDelivery(id);
+
+    if (!delivery) {
+      return c.json({ error: 'Not Found', message: `Delivery ${id} not found` }, 404);
+    }
+
+    return c.json(delivery);
+  });
+
+  // Replay a failed delivery
+  router.post('/webhooks/deliveries/:id/replay', async (c) => {
+    const { id } = c.req.param();
+    const { delivery, error } = await replayDelivery(id);
+
+    if (error) {
+      return c.json({
+        error: error.status === 404 ? 'Not Found' : 'Conflict',
+        message: error.message,
+      }, error.status);
+    }
+
+    return c.json({ message: 'Delivery requeued', delivery }, 202);
   });
 
   // ============================================================================
@@ -208,6 +333,7 @@ export const createAdminRoutes = () => {
       uptime: process.uptime(),
       memory: process.memoryUsage(),
       env: process.env.NODE_ENV || 'development',
+      llm: getLlmInfo(),
     });
   });
 
@@ -1,10 +1,14 @@
 import { Hono } from 'hono';
-import { getPrisma } from '../db/client.js';
 import { logger } from '../config/logger.js';
+import { searchNamaste } from '../services/namaste-search.js';
+import { searchTm2 } from '../services/tm2-search.js';
+import { transliterate } from '../services/transliteration.js';
 
 /**
  * Autocomplete Routes
- * Fast prefix search for NAMASTE and TM2 codes
+ * Typo-tolerant search for NAMASTE and TM2 codes, ranked exact code, prefix,
+ * word then fuzzy match, with the matched spans of each result
+ * NAMASTE search accepts any script or romanisation (see services/namaste-search.js)
  * Functional approach - factory function returning Hono router
  */
 export const createAutocompleteRoutes = () => {
@@ -25,41 +29,16 @@ export const createAutocompleteRoutes = () => {
       });
     }
 
-    const prisma = getPrisma();
     const take = Math.min(parseInt(limit, 10), 50);
-
-    const where = {
-      OR: [
-        { code: { startsWith: q.toUpperCase() } },
-        { term: { contains: q, mode: 'insensitive' } },
-        { englishName: { contains: q, mode: 'insensitive' } },
-        { searchableText: { contains: q.toLowerCase() } },
-      ],
-    };
-
-    if (system) {
-      where.system = system.toUpperCase();
-    }
+    const { script, ...transliterations } = transliterate(q);
 
     try {
-      const results = await prisma.namasteCode.findMany({
-        where,
-        take,
-        select: {
-          id: true,
-          code: true,
-          system: true,
-          term: true,
-          englishName: true,
-          shortDefinition: true,
-        },
-        orderBy: [
-          { code: 'asc' },
-        ],
-      });
+      const results = await searchNamaste(q, { system, limit: take });
 
       return c.json({
         query: q,
+        script,
+        transliterations,
         count: results.length,
         results: results.map(r => ({
           id: r.id,
@@ -67,8 +46,15 @@ export const createAutocompleteRoutes = () => {
           system: r.system.toLowerCase(),
           term: r.term,
           englishName: r.englishName,
+          nativeScript: r.nativeScript,
+          transliteration: r.transliteration,
+          termDiacritical: r.termDiacritical,
           display: r.englishName || r.term,
           definition: r.shortDefinition,
+          score: r.score,
+          matchType: r.matchType,
+          matchedOn: r.matchedOn,
+          highlights: r.highlights,
         })),
       });
     } catch (error) {
@@ -95,36 +81,10 @@ export const createAutocompleteRoutes = () => {
       });
     }
 
-    const prisma = getPrisma();
     const take = Math.min(parseInt(limit, 10), 50);
 
-    const where = {
-      OR: [
-        { code: { startsWith: q.toUpperCase() } },
-        { title: { contains: q, mode: 'insensitive' } },
-        { definition: { contains: q, mode: 'insensitive' } },
-      ],
-    };
-
-    if (category) {
-      where.category = category;
-    }
-
     try {
-      const results = await prisma.tm2Code.findMany({
-        where,
-        take,
-        select: {
-          id: true,
-          code: true,
-          title: true,
-          category: true,
-          definition: true,
-        },
-        orderBy: [
-          { code: 'asc' },
-        ],
-      });
+      const results = await searchTm2(q, { category, limit: take });
 
       return c.json({
         query: q,
@@ -136,6 +96,10 @@ export const createAutocompleteRoutes = () => {
           category: r.category,
           display: `${r.code} - ${r.title}`,
           definition: r.definition,
+          score: r.score,
+          matchType: r.matchType,
+          matchedOn: r.matchedOn,
+          highlights: r.highlights,
         })),
       });
     } catch (error) {
@@ -161,43 +125,12 @@ export const createAutocompleteRoutes = () => {
       });
     }
 
-    const prisma = getPrisma();
     const take = Math.min(parseInt(limit, 10), 25);
 
     try {
       const [namasteResults, tm2Results] = await Promise.all([
-        prisma.namasteCode.findMany({
-          where: {
-            OR: [
-              { code: { startsWith: q.toUpperCase() } },
-              { term: { contains: q, mode: 'insensitive' } },
-              { englishName: { contains: q, mode: 'insensitive' } },
-            ],
-          },
-          take,
-          select: {
-            id: true,
-            code: true,
-            system: true,
-            term: true,
-            englishName: true,
-          },
-        }),
-        prisma.tm2Code.findMany({
-          where: {
-            OR: [
-              { code: { startsWith: q.toUpperCase() } },
-              { title: { contains: q, mode: 'insensitive' } },
-            ],
-          },
-          take,
-          select: {
-            id: true,
-            code: true,
-            title: true,
-            category: true,
-          },
-        }),
+        searchNamaste(q, { limit: take }),
+        searchTm2(q, { limit: take }),
       ]);
 
       return c.json({
@@ -209,6 +142,13 @@ export const createAutocompleteRoutes = () => {
             code: r.code,
             system: r.system.toLowerCase(),
             display: r.englishName || r.term,
+            term: r.term,
+            englishName: r.englishName,
+            nativeScript: r.nativeScript,
+            score: r.score,
+            matchType: r.matchType,
+            matchedOn: r.matchedOn,
+            highlights: r.highlights,
             type: 'namaste',
           })),
         },
@@ -219,6 +159,10 @@ export const createAutocompleteRoutes = () => {
             code: r.code,
             display: r.title,
             category: r.category,
+            score: r.score,
+            matchType: r.matchType,
+            matchedOn: r.matchedOn,
+            highlights: r.highlights,
             type: 'tm2',
           })),
         },
@@ -0,0 +1,78 @@
+import { Hono } from 'hono';
+import { z } from 'zod';
+import { logger } from '../config/logger.js';
+import { createDiagnosisDocument } from '../services/abdm-export.js';
+
+/**
+ * Export Routes
+ * Dual-coded diagnosis documents for ABDM health information exchange
+ * Functional approach - factory function returning Hono router
+ */
+
+// Request validation schemas
+const abdmExportSchema = z.object({
+  patient: z.object({
+    id: z.string().optional(),
+    name: z.string().min(1),
+    abhaNumber: z.string().optional(),
+    gender: z.enum(['male', 'female', 'other', 'unknown']).optional(),
+    birthDate: z.string().optional(),
+  }),
+  encounter: z.object({
+    id: z.string().optional(),
+    class: z.enum(['AMB', 'IMP', 'EMER', 'HH', 'VR']).default('AMB'),
+    start: z.string().optional(),
+    end: z.string().optional(),
+    facility: z.string().optional(),
+  }).optional(),
+  practitioner: z.object({
+    id: z.string().optional(),
+    name: z.string().min(1),
+    registrationNumber: z.string().optional(),
+  }).optional(),
+  diagnoses: z.array(z.object({
+    code: z.string().min(1),
+    system: z.enum(['ayurveda', 'siddha', 'unani']),
+    clinicalStatus: z.enum(['active', 'recurrence', 'relapse', 'inactive', 'remission', 'resolved']).optional(),
+    verificationStatus: z.enum(['unconfirmed', 'provisional', 'differential', 'confirmed', 'refuted']).optional(),
+    onset: z.string().optional(),
+    note: z.string().optional(),
+  })).min(1).max(100),
+});
+
+export const createExportRoutes = () => {
+  const router = new Hono();
+
+  // ABDM document Bundle with a dual-coding report
+  router.post('/abdm', async (c) => {
+    const body = await c.req.json().catch(() => null);
+
+    const parseResult = abdmExportSchema.safeParse(body);
+    if (!parseResult.success) {
+      return c.json({
+        error: 'Validation Error',
+        details: parseResult.error.issues,
+      }, 400);
+    }
+
+    try {
+      const { bundle, report } = await createDiagnosisDocument(parseResult.data);
+
+      logger.info({
+        bundleId: bundle.id,
+        total: report.total,
+        dualCoded: report.dualCoded,
+      }, 'ABDM document exported');
+
+      return c.json({ success: true, bundle, report });
+    } catch (error) {
+      logger.error({ error: error.message }, 'ABDM export failed');
+      return c.json({
+        error: 'Export Error',
+        message: error.message,
+      }, 500);
+    }
+  });
+
+  return router;
+};
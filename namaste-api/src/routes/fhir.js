@@ -2,6 +2,37 @@ import { Hono } from 'hono';
 import { getPrisma } from '../db/client.js';
 import { config } from '../config/index.js';
 import { logger } from '../config/logger.js';
+import {
+  getLanguageCode,
+  resolveNamasteSystem,
+  isTm2System,
+  getCanonicalSystemUri,
+  getNamasteSystemUri,
+  invertEquivalence,
+  toFhirEquivalence,
+  createOperationOutcome,
+} from '../services/terminology.js';
+import { createConditionCode, validateCondition } from '../services/condition.js';
+import { parseParametersBody, getCoding, getBoolean, getInteger } from '../services/fhir-parameters.js';
+import {
+  getConceptMap,
+  searchConceptMaps,
+  findTm2SourceMappings,
+  translateViaTm2,
+} from '../services/concept-map.js';
+import { getCodeSystem, listCodeSystems, validateCode, subsumes } from '../services/code-system.js';
+import { mapNamasteToTm2 } from '../workflows/mapping-graph.js';
+import {
+  getValueSet,
+  searchValueSets,
+  saveValueSet,
+  deleteValueSet,
+  resolveValueSet,
+  expandValueSet,
+  valueSetContains,
+  getValueSetSystems,
+  isExpansionTimeout,
+} from '../services/value-set.js';
 
 /**
  * FHIR R4 Terminology Routes
@@ -30,6 +61,7 @@ export const createFhirRoutes = () => {
       format: ['application/fhir+json', 'application/json'],
       rest: [{
         mode: 'server',
+        interaction: [{ code: 'batch' }, { code: 'transaction' }],
         resource: [
           {
             type: 'CodeSystem',
@@ -37,13 +69,22 @@ export const createFhirRoutes = () => {
             operation: [
               { name: 'lookup', definition: 'http://hl7.org/fhir/OperationDefinition/CodeSystem-lookup' },
               { name: 'validate-code', definition: 'http://hl7.org/fhir/OperationDefinition/CodeSystem-validate-code' },
+              { name: 'subsumes', definition: 'http://hl7.org/fhir/OperationDefinition/CodeSystem-subsumes' },
             ],
           },
           {
             type: 'ValueSet',
-            interaction: [{ code: 'read' }, { code: 'search-type' }],
+            interaction: [{ code: 'read' }, { code: 'search-type' }, { code: 'update' }, { code: 'delete' }],
             operation: [
               { name: 'expand', definition: 'http://hl7.org/fhir/OperationDefinition/ValueSet-expand' },
+              { name: 'validate-code', definition: 'http://hl7.org/fhir/OperationDefinition/ValueSet-validate-code' },
+            ],
+          },
+          {
+            type: 'Condition',
+            operation: [
+              { name: 'dual-code', definition: `${config.fhir.baseUrl}/OperationDefinition/Condition-dual-code` },
+              { name: 'validate', definition: 'http://hl7.org/fhir/OperationDefinition/Resource-validate' },
             ],
           },
           {
@@ -58,14 +99,49 @@ export const createFhirRoutes = () => {
     });
   });
 
+  // Batch/transaction Bundle of terminology operations (one request per encounter)
+  router.post('/', async (c) => {
+    const bundle = await c.req.json().catch(() => undefined);
+
+    if (!bundle || bundle.resourceType !== 'Bundle') {
+      return c.json(createOperationOutcome('invalid', 'Request body must be a Bundle resource'), 400);
+    }
+
+    if (bundle.type !== 'batch' && bundle.type !== 'transaction') {
+      return c.json(createOperationOutcome('invalid', 'Bundle.type must be batch or transaction'), 400);
+    }
+
+    const entries = bundle.entry || [];
+    if (!Array.isArray(entries)) {
+      return c.json(createOperationOutcome('invalid', 'Bundle.entry must be an array'), 400);
+    }
+
+    if (entries.length > MAX_BUNDLE_ENTRIES) {
+      return c.json(createOperationOutcome('too-costly', `Bundles are limited to ${MAX_BUNDLE_ENTRIES} entries`), 400);
+    }
+
+    const results = await processBundleEntries(entries);
+    const failed = results.findIndex(result => result.status >= 400);
+
+    logger.info({ type: bundle.type, entries: entries.length, failed: results.filter(r => r.status >= 400).length }, 'FHIR bundle processed');
+
+    // A transaction succeeds or fails as a whole
+    if (bundle.type === 'transaction' && failed !== -1) {
+      const { status, body } = results[failed];
+      const diagnostics = body?.issue?.[0]?.diagnostics || 'Operation failed';
+      return c.json(createOperationOutcome('processing', `Transaction failed at entry ${failed}: ${diagnostics}`), status);
+    }
+
+    return c.json({
+      resourceType: 'Bundle',
+      type: `${bundle.type}-response`,
+      entry: results.map(createResponseEntry),
+    });
+  });
+
   // CodeSystem routes
   router.get('/CodeSystem', async (c) => {
-    const systems = [
-      createNamasteCodeSystem('ayurveda'),
-      createNamasteCodeSystem('siddha'),
-      createNamasteCodeSystem('unani'),
-      createTm2CodeSystem(),
-    ];
+    const systems = await listCodeSystems();
 
     return c.json({
       resourceType: 'Bundle',
@@ -77,268 +153,915 @@ export const createFhirRoutes = () => {
     });
   });
 
+  // CodeSystem $lookup operation (registered before /CodeSystem/:id so it is not shadowed)
+  router.get('/CodeSystem/$lookup', operation(lookupCode));
+  router.post('/CodeSystem/$lookup', operation(lookupCode));
+
+  // CodeSystem $validate-code operation
+  router.get('/CodeSystem/$validate-code', operation(validateCodeSystemCode));
+  router.post('/CodeSystem/$validate-code', operation(validateCodeSystemCode));
+
+  // CodeSystem $subsumes operation
+  router.get('/CodeSystem/$subsumes', operation(subsumesCode));
+  router.post('/CodeSystem/$subsumes', operation(subsumesCode));
+
+  // CodeSystem read - supports _summary=true and _count/_offset paging of concepts
   router.get('/CodeSystem/:id', async (c) => {
     const { id } = c.req.param();
-    
-    if (id === 'namaste-ayurveda') {
-      return c.json(createNamasteCodeSystem('ayurveda'));
-    } else if (id === 'namaste-siddha') {
-      return c.json(createNamasteCodeSystem('siddha'));
-    } else if (id === 'namaste-unani') {
-      return c.json(createNamasteCodeSystem('unani'));
-    } else if (id === 'icd11-tm2') {
-      return c.json(createTm2CodeSystem());
+    const { _summary, _count, _offset = '0' } = c.req.query();
+    const requested = _count !== undefined ? parseInt(_count, 10) : undefined;
+    const offset = parseInt(_offset, 10);
+
+    if ((requested !== undefined && (isNaN(requested) || requested < 0)) || isNaN(offset) || offset < 0) {
+      return c.json(createOperationOutcome('invalid', '_count and _offset must be non-negative integers'), 400);
+    }
+
+    // The page size actually served, so the next link continues where this page ends
+    const count = requested !== undefined ? Math.min(requested, 1000) : undefined;
+
+    const result = await getCodeSystem(id, {
+      summary: _summary === 'true',
+      count,
+      offset,
+    });
+
+    if (!result) {
+      return c.json(createOperationOutcome('not-found', `CodeSystem ${id} not found`), 404);
+    }
+
+    if (count > 0 && offset + count < result.total) {
+      c.header('Link', `<${config.fhir.baseUrl}/CodeSystem/${id}?_count=${count}&_offset=${offset + count}>; rel="next"`);
     }
 
+    return c.json(result.resource);
+  });
+
+  // ConceptMap search
+  router.get('/ConceptMap', async (c) => {
+    const conceptMaps = await searchConceptMaps(c.req.query());
+
     return c.json({
-      resourceType: 'OperationOutcome',
-      issue: [{
-        severity: 'error',
-        code: 'not-found',
-        diagnostics: `CodeSystem ${id} not found`,
-      }],
-    }, 404);
+      resourceType: 'Bundle',
+      type: 'searchset',
+      total: conceptMaps.length,
+      entry: conceptMaps.map(conceptMap => ({
+        fullUrl: conceptMap.url,
+        resource: conceptMap,
+      })),
+    });
+  });
+
+  // ConceptMap $translate operation
+  router.get('/ConceptMap/$translate', operation(translateCode));
+  router.post('/ConceptMap/$translate', operation(translateCode));
+
+  router.get('/ConceptMap/:id', async (c) => {
+    const { id } = c.req.param();
+    const { _summary } = c.req.query();
+    const conceptMap = await getConceptMap(id, { summary: _summary === 'true' });
+
+    if (!conceptMap) {
+      return c.json(createOperationOutcome('not-found', `ConceptMap ${id} not found`), 404);
+    }
+
+    return c.json(conceptMap);
+  });
+
+  // Condition.code builder: NAMASTE coding plus the best approved TM2 coding
+  router.get('/Condition/$dual-code', operation(dualCodeCondition));
+  router.post('/Condition/$dual-code', operation(dualCodeCondition));
+
+  // Condition $validate - accepts a Condition or a Parameters body with a resource parameter
+  router.post('/Condition/$validate', async (c) => {
+    const body = await c.req.json().catch(() => undefined);
+    if (body === undefined) {
+      return c.json(createOperationOutcome('invalid', 'Request body must be valid JSON'), 400);
+    }
+
+    let resource = body;
+    if (body?.resourceType === 'Parameters') {
+      const parsed = parseParametersBody(body);
+      if (parsed.error) {
+        return c.json(createOperationOutcome('invalid', parsed.error), 400);
+      }
+      resource = parsed.params.resource;
+    }
+
+    return c.json(await validateCondition(resource));
+  });
+
+  // ValueSet search (stored ValueSets)
+  router.get('/ValueSet', async (c) => {
+    const valueSets = await searchValueSets(c.req.query());
+
+    return c.json({
+      resourceType: 'Bundle',
+      type: 'searchset',
+      total: valueSets.length,
+      entry: valueSets.map(valueSet => ({
+        fullUrl: `${config.fhir.baseUrl}/ValueSet/${valueSet.id}`,
+        resource: valueSet,
+      })),
+    });
+  });
+
+  // ValueSet $validate-code operation (type and instance level)
+  router.get('/ValueSet/$validate-code', operation(validateValueSetCode));
+  router.post('/ValueSet/$validate-code', operation(validateValueSetCode));
+  router.get('/ValueSet/:id/$validate-code', operation(validateValueSetCode));
+  router.post('/ValueSet/:id/$validate-code', operation(validateValueSetCode));
+
+  // ValueSet $expand operation (type and instance level)
+  router.get('/ValueSet/$expand', operation(expandValueSetOperation));
+  router.post('/ValueSet/$expand', operation(expandValueSetOperation));
+  router.get('/ValueSet/:id/$expand', operation(expandValueSetOperation));
+  router.post('/ValueSet/:id/$expand', operation(expandValueSetOperation));
+
+  router.get('/ValueSet/:id', async (c) => {
+    const { id } = c.req.param();
+    const valueSet = await getValueSet(id);
+
+    if (!valueSet) {
+      return c.json(createOperationOutcome('not-found', `ValueSet ${id} not found`), 404);
+    }
+
+    return c.json(valueSet);
+  });
+
+  // ValueSet create/update with client-assigned ids (e.g. one pick-list per clinic)
+  router.put('/ValueSet/:id', async (c) => {
+    const { id } = c.req.param();
+    const body = await c.req.json().catch(() => undefined);
+    if (body === undefined) {
+      return c.json(createOperationOutcome('invalid', 'Request body must be valid JSON'), 400);
+    }
+
+    const { resource, created, error } = await saveValueSet(id, body);
+    if (error) {
+      return c.json(createOperationOutcome('invalid', error), 400);
+    }
+
+    logger.info({ id, url: resource.url, created }, 'ValueSet saved');
+    return c.json(resource, created ? 201 : 200);
   });
 
-  // CodeSystem $lookup operation
-  router.get('/CodeSystem/$lookup', async (c) => {
-    const { system, code } = c.req.query();
-    
-    if (!system || !code) {
-      return c.json({
-        resourceType: 'OperationOutcome',
-        issue: [{
-          severity: 'error',
-          code: 'required',
-          diagnostics: 'system and code parameters are required',
-        }],
-      }, 400);
+  router.delete('/ValueSet/:id', async (c) => {
+    const { id } = c.req.param();
+    const deleted = await deleteValueSet(id);
+
+    if (!deleted) {
+      return c.json(createOperationOutcome('not-found', `ValueSet ${id} not found`), 404);
     }
 
-    const prisma = getPrisma();
-    let result = null;
-
-    // Determine which system to query
-    if (system.includes('namaste') || system.includes('ayurveda') || system.includes('siddha') || system.includes('unani')) {
-      const systemType = system.includes('ayurveda') ? 'AYURVEDA' 
-        : system.includes('siddha') ? 'SIDDHA' 
-        : 'UNANI';
-      
-      result = await prisma.namasteCode.findFirst({
-        where: { code, system: systemType },
-      });
-
-      if (result) {
-        return c.json({
+    return c.body(null, 204);
+  });
+
+  return router;
+};
+
+// ============================================================================
+// Operation Handlers
+// ============================================================================
+
+/**
+ * Wrap an operation handler as a route accepting GET query parameters
+ * or a POST Parameters body
+ * Handlers receive plain params (and path params for instance-level
+ * operations) and resolve to { status, body }
+ */
+const operation = (handler) => async (c) => {
+  let params = c.req.query();
+
+  if (c.req.method === 'POST') {
+    const body = await c.req.json().catch(() => undefined);
+    if (body === undefined) {
+      return c.json(createOperationOutcome('invalid', 'Request body must be valid JSON'), 400);
+    }
+
+    const parsed = parseParametersBody(body);
+    if (parsed.error) {
+      return c.json(createOperationOutcome('invalid', parsed.error), 400);
+    }
+    params = parsed.params;
+  }
+
+  const { status = 200, body } = await handler(params, c.req.param());
+  return c.json(body, status);
+};
+
+/**
+ * CodeSystem $lookup
+ * Inputs: system + code, or coding
+ */
+const lookupCode = async (params) => {
+  const { system, code } = getCoding(params);
+
+  if (!system || !code) {
+    return {
+      status: 400,
+      body: createOperationOutcome('required', 'system and code parameters are required'),
+    };
+  }
+
+  const prisma = getPrisma();
+  let result = null;
+
+  // Determine which system to query
+  const systemType = resolveNamasteSystem(system);
+
+  if (systemType) {
+    result = await prisma.namasteCode.findFirst({
+      where: { code, system: systemType },
+    });
+
+    if (result) {
+      return {
+        body: {
           resourceType: 'Parameters',
           parameter: [
             { name: 'name', valueString: result.term },
             { name: 'display', valueString: result.englishName || result.term },
             { name: 'definition', valueString: result.shortDefinition },
             { name: 'designation', valueCoding: {
-              language: 'sa', // Sanskrit for Ayurveda
+              language: getLanguageCode(result.system),
               value: result.nativeScript,
             }},
           ],
-        });
-      }
-    } else if (system.includes('icd') || system.includes('tm2')) {
-      result = await prisma.tm2Code.findFirst({
-        where: { code },
-      });
+        },
+      };
+    }
+  } else if (isTm2System(system)) {
+    result = await prisma.tm2Code.findFirst({
+      where: { code },
+    });
 
-      if (result) {
-        return c.json({
+    if (result) {
+      return {
+        body: {
           resourceType: 'Parameters',
           parameter: [
             { name: 'name', valueString: result.title },
             { name: 'display', valueString: result.title },
             { name: 'definition', valueString: result.definition },
           ],
-        });
-      }
+        },
+      };
     }
+  }
 
-    return c.json({
-      resourceType: 'OperationOutcome',
-      issue: [{
-        severity: 'error',
-        code: 'not-found',
-        diagnostics: `Code ${code} not found in system ${system}`,
-      }],
-    }, 404);
+  return {
+    status: 404,
+    body: createOperationOutcome('not-found', `Code ${code} not found in system ${system}`),
+  };
+};
+
+/**
+ * Build $validate-code output Parameters
+ */
+const createValidationParameters = ({ result, display, message }) => ({
+  resourceType: 'Parameters',
+  parameter: [
+    { name: 'result', valueBoolean: result },
+    message && { name: 'message', valueString: message },
+    display && { name: 'display', valueString: display },
+  ].filter(Boolean),
+});
+
+/**
+ * CodeSystem $validate-code
+ * Inputs: url (or system) + code, coding or codeableConcept; display, version,
+ * lenient-display-validation
+ */
+const validateCodeSystemCode = async (params) => {
+  const coding = getCoding(params);
+  const system = params.url || coding.system;
+
+  if (!system || !coding.code) {
+    return {
+      status: 400,
+      body: createOperationOutcome('required', 'url (or system) and code parameters are required'),
+    };
+  }
+
+  const outcome = await validateCode({
+    ...coding,
+    system,
+    lenient: getBoolean(params['lenient-display-validation']),
   });
 
-  // ConceptMap $translate operation
-  router.post('/ConceptMap/$translate', async (c) => {
-    const body = await c.req.json();
-    const { code, system, target } = body;
-
-    if (!code || !system) {
-      return c.json({
-        resourceType: 'OperationOutcome',
-        issue: [{
-          severity: 'error',
-          code: 'required',
-          diagnostics: 'code and system parameters are required',
-        }],
-      }, 400);
-    }
+  return { body: createValidationParameters(outcome) };
+};
+
+/**
+ * CodeSystem $subsumes
+ * Inputs: system + codeA + codeB, or codingA + codingB
+ */
+const subsumesCode = async (params) => {
+  const codingA = getCoding(params, { coding: 'codingA', code: 'codeA' });
+  const codingB = getCoding(params, { coding: 'codingB', code: 'codeB' });
+
+  if (!codingA.code || !codingB.code) {
+    return {
+      status: 400,
+      body: createOperationOutcome('required', 'codeA and codeB (or codingA and codingB) are required'),
+    };
+  }
+
+  if (!codingA.system || !codingB.system) {
+    return {
+      status: 400,
+      body: createOperationOutcome('required', 'system parameter is required'),
+    };
+  }
+
+  if (getCanonicalSystemUri(codingA.system) !== getCanonicalSystemUri(codingB.system)) {
+    return {
+      status: 400,
+      body: createOperationOutcome('invalid', 'codingA and codingB must belong to the same code system'),
+    };
+  }
+
+  const { outcome, error } = await subsumes({
+    system: codingA.system,
+    codeA: codingA.code,
+    codeB: codingB.code,
+  });
+
+  if (error) {
+    return { status: error.status, body: createOperationOutcome(error.code, error.message) };
+  }
+
+  return {
+    body: {
+      resourceType: 'Parameters',
+      parameter: [{ name: 'outcome', valueCode: outcome }],
+    },
+  };
+};
+
+/**
+ * Condition $dual-code
+ * Inputs: system + code or coding (NAMASTE), or text (free-text diagnosis,
+ * system defaults to ayurveda)
+ */
+const dualCodeCondition = async (params) => {
+  const coding = getCoding(params);
+  const { text } = params;
+
+  if (!coding.code && !text) {
+    return {
+      status: 400,
+      body: createOperationOutcome('required', 'code (with system) or text parameter is required'),
+    };
+  }
+
+  if (coding.code && !coding.system) {
+    return {
+      status: 400,
+      body: createOperationOutcome('required', 'system parameter is required with code'),
+    };
+  }
+
+  const { codeableConcept, mapping, error } = await createConditionCode({
+    system: coding.system || 'ayurveda',
+    code: coding.code,
+    text,
+  });
 
-    const prisma = getPrisma();
+  if (error) {
+    return { status: error.status, body: createOperationOutcome(error.code, error.message) };
+  }
 
-    // Find mappings for the code
-    const systemType = system.includes('ayurveda') ? 'AYURVEDA'
-      : system.includes('siddha') ? 'SIDDHA'
-      : system.includes('unani') ? 'UNANI'
-      : null;
+  return {
+    body: {
+      resourceType: 'Parameters',
+      parameter: [
+        { name: 'code', valueCodeableConcept: codeableConcept },
+        !mapping && { name: 'message', valueString: 'No approved ICD-11 TM2 mapping; only the NAMASTE coding is included' },
+      ].filter(Boolean),
+    },
+  };
+};
 
-    if (!systemType) {
-      return c.json({
+/**
+ * ValueSet $validate-code
+ * Inputs: url (or instance id), code + system, coding or codeableConcept;
+ * display, lenient-display-validation
+ */
+const validateValueSetCode = async (params, { id } = {}) => {
+  const coding = getCoding(params);
+
+  if (!coding.code) {
+    return {
+      status: 400,
+      body: createOperationOutcome('required', 'code (or coding) parameter is required'),
+    };
+  }
+
+  const valueSet = await resolveValueSet({ id, url: params.url });
+  const label = id || params.url || '(all codes)';
+
+  if (!valueSet) {
+    return {
+      status: 404,
+      body: createOperationOutcome('not-found', `ValueSet ${label} not found`),
+    };
+  }
+
+  // A single-system ValueSet lets the caller omit system
+  const systems = getValueSetSystems(valueSet);
+  const system = coding.system || (systems.length === 1 ? systems[0] : null);
+  if (!system) {
+    return {
+      status: 400,
+      body: createOperationOutcome('required', 'system is required for ValueSets spanning several code systems'),
+    };
+  }
+
+  if (!systems.includes(getCanonicalSystemUri(system))) {
+    return {
+      body: createValidationParameters({
+        result: false,
+        message: `Code system ${system} is not included in ValueSet ${label}`,
+      }),
+    };
+  }
+
+  const outcome = await validateCode({
+    ...coding,
+    system,
+    lenient: getBoolean(params['lenient-display-validation']),
+  });
+
+  if (!outcome.result && !outcome.display) {
+    outcome.message = `${outcome.message}; code is not in ValueSet ${label}`;
+  } else if (outcome.display && !(await valueSetContains(valueSet, system, coding.code))) {
+    outcome.result = false;
+    outcome.message = `Code ${coding.code} is not in ValueSet ${label}`;
+  }
+
+  return { body: createValidationParameters(outcome) };
+};
+
+/**
+ * ConceptMap $translate
+ * Inputs: system + code, coding or codeableConcept; target (or targetsystem);
+ * reverse; candidates (2-10, NAMASTE → TM2 only)
+ */
+const translateCode = async (params) => {
+  const { code, system } = getCoding(params);
+  const target = params.target || params.targetsystem;
+  const candidateCount = getInteger(params.candidates);
+
+  if (!code || !system) {
+    return {
+      status: 400,
+      body: createOperationOutcome('required', 'code and system parameters are required'),
+    };
+  }
+
+  // Claims arrive coded in TM2; reading the maps backwards recovers the NAMASTE terms
+  if (getBoolean(params.reverse) || isTm2System(system)) {
+    return translateFromTm2({ code, system, target });
+  }
+
+  // A NAMASTE target (one system, or a generic NAMASTE URI for all) pivots through TM2
+  const targetSystem = resolveNamasteSystem(target);
+  const namasteTarget = Boolean(target) && (Boolean(targetSystem) || target.toLowerCase().includes('namaste'));
+
+  if (target && !isTm2System(target) && !namasteTarget) {
+    return {
+      status: 400,
+      body: createOperationOutcome('not-supported', `Translation to ${target} is not supported`),
+    };
+  }
+
+  if (candidateCount !== undefined && !(candidateCount >= 2 && candidateCount <= 10)) {
+    return {
+      status: 400,
+      body: createOperationOutcome('invalid', 'candidates must be an integer from 2 to 10'),
+    };
+  }
+
+  const prisma = getPrisma();
+
+  // Find mappings for the code
+  const systemType = resolveNamasteSystem(system);
+
+  if (!systemType) {
+    return {
+      body: {
         resourceType: 'Parameters',
         parameter: [
           { name: 'result', valueBoolean: false },
           { name: 'message', valueString: 'Unknown source system' },
         ],
-      });
+      },
+    };
+  }
+
+  if (namasteTarget) {
+    if (targetSystem === systemType) {
+      return {
+        status: 400,
+        body: createOperationOutcome('not-supported', `Source and target are both ${getNamasteSystemUri(systemType)}`),
+      };
     }
 
-    const namasteCode = await prisma.namasteCode.findFirst({
-      where: { code, system: systemType },
-      include: {
-        mappings: {
-          include: { tm2Code: true },
-          orderBy: { confidence: 'desc' },
-        },
-      },
+    return translateAcrossNamaste({
+      code,
+      system: systemType,
+      targetSystems: targetSystem ? [targetSystem] : undefined,
     });
+  }
 
-    if (!namasteCode || namasteCode.mappings.length === 0) {
-      return c.json({
+  if (candidateCount) {
+    return translateWithCandidates({ code, system: systemType, candidateCount });
+  }
+
+  const namasteCode = await prisma.namasteCode.findFirst({
+    where: { code, system: systemType },
+    include: {
+      mappings: {
+        include: { tm2Code: true },
+        orderBy: { confidence: 'desc' },
+      },
+    },
+  });
+
+  if (!namasteCode || namasteCode.mappings.length === 0) {
+    return {
+      body: {
         resourceType: 'Parameters',
         parameter: [
           { name: 'result', valueBoolean: false },
           { name: 'message', valueString: 'No mappings found' },
         ],
-      });
-    }
+      },
+    };
+  }
 
-    const matches = namasteCode.mappings.map(mapping => ({
-      name: 'match',
-      part: [
-        { name: 'equivalence', valueCode: mapping.equivalence.toLowerCase() },
-        { name: 'concept', valueCoding: {
-          system: config.fhir.icd11.tm2System,
-          code: mapping.tm2Code.code,
-          display: mapping.tm2Code.title,
-        }},
-        { name: 'source', valueString: mapping.mappingSource },
-        { name: 'confidence', valueDecimal: mapping.confidence },
+  const matches = namasteCode.mappings.map(mapping => ({
+    name: 'match',
+    part: [
+      { name: 'equivalence', valueCode: mapping.equivalence.toLowerCase() },
+      { name: 'concept', valueCoding: {
+        system: config.fhir.icd11.tm2System,
+        code: mapping.tm2Code.code,
+        display: mapping.tm2Code.title,
+      }},
+      { name: 'source', valueString: mapping.mappingSource },
+      { name: 'confidence', valueDecimal: mapping.confidence },
+    ],
+  }));
+
+  return {
+    body: {
+      resourceType: 'Parameters',
+      parameter: [
+        { name: 'result', valueBoolean: true },
+        ...matches,
       ],
-    }));
+    },
+  };
+};
 
-    return c.json({
+/**
+ * $translate candidates mode: the mapping workflow's top N TM2 candidates,
+ * each with its retrieval scores, LLM verdict and rationale,
+ * so reviewers can accept one that is not the workflow's pick
+ */
+const translateWithCandidates = async ({ code, system, candidateCount }) => {
+  const prisma = getPrisma();
+  const namasteCode = await prisma.namasteCode.findFirst({ where: { code, system } });
+
+  const result = namasteCode && await mapNamasteToTm2(namasteCode, { candidateCount });
+
+  if (!result?.candidates?.length) {
+    return {
+      body: {
+        resourceType: 'Parameters',
+        parameter: [
+          { name: 'result', valueBoolean: false },
+          { name: 'message', valueString: namasteCode ? 'No TM2 candidates found' : `Code ${code} not found` },
+        ],
+      },
+    };
+  }
+
+  const matches = result.candidates.map(candidate => ({
+    name: 'match',
+    part: [
+      ...(candidate.equivalence ? [{ name: 'equivalence', valueCode: toFhirEquivalence(candidate.equivalence) }] : []),
+      { name: 'concept', valueCoding: {
+        system: config.fhir.icd11.tm2System,
+        code: candidate.code,
+        display: candidate.title,
+      }},
+      { name: 'source', valueString: 'AI_CANDIDATE' },
+      { name: 'rank', valueInteger: candidate.rank },
+      { name: 'selected', valueBoolean: candidate.selected },
+      { name: 'retrievalScore', valueDecimal: candidate.retrievalScore },
+      { name: 'lexicalScore', valueDecimal: candidate.lexicalScore },
+      ...(candidate.vectorSimilarity !== null ? [{ name: 'vectorSimilarity', valueDecimal: candidate.vectorSimilarity }] : []),
+      ...(candidate.components?.fullText ? [{ name: 'fullTextScore', valueDecimal: candidate.components.fullText.score }] : []),
+      ...(candidate.components?.trigram ? [{ name: 'trigramScore', valueDecimal: candidate.components.trigram.score }] : []),
+      ...(candidate.llmJudgement?.verdict ? [{ name: 'llmJudgement', valueCode: candidate.llmJudgement.verdict }] : []),
+      ...(candidate.llmJudgement?.confidence != null ? [{ name: 'confidence', valueDecimal: candidate.llmJudgement.confidence }] : []),
+      ...(candidate.rationale ? [{ name: 'rationale', valueString: candidate.rationale }] : []),
+    ],
+  }));
+
+  return {
+    body: {
       resourceType: 'Parameters',
       parameter: [
         { name: 'result', valueBoolean: true },
         ...matches,
       ],
-    });
-  });
+    },
+  };
+};
+
+/**
+ * Reverse $translate: every NAMASTE concept mapped to a TM2 code
+ * Stored equivalences read NAMASTE → TM2, so they are inverted here
+ */
+const translateFromTm2 = async ({ code, system, target }) => {
+  if (!isTm2System(system)) {
+    return {
+      status: 400,
+      body: createOperationOutcome('not-supported', `Reverse translation is only available from ${config.fhir.icd11.tm2System}`),
+    };
+  }
+
+  // Target narrows to one NAMASTE system; a generic NAMASTE URI keeps all three
+  const targetSystem = resolveNamasteSystem(target);
+  if (target && !targetSystem && !target.toLowerCase().includes('namaste')) {
+    return {
+      status: 400,
+      body: createOperationOutcome('not-supported', `Translation to ${target} is not supported`),
+    };
+  }
 
-  // ValueSet $expand operation
-  router.get('/ValueSet/$expand', async (c) => {
-    const { url, filter, count = '20', offset = '0' } = c.req.query();
-    const prisma = getPrisma();
-    const limit = parseInt(count, 10);
-    const skip = parseInt(offset, 10);
-
-    let codes = [];
-    let total = 0;
-
-    if (url?.includes('namaste') || !url) {
-      // Search NAMASTE codes
-      const where = filter ? {
-        OR: [
-          { term: { contains: filter, mode: 'insensitive' } },
-          { englishName: { contains: filter, mode: 'insensitive' } },
-          { searchableText: { contains: filter, mode: 'insensitive' } },
+  const mappings = await findTm2SourceMappings(code, targetSystem ? [targetSystem] : undefined);
+
+  if (mappings.length === 0) {
+    return {
+      body: {
+        resourceType: 'Parameters',
+        parameter: [
+          { name: 'result', valueBoolean: false },
+          { name: 'message', valueString: 'No mappings found' },
         ],
-      } : {};
-
-      [codes, total] = await Promise.all([
-        prisma.namasteCode.findMany({
-          where,
-          take: limit,
-          skip,
-          orderBy: { term: 'asc' },
-        }),
-        prisma.namasteCode.count({ where }),
-      ]);
-    }
+      },
+    };
+  }
 
-    return c.json({
-      resourceType: 'ValueSet',
-      status: 'active',
-      expansion: {
-        timestamp: new Date().toISOString(),
-        total,
-        offset: skip,
-        contains: codes.map(code => ({
-          system: config.fhir.namaste[`${code.system.toLowerCase()}System`],
-          code: code.code,
-          display: code.englishName || code.term,
-          designation: [{
-            language: getLanguageCode(code.system),
-            value: code.nativeScript || code.term,
-          }],
-        })),
+  const matches = mappings.map(mapping => ({
+    name: 'match',
+    part: [
+      { name: 'equivalence', valueCode: toFhirEquivalence(invertEquivalence(mapping.equivalence)) },
+      { name: 'concept', valueCoding: {
+        system: getNamasteSystemUri(mapping.namasteCode.system),
+        code: mapping.namasteCode.code,
+        display: mapping.namasteCode.englishName || mapping.namasteCode.term,
+      }},
+      { name: 'source', valueString: mapping.mappingSource },
+      { name: 'confidence', valueDecimal: mapping.confidence },
+    ],
+  }));
+
+  return {
+    body: {
+      resourceType: 'Parameters',
+      parameter: [
+        { name: 'result', valueBoolean: true },
+        ...matches,
+      ],
+    },
+  };
+};
+
+/**
+ * Cross-system $translate: NAMASTE → NAMASTE through TM2
+ * Equivalence is composed from both legs and confidences are multiplied
+ */
+const translateAcrossNamaste = async ({ code, system, targetSystems }) => {
+  const translation = await translateViaTm2({ system, code, targetSystems });
+
+  if (!translation || translation.candidates.length === 0) {
+    return {
+      body: {
+        resourceType: 'Parameters',
+        parameter: [
+          { name: 'result', valueBoolean: false },
+          { name: 'message', valueString: 'No mappings found' },
+        ],
       },
-    });
-  });
+    };
+  }
 
-  return router;
+  const matches = translation.candidates.map(candidate => ({
+    name: 'match',
+    part: [
+      { name: 'equivalence', valueCode: toFhirEquivalence(candidate.equivalence) },
+      { name: 'concept', valueCoding: {
+        system: getNamasteSystemUri(candidate.system),
+        code: candidate.code,
+        display: candidate.englishName || candidate.term,
+      }},
+      { name: 'pivot', valueCoding: {
+        system: config.fhir.icd11.tm2System,
+        code: candidate.pivots[0].tm2Code,
+        display: candidate.pivots[0].tm2Title,
+      }},
+      { name: 'confidence', valueDecimal: candidate.confidence },
+    ],
+  }));
+
+  return {
+    body: {
+      resourceType: 'Parameters',
+      parameter: [
+        { name: 'result', valueBoolean: true },
+        ...matches,
+      ],
+    },
+  };
 };
 
-// Helper functions
-
-const createNamasteCodeSystem = (system) => ({
-  resourceType: 'CodeSystem',
-  id: `namaste-${system}`,
-  url: config.fhir.namaste[`${system}System`],
-  version: '1.0.0',
-  name: `NAMASTE_${system.toUpperCase()}`,
-  title: `National ${system.charAt(0).toUpperCase() + system.slice(1)} Morbidity Codes`,
-  status: 'active',
-  experimental: false,
-  date: new Date().toISOString(),
-  publisher: 'Ministry of AYUSH, Government of India',
-  description: `National ${system.charAt(0).toUpperCase() + system.slice(1)} Morbidity and Standardized Terminologies`,
-  hierarchyMeaning: 'is-a',
-  content: 'complete',
-});
+/**
+ * ValueSet $expand
+ * Inputs: url (or instance id), filter, count, offset, displayLanguage,
+ * includeDesignations
+ */
+const expandValueSetOperation = async (params, { id } = {}) => {
+  const count = getInteger(params.count ?? 20);
+  const offset = getInteger(params.offset ?? 0);
 
-const createTm2CodeSystem = () => ({
-  resourceType: 'CodeSystem',
-  id: 'icd11-tm2',
-  url: config.fhir.icd11.tm2System,
-  version: '2024-01',
-  name: 'ICD11_TM2',
-  title: 'ICD-11 Traditional Medicine Module 2',
-  status: 'active',
-  experimental: false,
-  date: new Date().toISOString(),
-  publisher: 'World Health Organization',
-  description: 'WHO ICD-11 Supplementary Chapter Traditional Medicine Conditions (Module II)',
-  hierarchyMeaning: 'is-a',
-  content: 'complete',
-});
+  if (count === null || offset === null) {
+    return {
+      status: 400,
+      body: createOperationOutcome('invalid', 'count and offset must be non-negative integers'),
+    };
+  }
+
+  const valueSet = await resolveValueSet({ id, url: params.url });
+
+  if (!valueSet) {
+    return {
+      status: 404,
+      body: createOperationOutcome('not-found', `ValueSet ${id || params.url} not found`),
+    };
+  }
+
+  try {
+    return {
+      body: await expandValueSet(valueSet, {
+        count: Math.min(count, 1000),
+        offset,
+        filter: params.filter,
+        displayLanguage: params.displayLanguage,
+        includeDesignations: getBoolean(params.includeDesignations),
+      }),
+    };
+  } catch (error) {
+    if (!isExpansionTimeout(error)) throw error;
+
+    return {
+      status: 400,
+      body: createOperationOutcome('too-costly', `ValueSet expansion took over ${config.fhir.expandTimeoutMs} ms; narrow its filters`),
+    };
+  }
+};
+
+// ============================================================================
+// Batch / Transaction Bundles
+// ============================================================================
+
+const MAX_BUNDLE_ENTRIES = 1000;
+const BUNDLE_CONCURRENCY = 10;
+
+// Operations a Bundle entry may invoke - the same handlers as the single-call routes
+const BUNDLE_OPERATIONS = {
+  CodeSystem: {
+    $lookup: lookupCode,
+    '$validate-code': validateCodeSystemCode,
+    $subsumes: subsumesCode,
+  },
+  ConceptMap: {
+    $translate: translateCode,
+  },
+  ValueSet: {
+    '$validate-code': validateValueSetCode,
+    $expand: expandValueSetOperation,
+  },
+};
+
+const STATUS_TEXT = {
+  200: 'OK',
+  400: 'Bad Request',
+  404: 'Not Found',
+  405: 'Method Not Allowed',
+  500: 'Internal Server Error',
+};
+
+/**
+ * Resolve an entry request URL (relative, or absolute under the FHIR base)
+ * to its operation handler, instance id and query parameters
+ * @returns {{ handler?: Function, id?: string, query?: Object, error?: string }}
+ */
+const resolveBundleRequest = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url, `${config.fhir.baseUrl}/`);
+  } catch {
+    return { error: `Invalid request url ${url}` };
+  }
+
+  const segments = parsed.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  const start = segments.findIndex(segment => Object.hasOwn(BUNDLE_OPERATIONS, segment));
+  const [type, ...rest] = start === -1 ? [] : segments.slice(start);
+  const [id, operationName] = rest.length === 2 ? rest : [undefined, rest[0]];
+  const handler = type && rest.length <= 2 && Object.hasOwn(BUNDLE_OPERATIONS[type], operationName)
+    ? BUNDLE_OPERATIONS[type][operationName]
+    : undefined;
+
+  if (!handler) {
+    return { error: `Unsupported operation ${url}; entries may call $lookup, $validate-code, $subsumes, $translate or $expand` };
+  }
+
+  return { handler, id, query: Object.fromEntries(parsed.searchParams) };
+};
+
+/**
+ * Run one Bundle entry through its operation handler
+ * GET entries carry parameters in the url; POST entries in a Parameters resource
+ * @returns {Promise<{ status: number, body: Object }>}
+ */
+const processBundleEntry = async (entry) => {
+  const { method, url } = entry?.request || {};
+
+  if (!method || !url) {
+    return {
+      status: 400,
+      body: createOperationOutcome('required', 'entry.request.method and entry.request.url are required'),
+    };
+  }
+
+  if (method !== 'GET' && method !== 'POST') {
+    return {
+      status: 405,
+      body: createOperationOutcome('not-supported', `Method ${method} is not supported for operations`),
+    };
+  }
+
+  const { handler, id, query, error } = resolveBundleRequest(url);
+  if (error) {
+    return { status: 400, body: createOperationOutcome('not-supported', error) };
+  }
+
+  let params = query;
+  if (method === 'POST') {
+    const parsed = parseParametersBody(entry.resource);
+    if (parsed.error) {
+      return { status: 400, body: createOperationOutcome('invalid', parsed.error) };
+    }
+    params = { ...query, ...parsed.params };
+  }
+
+  try {
+    const { status = 200, body } = await handler(params, { id });
+    return { status, body };
+  } catch (err) {
+    logger.error({ error: err.message, url }, 'Bundle entry failed');
+    return { status: 500, body: createOperationOutcome('exception', err.message) };
+  }
+};
 
-const getLanguageCode = (system) => {
-  switch (system) {
-    case 'AYURVEDA': return 'sa'; // Sanskrit
-    case 'SIDDHA': return 'ta'; // Tamil
-    case 'UNANI': return 'ur'; // Urdu
-    default: return 'en';
+/**
+ * Process Bundle entries a few at a time, keeping entry order
+ */
+const processBundleEntries = async (entries) => {
+  const results = [];
+
+  for (let i = 0; i < entries.length; i += BUNDLE_CONCURRENCY) {
+    const chunk = entries.slice(i, i + BUNDLE_CONCURRENCY);
+    results.push(...await Promise.all(chunk.map(processBundleEntry)));
   }
+
+  return results;
+};
+
+/**
+ * Wrap a handler result as a batch/transaction-response entry
+ * Failures carry their OperationOutcome in response.outcome
+ */
+const createResponseEntry = ({ status, body }) => {
+  const response = { status: `${status} ${STATUS_TEXT[status] || ''}`.trim() };
+
+  return status < 400
+    ? { resource: body, response }
+    : { response: { ...response, outcome: body } };
 };
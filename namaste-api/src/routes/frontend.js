@@ -11,6 +11,7 @@ import { logger } from '../config/logger.js';
 import { getCacheStats } from '../middleware/cache.js';
 import { getMetricsJson } from '../middleware/metrics.js';
 import { getQueueStats } from '../services/batch-processor.js';
+import { findNamasteByTerm, getSuggestions } from '../services/quick-map.js';
 
 export const createFrontendRoutes = () => {
   const router = new Hono();
@@ -68,7 +69,7 @@ export const createFrontendRoutes = () => {
 
       // Get cache and queue stats
       const cacheStats = getCacheStats();
-      const queueStats = getQueueStats();
+      const queueStats = await getQueueStats();
 
       return c.json({
         overview: {
@@ -112,8 +113,8 @@ export const createFrontendRoutes = () => {
             embeddings: cacheStats.embeddings?.hitRate || '0%',
           },
           queue: {
-            pending: queueStats.pending || 0,
-            processing: queueStats.processing || 0,
+            pending: queueStats.byStatus.pending,
+            processing: queueStats.byStatus.processing,
           },
         },
       });
@@ -543,33 +544,15 @@ export const createFrontendRoutes = () => {
       return c.json({ error: 'Term is required' }, 400);
     }
 
-    const prisma = getPrisma();
-
     try {
       // Find NAMASTE code by term
-      const namasteCode = await prisma.namasteCode.findFirst({
-        where: {
-          system: system.toUpperCase(),
-          OR: [
-            { term: { contains: term, mode: 'insensitive' } },
-            { englishName: { contains: term, mode: 'insensitive' } },
-            { code: { equals: term, mode: 'insensitive' } },
-          ],
-        },
-        include: {
-          mappings: {
-            take: 1,
-            orderBy: { confidence: 'desc' },
-            include: { tm2Code: true },
-          },
-        },
-      });
+      const namasteCode = await findNamasteByTerm(term, system);
 
       if (!namasteCode) {
         return c.json({
           found: false,
           message: 'No matching NAMASTE code found',
-          suggestions: await getSuggestions(prisma, term, system),
+          suggestions: await getSuggestions(term, system),
         });
       }
 
@@ -606,7 +589,7 @@ export const createFrontendRoutes = () => {
   router.get('/system-info', async (c) => {
     const metrics = getMetricsJson();
     const cache = getCacheStats();
-    const queue = getQueueStats();
+    const queue = await getQueueStats();
 
     return c.json({
       version: '1.0.0',
@@ -628,8 +611,8 @@ export const createFrontendRoutes = () => {
         size: cache.mappings?.size || 0,
       },
       queue: {
-        pending: queue.pending || 0,
-        processing: queue.processing || 0,
+        pending: queue.byStatus.pending,
+        processing: queue.byStatus.processing,
       },
     });
   });
@@ -659,18 +642,3 @@ function getEquivalenceColor(equivalence) {
   };
   return colors[equivalence] || '#6b7280';
 }
-
-async function getSuggestions(prisma, term, system) {
-  const suggestions = await prisma.namasteCode.findMany({
-    where: {
-      system: system.toUpperCase(),
-      OR: [
-        { term: { contains: term.substring(0, 3), mode: 'insensitive' } },
-        { englishName: { contains: term.substring(0, 3), mode: 'insensitive' } },
-      ],
-    },
-    take: 5,
-    select: { code: true, term: true, englishName: true },
-  });
-  return suggestions;
-}
@@ -1,4 +1,5 @@
 import { Hono } from 'hono';
+import { streamSSE } from 'hono/streaming';
 import { z } from 'zod';
 import { getPrisma } from '../db/client.js';
 import { logger } from '../config/logger.js';
@@ -7,9 +8,31 @@ import {
   createBatchJob, 
   getJobStatus, 
   getJobResults, 
-  cancelJob 
+  cancelJob,
+  getProcessedItems,
+  jobEvents,
+  FINISHED_JOB_STATUSES,
 } from '../services/batch-processor.js';
 import { recordMappingMetrics } from '../middleware/metrics.js';
+import { translateViaTm2 } from '../services/concept-map.js';
+import { findNamasteCandidates } from '../services/quick-map.js';
+import {
+  AGE_GROUPS,
+  DOSHAS,
+  normalizeMappingContext,
+  getContextKey,
+} from '../services/mapping-context.js';
+import { getCachedMapping, setCachedMapping, invalidateCache } from '../middleware/cache.js';
+import { webhookClientExists } from '../services/webhooks.js';
+import {
+  getUploadFormat,
+  parseSpreadsheet,
+  resolveColumnMapping,
+  describeColumnMapping,
+  buildUploadCodes,
+  exportJobResults,
+} from '../services/batch-upload.js';
+import { config } from '../config/index.js';
 
 /**
  * Mapping Routes
@@ -18,79 +41,426 @@ import { recordMappingMetrics } from '../middleware/metrics.js';
  */
 
 // Request validation schemas
+// Patient/encounter context; a plain string is read as the presenting complaint
+const mappingContextSchema = z.union([
+  z.string().max(1000),
+  z.object({
+    ageGroup: z.enum(AGE_GROUPS).optional(),
+    sex: z.enum(['male', 'female', 'other', 'unknown']).optional(),
+    pregnant: z.boolean().optional(),
+    complaint: z.string().max(1000).optional(),
+    dosha: z.array(z.enum(DOSHAS)).max(3).optional(),
+  }),
+]);
+
 const mapRequestSchema = z.object({
   code: z.string().min(1),
   system: z.enum(['ayurveda', 'siddha', 'unani']),
   term: z.string().optional(),
-  context: z.string().optional(),
+  context: mappingContextSchema.optional(),
+});
+
+// Single mapping: code + system, or free text (code wins when both are given)
+const singleMapRequestSchema = mapRequestSchema.extend({
+  code: z.string().min(1).optional(),
+  system: z.enum(['ayurveda', 'siddha', 'unani']).optional(),
+  text: z.string().trim().min(3).max(500).optional(),
+  candidateLimit: z.number().int().min(1).max(20).default(5),
+  tm2Candidates: z.number().int().min(2).max(10).optional(),
+}).refine(data => (data.code ? Boolean(data.system) : Boolean(data.text)), {
+  message: 'Provide code and system, or free text',
 });
 
 const batchMapRequestSchema = z.object({
   codes: z.array(mapRequestSchema).min(1).max(100),
 });
 
+const batchJobRequestSchema = batchMapRequestSchema.extend({
+  callbackUrl: z.string().url().optional(),
+  webhookClientId: z.string().uuid().optional(),
+  progressEvery: z.number().int().min(0).optional(),
+  saveResults: z.boolean().optional(),
+});
+
+// Multipart form fields of a spreadsheet upload (all strings)
+const uploadFieldsSchema = z.object({
+  system: z.enum(['ayurveda', 'siddha', 'unani']).default('ayurveda'),
+  sheet: z.string().optional(),
+  codeColumn: z.string().optional(),
+  systemColumn: z.string().optional(),
+  termColumn: z.string().optional(),
+  callbackUrl: z.string().url().optional(),
+  webhookClientId: z.string().uuid().optional(),
+  progressEvery: z.coerce.number().int().min(0).optional(),
+  saveResults: z.enum(['true', 'false']).transform(v => v === 'true').optional(),
+});
+
+// Reviewer acceptance of any TM2 candidate, not only the workflow's pick
+const acceptCandidateSchema = z.object({
+  code: z.string().min(1),
+  system: z.enum(['ayurveda', 'siddha', 'unani']),
+  tm2Code: z.string().min(1),
+  equivalence: z.enum(['EQUIVALENT', 'WIDER', 'NARROWER', 'INEXACT', 'UNMATCHED', 'DISJOINT']),
+  confidence: z.number().min(0).max(1).optional(),
+  reasoning: z.string().max(2000).optional(),
+  validatedBy: z.string().min(1),
+  supersedeOthers: z.boolean().default(true),
+});
+
+const crossSystemRequestSchema = z.object({
+  code: z.string().min(1),
+  system: z.enum(['ayurveda', 'siddha', 'unani']),
+  targetSystems: z.array(z.enum(['ayurveda', 'siddha', 'unani'])).min(1).optional(),
+});
+
+// Rows echoed back in upload previews and skipped-row reports
+const UPLOAD_PREVIEW_ROWS = 10;
+const UPLOAD_SKIPPED_REPORT_LIMIT = 100;
+
+/**
+ * Read a multipart spreadsheet upload
+ * Blank form fields are dropped so they fall back to their defaults
+ * @returns {Promise<{ fileName, format, buffer, fields } | { error, status }>}
+ */
+const readSpreadsheetUpload = async (c) => {
+  const body = await c.req.parseBody().catch(() => null);
+  const file = body?.file;
+
+  if (!(file instanceof File)) {
+    return { status: 400, error: 'Attach the spreadsheet as the multipart "file" field' };
+  }
+
+  const format = getUploadFormat(file.name);
+  if (!format) {
+    return { status: 400, error: 'Only .csv, .xlsx and .xls files are supported' };
+  }
+
+  if (file.size > config.batch.maxUploadBytes) {
+    return { status: 413, error: `File exceeds the ${config.batch.maxUploadBytes} byte upload limit` };
+  }
+
+  const fields = Object.fromEntries(
+    Object.entries(body).filter(([key, value]) => key !== 'file' && typeof value === 'string' && value.trim() !== '')
+  );
+
+  return { fileName: file.name, format, buffer: Buffer.from(await file.arrayBuffer()), fields };
+};
+
+// Batch event stream timing
+const STREAM_POLL_MS = 2000;
+const STREAM_KEEPALIVE_MS = 15000;
+
+/**
+ * Stream a batch job as Server-Sent Events until it finishes
+ * Local jobEvents give instant updates for jobs run by this instance; polling
+ * the job tables picks up results written by other instances
+ * Events: snapshot, jobStarted, codeCompleted, jobProgress, jobCompleted
+ */
+const streamJobEvents = async (stream, jobId, initialStatus) => {
+  const sentPositions = new Set();
+  let since = new Date(0);
+  let lastWrite = Date.now();
+  let sentCompleted = initialStatus.progress.completed;
+  let started = initialStatus.status !== 'pending';
+
+  const send = async (event, data) => {
+    lastWrite = Date.now();
+    await stream.writeSSE({ event, data: JSON.stringify(data) });
+  };
+
+  const sendStarted = async (event) => {
+    if (started) return;
+    started = true;
+    await send('jobStarted', event);
+  };
+
+  const sendResult = async (result) => {
+    if (sentPositions.has(result.position)) return;
+    sentPositions.add(result.position);
+    await send('codeCompleted', { jobId, result });
+  };
+
+  const sendProgress = async (progress) => {
+    if (progress.completed === sentCompleted) return;
+    sentCompleted = progress.completed;
+    await send('jobProgress', { jobId, progress });
+  };
+
+  const catchUp = async () => {
+    const items = await getProcessedItems(jobId, since);
+    for (const { processedAt, ...result } of items) {
+      if (processedAt > since) since = processedAt;
+      await sendResult(result);
+    }
+  };
+
+  const listeners = {
+    jobStarted: (event) => event.jobId === jobId && sendStarted(event),
+    codeCompleted: (event) => event.jobId === jobId && sendResult(event.result),
+    jobProgress: (event) => event.jobId === jobId && sendProgress(event.progress),
+  };
+  Object.entries(listeners).forEach(([name, fn]) => jobEvents.on(name, fn));
+
+  try {
+    await send('snapshot', initialStatus);
+    await catchUp();
+    let status = initialStatus;
+
+    while (!stream.aborted && !FINISHED_JOB_STATUSES.includes(status.status)) {
+      if (Date.now() - lastWrite >= STREAM_KEEPALIVE_MS) {
+        await send('ping', { time: new Date().toISOString() });
+      }
+
+      await stream.sleep(STREAM_POLL_MS);
+
+      status = await getJobStatus(jobId);
+      if (!status) {
+        // Tell the client before closing, or EventSource reconnects into a 404
+        await send('error', { jobId, message: `Job ${jobId} no longer exists` });
+        return;
+      }
+      if (status.status !== 'pending') await sendStarted({ jobId, resumed: false });
+      await catchUp();
+      await sendProgress(status.progress);
+    }
+
+    if (FINISHED_JOB_STATUSES.includes(status.status)) {
+      await send('jobCompleted', { jobId, status: status.status, progress: status.progress });
+    }
+  } finally {
+    Object.entries(listeners).forEach(([name, fn]) => jobEvents.off(name, fn));
+  }
+};
+
+/**
+ * Stored mapping served for a NAMASTE code: the approved one if a reviewer
+ * accepted any, otherwise the most confident one not rejected
+ * (the status enum does not sort approved first, so the pick happens here)
+ * @param {Object} where - Mapping filter selecting one NAMASTE code
+ * @returns {Promise<Object|null>} Mapping with namasteCode and tm2Code
+ */
+const findServedMapping = async (where) => {
+  const mappings = await getPrisma().mapping.findMany({
+    where: { ...where, validationStatus: { not: 'REJECTED' } },
+    include: {
+      namasteCode: true,
+      tm2Code: true,
+    },
+    orderBy: { confidence: 'desc' },
+  });
+
+  return mappings.find(m => m.validationStatus === 'APPROVED') || mappings[0] || null;
+};
+
+/**
+ * Map a NAMASTE code row to TM2: its best stored mapping if there is one,
+ * otherwise the AI workflow, whose result is stored
+ * With patient context the stored (context-free) mapping is bypassed and
+ * results are only cached in memory, keyed by code and context
+ * Candidates mode (candidateCount > 1) always runs the workflow
+ * @param {Object} namasteCode - NamasteCode row
+ * @param {Object} [options] - { context, candidateCount }
+ * @returns {Promise<Object>} { success, source, mapping, context?, tm2Candidates?, processingTime? }
+ */
+const mapNamasteCode = async (namasteCode, options = {}) => {
+  const { context = null, candidateCount = 1 } = options;
+  const prisma = getPrisma();
+  const contextKey = getContextKey(context);
+  const candidatesMode = candidateCount > 1;
+
+  if (context && !candidatesMode) {
+    const cached = getCachedMapping(namasteCode.code, namasteCode.system, contextKey);
+    if (cached) return { ...cached, source: 'cached' };
+  }
+
+  // Check for existing mapping (stored mappings are context-free)
+  const existingMapping = !context && !candidatesMode
+    && await findServedMapping({ namasteCodeId: namasteCode.id });
+
+  if (existingMapping) {
+    return {
+      success: true,
+      source: 'cached',
+      mapping: {
+        namasteCode: {
+          code: existingMapping.namasteCode.code,
+          system: existingMapping.namasteCode.system,
+          term: existingMapping.namasteCode.term,
+        },
+        tm2Code: {
+          code: existingMapping.tm2Code.code,
+          title: existingMapping.tm2Code.title,
+          category: existingMapping.tm2Code.category,
+        },
+        equivalence: existingMapping.equivalence,
+        confidence: existingMapping.confidence,
+        mappingSource: existingMapping.mappingSource,
+        reasoning: existingMapping.reasoning,
+      },
+    };
+  }
+
+  // Invoke LangGraph mapping workflow with timeout
+  logger.info({ code: namasteCode.code, system: namasteCode.system }, 'Invoking AI mapping workflow');
+  
+  // Set timeout to 25 seconds (Vercel free tier has 10s, but we'll use 25s for safety)
+  const timeoutPromise = new Promise((_, reject) => 
+    setTimeout(() => reject(new Error('Mapping timeout - please try async endpoint')), 25000)
+  );
+  
+  const mappingResult = await Promise.race([
+    mapNamasteToTm2(namasteCode, { context, candidateCount }),
+    timeoutPromise
+  ]);
+
+  // Store the mapping if successful
+  if (!context && mappingResult.success && mappingResult.tm2Code) {
+    const tm2Code = await prisma.tm2Code.findFirst({
+      where: { code: mappingResult.tm2Code },
+    });
+
+    if (tm2Code) {
+      await prisma.mapping.upsert({
+        where: {
+          namasteCodeId_tm2CodeId: {
+            namasteCodeId: namasteCode.id,
+            tm2CodeId: tm2Code.id,
+          },
+        },
+        update: {
+          equivalence: mappingResult.equivalence.toUpperCase(),
+          confidence: mappingResult.confidence,
+          mappingSource: 'AI_VALIDATED',
+          reasoning: mappingResult.reasoning,
+        },
+        create: {
+          namasteCodeId: namasteCode.id,
+          tm2CodeId: tm2Code.id,
+          equivalence: mappingResult.equivalence.toUpperCase(),
+          confidence: mappingResult.confidence,
+          mappingSource: 'AI_VALIDATED',
+          reasoning: mappingResult.reasoning,
+        },
+      });
+    }
+  }
+
+  const result = {
+    success: mappingResult.success,
+    source: 'ai_workflow',
+    mapping: {
+      namasteCode: {
+        code: namasteCode.code,
+        system: namasteCode.system,
+        term: namasteCode.term,
+        englishName: namasteCode.englishName,
+      },
+      tm2Code: mappingResult.tm2Code ? {
+        code: mappingResult.tm2Code,
+        title: mappingResult.tm2Title,
+      } : null,
+      equivalence: mappingResult.equivalence,
+      confidence: mappingResult.confidence,
+      reasoning: mappingResult.reasoning,
+    },
+    ...(context && {
+      context: {
+        ...context,
+        ...mappingResult.contextEffects,
+      },
+    }),
+    ...(candidatesMode && { tm2Candidates: mappingResult.candidates || [] }),
+    ...(mappingResult.retrieval && { retrieval: mappingResult.retrieval }),
+    processingTime: mappingResult.processingTime,
+  };
+
+  if (context && !candidatesMode && mappingResult.success) {
+    setCachedMapping(namasteCode.code, namasteCode.system, result, contextKey);
+  }
+
+  return result;
+};
+
+/**
+ * Format a free-text NAMASTE candidate
+ */
+const toNamasteCandidate = ({ namasteCode, confidence, vectorSimilarity, lexicalScore, matchedKeywords }) => ({
+  code: namasteCode.code,
+  system: namasteCode.system,
+  term: namasteCode.term,
+  englishName: namasteCode.englishName,
+  shortDefinition: namasteCode.shortDefinition,
+  confidence,
+  vectorSimilarity,
+  lexicalScore,
+  matchedKeywords,
+});
+
 export const createMappingRoutes = () => {
   const router = new Hono();
 
-  // Single code mapping
+  // Single mapping: a NAMASTE code, or free text resolved to NAMASTE candidates first
   router.post('/', async (c) => {
     const body = await c.req.json();
     
     // Validate request
-    const parseResult = mapRequestSchema.safeParse(body);
+    const parseResult = singleMapRequestSchema.safeParse(body);
     if (!parseResult.success) {
       return c.json({
         error: 'Validation Error',
-        details: parseResult.error.errors,
+        details: parseResult.error.issues,
       }, 400);
     }
 
-    const { code, system, term, context } = parseResult.data;
+    const { code, system, text, candidateLimit, tm2Candidates: candidateCount } = parseResult.data;
+    const context = normalizeMappingContext(parseResult.data.context);
     const prisma = getPrisma();
 
     try {
-      // Check for existing mapping
-      const systemEnum = system.toUpperCase();
-      const existingMapping = await prisma.mapping.findFirst({
-        where: {
-          namasteCode: {
-            code,
-            system: systemEnum,
-          },
-        },
-        include: {
-          namasteCode: true,
-          tm2Code: true,
-        },
-        orderBy: { confidence: 'desc' },
-      });
+      if (!code) {
+        const candidates = await findNamasteCandidates(text, system, candidateLimit);
+
+        if (candidates.length === 0) {
+          return c.json({
+            error: 'Not Found',
+            message: `No NAMASTE code matches "${text}"${system ? ` in ${system} system` : ''}`,
+          }, 404);
+        }
+
+        const [best] = candidates;
+        logger.info({
+          text: text.substring(0, 100),
+          namasteCode: best.namasteCode.code,
+          namasteConfidence: best.confidence,
+        }, 'Free text resolved to NAMASTE');
+
+        const result = await mapNamasteCode(best.namasteCode, { context, candidateCount });
+        const tm2Confidence = result.mapping.confidence;
 
-      if (existingMapping) {
         return c.json({
-          success: true,
-          source: 'cached',
-          mapping: {
-            namasteCode: {
-              code: existingMapping.namasteCode.code,
-              system: existingMapping.namasteCode.system,
-              term: existingMapping.namasteCode.term,
-            },
-            tm2Code: {
-              code: existingMapping.tm2Code.code,
-              title: existingMapping.tm2Code.title,
-              category: existingMapping.tm2Code.category,
-            },
-            equivalence: existingMapping.equivalence,
-            confidence: existingMapping.confidence,
-            mappingSource: existingMapping.mappingSource,
-            reasoning: existingMapping.reasoning,
+          ...result,
+          mode: 'text',
+          query: text,
+          namaste: {
+            confidence: best.confidence,
+            vectorSimilarity: best.vectorSimilarity,
+            lexicalScore: best.lexicalScore,
+            candidates: candidates.map(toNamasteCandidate),
+          },
+          confidence: {
+            namaste: best.confidence,
+            tm2: tm2Confidence ?? null,
+            // None when the workflow produced no TM2 confidence (e.g. it failed)
+            overall: Number.isFinite(best.confidence) && Number.isFinite(tm2Confidence)
+              ? Number((best.confidence * tm2Confidence).toFixed(3))
+              : null,
           },
         });
       }
 
       // Fetch the NAMASTE code from database
       const namasteCode = await prisma.namasteCode.findFirst({
-        where: { code, system: systemEnum },
+        where: { code, system: system.toUpperCase() },
       });
 
       if (!namasteCode) {
@@ -100,79 +470,142 @@ export const createMappingRoutes = () => {
         }, 404);
       }
 
-      // Invoke LangGraph mapping workflow with timeout
-      logger.info({ code, system }, 'Invoking AI mapping workflow');
-      
-      // Set timeout to 25 seconds (Vercel free tier has 10s, but we'll use 25s for safety)
-      const timeoutPromise = new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Mapping timeout - please try async endpoint')), 25000)
-      );
-      
-      const mappingResult = await Promise.race([
-        mapNamasteToTm2(namasteCode),
-        timeoutPromise
-      ]);
-
-      // Store the mapping if successful
-      if (mappingResult.success && mappingResult.tm2Code) {
-        const tm2Code = await prisma.tm2Code.findFirst({
-          where: { code: mappingResult.tm2Code },
-        });
+      return c.json(await mapNamasteCode(namasteCode, { context, candidateCount }));
 
-        if (tm2Code) {
-          await prisma.mapping.upsert({
-            where: {
-              namasteCodeId_tm2CodeId: {
-                namasteCodeId: namasteCode.id,
-                tm2CodeId: tm2Code.id,
-              },
-            },
-            update: {
-              equivalence: mappingResult.equivalence.toUpperCase(),
-              confidence: mappingResult.confidence,
-              mappingSource: 'AI_VALIDATED',
-              reasoning: mappingResult.reasoning,
-            },
-            create: {
-              namasteCodeId: namasteCode.id,
-              tm2CodeId: tm2Code.id,
-              equivalence: mappingResult.equivalence.toUpperCase(),
-              confidence: mappingResult.confidence,
-              mappingSource: 'AI_VALIDATED',
-              reasoning: mappingResult.reasoning,
-            },
-          });
-        }
-      }
+    } catch (error) {
+      logger.error({ error: error.message, code, system }, 'Mapping failed');
+      return c.json({
+        error: 'Mapping Error',
+        message: error.message,
+      }, 500);
+    }
+  });
+
+  // Accept a TM2 candidate as the approved mapping of a NAMASTE code
+  router.post('/accept', async (c) => {
+    const body = await c.req.json();
 
+    const parseResult = acceptCandidateSchema.safeParse(body);
+    if (!parseResult.success) {
+      return c.json({
+        error: 'Validation Error',
+        details: parseResult.error.issues,
+      }, 400);
+    }
+
+    const { code, system, tm2Code: tm2CodeValue, equivalence, confidence, reasoning, validatedBy, supersedeOthers } = parseResult.data;
+    const prisma = getPrisma();
+
+    const [namasteCode, tm2Code] = await Promise.all([
+      prisma.namasteCode.findFirst({ where: { code, system: system.toUpperCase() } }),
+      prisma.tm2Code.findFirst({ where: { code: tm2CodeValue } }),
+    ]);
+
+    if (!namasteCode || !tm2Code) {
       return c.json({
-        success: mappingResult.success,
-        source: 'ai_workflow',
-        mapping: {
-          namasteCode: {
-            code: namasteCode.code,
-            system: namasteCode.system,
-            term: namasteCode.term,
-            englishName: namasteCode.englishName,
+        error: 'Not Found',
+        message: !namasteCode
+          ? `NAMASTE code ${code} not found in ${system} system`
+          : `TM2 code ${tm2CodeValue} not found`,
+      }, 404);
+    }
+
+    const validatedAt = new Date();
+    const [mapping, superseded] = await prisma.$transaction(async (tx) => {
+      const accepted = await tx.mapping.upsert({
+        where: {
+          namasteCodeId_tm2CodeId: {
+            namasteCodeId: namasteCode.id,
+            tm2CodeId: tm2Code.id,
           },
-          tm2Code: mappingResult.tm2Code ? {
-            code: mappingResult.tm2Code,
-            title: mappingResult.tm2Title,
-          } : null,
-          equivalence: mappingResult.equivalence,
-          confidence: mappingResult.confidence,
-          reasoning: mappingResult.reasoning,
         },
-        processingTime: mappingResult.processingTime,
+        update: {
+          equivalence,
+          ...(confidence !== undefined && { confidence }),
+          ...(reasoning && { reasoning }),
+          mappingSource: 'HUMAN_VALIDATED',
+          validationStatus: 'APPROVED',
+          validatedBy,
+          validatedAt,
+        },
+        create: {
+          namasteCodeId: namasteCode.id,
+          tm2CodeId: tm2Code.id,
+          equivalence,
+          confidence: confidence ?? 1,
+          reasoning,
+          mappingSource: 'HUMAN_VALIDATED',
+          validationStatus: 'APPROVED',
+          validatedBy,
+          validatedAt,
+        },
       });
 
-    } catch (error) {
-      logger.error({ error: error.message, code, system }, 'Mapping failed');
+      // Other mappings of the code stop competing with the accepted one
+      const { count } = supersedeOthers
+        ? await tx.mapping.updateMany({
+          where: {
+            namasteCodeId: namasteCode.id,
+            id: { not: accepted.id },
+            validationStatus: { not: 'REJECTED' },
+          },
+          data: { validationStatus: 'REJECTED', validatedBy, validatedAt },
+        })
+        : { count: 0 };
+
+      return [accepted, count];
+    });
+
+    // Context-specific results cached for this code are now stale
+    invalidateCache(`mapping:${namasteCode.system}:${namasteCode.code}:`, 'mappings');
+
+    logger.info({ code, system, tm2Code: tm2Code.code, validatedBy, superseded }, 'Mapping candidate accepted');
+
+    return c.json({
+      success: true,
+      mapping: {
+        id: mapping.id,
+        namasteCode: { code: namasteCode.code, system: namasteCode.system, term: namasteCode.term },
+        tm2Code: { code: tm2Code.code, title: tm2Code.title },
+        equivalence: mapping.equivalence,
+        confidence: mapping.confidence,
+        mappingSource: mapping.mappingSource,
+        validationStatus: mapping.validationStatus,
+        validatedBy: mapping.validatedBy,
+        validatedAt: mapping.validatedAt,
+      },
+      superseded,
+    });
+  });
+
+  // Cross-system translation (e.g. Ayurveda → Siddha/Unani) using TM2 as the pivot
+  router.post('/cross-system', async (c) => {
+    const body = await c.req.json();
+
+    const parseResult = crossSystemRequestSchema.safeParse(body);
+    if (!parseResult.success) {
       return c.json({
-        error: 'Mapping Error',
-        message: error.message,
-      }, 500);
+        error: 'Validation Error',
+        details: parseResult.error.issues,
+      }, 400);
     }
+
+    const { code, system, targetSystems } = parseResult.data;
+    const translation = await translateViaTm2({ code, system, targetSystems });
+
+    if (!translation) {
+      return c.json({
+        error: 'Not Found',
+        message: `NAMASTE code ${code} not found in ${system} system`,
+      }, 404);
+    }
+
+    return c.json({
+      success: translation.candidates.length > 0,
+      source: translation.source,
+      candidates: translation.candidates,
+      total: translation.candidates.length,
+    });
   });
 
   // Batch mapping
@@ -188,21 +621,13 @@ export const createMappingRoutes = () => {
     }
 
     const { codes } = parseResult.data;
-    const prisma = getPrisma();
 
     try {
       const results = await Promise.all(
         codes.map(async ({ code, system }) => {
           const systemEnum = system.toUpperCase();
-          const mapping = await prisma.mapping.findFirst({
-            where: {
-              namasteCode: { code, system: systemEnum },
-            },
-            include: {
-              namasteCode: true,
-              tm2Code: true,
-            },
-            orderBy: { confidence: 'desc' },
+          const mapping = await findServedMapping({
+            namasteCode: { code, system: systemEnum },
           });
 
           return {
@@ -241,21 +666,29 @@ export const createMappingRoutes = () => {
   router.post('/batch/async', async (c) => {
     const body = await c.req.json();
     
-    const parseResult = batchMapRequestSchema.safeParse(body);
+    const parseResult = batchJobRequestSchema.safeParse(body);
     if (!parseResult.success) {
       return c.json({
         error: 'Validation Error',
-        details: parseResult.error.errors,
+        details: parseResult.error.issues,
       }, 400);
     }
 
-    const { codes } = parseResult.data;
-    const { callbackUrl, saveResults = true } = body;
+    const { codes, callbackUrl, webhookClientId, progressEvery, saveResults = true } = parseResult.data;
 
     try {
+      if (webhookClientId && !await webhookClientExists(webhookClientId)) {
+        return c.json({
+          error: 'Validation Error',
+          message: `Webhook client ${webhookClientId} not found`,
+        }, 400);
+      }
+
       const job = await createBatchJob(codes, {
         userId: c.req.header('x-user-id'),
         callbackUrl,
+        webhookClientId,
+        progressEvery,
         saveResults,
       });
 
@@ -269,10 +702,156 @@ export const createMappingRoutes = () => {
     }
   });
 
+  // Preview a CSV/XLSX upload: sheets, headers, sample rows and detected columns
+  router.post('/batch/upload/preview', async (c) => {
+    const upload = await readSpreadsheetUpload(c);
+    if (upload.error) {
+      return c.json({ error: 'Upload Error', message: upload.error }, upload.status);
+    }
+
+    try {
+      const parsed = parseSpreadsheet(upload.buffer, upload.format, upload.fields.sheet);
+      if (parsed.error) {
+        return c.json({ error: 'Upload Error', message: parsed.error }, parsed.status);
+      }
+
+      const { mapping, errors } = resolveColumnMapping(parsed.headers, {
+        code: upload.fields.codeColumn,
+        system: upload.fields.systemColumn,
+        term: upload.fields.termColumn,
+      });
+
+      return c.json({
+        fileName: upload.fileName,
+        format: upload.format,
+        sheet: parsed.sheet,
+        sheets: parsed.sheets,
+        headers: parsed.headers,
+        columns: describeColumnMapping(parsed.headers, mapping),
+        columnErrors: errors,
+        totalRows: parsed.rows.length,
+        sampleRows: parsed.rows.slice(0, UPLOAD_PREVIEW_ROWS),
+      });
+    } catch (error) {
+      logger.warn({ fileName: upload.fileName, error: error.message }, 'Failed to read uploaded spreadsheet');
+      return c.json({ error: 'Upload Error', message: `Could not read ${upload.format} file: ${error.message}` }, 400);
+    }
+  });
+
+  // Create an async batch job from a CSV/XLSX upload
+  router.post('/batch/upload', async (c) => {
+    const upload = await readSpreadsheetUpload(c);
+    if (upload.error) {
+      return c.json({ error: 'Upload Error', message: upload.error }, upload.status);
+    }
+
+    const parseResult = uploadFieldsSchema.safeParse(upload.fields);
+    if (!parseResult.success) {
+      return c.json({
+        error: 'Validation Error',
+        details: parseResult.error.issues,
+      }, 400);
+    }
+
+    const {
+      system,
+      sheet,
+      codeColumn,
+      systemColumn,
+      termColumn,
+      callbackUrl,
+      webhookClientId,
+      progressEvery = config.batch.uploadProgressEvery,
+      saveResults = true,
+    } = parseResult.data;
+
+    let parsed;
+    try {
+      parsed = parseSpreadsheet(upload.buffer, upload.format, sheet, { maxRows: config.batch.maxUploadRows });
+    } catch (error) {
+      logger.warn({ fileName: upload.fileName, error: error.message }, 'Failed to read uploaded spreadsheet');
+      return c.json({ error: 'Upload Error', message: `Could not read ${upload.format} file: ${error.message}` }, 400);
+    }
+    if (parsed.error) {
+      return c.json({ error: 'Upload Error', message: parsed.error }, parsed.status);
+    }
+
+    const { mapping, errors } = resolveColumnMapping(parsed.headers, {
+      code: codeColumn,
+      system: systemColumn,
+      term: termColumn,
+    });
+    if (errors.length > 0) {
+      return c.json({
+        error: 'Validation Error',
+        message: errors.join('; '),
+        headers: parsed.headers,
+      }, 400);
+    }
+
+    const { codes, skipped } = buildUploadCodes(parsed.rows, mapping, system);
+    if (codes.length === 0) {
+      return c.json({
+        error: 'Validation Error',
+        message: 'No mappable rows found',
+        skipped: skipped.slice(0, UPLOAD_SKIPPED_REPORT_LIMIT),
+      }, 400);
+    }
+
+    try {
+      if (webhookClientId && !await webhookClientExists(webhookClientId)) {
+        return c.json({
+          error: 'Validation Error',
+          message: `Webhook client ${webhookClientId} not found`,
+        }, 400);
+      }
+
+      const columns = describeColumnMapping(parsed.headers, mapping);
+      const job = await createBatchJob(codes, {
+        userId: c.req.header('x-user-id'),
+        callbackUrl,
+        webhookClientId,
+        progressEvery,
+        saveResults,
+        source: {
+          fileName: upload.fileName,
+          format: upload.format,
+          sheet: parsed.sheet,
+          headers: parsed.headers,
+          columns,
+        },
+      });
+
+      logger.info({
+        jobId: job.jobId,
+        fileName: upload.fileName,
+        rows: codes.length,
+        skipped: skipped.length,
+      }, 'Batch job created from upload');
+
+      return c.json({
+        ...job,
+        fileName: upload.fileName,
+        sheet: parsed.sheet,
+        columns,
+        accepted: codes.length,
+        skippedCount: skipped.length,
+        skipped: skipped.slice(0, UPLOAD_SKIPPED_REPORT_LIMIT),
+        downloadUrl: `/api/v1/mapping/batch/${job.jobId}/results/download?format=${upload.format === 'csv' ? 'csv' : 'xlsx'}`,
+      }, 202);
+    } catch (error) {
+      logger.error({ error: error.message }, 'Failed to create batch job from upload');
+      return c.json({
+        error: 'Batch Job Error',
+        message: error.message,
+      }, 500);
+    }
+  });
+
   // Get batch job status
   router.get('/batch/:jobId', async (c) => {
     const { jobId } = c.req.param();
-    const status = getJobStatus(jobId);
+    const status = await getJobStatus(jobId);
 
     if (!status) {
       return c.json({
@@ -287,7 +866,7 @@ export const createMappingRoutes = () => {
   // Get batch job results
   router.get('/batch/:jobId/results', async (c) => {
     const { jobId } = c.req.param();
-    const results = getJobResults(jobId);
+    const results = await getJobResults(jobId);
 
     if (!results) {
       return c.json({
@@ -299,10 +878,54 @@ export const createMappingRoutes = () => {
     return c.json(results);
   });
 
+  // Download batch job results as CSV/XLSX with the TM2 columns appended
+  router.get('/batch/:jobId/results/download', async (c) => {
+    const { jobId } = c.req.param();
+    const format = c.req.query('format') || 'xlsx';
+
+    if (!['csv', 'xlsx'].includes(format)) {
+      return c.json({
+        error: 'Validation Error',
+        message: 'format must be csv or xlsx',
+      }, 400);
+    }
+
+    const file = await exportJobResults(jobId, format);
+    if (!file) {
+      return c.json({
+        error: 'Not Found',
+        message: `Job ${jobId} not found`,
+      }, 404);
+    }
+
+    return c.body(file.body, 200, {
+      'Content-Type': file.contentType,
+      'Content-Disposition': `attachment; filename="${file.fileName.replace(/[^\x20-\x7e]|["\\]/g, '_')}"`,
+    });
+  });
+
+  // Stream batch job progress and per-code results (SSE)
+  router.get('/batch/:jobId/events', async (c) => {
+    const { jobId } = c.req.param();
+    const status = await getJobStatus(jobId);
+
+    if (!status) {
+      return c.json({
+        error: 'Not Found',
+        message: `Job ${jobId} not found`,
+      }, 404);
+    }
+
+    // streamSSE itself sends the client an error event with the message
+    return streamSSE(c, (stream) => streamJobEvents(stream, jobId, status), async (error) => {
+      logger.error({ jobId, error: error.message }, 'Batch event stream failed');
+    });
+  });
+
   // Cancel batch job
   router.delete('/batch/:jobId', async (c) => {
     const { jobId } = c.req.param();
-    const cancelled = cancelJob(jobId);
+    const cancelled = await cancelJob(jobId);
 
     if (!cancelled) {
       return c.json({
@@ -0,0 +1,90 @@
+import { Hono } from 'hono';
+import { logger } from '../config/logger.js';
+import { parseEmbeddingModelId } from '../services/llm-providers.js';
+import { semanticSearch, SEARCH_SCOPES } from '../services/semantic-search.js';
+
+const SYSTEMS = ['ayurveda', 'siddha', 'unani'];
+
+/**
+ * Search Routes
+ * Semantic (meaning-based) search over NAMASTE and TM2 codes, optionally
+ * blended with lexical matches
+ * Functional approach - factory function returning Hono router
+ */
+export const createSearchRoutes = () => {
+  const router = new Hono();
+
+  // Search codes by meaning
+  router.get('/semantic', async (c) => {
+    const {
+      q,
+      scope = 'all',
+      system,
+      limit = '10',
+      minSimilarity,
+      blend = 'false',
+      model,
+    } = c.req.query();
+
+    if (!q || q.trim().length < 2) {
+      return c.json({ error: 'Validation Error', message: 'q must be at least 2 characters' }, 400);
+    }
+    if (!SEARCH_SCOPES.includes(scope)) {
+      return c.json({ error: 'Validation Error', message: `scope must be one of ${SEARCH_SCOPES.join(', ')}` }, 400);
+    }
+    if (system && !SYSTEMS.includes(system.toLowerCase())) {
+      return c.json({ error: 'Validation Error', message: `system must be one of ${SYSTEMS.join(', ')}` }, 400);
+    }
+
+    const take = Math.min(parseInt(limit, 10) || 10, 50);
+    const threshold = minSimilarity === undefined ? undefined : parseFloat(minSimilarity);
+    if (threshold !== undefined && !(threshold >= 0 && threshold <= 1)) {
+      return c.json({ error: 'Validation Error', message: 'minSimilarity must be between 0 and 1' }, 400);
+    }
+
+    if (model) {
+      try {
+        parseEmbeddingModelId(model);
+      } catch (error) {
+        return c.json({ error: 'Invalid model', message: error.message }, 400);
+      }
+    }
+
+    const blended = blend === 'true' || blend === '1';
+
+    try {
+      const { warning, ...results } = await semanticSearch(q, {
+        scope,
+        system: system?.toLowerCase(),
+        limit: take,
+        minSimilarity: threshold,
+        blend: blended,
+        model,
+      });
+
+      return c.json({
+        query: q,
+        scope,
+        system: system?.toLowerCase() || null,
+        blend: blended,
+        ...(warning && { warning }),
+        ...Object.fromEntries(Object.entries(results).map(([key, list]) => [key, {
+          count: list.length,
+          results: list.map(r => ({
+            ...r,
+            display: key === 'namaste' ? r.englishName || r.term : r.title,
+            type: key,
+          })),
+        }])),
+      });
+    } catch (error) {
+      logger.error({ error: error.message, query: q }, 'Semantic search failed');
+      return c.json({
+        error: 'Search Error',
+        message: error.message,
+      }, 500);
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,218 @@
+/**
+ * ABDM Document Export Service
+ *
+ * Builds NRCeS-profiled FHIR document Bundles (Composition, Patient,
+ * Encounter, Condition) for exchange over India's ABDM health network
+ * Each diagnosis is dual coded: NAMASTE plus its approved ICD-11 TM2 mapping
+ */
+
+import { getPrisma } from '../db/client.js';
+import { config } from '../config/index.js';
+import { getNamasteSystemUri } from './terminology.js';
+import { createNamasteCoding, createTm2Coding } from './condition.js';
+
+const profile = (name) => ({ profile: [`${config.fhir.abdm.profileBase}/${name}`] });
+
+const newEntry = (resource) => {
+  const id = crypto.randomUUID();
+  return { fullUrl: `urn:uuid:${id}`, resource: { ...resource, id } };
+};
+
+const reference = (entry) => ({ reference: entry.fullUrl });
+
+/**
+ * Load each diagnosis' NAMASTE code with its non-rejected mappings (best first)
+ */
+const findDiagnosisCodes = async (diagnoses) => {
+  const prisma = getPrisma();
+
+  return Promise.all(diagnoses.map(diagnosis => prisma.namasteCode.findFirst({
+    where: { code: diagnosis.code, system: diagnosis.system.toUpperCase() },
+    include: {
+      mappings: {
+        where: { validationStatus: { not: 'REJECTED' } },
+        include: { tm2Code: true },
+        orderBy: { confidence: 'desc' },
+      },
+    },
+  })));
+};
+
+/**
+ * Build the Condition for one diagnosis
+ */
+const createCondition = (diagnosis, codeableConcept, { patient, encounter, date }) => ({
+  resourceType: 'Condition',
+  meta: profile('Condition'),
+  clinicalStatus: {
+    coding: [{
+      system: 'http://terminology.hl7.org/CodeSystem/condition-clinical',
+      code: diagnosis.clinicalStatus || 'active',
+    }],
+  },
+  ...(diagnosis.verificationStatus && {
+    verificationStatus: {
+      coding: [{
+        system: 'http://terminology.hl7.org/CodeSystem/condition-ver-status',
+        code: diagnosis.verificationStatus,
+      }],
+    },
+  }),
+  category: [{
+    coding: [{
+      system: 'http://terminology.hl7.org/CodeSystem/condition-category',
+      code: 'encounter-diagnosis',
+      display: 'Encounter Diagnosis',
+    }],
+  }],
+  code: codeableConcept,
+  subject: reference(patient),
+  encounter: reference(encounter),
+  ...(diagnosis.onset && { onsetDateTime: diagnosis.onset }),
+  recordedDate: date,
+  ...(diagnosis.note && { note: [{ text: diagnosis.note }] }),
+});
+
+/**
+ * Export diagnoses as an ABDM document Bundle with a validation report
+ * Only approved mappings contribute a TM2 coding; unknown codes are left out
+ * @param {Object} input - { patient, encounter, practitioner, diagnoses }
+ * @returns {Promise<{ bundle: Object, report: Object }>}
+ */
+export const createDiagnosisDocument = async ({ patient, encounter = {}, practitioner, diagnoses }) => {
+  const date = new Date().toISOString();
+  const codes = await findDiagnosisCodes(diagnoses);
+
+  const report = {
+    valid: true,
+    total: diagnoses.length,
+    dualCoded: 0,
+    notFound: [],
+    unmapped: [],
+    unapproved: [],
+  };
+
+  const patientEntry = newEntry({
+    resourceType: 'Patient',
+    meta: profile('Patient'),
+    identifier: [
+      patient.abhaNumber && { system: config.fhir.abdm.healthIdSystem, value: patient.abhaNumber },
+      patient.id && { value: patient.id },
+    ].filter(Boolean),
+    name: [{ text: patient.name }],
+    ...(patient.gender && { gender: patient.gender }),
+    ...(patient.birthDate && { birthDate: patient.birthDate }),
+  });
+
+  const authorEntry = practitioner
+    ? newEntry({
+      resourceType: 'Practitioner',
+      meta: profile('Practitioner'),
+      identifier: practitioner.registrationNumber
+        ? [{ system: config.fhir.abdm.practitionerSystem, value: practitioner.registrationNumber }]
+        : undefined,
+      name: [{ text: practitioner.name }],
+    })
+    : newEntry({
+      resourceType: 'Organization',
+      meta: profile('Organization'),
+      name: encounter.facility || 'NAMASTE-ICD Terminology Service',
+    });
+
+  const encounterEntry = newEntry({
+    resourceType: 'Encounter',
+    meta: profile('Encounter'),
+    ...(encounter.id && { identifier: [{ value: encounter.id }] }),
+    status: encounter.end ? 'finished' : 'in-progress',
+    class: {
+      system: 'http://terminology.hl7.org/CodeSystem/v3-ActCode',
+      code: encounter.class || 'AMB',
+    },
+    subject: reference(patientEntry),
+    period: {
+      start: encounter.start || date,
+      ...(encounter.end && { end: encounter.end }),
+    },
+  });
+
+  const conditionEntries = [];
+
+  diagnoses.forEach((diagnosis, i) => {
+    const namasteCode = codes[i];
+    const system = getNamasteSystemUri(diagnosis.system);
+
+    if (!namasteCode) {
+      report.notFound.push({ system, code: diagnosis.code });
+      return;
+    }
+
+    const namasteCoding = createNamasteCoding(namasteCode);
+    const approved = namasteCode.mappings.find(m => m.validationStatus === 'APPROVED');
+    const best = namasteCode.mappings[0];
+
+    if (approved) {
+      report.dualCoded++;
+    } else if (best) {
+      report.unapproved.push({
+        ...namasteCoding,
+        tm2Code: best.tm2Code.code,
+        tm2Title: best.tm2Code.title,
+        validationStatus: best.validationStatus,
+        confidence: best.confidence,
+      });
+    } else {
+      report.unmapped.push(namasteCoding);
+    }
+
+    const codeableConcept = {
+      coding: [namasteCoding, approved && createTm2Coding(approved)].filter(Boolean),
+      text: namasteCoding.display,
+    };
+
+    conditionEntries.push(newEntry(createCondition(diagnosis, codeableConcept, {
+      patient: patientEntry,
+      encounter: encounterEntry,
+      date,
+    })));
+  });
+
+  encounterEntry.resource.diagnosis = conditionEntries.map(entry => ({ condition: reference(entry) }));
+
+  const compositionEntry = newEntry({
+    resourceType: 'Composition',
+    meta: profile('OPConsultRecord'),
+    status: 'final',
+    type: {
+      coding: [{ system: 'http://snomed.info/sct', code: '371530004', display: 'Clinical consultation report' }],
+      text: 'Clinical consultation report',
+    },
+    subject: reference(patientEntry),
+    encounter: reference(encounterEntry),
+    date,
+    author: [reference(authorEntry)],
+    title: 'Consultation Report',
+    section: [{
+      title: 'Diagnoses',
+      code: {
+        coding: [{ system: 'http://loinc.org', code: '29548-5', display: 'Diagnosis Narrative' }],
+      },
+      entry: conditionEntries.map(reference),
+    }],
+  });
+
+  const bundleId = crypto.randomUUID();
+  report.valid = report.notFound.length === 0 && report.unmapped.length === 0 && report.unapproved.length === 0;
+
+  return {
+    bundle: {
+      resourceType: 'Bundle',
+      id: bundleId,
+      meta: { ...profile('DocumentBundle'), lastUpdated: date },
+      identifier: { system: 'urn:ietf:rfc:3986', value: `urn:uuid:${bundleId}` },
+      type: 'document',
+      timestamp: date,
+      entry: [compositionEntry, patientEntry, encounterEntry, authorEntry, ...conditionEntries],
+    },
+    report,
+  };
+};
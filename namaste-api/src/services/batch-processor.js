@@ -1,14 +1,24 @@
 /**
  * Batch Processing Service
- * 
+ *
  * Async job queue for batch mapping operations
- * Uses in-memory queue (replace with Bull/Redis in production)
+ * Jobs and per-code results are stored in PostgreSQL (batch_jobs, batch_job_items)
+ * so they survive restarts and can be shared by several API instances:
+ * - a worker claims a job with FOR UPDATE SKIP LOCKED and holds a lease on it
+ * - the lease is renewed while the job runs; an expired lease (crashed instance)
+ *   lets another worker pick the job up again from its first pending code
+ * - every code result is written together with the job counters, guarded by
+ *   the lease, so a worker that lost its job cannot double count
  */
 
+import { hostname } from 'os';
 import { getPrisma } from '../db/client.js';
 import { mapNamasteToTm2 } from '../workflows/mapping-graph.js';
+import { config } from '../config/index.js';
 import { logger } from '../config/logger.js';
 import { recordMappingMetrics } from '../middleware/metrics.js';
+import { enqueueWebhook, deliverPendingWebhooks } from './webhooks.js';
+import { findNamasteByTerm } from './quick-map.js';
 import { EventEmitter } from 'events';
 
 // Job status enum
@@ -20,23 +30,64 @@ const JobStatus = {
   CANCELLED: 'cancelled',
 };
 
-// In-memory job queue
-const jobs = new Map();
-const jobQueue = [];
-let isProcessing = false;
-const maxConcurrent = 3;
-let activeJobs = 0;
+// Statuses a job never leaves
+export const FINISHED_JOB_STATUSES = [JobStatus.COMPLETED, JobStatus.FAILED, JobStatus.CANCELLED];
 
-// Event emitter for job updates
+const { maxConcurrent, pollIntervalMs, leaseMs, retentionHours, codeDelayMs } = config.batch;
+
+// Identifies this instance as the lease holder of the jobs it runs
+const workerId = `${hostname()}:${process.pid}:${Math.random().toString(36).slice(2, 8)}`;
+
+// Jobs running in this instance
+const activeJobs = new Set();
+let isPolling = false;
+let pollTimer = null;
+let cleanupTimer = null;
+
+const LEASE_LOST = 'Batch job lease lost';
+
+// Event emitter for job updates (jobStarted, codeCompleted, jobProgress, jobCompleted)
+// Each SSE client subscribes, so there is no listener limit
 export const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
 
 /**
  * Generate unique job ID
  */
 const generateJobId = () => `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
+/**
+ * Progress summary from the job counters
+ */
+const toProgress = (job) => ({
+  total: job.total,
+  completed: job.completed,
+  successful: job.successful,
+  failed: job.failed,
+  percentage: job.total > 0 ? Math.round((job.completed / job.total) * 100) : 0,
+});
+
+const toIso = (date) => date?.toISOString() ?? null;
+
+/**
+ * Public shape of a job item (one submitted code)
+ */
+const toItemResult = (item) => ({
+  position: item.position,
+  code: item.code,
+  ...(item.term && { term: item.term }),
+  system: item.system.toLowerCase(),
+  status: item.status,
+  result: item.result ?? null,
+  error: item.error ?? null,
+});
+
 /**
  * Create a new batch mapping job
+ * Each entry has a system plus a code and/or a free-text term; uploads also
+ * keep the original spreadsheet row so results can be downloaded alongside it
+ * @param {Array<{ code?: string, system: string, term?: string, row?: Array }>} codes
+ * @param {Object} options - priority, userId, callbackUrl, webhookClientId, progressEvery, saveResults, source
  */
 export const createBatchJob = async (codes, options = {}) => {
   const jobId = generateJobId();
@@ -44,49 +95,47 @@ export const createBatchJob = async (codes, options = {}) => {
     priority = 'normal',
     userId,
     callbackUrl,
+    webhookClientId,
+    progressEvery = 0,
     saveResults = true,
+    source,
   } = options;
 
-  const job = {
-    id: jobId,
-    status: JobStatus.PENDING,
-    priority,
-    userId,
-    callbackUrl,
-    saveResults,
-    codes: codes.map((c, i) => ({
-      index: i,
-      code: c.code,
-      system: c.system,
-      status: 'pending',
-      result: null,
-      error: null,
-    })),
-    progress: {
+  const prisma = getPrisma();
+  const job = await prisma.batchJob.create({
+    data: {
+      id: jobId,
+      priority,
+      userId,
+      callbackUrl,
+      webhookClientId,
+      progressEvery: callbackUrl ? progressEvery : 0,
+      saveResults,
+      source,
       total: codes.length,
-      completed: 0,
-      successful: 0,
-      failed: 0,
-      percentage: 0,
+      items: {
+        createMany: {
+          data: codes.map((c, i) => ({
+            position: i,
+            code: c.code || null,
+            system: c.system.toUpperCase(),
+            term: c.term || null,
+            row: c.row,
+          })),
+        },
+      },
     },
-    createdAt: new Date().toISOString(),
-    startedAt: null,
-    completedAt: null,
-    error: null,
-  };
-
-  jobs.set(jobId, job);
-  jobQueue.push(jobId);
+  });
 
   logger.info({ jobId, codeCount: codes.length }, 'Batch job created');
 
-  // Start processing if not already running
+  // Pick it up right away if this instance has capacity
   processQueue();
 
   return {
     jobId,
     status: job.status,
-    progress: job.progress,
+    progress: toProgress(job),
     estimatedTime: estimateProcessingTime(codes.length),
   };
 };
@@ -103,191 +152,355 @@ const estimateProcessingTime = (codeCount) => {
 };
 
 /**
- * Process the job queue
+ * Claim the next runnable job: pending, or processing with an expired lease
+ * @returns {Promise<Object|null>} Claimed job row
  */
-const processQueue = async () => {
-  if (isProcessing) return;
-  isProcessing = true;
+const claimNextJob = async () => {
+  const prisma = getPrisma();
 
-  while (jobQueue.length > 0 && activeJobs < maxConcurrent) {
-    const jobId = jobQueue.shift();
-    const job = jobs.get(jobId);
+  const claimed = await prisma.$queryRaw`
+    UPDATE batch_jobs
+    SET status = 'processing',
+        worker_id = ${workerId},
+        lease_expires_at = NOW() + ${leaseMs}::int * INTERVAL '1 millisecond',
+        started_at = COALESCE(started_at, NOW())
+    WHERE id = (
+      SELECT id FROM batch_jobs
+      WHERE status = 'pending'
+         OR (status = 'processing' AND lease_expires_at < NOW())
+      ORDER BY CASE priority WHEN 'high' THEN 0 WHEN 'normal' THEN 1 ELSE 2 END, created_at
+      LIMIT 1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING id
+  `;
+
+  if (claimed.length === 0) return null;
+  return prisma.batchJob.findUnique({ where: { id: claimed[0].id } });
+};
 
-    if (!job || job.status === JobStatus.CANCELLED) continue;
+/**
+ * Extend the lease on a job this worker holds
+ * @returns {Promise<boolean>} False when the job was cancelled or taken over
+ */
+const renewLease = async (jobId) => {
+  const prisma = getPrisma();
 
-    activeJobs++;
-    processJob(job).finally(() => {
-      activeJobs--;
-      if (jobQueue.length > 0) {
-        processQueue();
-      }
-    });
-  }
+  const count = await prisma.$executeRaw`
+    UPDATE batch_jobs
+    SET lease_expires_at = NOW() + ${leaseMs}::int * INTERVAL '1 millisecond'
+    WHERE id = ${jobId} AND worker_id = ${workerId} AND status = 'processing'
+  `;
 
-  isProcessing = false;
+  return count > 0;
 };
 
 /**
- * Process a single job
+ * Process the job queue
+ * Claims jobs until this instance runs maxConcurrent of them or none are left
  */
-const processJob = async (job) => {
-  job.status = JobStatus.PROCESSING;
-  job.startedAt = new Date().toISOString();
-  jobEvents.emit('jobStarted', { jobId: job.id });
+const processQueue = async () => {
+  if (isPolling) return;
+  isPolling = true;
 
-  logger.info({ jobId: job.id }, 'Processing batch job');
+  try {
+    while (activeJobs.size < maxConcurrent) {
+      const job = await claimNextJob();
+      if (!job) break;
+
+      activeJobs.add(job.id);
+      processJob(job)
+        .catch((error) => {
+          logger.error({ jobId: job.id, error: error.message }, 'Batch job crashed');
+        })
+        .finally(() => {
+          activeJobs.delete(job.id);
+          processQueue();
+        });
+    }
+  } catch (error) {
+    logger.error({ error: error.message }, 'Failed to claim batch job');
+  } finally {
+    isPolling = false;
+  }
+};
 
+/**
+ * Map one job item and save its mapping if requested
+ * @returns {Promise<Object>} Item result
+ */
+const mapJobItem = async (job, item) => {
   const prisma = getPrisma();
 
-  for (let i = 0; i < job.codes.length; i++) {
-    const codeItem = job.codes[i];
+  // Fetch the NAMASTE code, or resolve a free-text term to one
+  const namasteCode = item.code
+    ? await prisma.namasteCode.findFirst({
+      where: {
+        code: item.code,
+        system: item.system,
+      },
+    })
+    : await findNamasteByTerm(item.term, item.system);
+
+  if (!namasteCode) {
+    throw new Error(item.code
+      ? `Code ${item.code} not found in ${item.system.toLowerCase()}`
+      : `No ${item.system.toLowerCase()} code matches '${item.term}'`);
+  }
 
-    // Check if job was cancelled
-    if (job.status === JobStatus.CANCELLED) {
-      logger.info({ jobId: job.id }, 'Job cancelled');
-      break;
-    }
+  // Run mapping
+  const result = await mapNamasteToTm2(namasteCode);
+  recordMappingMetrics(result);
 
-    codeItem.status = 'processing';
+  // Save mapping to database if requested
+  if (job.saveResults && result.success && result.tm2Code) {
+    const tm2Code = await prisma.tm2Code.findFirst({
+      where: { code: result.tm2Code },
+    });
 
-    try {
-      // Fetch the NAMASTE code
-      const namasteCode = await prisma.namasteCode.findFirst({
+    if (tm2Code) {
+      await prisma.mapping.upsert({
         where: {
-          code: codeItem.code,
-          system: codeItem.system.toUpperCase(),
+          namasteCodeId_tm2CodeId: {
+            namasteCodeId: namasteCode.id,
+            tm2CodeId: tm2Code.id,
+          },
+        },
+        update: {
+          equivalence: result.equivalence,
+          confidence: result.confidence,
+          mappingSource: 'AI_VALIDATED',
+          reasoning: result.reasoning,
+        },
+        create: {
+          namasteCodeId: namasteCode.id,
+          tm2CodeId: tm2Code.id,
+          equivalence: result.equivalence,
+          confidence: result.confidence,
+          mappingSource: 'AI_VALIDATED',
+          reasoning: result.reasoning,
         },
       });
+    }
+  }
 
-      if (!namasteCode) {
-        throw new Error(`Code ${codeItem.code} not found in ${codeItem.system}`);
-      }
+  return {
+    success: result.success,
+    namasteCode: namasteCode.code,
+    namasteDisplay: namasteCode.englishName || namasteCode.term,
+    tm2Code: result.tm2Code,
+    tm2Title: result.tm2Title,
+    equivalence: result.equivalence,
+    confidence: result.confidence,
+    reasoning: result.reasoning,
+  };
+};
 
-      // Run mapping
-      const result = await mapNamasteToTm2(namasteCode);
-      
-      codeItem.status = 'completed';
-      codeItem.result = {
-        success: result.success,
-        tm2Code: result.tm2Code,
-        tm2Title: result.tm2Title,
-        equivalence: result.equivalence,
-        confidence: result.confidence,
-        reasoning: result.reasoning,
-      };
-
-      job.progress.successful++;
-      recordMappingMetrics(result);
-
-      // Save mapping to database if requested
-      if (job.saveResults && result.success && result.tm2Code) {
-        const tm2Code = await prisma.tm2Code.findFirst({
-          where: { code: result.tm2Code },
-        });
+/**
+ * Record an item outcome and bump the job counters in one transaction
+ * Only applies while this worker still holds the job
+ * @returns {Promise<Object|null>} Updated job, or null if the lease was lost
+ */
+const recordItemOutcome = async (job, item, { result, error }) => {
+  const prisma = getPrisma();
 
-        if (tm2Code) {
-          await prisma.mapping.upsert({
-            where: {
-              namasteCodeId_tm2CodeId: {
-                namasteCodeId: namasteCode.id,
-                tm2CodeId: tm2Code.id,
-              },
-            },
-            update: {
-              equivalence: result.equivalence,
-              confidence: result.confidence,
-              mappingSource: 'AI_VALIDATED',
-              reasoning: result.reasoning,
-            },
-            create: {
-              namasteCodeId: namasteCode.id,
-              tm2CodeId: tm2Code.id,
-              equivalence: result.equivalence,
-              confidence: result.confidence,
-              mappingSource: 'AI_VALIDATED',
-              reasoning: result.reasoning,
-            },
-          });
-        }
-      }
+  return prisma.$transaction(async (tx) => {
+    const updated = await tx.batchJobItem.updateMany({
+      where: { id: item.id, status: 'pending' },
+      data: {
+        status: error ? 'failed' : 'completed',
+        result: result ?? undefined,
+        error: error ?? null,
+        processedAt: new Date(),
+      },
+    });
+    // Already recorded by another run of this job
+    if (updated.count === 0) return null;
+
+    const owned = await tx.batchJob.updateMany({
+      where: { id: job.id, workerId, status: JobStatus.PROCESSING },
+      data: {
+        completed: { increment: 1 },
+        ...(error ? { failed: { increment: 1 } } : { successful: { increment: 1 } }),
+      },
+    });
+    // Roll the item back: the job was cancelled or taken over
+    if (owned.count === 0) throw new Error(LEASE_LOST);
 
-    } catch (error) {
-      codeItem.status = 'failed';
-      codeItem.error = error.message;
-      job.progress.failed++;
-      logger.error({ jobId: job.id, code: codeItem.code, error: error.message }, 'Code mapping failed');
+    const current = await tx.batchJob.findUnique({ where: { id: job.id } });
+    if (current.callbackUrl && current.progressEvery > 0
+      && current.completed % current.progressEvery === 0 && current.completed < current.total) {
+      await queueJobWebhook(tx, current, 'job.progress');
     }
+    return current;
+  }).catch((err) => {
+    if (err.message === LEASE_LOST) return null;
+    throw err;
+  });
+};
 
-    job.progress.completed++;
-    job.progress.percentage = Math.round((job.progress.completed / job.progress.total) * 100);
+/**
+ * Queue a callback for a job inside the transaction that changed it,
+ * so a crash can never lose a chunk
+ * Each webhook carries the results finished since the previous one:
+ * progress webhooks every progressEvery codes, the rest with job.completed
+ */
+const queueJobWebhook = async (tx, job, event) => {
+  const chunkSize = job.progressEvery > 0 ? job.progressEvery : job.total;
+  const from = Math.floor((job.completed - 1) / chunkSize) * chunkSize;
+
+  const items = await tx.batchJobItem.findMany({
+    where: { jobId: job.id, status: { not: 'pending' } },
+    orderBy: [{ processedAt: 'asc' }, { position: 'asc' }],
+    skip: from,
+    take: job.completed - from,
+  });
 
-    // Emit progress update
-    jobEvents.emit('jobProgress', {
+  await enqueueWebhook({
+    url: job.callbackUrl,
+    event,
+    jobId: job.id,
+    clientId: job.webhookClientId,
+    payload: {
+      event,
       jobId: job.id,
-      progress: job.progress,
+      status: job.status,
+      progress: toProgress(job),
+      ...(job.completedAt && { completedAt: toIso(job.completedAt) }),
+      chunk: { from, to: job.completed },
+      results: items.map(toItemResult),
+      resultsPath: `/api/v1/mapping/batch/${job.id}/results`,
+    },
+  }, tx);
+};
+
+/**
+ * Process a single job, resuming from its first pending code
+ */
+const processJob = async (job) => {
+  const prisma = getPrisma();
+  let leaseLost = false;
+
+  // Keep the lease alive while a slow mapping is in flight
+  const heartbeat = setInterval(async () => {
+    try {
+      if (!await renewLease(job.id)) leaseLost = true;
+    } catch (error) {
+      logger.warn({ jobId: job.id, error: error.message }, 'Lease renewal failed');
+    }
+  }, Math.max(1000, Math.floor(leaseMs / 3)));
+
+  const resumed = job.completed > 0;
+  jobEvents.emit('jobStarted', { jobId: job.id, resumed });
+  logger.info({ jobId: job.id, workerId, resumed, completed: job.completed }, 'Processing batch job');
+
+  try {
+    const items = await prisma.batchJobItem.findMany({
+      where: { jobId: job.id, status: 'pending' },
+      orderBy: { position: 'asc' },
     });
 
-    // Small delay between mappings to avoid rate limits
-    await new Promise(resolve => setTimeout(resolve, 500));
-  }
+    let current = job;
 
-  // Mark job as completed
-  job.status = job.progress.failed === job.progress.total ? JobStatus.FAILED : JobStatus.COMPLETED;
-  job.completedAt = new Date().toISOString();
+    for (const item of items) {
+      if (leaseLost) break;
 
-  logger.info({
-    jobId: job.id,
-    status: job.status,
-    progress: job.progress,
-  }, 'Batch job completed');
+      let outcome;
+      try {
+        outcome = { result: await mapJobItem(current, item) };
+      } catch (error) {
+        logger.error({ jobId: job.id, code: item.code, term: item.term, error: error.message }, 'Code mapping failed');
+        outcome = { error: error.message };
+      }
 
-  jobEvents.emit('jobCompleted', {
-    jobId: job.id,
-    status: job.status,
-    progress: job.progress,
-  });
+      const updated = await recordItemOutcome(current, item, outcome);
+      if (!updated) {
+        leaseLost = true;
+        break;
+      }
+      current = updated;
+      if (current.progressEvery > 0 && current.completed % current.progressEvery === 0) {
+        deliverPendingWebhooks();
+      }
 
-  // Send callback if configured
-  if (job.callbackUrl) {
-    sendCallback(job);
-  }
-};
+      jobEvents.emit('codeCompleted', {
+        jobId: job.id,
+        result: toItemResult({
+          ...item,
+          status: outcome.error ? 'failed' : 'completed',
+          ...outcome,
+        }),
+      });
 
-/**
- * Send webhook callback
- */
-const sendCallback = async (job) => {
-  try {
-    await fetch(job.callbackUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
+      // Emit progress update
+      jobEvents.emit('jobProgress', {
         jobId: job.id,
-        status: job.status,
-        progress: job.progress,
-        completedAt: job.completedAt,
-      }),
+        progress: toProgress(current),
+      });
+
+      // Small delay between mappings to avoid rate limits
+      await new Promise(resolve => setTimeout(resolve, codeDelayMs));
+    }
+
+    if (leaseLost) {
+      logger.info({ jobId: job.id, workerId }, 'Job cancelled or taken over by another worker');
+      return;
+    }
+
+    // Mark job as completed
+    const status = current.failed === current.total ? JobStatus.FAILED : JobStatus.COMPLETED;
+    const completedJob = await prisma.$transaction(async (tx) => {
+      const finished = await tx.batchJob.updateMany({
+        where: { id: job.id, workerId, status: JobStatus.PROCESSING },
+        data: { status, completedAt: new Date(), workerId: null, leaseExpiresAt: null },
+      });
+      if (finished.count === 0) return null;
+
+      const finishedJob = await tx.batchJob.findUnique({ where: { id: job.id } });
+      if (finishedJob.callbackUrl) {
+        await queueJobWebhook(tx, finishedJob, 'job.completed');
+      }
+      return finishedJob;
     });
-    logger.info({ jobId: job.id, url: job.callbackUrl }, 'Callback sent');
-  } catch (error) {
-    logger.error({ jobId: job.id, error: error.message }, 'Callback failed');
+    if (!completedJob) return;
+
+    const progress = toProgress(completedJob);
+
+    logger.info({
+      jobId: job.id,
+      status,
+      progress,
+    }, 'Batch job completed');
+
+    jobEvents.emit('jobCompleted', {
+      jobId: job.id,
+      status,
+      progress,
+    });
+
+    if (completedJob.callbackUrl) {
+      deliverPendingWebhooks();
+    }
+  } finally {
+    clearInterval(heartbeat);
   }
 };
 
 /**
  * Get job status
  */
-export const getJobStatus = (jobId) => {
-  const job = jobs.get(jobId);
+export const getJobStatus = async (jobId) => {
+  const prisma = getPrisma();
+  const job = await prisma.batchJob.findUnique({ where: { id: jobId } });
   if (!job) return null;
 
   return {
     id: job.id,
     status: job.status,
-    progress: job.progress,
-    createdAt: job.createdAt,
-    startedAt: job.startedAt,
-    completedAt: job.completedAt,
+    progress: toProgress(job),
+    createdAt: toIso(job.createdAt),
+    startedAt: toIso(job.startedAt),
+    completedAt: toIso(job.completedAt),
     error: job.error,
   };
 };
@@ -295,36 +508,53 @@ export const getJobStatus = (jobId) => {
 /**
  * Get job results
  */
-export const getJobResults = (jobId) => {
-  const job = jobs.get(jobId);
+export const getJobResults = async (jobId) => {
+  const prisma = getPrisma();
+  const job = await prisma.batchJob.findUnique({
+    where: { id: jobId },
+    include: { items: { orderBy: { position: 'asc' } } },
+  });
   if (!job) return null;
 
   return {
     id: job.id,
     status: job.status,
-    progress: job.progress,
-    results: job.codes.map(c => ({
-      code: c.code,
-      system: c.system,
-      status: c.status,
-      result: c.result,
-      error: c.error,
-    })),
-    createdAt: job.createdAt,
-    completedAt: job.completedAt,
+    progress: toProgress(job),
+    results: job.items.map(toItemResult),
+    createdAt: toIso(job.createdAt),
+    completedAt: toIso(job.completedAt),
   };
 };
 
+/**
+ * Get the codes of a job finished at or after a point in time
+ * Lets stream clients catch up on results produced by any instance
+ * @param {string} jobId - Job ID
+ * @param {Date} since - Lower bound on processedAt
+ * @returns {Promise<Array<Object>>} Item results with processedAt
+ */
+export const getProcessedItems = async (jobId, since = new Date(0)) => {
+  const prisma = getPrisma();
+  const items = await prisma.batchJobItem.findMany({
+    where: { jobId, status: { not: 'pending' }, processedAt: { gte: since } },
+    orderBy: { position: 'asc' },
+  });
+
+  return items.map(item => ({ ...toItemResult(item), processedAt: item.processedAt }));
+};
+
 /**
  * Cancel a job
+ * The worker running it notices on its next lease check and stops
  */
-export const cancelJob = (jobId) => {
-  const job = jobs.get(jobId);
-  if (!job) return false;
+export const cancelJob = async (jobId) => {
+  const prisma = getPrisma();
+  const { count } = await prisma.batchJob.updateMany({
+    where: { id: jobId, status: { in: [JobStatus.PENDING, JobStatus.PROCESSING] } },
+    data: { status: JobStatus.CANCELLED, completedAt: new Date(), workerId: null, leaseExpiresAt: null },
+  });
 
-  if (job.status === JobStatus.PENDING || job.status === JobStatus.PROCESSING) {
-    job.status = JobStatus.CANCELLED;
-    job.completedAt = new Date().toISOString();
+  if (count > 0) {
     logger.info({ jobId }, 'Job cancelled');
     return true;
   }
@@ -335,70 +565,105 @@ export const cancelJob = (jobId) => {
 /**
  * List all jobs
  */
-export const listJobs = (options = {}) => {
+export const listJobs = async (options = {}) => {
   const { status, userId, limit = 20, offset = 0 } = options;
+  const prisma = getPrisma();
 
-  let jobList = Array.from(jobs.values());
-
-  if (status) {
-    jobList = jobList.filter(j => j.status === status);
-  }
-
-  if (userId) {
-    jobList = jobList.filter(j => j.userId === userId);
-  }
+  const where = {
+    ...(status && { status }),
+    ...(userId && { userId }),
+  };
 
-  // Sort by creation time (newest first)
-  jobList.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  const [jobList, total] = await Promise.all([
+    prisma.batchJob.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+      skip: offset,
+    }),
+    prisma.batchJob.count({ where }),
+  ]);
 
   return {
-    jobs: jobList.slice(offset, offset + limit).map(j => ({
+    jobs: jobList.map(j => ({
       id: j.id,
       status: j.status,
-      progress: j.progress,
-      createdAt: j.createdAt,
-      completedAt: j.completedAt,
+      progress: toProgress(j),
+      createdAt: toIso(j.createdAt),
+      completedAt: toIso(j.completedAt),
     })),
-    total: jobList.length,
+    total,
     limit,
     offset,
   };
 };
 
 /**
- * Clean up old completed jobs
+ * Delete finished jobs (and their results) past the retention period
  */
-export const cleanupOldJobs = (maxAgeMs = 86400000) => { // 24 hours
-  const cutoff = Date.now() - maxAgeMs;
-  let cleaned = 0;
-
-  for (const [jobId, job] of jobs.entries()) {
-    if (job.completedAt && new Date(job.completedAt).getTime() < cutoff) {
-      jobs.delete(jobId);
-      cleaned++;
-    }
-  }
+export const cleanupOldJobs = async (maxAgeMs = retentionHours * 3600000) => {
+  const prisma = getPrisma();
+  const cutoff = new Date(Date.now() - maxAgeMs);
+
+  const { count: cleaned } = await prisma.batchJob.deleteMany({
+    where: {
+      status: { in: FINISHED_JOB_STATUSES },
+      completedAt: { lt: cutoff },
+    },
+  });
 
   logger.info({ cleaned }, 'Old jobs cleaned up');
   return cleaned;
 };
 
-// Clean up old jobs every hour
-setInterval(() => cleanupOldJobs(), 3600000);
+/**
+ * Start polling the shared queue and the hourly retention cleanup
+ * Jobs left behind by a crashed instance are reclaimed once their lease expires
+ */
+export const startBatchWorker = () => {
+  if (pollTimer) return;
+
+  pollTimer = setInterval(() => processQueue(), pollIntervalMs);
+  cleanupTimer = setInterval(() => {
+    cleanupOldJobs().catch((error) => {
+      logger.error({ error: error.message }, 'Job cleanup failed');
+    });
+  }, 3600000);
+
+  logger.info({ workerId, maxConcurrent, retentionHours }, 'Batch worker started');
+  processQueue();
+};
+
+/**
+ * Stop claiming new jobs
+ * Running jobs keep their lease until it expires and are then resumed elsewhere
+ */
+export const stopBatchWorker = () => {
+  clearInterval(pollTimer);
+  clearInterval(cleanupTimer);
+  pollTimer = null;
+  cleanupTimer = null;
+};
 
 /**
  * Get queue statistics
  */
-export const getQueueStats = () => ({
-  queueLength: jobQueue.length,
-  activeJobs,
-  maxConcurrent,
-  totalJobs: jobs.size,
-  byStatus: {
-    pending: Array.from(jobs.values()).filter(j => j.status === JobStatus.PENDING).length,
-    processing: Array.from(jobs.values()).filter(j => j.status === JobStatus.PROCESSING).length,
-    completed: Array.from(jobs.values()).filter(j => j.status === JobStatus.COMPLETED).length,
-    failed: Array.from(jobs.values()).filter(j => j.status === JobStatus.FAILED).length,
-    cancelled: Array.from(jobs.values()).filter(j => j.status === JobStatus.CANCELLED).length,
-  },
-});
+export const getQueueStats = async () => {
+  const prisma = getPrisma();
+  const groups = await prisma.batchJob.groupBy({
+    by: ['status'],
+    _count: { id: true },
+  });
+
+  const byStatus = Object.fromEntries(Object.values(JobStatus).map(status => [status, 0]));
+  groups.forEach(g => { byStatus[g.status] = g._count.id; });
+
+  return {
+    queueLength: byStatus.pending,
+    activeJobs: activeJobs.size,
+    maxConcurrent,
+    workerId,
+    totalJobs: Object.values(byStatus).reduce((sum, n) => sum + n, 0),
+    byStatus,
+  };
+};
@@ -0,0 +1,231 @@
+/**
+ * Batch Upload Service
+ *
+ * Reads CSV/XLSX spreadsheets of legacy diagnoses into batch job codes and
+ * writes job results back out with the NAMASTE and TM2 columns appended
+ */
+
+import * as XLSX from 'xlsx';
+import { getPrisma } from '../db/client.js';
+import { resolveNamasteSystem } from './terminology.js';
+
+const UPLOAD_FORMATS = ['csv', 'xlsx', 'xls'];
+
+// Header names recognised when no column is chosen explicitly (compared normalized)
+const COLUMN_ALIASES = {
+  code: ['code', 'namaste code', 'namc code', 'diagnosis code', 'disease code'],
+  system: ['system', 'namaste system', 'medicine system', 'tradition'],
+  term: ['term', 'diagnosis', 'disease', 'description', 'name', 'display', 'namc term', 'free text', 'text'],
+};
+
+// Appended to every downloaded row
+const RESULT_COLUMNS = [
+  'NAMASTE Code',
+  'NAMASTE Display',
+  'Mapping Status',
+  'TM2 Code',
+  'TM2 Title',
+  'Equivalence',
+  'Confidence',
+  'Error',
+];
+
+// NAMASTE codes are stored as VARCHAR(20)
+const MAX_CODE_LENGTH = 20;
+
+const normalizeHeader = (header) => String(header ?? '')
+  .toLowerCase()
+  .replace(/[_\-.]+/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Get the upload format from a file name
+ * @returns {string|null} csv, xlsx or xls
+ */
+export const getUploadFormat = (fileName) => {
+  const extension = fileName?.split('.').pop()?.toLowerCase();
+  return UPLOAD_FORMATS.includes(extension) ? extension : null;
+};
+
+/**
+ * Parse an uploaded spreadsheet
+ * Cells are read as displayed text; every row is padded to the header width
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - csv, xlsx or xls
+ * @param {string} [sheetName] - Worksheet (defaults to the first)
+ * @param {Object} [options]
+ * @param {number} [options.maxRows] - Most data rows accepted
+ * @returns {{ sheet, sheets, headers, rows } | { error: string, status: number }}
+ */
+export const parseSpreadsheet = (buffer, format, sheetName, { maxRows = Infinity } = {}) => {
+  // raw keeps CSV cells such as "0012" as text instead of numbers; sheetRows
+  // stops reading one data row past the limit, which is enough to reject it
+  const workbook = XLSX.read(buffer, {
+    type: 'buffer',
+    raw: format === 'csv',
+    cellDates: true,
+    ...(Number.isFinite(maxRows) && { sheetRows: maxRows + 2 }),
+  });
+  const sheet = sheetName || workbook.SheetNames[0];
+  const worksheet = workbook.Sheets[sheet];
+
+  if (!worksheet) {
+    return { error: `Sheet '${sheetName}' not found; available: ${workbook.SheetNames.join(', ')}`, status: 400 };
+  }
+
+  const [headerRow = [], ...dataRows] = XLSX.utils.sheet_to_json(worksheet, {
+    header: 1,
+    raw: false,
+    defval: '',
+    blankrows: true,
+  });
+
+  if (dataRows.length > maxRows) {
+    // Truncated workbooks keep their real range in !fullref; CSV does not
+    const fullRange = worksheet['!fullref'] && XLSX.utils.decode_range(worksheet['!fullref']);
+    const rowCount = fullRange ? `${fullRange.e.r - fullRange.s.r} rows` : `more than ${maxRows} rows`;
+    return { error: `Sheet has ${rowCount}; the limit is ${maxRows}`, status: 413 };
+  }
+
+  // A loop, not Math.max(...rows): spreading a large sheet overflows the stack
+  const width = dataRows.reduce((max, row) => Math.max(max, row.length), headerRow.length);
+  const headers = Array.from({ length: width }, (_, i) => String(headerRow[i] ?? '').trim() || XLSX.utils.encode_col(i));
+  const rows = dataRows.map(row => headers.map((_, i) => String(row[i] ?? '').trim()));
+
+  return { sheet, sheets: workbook.SheetNames, headers, rows };
+};
+
+/**
+ * Work out which columns hold the code, system and term
+ * A column can be chosen by header name or spreadsheet letter (A, B, ...);
+ * fields left unset are matched against common header names
+ * @param {string[]} headers - Header row
+ * @param {Object} columns - { code?, system?, term? }
+ * @returns {{ mapping: Object, errors: string[] }} mapping holds column indexes
+ */
+export const resolveColumnMapping = (headers, columns = {}) => {
+  const mapping = {};
+  const errors = [];
+
+  for (const field of Object.keys(COLUMN_ALIASES)) {
+    const ref = columns[field];
+
+    if (ref) {
+      let index = headers.findIndex(h => normalizeHeader(h) === normalizeHeader(ref));
+      if (index < 0 && /^[A-Z]{1,3}$/.test(ref)) {
+        const letterIndex = XLSX.utils.decode_col(ref);
+        if (letterIndex < headers.length) index = letterIndex;
+      }
+
+      if (index < 0) {
+        errors.push(`Column '${ref}' for ${field} not found`);
+      } else {
+        mapping[field] = index;
+      }
+      continue;
+    }
+
+    const detected = headers.findIndex(h => COLUMN_ALIASES[field].includes(normalizeHeader(h)));
+    if (detected >= 0) mapping[field] = detected;
+  }
+
+  if (errors.length === 0 && mapping.code === undefined && mapping.term === undefined) {
+    errors.push('No code or term column found; choose one with codeColumn or termColumn');
+  }
+
+  return { mapping, errors };
+};
+
+/**
+ * Describe a column mapping by header name
+ */
+export const describeColumnMapping = (headers, mapping) => Object.fromEntries(
+  Object.entries(mapping).map(([field, index]) => [field, headers[index]])
+);
+
+/**
+ * Turn spreadsheet rows into batch job codes
+ * Blank rows are ignored; rows without a code or term, with an over-long code
+ * or with an unknown system are skipped and reported by spreadsheet row number
+ * @param {Array<string[]>} rows - Data rows
+ * @param {Object} mapping - Column indexes from resolveColumnMapping
+ * @param {string} defaultSystem - System for rows without one
+ * @returns {{ codes: Array, skipped: Array<{ row: number, reason: string }> }}
+ */
+export const buildUploadCodes = (rows, mapping, defaultSystem) => {
+  const codes = [];
+  const skipped = [];
+  const cell = (row, field) => (mapping[field] === undefined ? '' : row[mapping[field]]);
+
+  rows.forEach((row, i) => {
+    if (row.every(value => value === '')) return;
+
+    const rowNumber = i + 2; // 1-based, after the header row
+    const code = cell(row, 'code');
+    const term = cell(row, 'term');
+    const systemValue = cell(row, 'system') || defaultSystem;
+    const system = resolveNamasteSystem(systemValue);
+
+    if (!code && !term) {
+      skipped.push({ row: rowNumber, reason: 'No code or term' });
+    } else if (code.length > MAX_CODE_LENGTH) {
+      skipped.push({ row: rowNumber, reason: `Code '${code}' is longer than ${MAX_CODE_LENGTH} characters` });
+    } else if (!system) {
+      skipped.push({ row: rowNumber, reason: `Unknown system '${systemValue}'` });
+    } else {
+      codes.push({ code: code || undefined, term: term || undefined, system: system.toLowerCase(), row });
+    }
+  });
+
+  return { codes, skipped };
+};
+
+/**
+ * Build the results file of a job: the uploaded columns (or code, system and
+ * term for JSON jobs) followed by the NAMASTE and TM2 result columns
+ * @param {string} jobId - Job ID
+ * @param {string} format - csv or xlsx
+ * @returns {Promise<{ body: Buffer|string, fileName: string, contentType: string } | null>}
+ */
+export const exportJobResults = async (jobId, format) => {
+  const prisma = getPrisma();
+  const job = await prisma.batchJob.findUnique({
+    where: { id: jobId },
+    include: { items: { orderBy: { position: 'asc' } } },
+  });
+  if (!job) return null;
+
+  const inputHeaders = job.source?.headers ?? ['Code', 'System', 'Term'];
+  const rows = job.items.map(item => [
+    ...(item.row ?? [item.code ?? '', item.system.toLowerCase(), item.term ?? '']),
+    item.result?.namasteCode ?? '',
+    item.result?.namasteDisplay ?? '',
+    item.status,
+    item.result?.tm2Code ?? '',
+    item.result?.tm2Title ?? '',
+    item.result?.equivalence ?? '',
+    item.result?.confidence ?? '',
+    item.error ?? '',
+  ]);
+
+  const sheet = XLSX.utils.aoa_to_sheet([[...inputHeaders, ...RESULT_COLUMNS], ...rows]);
+  const baseName = (job.source?.fileName ?? job.id).replace(/\.[^.]+$/, '');
+
+  if (format === 'csv') {
+    return {
+      body: XLSX.utils.sheet_to_csv(sheet),
+      fileName: `${baseName}-tm2.csv`,
+      contentType: 'text/csv; charset=utf-8',
+    };
+  }
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, 'TM2 Mapping');
+
+  return {
+    body: XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }),
+    fileName: `${baseName}-tm2.xlsx`,
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  };
+};
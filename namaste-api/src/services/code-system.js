@@ -0,0 +1,495 @@
+/**
+ * CodeSystem Service
+ *
+ * Builds FHIR R4 CodeSystem resources for NAMASTE and ICD-11 TM2,
+ * including concepts, designations and declared properties
+ */
+
+import { getPrisma } from '../db/client.js';
+import { config } from '../config/index.js';
+import { caches } from '../middleware/cache.js';
+import {
+  NAMASTE_SYSTEMS,
+  getNamasteSystemUri,
+  getLanguageCode,
+  resolveNamasteSystem,
+  isTm2System,
+} from './terminology.js';
+
+const SUBSETTED_TAG = {
+  system: 'http://terminology.hl7.org/CodeSystem/v3-ObservationValue',
+  code: 'SUBSETTED',
+};
+
+// TM2 codes are four characters in the SK00-ST2Z range (e.g. SR11, SP9Y)
+const TM2_CODE_PATTERN = /^S[K-T]\d[0-9A-Z]$/;
+
+/**
+ * Treat '-' and empty strings from the source spreadsheets as missing
+ */
+const clean = (value) => {
+  const text = typeof value === 'string' ? value.trim() : value;
+  return text && text !== '-' ? text : null;
+};
+
+// ============================================================================
+// NAMASTE Hierarchy
+// ============================================================================
+
+/**
+ * Extract the NAMASTE part of a stored code
+ * Stored Ayurveda codes often carry the TM2 code too: 'SR11 (AAA-1)', 'AAB-3 (SP9Y)'
+ * @param {string} code - Stored code
+ * @returns {string} NAMASTE code without the TM2 annotation
+ */
+export const getNamasteCoreCode = (code) => {
+  const tokens = code.split(/[\s()]+/).filter(Boolean);
+  return tokens.find(token => !TM2_CODE_PATTERN.test(token)) || tokens[0] || code;
+};
+
+/**
+ * Strip the last hierarchy segment from a NAMASTE core code
+ * AAA-2.1 → AAA-2, AAB-31 → AAB, AEA1.1 → AEA1, AEA1 → AEA, AAB → AA
+ */
+const stripLastSegment = (code) => {
+  if (/[.-]\d+$/.test(code)) return code.replace(/[.-]\d+$/, '');
+  if (/\d+$/.test(code)) return code.replace(/\d+$/, '');
+  if (code.length > 1) return code.slice(0, -1);
+  return null;
+};
+
+/**
+ * Get the parent of a NAMASTE code from its prefix
+ * Walks up until an existing code is found, so AAA1.1 falls back to AAA
+ * when AAA1 does not exist
+ * @param {string} code - Stored code
+ * @param {Map} index - Core code → stored code index for the system
+ * @returns {string|null} Stored parent code
+ */
+export const getNamasteParentCode = (code, index) => {
+  const core = getNamasteCoreCode(code);
+
+  // Letter-only codes (AAB) only nest under their immediate prefix (AA);
+  // roots such as AYU and DIS have none
+  if (/^[A-Z]+$/.test(core)) {
+    const prefix = core.slice(0, -1);
+    return prefix && index.has(prefix) ? index.get(prefix) : null;
+  }
+
+  let candidate = stripLastSegment(core);
+  while (candidate) {
+    if (index.has(candidate)) return index.get(candidate);
+    candidate = stripLastSegment(candidate);
+  }
+  return null;
+};
+
+/**
+ * Get (cached) core code → stored code index for a NAMASTE system
+ * @param {string} system - System enum (AYURVEDA, SIDDHA, UNANI)
+ * @returns {Promise<Map>} Index
+ */
+export const getNamasteHierarchyIndex = async (system) => {
+  const key = `hierarchy:${system}`;
+  const cached = caches.fhir.get(key);
+  if (cached) return cached;
+
+  const prisma = getPrisma();
+  const rows = await prisma.namasteCode.findMany({
+    where: { system },
+    select: { code: true },
+    orderBy: { code: 'asc' },
+  });
+
+  const index = new Map();
+  for (const { code } of rows) {
+    const core = getNamasteCoreCode(code);
+    if (!index.has(core)) index.set(core, code);
+  }
+
+  caches.fhir.set(key, index);
+  return index;
+};
+
+// ============================================================================
+// TM2 Hierarchy
+// ============================================================================
+
+/**
+ * Get (cached) TM2 code → parent code index
+ * parentCode holds the WHO entity id for codes fetched from the API, so
+ * unresolved parents fall back to the dotted code structure (SK00.1 → SK00)
+ * @returns {Promise<Map>} Index of codes with a resolvable parent (null for roots)
+ */
+export const getTm2HierarchyIndex = async () => {
+  const key = 'hierarchy:TM2';
+  const cached = caches.fhir.get(key);
+  if (cached) return cached;
+
+  const prisma = getPrisma();
+  const rows = await prisma.tm2Code.findMany({
+    select: { code: true, parentCode: true },
+  });
+
+  const codes = new Set(rows.map(row => row.code));
+  const index = new Map();
+
+  for (const { code, parentCode } of rows) {
+    const dotted = code.includes('.') ? code.replace(/\.[^.]*$/, '') : null;
+    const parent = codes.has(parentCode) ? parentCode
+      : codes.has(dotted) ? dotted
+      : null;
+    index.set(code, parent);
+  }
+
+  caches.fhir.set(key, index);
+  return index;
+};
+
+// ============================================================================
+// Resource Builders
+// ============================================================================
+
+/**
+ * Create NAMASTE concept definition
+ * @param {Object} code - NamasteCode row
+ * @param {Map} index - Hierarchy index for parent resolution
+ */
+export const createNamasteConcept = (code, index) => {
+  const language = getLanguageCode(code.system);
+  const metadata = code.metadata || {};
+  const display = code.englishName || code.term;
+  const diacritical = clean(metadata.termDiacritical);
+  const parent = index ? getNamasteParentCode(code.code, index) : null;
+
+  const designation = [
+    clean(code.nativeScript) && { language, value: code.nativeScript },
+    diacritical && { language: `${language}-Latn`, value: diacritical },
+    !diacritical && code.term !== display && { language: `${language}-Latn`, value: code.term },
+    clean(code.englishName) && { language: 'en', value: code.englishName },
+  ].filter(Boolean);
+
+  const property = [
+    parent && { code: 'parent', valueCode: parent },
+    clean(metadata.reference) && { code: 'reference', valueString: metadata.reference },
+    clean(metadata.ontologyBranches) && { code: 'ontology-branch', valueString: metadata.ontologyBranches },
+    clean(metadata.primaryIndexRelated) && { code: 'index-type', valueString: metadata.primaryIndexRelated },
+  ].filter(Boolean);
+
+  return {
+    code: code.code,
+    display,
+    definition: clean(code.shortDefinition) || clean(code.longDefinition) || undefined,
+    designation: designation.length > 0 ? designation : undefined,
+    property: property.length > 0 ? property : undefined,
+  };
+};
+
+/**
+ * Create TM2 concept definition
+ * @param {Object} code - Tm2Code row
+ * @param {Set} knownCodes - TM2 codes, used to drop unresolved parent entity ids
+ */
+export const createTm2Concept = (code, knownCodes) => {
+  const property = [
+    code.parentCode && knownCodes?.has(code.parentCode) && { code: 'parent', valueCode: code.parentCode },
+    code.category && { code: 'category', valueString: code.category },
+  ].filter(Boolean);
+
+  const designation = (code.synonyms || []).map(synonym => ({
+    language: 'en',
+    use: { system: 'http://snomed.info/sct', code: '900000000000013009', display: 'Synonym' },
+    value: synonym,
+  }));
+
+  return {
+    code: code.code,
+    display: code.title,
+    definition: code.definition || undefined,
+    designation: designation.length > 0 ? designation : undefined,
+    property: property.length > 0 ? property : undefined,
+  };
+};
+
+export const createNamasteCodeSystem = (system) => ({
+  resourceType: 'CodeSystem',
+  id: `namaste-${system}`,
+  url: getNamasteSystemUri(system),
+  version: '1.0.0',
+  name: `NAMASTE_${system.toUpperCase()}`,
+  title: `National ${system.charAt(0).toUpperCase() + system.slice(1)} Morbidity Codes`,
+  status: 'active',
+  experimental: false,
+  date: new Date().toISOString(),
+  publisher: 'Ministry of AYUSH, Government of India',
+  description: `National ${system.charAt(0).toUpperCase() + system.slice(1)} Morbidity and Standardized Terminologies`,
+  hierarchyMeaning: 'is-a',
+  content: 'complete',
+  property: [
+    { code: 'parent', uri: 'http://hl7.org/fhir/concept-properties#parent', type: 'code', description: 'Parent concept, implied by the code prefix' },
+    { code: 'reference', type: 'string', description: 'Classical text reference' },
+    { code: 'ontology-branch', type: 'string', description: 'Ontology branch the concept belongs to' },
+    { code: 'index-type', type: 'string', description: 'Primary or related index term' },
+  ],
+});
+
+export const createTm2CodeSystem = () => ({
+  resourceType: 'CodeSystem',
+  id: 'icd11-tm2',
+  url: config.fhir.icd11.tm2System,
+  version: '2024-01',
+  name: 'ICD11_TM2',
+  title: 'ICD-11 Traditional Medicine Module 2',
+  status: 'active',
+  experimental: false,
+  date: new Date().toISOString(),
+  publisher: 'World Health Organization',
+  description: 'WHO ICD-11 Supplementary Chapter Traditional Medicine Conditions (Module II)',
+  hierarchyMeaning: 'is-a',
+  content: 'complete',
+  property: [
+    { code: 'parent', uri: 'http://hl7.org/fhir/concept-properties#parent', type: 'code', description: 'Parent concept' },
+    { code: 'category', type: 'string', description: 'TM2 disorder category' },
+  ],
+});
+
+// ============================================================================
+// Queries
+// ============================================================================
+
+/**
+ * Resolve a CodeSystem id to its source
+ * @param {string} id - CodeSystem id (namaste-ayurveda, icd11-tm2, ...)
+ * @returns {{ type: 'namaste'|'tm2', system?: string }|null}
+ */
+export const parseCodeSystemId = (id) => {
+  if (id === 'icd11-tm2') return { type: 'tm2' };
+  const system = NAMASTE_SYSTEMS.find(s => `namaste-${s}` === id);
+  return system ? { type: 'namaste', system } : null;
+};
+
+/**
+ * Read a CodeSystem with its concepts
+ * @param {string} id - CodeSystem id
+ * @param {Object} options - { summary, count, offset }
+ * @returns {Promise<{ resource: Object, total: number }|null>}
+ */
+export const getCodeSystem = async (id, options = {}) => {
+  const source = parseCodeSystemId(id);
+  if (!source) return null;
+
+  const { summary = false, count, offset = 0 } = options;
+  const prisma = getPrisma();
+  const paged = count !== undefined;
+
+  const resource = source.type === 'tm2'
+    ? createTm2CodeSystem()
+    : createNamasteCodeSystem(source.system);
+
+  if (source.type === 'tm2') {
+    const [total, codes] = await Promise.all([
+      prisma.tm2Code.count(),
+      summary ? [] : prisma.tm2Code.findMany({
+        orderBy: { code: 'asc' },
+        ...(paged && { take: count, skip: offset }),
+      }),
+    ]);
+
+    const knownCodes = paged
+      ? new Set((await prisma.tm2Code.findMany({ select: { code: true } })).map(c => c.code))
+      : new Set(codes.map(c => c.code));
+
+    resource.count = total;
+    if (!summary) resource.concept = codes.map(code => createTm2Concept(code, knownCodes));
+    if (summary || paged) resource.meta = { tag: [SUBSETTED_TAG] };
+
+    return { resource, total };
+  }
+
+  const systemEnum = source.system.toUpperCase();
+  const [total, codes] = await Promise.all([
+    prisma.namasteCode.count({ where: { system: systemEnum } }),
+    summary ? [] : prisma.namasteCode.findMany({
+      where: { system: systemEnum },
+      orderBy: { code: 'asc' },
+      ...(paged && { take: count, skip: offset }),
+    }),
+  ]);
+
+  const index = codes.length > 0 ? await getNamasteHierarchyIndex(systemEnum) : null;
+
+  resource.count = total;
+  if (!summary) resource.concept = codes.map(code => createNamasteConcept(code, index));
+  if (summary || paged) resource.meta = { tag: [SUBSETTED_TAG] };
+
+  return { resource, total };
+};
+
+/**
+ * List all CodeSystems (summary form, with concept counts)
+ * @returns {Promise<Array>} CodeSystem resources
+ */
+export const listCodeSystems = async () => {
+  const ids = [...NAMASTE_SYSTEMS.map(s => `namaste-${s}`), 'icd11-tm2'];
+  const results = await Promise.all(ids.map(id => getCodeSystem(id, { summary: true })));
+  return results.map(r => r.resource);
+};
+
+// ============================================================================
+// Code Validation
+// ============================================================================
+
+/**
+ * Normalise display text for comparison
+ */
+const normalizeDisplay = (text) => text.normalize('NFC').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Find a concept row by system URI and code
+ * @param {string} system - Code system URI (or bare name)
+ * @param {string} code - Code value
+ * @returns {Promise<{ type: 'namaste'|'tm2'|null, row: Object|null }>}
+ */
+export const findConcept = async (system, code) => {
+  const prisma = getPrisma();
+  const systemEnum = resolveNamasteSystem(system);
+
+  if (systemEnum) {
+    const row = await prisma.namasteCode.findFirst({ where: { code, system: systemEnum } });
+    return { type: 'namaste', row };
+  }
+
+  if (isTm2System(system)) {
+    const row = await prisma.tm2Code.findFirst({ where: { code } });
+    return { type: 'tm2', row };
+  }
+
+  return { type: null, row: null };
+};
+
+/**
+ * All display texts accepted for a concept (preferred display first)
+ */
+const getValidDisplays = (type, row) => (type === 'tm2'
+  ? [row.title, ...(row.synonyms || [])]
+  : [
+    row.englishName || row.term,
+    row.term,
+    row.englishName,
+    row.nativeScript,
+    row.termNormalized,
+    row.metadata?.termDiacritical,
+  ]
+).filter(value => clean(value));
+
+/**
+ * Validate a code (and optionally its display) against a code system
+ * A wrong display fails validation unless lenient is set, in which case
+ * the result stays true and the message carries a warning
+ * @param {Object} input - { system, code, version, display, lenient }
+ * @returns {Promise<{ result: boolean, display?: string, message?: string }>}
+ */
+export const validateCode = async ({ system, code, version, display, lenient = false }) => {
+  const { type, row } = await findConcept(system, code);
+
+  if (!type) {
+    return { result: false, message: `Unknown code system ${system}` };
+  }
+
+  const codeSystem = type === 'tm2'
+    ? createTm2CodeSystem()
+    : createNamasteCodeSystem(row?.system?.toLowerCase() || resolveNamasteSystem(system).toLowerCase());
+
+  if (version && version !== codeSystem.version) {
+    return {
+      result: false,
+      message: `Version ${version} of ${codeSystem.url} is not available (current: ${codeSystem.version})`,
+    };
+  }
+
+  if (!row) {
+    return { result: false, message: `Unknown code '${code}' in code system ${codeSystem.url}` };
+  }
+
+  const displays = getValidDisplays(type, row);
+  const preferred = displays[0];
+
+  if (display && !displays.some(valid => normalizeDisplay(valid) === normalizeDisplay(display))) {
+    const message = `Display '${display}' is not valid for code '${code}' in ${codeSystem.url}; expected '${preferred}'`;
+    return {
+      result: lenient,
+      display: preferred,
+      message: lenient ? `Warning: ${message}` : message,
+    };
+  }
+
+  return { result: true, display: preferred };
+};
+
+// ============================================================================
+// Subsumption
+// ============================================================================
+
+/**
+ * Collect the ancestors of a code, nearest first
+ * @param {string} code - Starting code
+ * @param {Function} getParent - code → parent code or null
+ * @returns {string[]} Ancestor codes
+ */
+const getAncestors = (code, getParent) => {
+  const ancestors = [];
+  const seen = new Set([code]);
+  let parent = getParent(code);
+
+  while (parent && !seen.has(parent)) {
+    ancestors.push(parent);
+    seen.add(parent);
+    parent = getParent(parent);
+  }
+
+  return ancestors;
+};
+
+/**
+ * Test the subsumption relationship between two codes of one code system
+ * @param {Object} input - { system, codeA, codeB }
+ * @returns {Promise<{ outcome?: string, error?: { status: number, code: string, message: string } }>}
+ *   outcome is one of equivalent, subsumes, subsumed-by, not-subsumed
+ */
+export const subsumes = async ({ system, codeA, codeB }) => {
+  const [a, b] = await Promise.all([findConcept(system, codeA), findConcept(system, codeB)]);
+
+  if (!a.type) {
+    return { error: { status: 400, code: 'not-supported', message: `Unknown code system ${system}` } };
+  }
+
+  const missing = [[codeA, a.row], [codeB, b.row]].find(([, row]) => !row);
+  if (missing) {
+    return { error: { status: 404, code: 'not-found', message: `Unknown code '${missing[0]}' in code system ${system}` } };
+  }
+
+  let key;
+  let getParent;
+
+  if (a.type === 'tm2') {
+    const index = await getTm2HierarchyIndex();
+    key = (code) => code;
+    getParent = (code) => index.get(code) || null;
+  } else {
+    const index = await getNamasteHierarchyIndex(a.row.system);
+    // Compare on the NAMASTE core code so 'SR11 (AAA-1)' and 'AAA-1' variants are equivalent
+    key = getNamasteCoreCode;
+    getParent = (code) => {
+      const parent = getNamasteParentCode(code, index);
+      return parent ? getNamasteCoreCode(parent) : null;
+    };
+  }
+
+  const keyA = key(a.row.code);
+  const keyB = key(b.row.code);
+
+  if (keyA === keyB) return { outcome: 'equivalent' };
+  if (getAncestors(keyB, getParent).includes(keyA)) return { outcome: 'subsumes' };
+  if (getAncestors(keyA, getParent).includes(keyB)) return { outcome: 'subsumed-by' };
+  return { outcome: 'not-subsumed' };
+};
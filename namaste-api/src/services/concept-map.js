@@ -0,0 +1,320 @@
+/**
+ * ConceptMap Service
+ *
+ * Builds FHIR R4 ConceptMap resources from the Mapping table
+ * One ConceptMap per NAMASTE system, targeting ICD-11 TM2
+ */
+
+import { getPrisma } from '../db/client.js';
+import { config } from '../config/index.js';
+import {
+  NAMASTE_SYSTEMS,
+  getNamasteSystemUri,
+  resolveNamasteSystem,
+  isTm2System,
+  toFhirEquivalence,
+  invertEquivalence,
+  composeEquivalence,
+  createMappingExtensions,
+} from './terminology.js';
+
+// Mappings usable as a leg of a pivot translation
+const PIVOT_MAPPING_FILTER = {
+  validationStatus: { not: 'REJECTED' },
+  equivalence: { notIn: ['UNMATCHED', 'DISJOINT'] },
+};
+
+/**
+ * Get ConceptMap id for a NAMASTE system
+ * @param {string} system - System name (ayurveda, siddha, unani)
+ */
+export const getConceptMapId = (system) => `namaste-${system.toLowerCase()}-to-icd11-tm2`;
+
+/**
+ * Resolve a ConceptMap id back to its NAMASTE system
+ * @param {string} id - ConceptMap id
+ * @returns {string|null} System name
+ */
+export const getSystemFromConceptMapId = (id) =>
+  NAMASTE_SYSTEMS.find(system => getConceptMapId(system) === id) || null;
+
+/**
+ * Fetch mappings for a NAMASTE system (rejected mappings are never published)
+ */
+const findSystemMappings = async (system) => {
+  const prisma = getPrisma();
+
+  return prisma.mapping.findMany({
+    where: {
+      namasteCode: { system: system.toUpperCase() },
+      validationStatus: { not: 'REJECTED' },
+    },
+    include: {
+      namasteCode: { select: { code: true, term: true, englishName: true } },
+      tm2Code: { select: { code: true, title: true } },
+    },
+    orderBy: [
+      { namasteCode: { code: 'asc' } },
+      { confidence: 'desc' },
+    ],
+  });
+};
+
+/**
+ * Fetch the NAMASTE mappings that target a TM2 code (reverse translation)
+ * @param {string} tm2Code - TM2 code
+ * @param {string[]} [systems] - NAMASTE system enums to restrict to
+ * @returns {Promise<Array>} Mapping rows with namasteCode, highest confidence first
+ */
+export const findTm2SourceMappings = async (tm2Code, systems) => {
+  const prisma = getPrisma();
+
+  return prisma.mapping.findMany({
+    where: {
+      tm2Code: { code: tm2Code },
+      validationStatus: { not: 'REJECTED' },
+      ...(systems && { namasteCode: { system: { in: systems } } }),
+    },
+    include: {
+      namasteCode: { select: { code: true, system: true, term: true, englishName: true } },
+    },
+    orderBy: [
+      { confidence: 'desc' },
+      { namasteCode: { code: 'asc' } },
+    ],
+  });
+};
+
+/**
+ * Translate a NAMASTE code into the other NAMASTE systems using TM2 as pivot
+ * Each candidate composes the equivalences of both legs (source → TM2 → target)
+ * and multiplies their confidences; candidates reached through several TM2
+ * codes keep the strongest pivot first
+ * @param {Object} input - { system, code, targetSystems }
+ * @returns {Promise<{ source: Object, candidates: Array }|null>} null when the source code is unknown
+ */
+export const translateViaTm2 = async ({ system, code, targetSystems = NAMASTE_SYSTEMS }) => {
+  const prisma = getPrisma();
+  const sourceSystem = system.toUpperCase();
+  const targets = targetSystems
+    .map(target => target.toUpperCase())
+    .filter(target => target !== sourceSystem);
+
+  const source = await prisma.namasteCode.findFirst({
+    where: { code, system: sourceSystem },
+    include: {
+      mappings: {
+        where: PIVOT_MAPPING_FILTER,
+        include: { tm2Code: { select: { code: true, title: true } } },
+      },
+    },
+  });
+
+  if (!source) return null;
+
+  const sourceSummary = {
+    code: source.code,
+    system: source.system,
+    term: source.term,
+    englishName: source.englishName,
+  };
+
+  if (source.mappings.length === 0 || targets.length === 0) {
+    return { source: sourceSummary, candidates: [] };
+  }
+
+  const targetMappings = await prisma.mapping.findMany({
+    where: {
+      ...PIVOT_MAPPING_FILTER,
+      tm2CodeId: { in: source.mappings.map(m => m.tm2CodeId) },
+      namasteCode: { system: { in: targets } },
+    },
+    include: {
+      namasteCode: { select: { code: true, system: true, term: true, englishName: true } },
+    },
+  });
+
+  const firstLegs = new Map(source.mappings.map(m => [m.tm2CodeId, m]));
+  const candidates = new Map();
+
+  for (const second of targetMappings) {
+    const first = firstLegs.get(second.tm2CodeId);
+    const targetEquivalence = invertEquivalence(second.equivalence);
+    const pivot = {
+      tm2Code: first.tm2Code.code,
+      tm2Title: first.tm2Code.title,
+      equivalence: composeEquivalence(first.equivalence, targetEquivalence),
+      confidence: Math.round(first.confidence * second.confidence * 10000) / 10000,
+      legs: [
+        { from: 'source', equivalence: first.equivalence, confidence: first.confidence },
+        { from: 'tm2', equivalence: targetEquivalence, confidence: second.confidence },
+      ],
+    };
+
+    const { code: targetCode, system: targetSystem } = second.namasteCode;
+    const key = `${targetSystem}|${targetCode}`;
+    if (!candidates.has(key)) {
+      candidates.set(key, { ...second.namasteCode, pivots: [] });
+    }
+    candidates.get(key).pivots.push(pivot);
+  }
+
+  return {
+    source: sourceSummary,
+    candidates: [...candidates.values()]
+      .map(({ pivots: unsorted, ...concept }) => {
+        const pivots = unsorted.sort((a, b) => b.confidence - a.confidence);
+        return {
+          ...concept,
+          equivalence: pivots[0].equivalence,
+          confidence: pivots[0].confidence,
+          pivots,
+        };
+      })
+      .sort((a, b) => b.confidence - a.confidence || a.code.localeCompare(b.code)),
+  };
+};
+
+/**
+ * Group mapping rows into ConceptMap group elements
+ */
+const createElements = (mappings) => {
+  const elements = new Map();
+
+  for (const mapping of mappings) {
+    const { code, term, englishName } = mapping.namasteCode;
+
+    if (!elements.has(code)) {
+      elements.set(code, {
+        code,
+        display: englishName || term,
+        target: [],
+      });
+    }
+
+    elements.get(code).target.push({
+      code: mapping.tm2Code.code,
+      display: mapping.tm2Code.title,
+      equivalence: toFhirEquivalence(mapping.equivalence),
+      ...(mapping.reasoning && { comment: mapping.reasoning }),
+      extension: createMappingExtensions(mapping),
+    });
+  }
+
+  return [...elements.values()];
+};
+
+/**
+ * Create a ConceptMap resource from mapping rows
+ * @param {string} system - System name (ayurveda, siddha, unani)
+ * @param {Array} mappings - Mapping rows with namasteCode and tm2Code
+ * @param {Object} options - { summary: omit group content }
+ */
+export const createConceptMap = (system, mappings, options = {}) => {
+  const id = getConceptMapId(system);
+  const label = system.charAt(0).toUpperCase() + system.slice(1);
+  const lastUpdated = mappings.reduce(
+    (latest, m) => (m.updatedAt > latest ? m.updatedAt : latest),
+    new Date(0)
+  );
+
+  const conceptMap = {
+    resourceType: 'ConceptMap',
+    id,
+    meta: mappings.length > 0 ? { lastUpdated: lastUpdated.toISOString() } : undefined,
+    url: `${config.fhir.baseUrl}/ConceptMap/${id}`,
+    version: '1.0.0',
+    name: `NAMASTE_${system.toUpperCase()}_TO_ICD11_TM2`,
+    title: `NAMASTE ${label} to ICD-11 TM2`,
+    status: 'active',
+    experimental: false,
+    date: new Date().toISOString(),
+    publisher: 'NAMASTE-ICD Terminology Service',
+    description: `Mappings from National ${label} Morbidity Codes to WHO ICD-11 Traditional Medicine Module 2`,
+    sourceUri: getNamasteSystemUri(system),
+    targetUri: config.fhir.icd11.tm2System,
+  };
+
+  if (options.summary) {
+    return {
+      ...conceptMap,
+      meta: { tag: [{ system: 'http://terminology.hl7.org/CodeSystem/v3-ObservationValue', code: 'SUBSETTED' }] },
+    };
+  }
+
+  return {
+    ...conceptMap,
+    group: [{
+      source: getNamasteSystemUri(system),
+      target: config.fhir.icd11.tm2System,
+      element: createElements(mappings),
+    }],
+  };
+};
+
+/**
+ * Read a ConceptMap by id
+ * @param {string} id - ConceptMap id
+ * @returns {Promise<Object|null>} ConceptMap resource or null if unknown
+ */
+export const getConceptMap = async (id, options = {}) => {
+  const system = getSystemFromConceptMapId(id);
+  if (!system) return null;
+
+  const mappings = options.summary ? [] : await findSystemMappings(system);
+  return createConceptMap(system, mappings, options);
+};
+
+/**
+ * Search ConceptMaps using R4 search parameters
+ * Supported: url, name, source-system/source-uri, target-system/target-uri,
+ * source-code, target-code, _summary
+ * @param {Object} params - Query parameters
+ * @returns {Promise<Array>} Matching ConceptMap resources
+ */
+export const searchConceptMaps = async (params = {}) => {
+  const prisma = getPrisma();
+  const sourceSystem = params['source-system'] || params['source-uri'];
+  const targetSystem = params['target-system'] || params['target-uri'];
+  const summary = params._summary === 'true';
+
+  let systems = NAMASTE_SYSTEMS;
+
+  if (sourceSystem) {
+    const resolved = resolveNamasteSystem(sourceSystem);
+    systems = systems.filter(s => s.toUpperCase() === resolved);
+  }
+
+  if (targetSystem && !isTm2System(targetSystem)) {
+    systems = [];
+  }
+
+  if (params.url) {
+    systems = systems.filter(s => `${config.fhir.baseUrl}/ConceptMap/${getConceptMapId(s)}` === params.url);
+  }
+
+  if (params.name) {
+    systems = systems.filter(s => `NAMASTE_${s.toUpperCase()}_TO_ICD11_TM2`.toLowerCase()
+      .startsWith(params.name.toLowerCase()));
+  }
+
+  // Code filters select maps that contain the code, but return them whole
+  if (params['source-code'] || params['target-code']) {
+    const counts = await Promise.all(systems.map(system => prisma.mapping.count({
+      where: {
+        validationStatus: { not: 'REJECTED' },
+        namasteCode: {
+          system: system.toUpperCase(),
+          ...(params['source-code'] && { code: params['source-code'] }),
+        },
+        ...(params['target-code'] && { tm2Code: { code: params['target-code'] } }),
+      },
+    })));
+    systems = systems.filter((_, i) => counts[i] > 0);
+  }
+
+  return Promise.all(systems.map(async (system) => {
+    const mappings = summary ? [] : await findSystemMappings(system);
+    return createConceptMap(system, mappings, { summary });
+  }));
+};
@@ -0,0 +1,219 @@
+/**
+ * Condition Coding Service
+ *
+ * Builds dual-coded Condition.code CodeableConcepts (NAMASTE + approved
+ * ICD-11 TM2) and validates Condition resources that carry them
+ */
+
+import { getPrisma } from '../db/client.js';
+import { config } from '../config/index.js';
+import {
+  NAMASTE_SYSTEMS,
+  FHIR_EXTENSIONS,
+  getNamasteSystemUri,
+  resolveNamasteSystem,
+  createMappingExtensions,
+  createOperationOutcome,
+} from './terminology.js';
+import { validateCode } from './code-system.js';
+import { findNamasteByTerm, getSuggestions } from './quick-map.js';
+
+/**
+ * Find the highest-confidence approved TM2 mapping for a NAMASTE code
+ * @param {string} namasteCodeId - NamasteCode id
+ * @returns {Promise<Object|null>} Mapping row with tm2Code
+ */
+export const findApprovedMapping = async (namasteCodeId) => {
+  const prisma = getPrisma();
+
+  return prisma.mapping.findFirst({
+    where: { namasteCodeId, validationStatus: 'APPROVED' },
+    include: { tm2Code: true },
+    orderBy: { confidence: 'desc' },
+  });
+};
+
+/**
+ * Create the NAMASTE coding for a code row
+ */
+export const createNamasteCoding = (namasteCode) => ({
+  system: getNamasteSystemUri(namasteCode.system),
+  code: namasteCode.code,
+  display: namasteCode.englishName || namasteCode.term,
+});
+
+/**
+ * Create the TM2 coding for a mapping, carrying its confidence, status and source
+ */
+export const createTm2Coding = (mapping) => ({
+  extension: createMappingExtensions(mapping),
+  system: config.fhir.icd11.tm2System,
+  code: mapping.tm2Code.code,
+  display: mapping.tm2Code.title,
+});
+
+/**
+ * Build Condition.code for a NAMASTE code or a free-text diagnosis
+ * Free text is resolved with the quick-map lookup and kept as CodeableConcept.text
+ * @param {Object} input - { system, code } or { system, text }
+ * @returns {Promise<{ codeableConcept?: Object, mapping?: Object, error?: Object }>}
+ */
+export const createConditionCode = async ({ system, code, text }) => {
+  const systemEnum = resolveNamasteSystem(system);
+
+  if (!systemEnum) {
+    return { error: { status: 400, code: 'not-supported', message: `Unknown NAMASTE system ${system}` } };
+  }
+
+  const prisma = getPrisma();
+  const namasteCode = code
+    ? await prisma.namasteCode.findFirst({ where: { code, system: systemEnum } })
+    : await findNamasteByTerm(text, systemEnum);
+
+  if (!namasteCode && code) {
+    return {
+      error: { status: 404, code: 'not-found', message: `Code ${code} not found in ${getNamasteSystemUri(systemEnum)}` },
+    };
+  }
+
+  if (!namasteCode) {
+    const suggestions = await getSuggestions(text, systemEnum);
+    const hint = suggestions.length > 0
+      ? `; did you mean ${suggestions.map(s => `${s.code} (${s.englishName || s.term})`).join(', ')}?`
+      : '';
+    return {
+      error: { status: 404, code: 'not-found', message: `No NAMASTE code matches '${text}'${hint}` },
+    };
+  }
+
+  const mapping = await findApprovedMapping(namasteCode.id);
+  const namasteCoding = createNamasteCoding(namasteCode);
+
+  return {
+    mapping,
+    codeableConcept: {
+      coding: [namasteCoding, mapping && createTm2Coding(mapping)].filter(Boolean),
+      text: text || namasteCoding.display,
+    },
+  };
+};
+
+/**
+ * Validate a Condition resource and its NAMASTE / TM2 codings
+ * Checks codes and displays, the confidence extension, and that the
+ * NAMASTE → TM2 pair is backed by a mapping that has not been rejected
+ * @param {Object} resource - Condition resource
+ * @returns {Promise<Object>} OperationOutcome
+ */
+export const validateCondition = async (resource) => {
+  const issues = [];
+  const addIssue = (severity, code, diagnostics, expression) => issues.push({
+    severity,
+    code,
+    diagnostics,
+    ...(expression && { expression: [expression] }),
+  });
+
+  if (!resource || resource.resourceType !== 'Condition') {
+    return createOperationOutcome('invalid', 'Resource must be a Condition');
+  }
+
+  if (!resource.subject) {
+    addIssue('error', 'required', 'Condition.subject is required', 'Condition.subject');
+  }
+
+  const codings = resource.code?.coding;
+  if (!Array.isArray(codings) || codings.length === 0) {
+    addIssue('error', 'required', 'Condition.code.coding is required', 'Condition.code');
+    return { resourceType: 'OperationOutcome', issue: issues };
+  }
+
+  let namaste = null;
+  let tm2 = null;
+
+  for (const [i, coding] of codings.entries()) {
+    const path = `Condition.code.coding[${i}]`;
+
+    if (!coding || typeof coding !== 'object' || Array.isArray(coding)) {
+      addIssue('error', 'structure', 'Coding must be an object', path);
+      continue;
+    }
+
+    const namasteSystem = NAMASTE_SYSTEMS.find(s => getNamasteSystemUri(s) === coding.system);
+    const isTm2 = coding.system === config.fhir.icd11.tm2System;
+
+    if (!namasteSystem && !isTm2) {
+      addIssue('information', 'informational', `Coding system ${coding.system} is not checked by this server`, path);
+      continue;
+    }
+
+    if (typeof coding.code !== 'string' || !coding.code) {
+      addIssue('error', 'required', 'Coding.code is required', `${path}.code`);
+      continue;
+    }
+
+    const result = await validateCode({ system: coding.system, code: coding.code, display: coding.display, lenient: true });
+    if (!result.result) {
+      addIssue('error', 'code-invalid', result.message, path);
+      continue;
+    }
+    if (result.message) {
+      addIssue('warning', 'code-invalid', result.message.replace(/^Warning: /, ''), `${path}.display`);
+    }
+
+    const confidence = Array.isArray(coding.extension)
+      ? coding.extension.find(e => e?.url === FHIR_EXTENSIONS.confidence)
+      : undefined;
+    if (confidence && !(typeof confidence.valueDecimal === 'number' && confidence.valueDecimal >= 0 && confidence.valueDecimal <= 1)) {
+      addIssue('error', 'value', 'Mapping confidence must be a decimal between 0 and 1', `${path}.extension`);
+    }
+
+    if (namasteSystem && !namaste) namaste = { system: namasteSystem.toUpperCase(), coding, path };
+    if (isTm2 && !tm2) tm2 = { coding, path, confidence: confidence?.valueDecimal };
+  }
+
+  const prisma = getPrisma();
+
+  if (namaste && tm2) {
+    const mapping = await prisma.mapping.findFirst({
+      where: {
+        namasteCode: { code: namaste.coding.code, system: namaste.system },
+        tm2Code: { code: tm2.coding.code },
+      },
+    });
+
+    if (!mapping) {
+      addIssue('warning', 'business-rule',
+        `TM2 code ${tm2.coding.code} is not a known mapping of NAMASTE code ${namaste.coding.code}`, tm2.path);
+    } else if (mapping.validationStatus === 'REJECTED') {
+      addIssue('error', 'business-rule',
+        `Mapping ${namaste.coding.code} → ${tm2.coding.code} has been rejected by a reviewer`, tm2.path);
+    } else {
+      if (mapping.validationStatus !== 'APPROVED') {
+        addIssue('warning', 'business-rule',
+          `Mapping ${namaste.coding.code} → ${tm2.coding.code} is ${mapping.validationStatus.toLowerCase()}, not approved`, tm2.path);
+      }
+      if (tm2.confidence !== undefined && tm2.confidence !== mapping.confidence) {
+        addIssue('warning', 'value',
+          `Mapping confidence ${tm2.confidence} differs from the current value ${mapping.confidence}`, `${tm2.path}.extension`);
+      }
+    }
+  } else if (namaste) {
+    const namasteCode = await prisma.namasteCode.findFirst({
+      where: { code: namaste.coding.code, system: namaste.system },
+      select: { id: true },
+    });
+    const mapping = namasteCode && await findApprovedMapping(namasteCode.id);
+    addIssue('warning', 'incomplete',
+      `Condition.code has no ICD-11 TM2 coding${mapping ? `; approved mapping: ${mapping.tm2Code.code} (${mapping.tm2Code.title})` : ''}`,
+      'Condition.code');
+  } else if (tm2) {
+    addIssue('warning', 'incomplete', 'Condition.code has no NAMASTE coding', 'Condition.code');
+  }
+
+  if (!issues.some(issue => issue.severity === 'error' || issue.severity === 'warning')) {
+    addIssue('information', 'informational', 'Condition.code is valid');
+  }
+
+  return { resourceType: 'OperationOutcome', issue: issues };
+};
@@ -0,0 +1,206 @@
+/**
+ * FHIR Parameters Helpers
+ *
+ * Normalises operation input from GET query strings, FHIR Parameters
+ * resources and legacy flat JSON bodies into one plain object
+ */
+
+// Parameters that may legitimately repeat; collected into arrays
+const REPEATABLE_PARAMETERS = new Set([
+  'property',
+  'designation',
+  'exclude-system',
+  'system-version',
+  'useSupplement',
+  'dependency',
+]);
+
+const OBJECT_VALUE_TYPES = new Set(['valueCoding', 'valueCodeableConcept', 'valueQuantity']);
+const NUMBER_VALUE_TYPES = new Set(['valueInteger', 'valueDecimal', 'valueUnsignedInt', 'valuePositiveInt']);
+const PRIMITIVE_TYPES = new Set(['string', 'number', 'boolean']);
+
+// Flat JSON bodies carry these operation inputs as objects; all others are primitives
+const FLAT_OBJECT_PARAMETERS = {
+  coding: 'valueCoding',
+  codingA: 'valueCoding',
+  codingB: 'valueCoding',
+  codeableConcept: 'valueCodeableConcept',
+};
+
+const isPlainObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validate a Coding: an object whose system, code, version and display are strings
+ * @returns {string|null} Error message
+ */
+const validateCoding = (coding, key) => {
+  if (!isPlainObject(coding)) return `${key} must be an object`;
+
+  const field = ['system', 'code', 'version', 'display']
+    .find(name => coding[name] !== undefined && typeof coding[name] !== 'string');
+  return field ? `${key}.${field} must be a string` : null;
+};
+
+/**
+ * Validate a single value[x] against its declared type
+ * @param {string} key - value[x] type
+ * @param {*} value
+ * @param {string} [label] - Name used in the message (defaults to the type)
+ * @returns {string|null} Error message
+ */
+const validateValue = (key, value, label = key) => {
+  if (key === 'valueCoding') return validateCoding(value, label);
+  if (key === 'valueCodeableConcept' && isPlainObject(value) && value.coding !== undefined) {
+    if (!Array.isArray(value.coding)) return `${label}.coding must be an array`;
+    for (let i = 0; i < value.coding.length; i++) {
+      const error = validateCoding(value.coding[i], `${label}.coding[${i}]`);
+      if (error) return error;
+    }
+  }
+  if (OBJECT_VALUE_TYPES.has(key)) {
+    return isPlainObject(value) ? null : `${label} must be an object`;
+  }
+  if (NUMBER_VALUE_TYPES.has(key)) {
+    return typeof value === 'number' ? null : `${label} must be a number`;
+  }
+  if (key === 'valueBoolean') {
+    return typeof value === 'boolean' ? null : `${label} must be true or false`;
+  }
+  return typeof value === 'string' ? null : `${label} must be a string`;
+};
+
+/**
+ * Parse a list of Parameters.parameter (or part) entries
+ * @returns {{ params?: Object, error?: string }}
+ */
+const parseParameterList = (list, path) => {
+  if (!Array.isArray(list)) {
+    return { error: `${path} must be an array` };
+  }
+
+  const params = {};
+
+  for (let i = 0; i < list.length; i++) {
+    const entry = list[i];
+    const location = `${path}[${i}]`;
+
+    if (!entry || typeof entry.name !== 'string' || !entry.name) {
+      return { error: `${location}.name is required` };
+    }
+
+    const valueKeys = Object.keys(entry).filter(key => key.startsWith('value'));
+    if (valueKeys.length > 1) {
+      return { error: `${location} (${entry.name}) has more than one value[x]` };
+    }
+
+    let value;
+    if (valueKeys.length === 1) {
+      const error = validateValue(valueKeys[0], entry[valueKeys[0]]);
+      if (error) return { error: `${location} (${entry.name}): ${error}` };
+      value = entry[valueKeys[0]];
+    } else if (entry.part !== undefined) {
+      const parsed = parseParameterList(entry.part, `${location}.part`);
+      if (parsed.error) return parsed;
+      value = parsed.params;
+    } else if (entry.resource !== undefined) {
+      value = entry.resource;
+    } else {
+      return { error: `${location} (${entry.name}) has no value` };
+    }
+
+    if (REPEATABLE_PARAMETERS.has(entry.name)) {
+      params[entry.name] = [...(params[entry.name] || []), value];
+    } else if (entry.name in params) {
+      return { error: `Parameter ${entry.name} may only appear once` };
+    } else {
+      params[entry.name] = value;
+    }
+  }
+
+  return { params };
+};
+
+/**
+ * Check a flat JSON body with the same value checks as Parameters
+ * @returns {{ params?: Object, error?: string }}
+ */
+const parseFlatBody = (body) => {
+  for (const [name, value] of Object.entries(body)) {
+    const type = FLAT_OBJECT_PARAMETERS[name];
+    const error = type
+      ? validateValue(type, value, name)
+      : !PRIMITIVE_TYPES.has(typeof value) && `${name} must be a string, number or boolean`;
+    if (error) return { error };
+  }
+
+  return { params: body };
+};
+
+/**
+ * Parse an operation request body
+ * Accepts a FHIR Parameters resource or, for backwards compatibility,
+ * a flat JSON object of named values
+ * @param {Object} body - Parsed JSON body
+ * @returns {{ params?: Object, error?: string }}
+ */
+export const parseParametersBody = (body) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'Request body must be a JSON object' };
+  }
+
+  if (body.resourceType === undefined) {
+    return parseFlatBody(body);
+  }
+
+  if (body.resourceType !== 'Parameters') {
+    return { error: `Expected a Parameters resource, received ${body.resourceType}` };
+  }
+
+  return parseParameterList(body.parameter || [], 'Parameters.parameter');
+};
+
+/**
+ * Resolve the coding an operation acts on
+ * Prefers coding, then codeableConcept, then the flat system/code/version/display
+ * @param {Object} params - Parsed parameters
+ * @param {Object} names - Parameter names, for operations that rename them
+ * @returns {{ system?: string, code?: string, version?: string, display?: string }}
+ */
+export const getCoding = (params, names = {}) => {
+  const {
+    coding = 'coding',
+    codeableConcept = 'codeableConcept',
+    system = 'system',
+    code = 'code',
+    version = 'version',
+    display = 'display',
+  } = names;
+
+  const source = params[coding] || params[codeableConcept]?.coding?.[0];
+
+  return {
+    system: source?.system ?? params[system],
+    code: source?.code ?? params[code],
+    version: source?.version ?? params[version],
+    display: source?.display ?? params[display],
+  };
+};
+
+/**
+ * Read a boolean parameter given as a JSON boolean or a query string
+ * @returns {boolean|undefined}
+ */
+export const getBoolean = (value) => {
+  if (value === undefined) return undefined;
+  return value === true || value === 'true';
+};
+
+/**
+ * Read an integer parameter given as a JSON number or a query string
+ * @returns {number|undefined|null} Integer, undefined when absent, null when malformed
+ */
+export const getInteger = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const number = typeof value === 'number' ? value : Number(value);
+  return Number.isInteger(number) && number >= 0 ? number : null;
+};
@@ -0,0 +1,190 @@
+/**
+ * Hybrid Search Service
+ *
+ * TM2 candidate retrieval for the mapping workflow. Three signals each rank
+ * their own candidate list:
+ * - vector: pgvector cosine similarity to the query embedding
+ * - fullText: PostgreSQL full-text rank over title and definition
+ * - trigram: pg_trgm word similarity of the title to the query text
+ * The lists are fused by reciprocal rank fusion (RRF) or a weighted sum of scores.
+ * The mapping workflow adds a fourth list, `context`: variants of the
+ * diagnosis for the patient's context (e.g. its pregnancy form)
+ */
+
+import { getPrisma } from '../db/client.js';
+import { config } from '../config/index.js';
+import { logger } from '../config/logger.js';
+
+export const FUSION_METHODS = ['rrf', 'weighted'];
+export const RETRIEVAL_SIGNALS = ['vector', 'fullText', 'trigram'];
+export const CONTEXT_SIGNAL = 'context';
+
+const round = (value) => Number(Number(value).toFixed(4));
+
+/**
+ * Nearest TM2 codes by embedding (HNSW index)
+ */
+const searchByVector = async (prisma, embedding, limit, minSimilarity) => {
+  if (!embedding?.length) return [];
+  const vector = `[${embedding.join(',')}]`;
+
+  const rows = await prisma.$queryRaw`
+    SELECT code, title, definition, category, synonyms,
+      1 - (embedding <=> ${vector}::vector) as score
+    FROM tm2_codes
+    WHERE embedding IS NOT NULL
+    ORDER BY embedding <=> ${vector}::vector
+    LIMIT ${limit}
+  `;
+  return rows.filter(row => Number(row.score) >= minSimilarity);
+};
+
+/**
+ * TM2 codes matching any keyword, ranked by ts_rank (normalized to 0-1)
+ */
+const searchByFullText = async (prisma, keywords, limit) => {
+  if (keywords.length === 0) return [];
+  const query = keywords.join(' or ');
+
+  return prisma.$queryRaw`
+    SELECT code, title, definition, category, synonyms,
+      ts_rank(
+        to_tsvector('english', title || ' ' || COALESCE(definition, '')),
+        websearch_to_tsquery('english', ${query}),
+        32
+      ) as score
+    FROM tm2_codes
+    WHERE
+      to_tsvector('english', title || ' ' || COALESCE(definition, ''))
+      @@ websearch_to_tsquery('english', ${query})
+    ORDER BY score DESC
+    LIMIT ${limit}
+  `;
+};
+
+/**
+ * TM2 codes whose title resembles part of the query text, tolerating
+ * spelling variants and typos
+ */
+const searchByTrigram = async (prisma, text, limit, minSimilarity) => {
+  if (!text) return [];
+
+  return prisma.$queryRaw`
+    SELECT code, title, definition, category, synonyms,
+      word_similarity(title, ${text}) as score
+    FROM tm2_codes
+    WHERE word_similarity(title, ${text}) >= ${minSimilarity}
+    ORDER BY score DESC
+    LIMIT ${limit}
+  `;
+};
+
+/**
+ * Fuse per-signal rankings into one candidate list
+ * Every candidate keeps the score and rank it had in each signal (null where
+ * the signal did not return it). `score` orders the list: the RRF sum scaled
+ * so a candidate ranked first by every signal scores 1, or the weighted score.
+ * `matchScore` is always the weighted score - how similar the candidate is,
+ * which rank-based RRF cannot tell. A context list, when given, is fused as
+ * one more signal
+ * @param {Object} lists - { vector: rows, fullText: rows, trigram: rows, context?: rows }, each best first
+ * @param {Object} options - { fusion, weights, rrfK }
+ * @returns {Array} Candidates, best first
+ */
+export const fuseRankings = (lists, { fusion, weights, rrfK }) => {
+  const byCode = new Map();
+  const signals = lists[CONTEXT_SIGNAL] ? [...RETRIEVAL_SIGNALS, CONTEXT_SIGNAL] : RETRIEVAL_SIGNALS;
+
+  for (const signal of signals) {
+    (lists[signal] || []).forEach((row, index) => {
+      const candidate = byCode.get(row.code) ?? {
+        code: row.code,
+        title: row.title,
+        definition: row.definition,
+        category: row.category,
+        synonyms: row.synonyms,
+        components: Object.fromEntries(signals.map(s => [s, null])),
+      };
+      candidate.components[signal] = { score: round(row.score), rank: index + 1 };
+      byCode.set(row.code, candidate);
+    });
+  }
+
+  const totalWeight = signals.reduce((sum, s) => sum + weights[s], 0) || 1;
+  const maxRrf = signals.reduce((sum, s) => sum + weights[s] / (rrfK + 1), 0) || 1;
+
+  const weightedSum = (candidate, contribution) => signals.reduce((sum, s) => {
+    const component = candidate.components[s];
+    return component ? sum + weights[s] * contribution(component) : sum;
+  }, 0);
+
+  return [...byCode.values()]
+    .map((candidate) => {
+      const matchScore = weightedSum(candidate, c => c.score) / totalWeight;
+      const score = fusion === 'rrf'
+        ? weightedSum(candidate, c => 1 / (rrfK + c.rank)) / maxRrf
+        : matchScore;
+      return { ...candidate, score: round(score), matchScore: round(matchScore) };
+    })
+    .sort((a, b) => b.score - a.score || b.matchScore - a.matchScore);
+};
+
+/**
+ * Whether a fused candidate may be mapped without LLM validation: it is the
+ * nearest vector match and similar enough. Fused scores cannot tell: an RRF
+ * score only reflects rank, and matchScore averages in full-text scores that
+ * seldom approach 1
+ * @param {Object} candidate - Candidate from fuseRankings
+ * @param {number} [threshold] - Least vector similarity
+ * @returns {boolean}
+ */
+export const isHighConfidenceMatch = (candidate, threshold = config.retrieval.highConfidenceSimilarity) => {
+  const vector = candidate?.components?.vector;
+  return Boolean(vector) && vector.rank === 1 && vector.score >= threshold;
+};
+
+/**
+ * Hybrid TM2 search
+ * A signal that fails (e.g. pgvector not installed) is logged and left out
+ * @param {Object} query - { embedding, keywords, text, variants }; variants
+ *   (context variants, scored 0-1, best first) are fused as the context signal
+ * @param {Object} [options] - Overrides of config.retrieval
+ * @returns {Promise<{ candidates: Array, retrieval: Object }>} retrieval describes
+ *   the fusion, weights and how many candidates each signal returned
+ */
+export const searchTm2Hybrid = async ({ embedding, keywords = [], text, variants }, options = {}) => {
+  const settings = { ...config.retrieval, ...options };
+  const { limit } = settings;
+  const weights = { ...config.retrieval.weights, ...options.weights };
+  const prisma = getPrisma();
+  // Each signal ranks a deeper pool so fusion can lift candidates it ranks low
+  const poolSize = limit * 2;
+
+  const run = async (signal, search) => {
+    if (!weights[signal]) return [];
+    try {
+      return await search();
+    } catch (error) {
+      logger.warn({ signal, error: error.message }, 'Hybrid search signal failed');
+      return [];
+    }
+  };
+
+  const [vector, fullText, trigram] = await Promise.all([
+    run('vector', () => searchByVector(prisma, embedding, poolSize, settings.minVectorSimilarity)),
+    run('fullText', () => searchByFullText(prisma, keywords, poolSize)),
+    run('trigram', () => searchByTrigram(prisma, text, poolSize, settings.minTrigramSimilarity)),
+  ]);
+
+  const lists = { vector, fullText, trigram, ...(variants && { [CONTEXT_SIGNAL]: variants }) };
+  const candidates = fuseRankings(lists, { ...settings, weights }).slice(0, limit);
+
+  return {
+    candidates,
+    retrieval: {
+      fusion: settings.fusion,
+      weights,
+      signals: Object.fromEntries(Object.entries(lists).map(([signal, rows]) => [signal, rows.length])),
+    },
+  };
+};
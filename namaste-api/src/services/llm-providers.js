@@ -0,0 +1,287 @@
+import { z } from 'zod';
+import { ChatGoogleGenerativeAI, GoogleGenerativeAIEmbeddings } from '@langchain/google-genai';
+import { ChatVertexAI, VertexAIEmbeddings } from '@langchain/google-vertexai';
+import { config } from '../config/index.js';
+import { createOfflineChatModel, createOfflineEmbeddings } from './offline-llm.js';
+
+/**
+ * LLM Providers
+ *
+ * Chat and embedding backends behind one interface:
+ * - createChatModel({ tier, model, temperature, maxTokens }) → model with
+ *   invoke(prompt) → { content } and withStructuredOutput(zodSchema) → { invoke }
+ * - createEmbeddings({ model, taskType, ... }) → { embedQuery, embedDocuments }
+ *
+ * Providers:
+ * - gemini: Google AI Studio (GOOGLE_API_KEY)
+ * - vertex: Vertex AI (GOOGLE_PROJECT_ID, application default credentials)
+ * - openai: any OpenAI-compatible endpoint, e.g. Ollama or vLLM (LLM_BASE_URL)
+ * - offline: no network (see offline-llm.js)
+ * - local: embeddings only - a sentence-embedding model run in-process on CPU
+ *   with transformers.js (ONNX, an optional dependency). The model is
+ *   downloaded from the Hugging Face Hub on first use unless
+ *   EMBEDDING_MODEL_PATH points at pre-downloaded models
+ *
+ * Tiers: fast (default) and reasoning; LLM_CHAT_MODEL and LLM_REASONING_MODEL
+ * override the provider's default model for each
+ */
+
+export const LLM_PROVIDERS = ['gemini', 'vertex', 'openai', 'offline'];
+export const EMBEDDING_PROVIDERS = [...LLM_PROVIDERS, 'local'];
+
+// Providers that embed in-process, with no API rate limit to respect
+export const IN_PROCESS_PROVIDERS = ['offline', 'local'];
+
+const DEFAULT_MODELS = {
+  gemini: { fast: 'gemini-2.5-flash', reasoning: 'gemini-2.5-pro-preview-06-05', embedding: 'text-embedding-004', dimensions: 768 },
+  vertex: { fast: 'gemini-2.5-flash', reasoning: 'gemini-2.5-pro', embedding: 'text-embedding-004', dimensions: 768 },
+  openai: { fast: 'llama3.1', reasoning: 'llama3.1', embedding: 'nomic-embed-text', dimensions: 768 },
+  offline: { fast: 'offline-rules', reasoning: 'offline-rules', embedding: 'offline-hash', dimensions: 768 },
+  // Multilingual, so Devanagari, Tamil and Urdu terms embed near their English meaning
+  local: { embedding: 'Xenova/paraphrase-multilingual-MiniLM-L12-v2', dimensions: 384 },
+};
+
+/**
+ * Model name for a provider and tier, after configured overrides
+ * @param {string} provider - Provider name
+ * @param {string} tier - fast, reasoning or embedding
+ */
+export const getModelName = (provider, tier) => {
+  const override = {
+    fast: config.llm.chatModel,
+    reasoning: config.llm.reasoningModel,
+    embedding: config.llm.embeddingModel,
+  }[tier];
+  return override || DEFAULT_MODELS[provider][tier];
+};
+
+/**
+ * Vector size of the configured embedding model
+ * EMBEDDING_DIMENSIONS overrides the provider default (needed when
+ * LLM_EMBEDDING_MODEL picks a model of another size)
+ */
+export const getEmbeddingDimensions = (provider = config.llm.embeddingProvider) =>
+  config.llm.embeddingDimensions || DEFAULT_MODELS[provider]?.dimensions || 768;
+
+/**
+ * Identifies the embedding model behind stored vectors, e.g. 'gemini:text-embedding-004'
+ * Vectors from different model ids are not comparable
+ */
+export const getEmbeddingModelId = (provider = config.llm.embeddingProvider) =>
+  `${provider}:${getModelName(provider, 'embedding')}`;
+
+/**
+ * Provider and model of an embedding model id
+ * @param {string} modelId - e.g. 'local:Xenova/paraphrase-multilingual-MiniLM-L12-v2'
+ * @returns {{ provider: string, model: string, dimensions?: number }} dimensions
+ *   when the model is the provider's default
+ */
+export const parseEmbeddingModelId = (modelId) => {
+  const separator = modelId.indexOf(':');
+  const provider = modelId.slice(0, separator);
+  const model = modelId.slice(separator + 1);
+
+  if (!EMBEDDING_PROVIDERS.includes(provider) || !model) {
+    throw new Error(`Invalid embedding model '${modelId}' (expected provider:model, provider one of ${EMBEDDING_PROVIDERS.join(', ')})`);
+  }
+  const defaults = DEFAULT_MODELS[provider];
+  return { provider, model, ...(defaults.embedding === model && { dimensions: defaults.dimensions }) };
+};
+
+// ============================================================================
+// OpenAI-compatible endpoint
+// ============================================================================
+
+const openAiRequest = async (path, body) => {
+  const response = await fetch(`${config.llm.baseUrl.replace(/\/+$/, '')}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(config.llm.apiKey && { Authorization: `Bearer ${config.llm.apiKey}` }),
+    },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(config.llm.timeoutMs),
+  });
+
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    throw new Error(`${path} returned ${response.status}: ${detail.substring(0, 200)}`);
+  }
+  return response.json();
+};
+
+// Plain prompts, or { role, content } / [role, content] message lists
+const toMessages = (prompt) => (Array.isArray(prompt)
+  ? prompt.map(message => (Array.isArray(message)
+    ? { role: message[0], content: message[1] }
+    : { role: message.role, content: message.content }))
+  : [{ role: 'user', content: String(prompt) }]);
+
+const createOpenAiChatModel = ({ model, temperature, maxTokens }) => {
+  const complete = async (prompt, responseFormat) => {
+    const data = await openAiRequest('/chat/completions', {
+      model,
+      temperature,
+      max_tokens: maxTokens,
+      messages: toMessages(prompt),
+      ...(responseFormat && { response_format: responseFormat }),
+    });
+    return data.choices?.[0]?.message?.content ?? '';
+  };
+
+  return {
+    invoke: async (prompt) => ({ content: await complete(prompt) }),
+    withStructuredOutput: (schema) => ({
+      invoke: async (prompt) => {
+        const content = await complete(prompt, {
+          type: 'json_schema',
+          json_schema: { name: 'output', schema: z.toJSONSchema(schema) },
+        });
+        const jsonMatch = content.match(/\{[\s\S]*\}/);
+        if (!jsonMatch) throw new Error('Invalid structured response');
+        return schema.parse(JSON.parse(jsonMatch[0]));
+      },
+    }),
+  };
+};
+
+const createOpenAiEmbeddings = ({ model }) => {
+  const embedDocuments = async (texts) => {
+    const data = await openAiRequest('/embeddings', {
+      model,
+      input: texts,
+      // Only sent when configured - not every server accepts it
+      ...(config.llm.embeddingDimensions && { dimensions: config.llm.embeddingDimensions }),
+    });
+    return [...data.data]
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  };
+
+  return {
+    embedDocuments,
+    embedQuery: async (text) => (await embedDocuments([text]))[0],
+  };
+};
+
+// ============================================================================
+// Local sentence-embedding model (transformers.js)
+// ============================================================================
+
+// Loaded pipelines by model name; loading downloads the model on first use
+// unless EMBEDDING_MODEL_PATH points at pre-downloaded models
+const localPipelines = new Map();
+
+// Texts per inference call, to bound memory on large batches
+const LOCAL_BATCH_SIZE = 32;
+
+const loadLocalPipeline = (model) => {
+  if (!localPipelines.has(model)) {
+    const loading = import('@huggingface/transformers')
+      .catch(() => {
+        throw new Error('The local embedding provider needs the optional dependency @huggingface/transformers, which did not install (npm install @huggingface/transformers)');
+      })
+      .then(({ pipeline, env }) => {
+        if (config.llm.localModelPath) {
+          env.localModelPath = config.llm.localModelPath;
+          env.allowRemoteModels = false;
+        }
+        return pipeline('feature-extraction', model).catch((error) => {
+          throw new Error(config.llm.localModelPath
+            ? `Embedding model ${model} not found in EMBEDDING_MODEL_PATH (${config.llm.localModelPath}): ${error.message}`
+            : `Could not download embedding model ${model} from the Hugging Face Hub (set EMBEDDING_MODEL_PATH to use pre-downloaded models): ${error.message}`);
+        });
+      });
+    // A failed load is retried on the next call
+    loading.catch(() => localPipelines.delete(model));
+    localPipelines.set(model, loading);
+  }
+  return localPipelines.get(model);
+};
+
+const createLocalEmbeddings = ({ model }) => {
+  const embedDocuments = async (texts) => {
+    const extractor = await loadLocalPipeline(model);
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += LOCAL_BATCH_SIZE) {
+      const output = await extractor(texts.slice(i, i + LOCAL_BATCH_SIZE), { pooling: 'mean', normalize: true });
+      vectors.push(...output.tolist());
+    }
+    return vectors;
+  };
+
+  return {
+    embedDocuments,
+    embedQuery: async (text) => (await embedDocuments([text]))[0],
+  };
+};
+
+const localOnly = () => {
+  throw new Error('The local provider only provides embeddings; set LLM_PROVIDER for chat');
+};
+
+// ============================================================================
+// Providers
+// ============================================================================
+
+const providers = {
+  gemini: {
+    createChatModel: ({ model, temperature, maxTokens }) => new ChatGoogleGenerativeAI({
+      model,
+      apiKey: config.google.apiKey,
+      temperature,
+      maxOutputTokens: maxTokens,
+    }),
+    // Always 768 dimensions: validateConfig rejects any other EMBEDDING_DIMENSIONS
+    createEmbeddings: ({ model, taskType, title }) => new GoogleGenerativeAIEmbeddings({
+      model,
+      apiKey: config.google.apiKey,
+      taskType,
+      ...(title && { title }),
+    }),
+  },
+
+  vertex: {
+    createChatModel: ({ model, temperature, maxTokens }) => new ChatVertexAI({
+      model,
+      temperature,
+      maxOutputTokens: maxTokens,
+      location: config.google.location,
+      ...(config.google.projectId && { authOptions: { projectId: config.google.projectId } }),
+    }),
+    createEmbeddings: ({ model, dimensions }) => new VertexAIEmbeddings({
+      model,
+      dimensions,
+      location: config.google.location,
+      ...(config.google.projectId && { authOptions: { projectId: config.google.projectId } }),
+    }),
+  },
+
+  openai: {
+    createChatModel: createOpenAiChatModel,
+    createEmbeddings: createOpenAiEmbeddings,
+  },
+
+  offline: {
+    createChatModel: createOfflineChatModel,
+    createEmbeddings: createOfflineEmbeddings,
+  },
+
+  local: {
+    createChatModel: localOnly,
+    createEmbeddings: createLocalEmbeddings,
+  },
+};
+
+/**
+ * Get a provider by name
+ * @param {string} name - One of LLM_PROVIDERS
+ * @returns {{ createChatModel: Function, createEmbeddings: Function }}
+ */
+export const getLlmProvider = (name) => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown LLM provider '${name}' (expected ${EMBEDDING_PROVIDERS.join(', ')})`);
+  }
+  return provider;
+};
@@ -1,13 +1,20 @@
-import { ChatGoogleGenerativeAI, GoogleGenerativeAIEmbeddings } from '@langchain/google-genai';
 import { config } from '../config/index.js';
 import { logger } from '../config/logger.js';
+import {
+  getLlmProvider,
+  getModelName,
+  getEmbeddingDimensions,
+  getEmbeddingModelId,
+  parseEmbeddingModelId,
+} from './llm-providers.js';
 
 /**
  * LLM and Embedding Services
- * Using LangChain.js with Google Gemini
+ * Chat and embeddings through the configured provider (see llm-providers.js):
+ * LLM_PROVIDER for chat, EMBEDDING_PROVIDER (defaults to LLM_PROVIDER) for embeddings
  * 
- * Models:
- * - Chat: gemini-2.0-flash (fast), gemini-2.5-pro (reasoning)
+ * Gemini models:
+ * - Chat: gemini-2.5-flash (fast), gemini-2.5-pro (reasoning)
  * - Embeddings: text-embedding-004 (768 dims), gemini-embedding-001
  * 
  * For biomedical/healthcare text, we use text-embedding-004 with
@@ -17,84 +24,98 @@ import { logger } from '../config/logger.js';
  */
 
 /**
- * Create Gemini chat model instance
+ * Create chat model instance
  * @param {Object} options - Model options
- * @returns {ChatGoogleGenerativeAI} Chat model instance
+ * @param {string} [options.tier] - fast (default) or reasoning
+ * @param {string} [options.model] - Model name, overriding the tier's model
+ * @returns {Object} Chat model with invoke() and withStructuredOutput()
  */
 export const createChatModel = (options = {}) => {
-  const model = new ChatGoogleGenerativeAI({
-    model: options.model || 'gemini-2.0-flash',
-    apiKey: config.google.apiKey,
+  const provider = config.llm.provider;
+  const model = options.model || getModelName(provider, options.tier || 'fast');
+
+  const chatModel = getLlmProvider(provider).createChatModel({
+    model,
     temperature: options.temperature ?? 0.1,
-    maxOutputTokens: options.maxTokens || 4096,
-    ...options,
+    maxTokens: options.maxTokens || 4096,
   });
 
-  logger.debug({ model: options.model || 'gemini-2.0-flash' }, 'Chat model created');
-  return model;
+  logger.debug({ provider, model }, 'Chat model created');
+  return chatModel;
 };
 
 /**
- * Create Gemini Pro model for complex reasoning
+ * Create reasoning model for complex reasoning (Gemini Pro on Gemini/Vertex)
  * Best for: medical terminology analysis, multi-step reasoning
  * @param {Object} options - Model options
- * @returns {ChatGoogleGenerativeAI} Chat model instance
+ * @returns {Object} Chat model instance
  */
 export const createGeminiPro = (options = {}) => {
   return createChatModel({
-    model: 'gemini-2.5-pro-preview-06-05',
+    tier: 'reasoning',
     temperature: 0,
     ...options,
   });
 };
 
 /**
- * Create Gemini Flash model for fast responses
+ * Create fast model for quick responses (Gemini Flash on Gemini/Vertex)
  * Best for: preprocessing, quick lookups, simple tasks
  * @param {Object} options - Model options
- * @returns {ChatGoogleGenerativeAI} Chat model instance
+ * @returns {Object} Chat model instance
  */
 export const createGeminiFlash = (options = {}) => {
   return createChatModel({
-    model: 'gemini-2.5-flash',
+    tier: 'fast',
     temperature: 0.1,
     ...options,
   });
 };
 
 /**
- * Create Google AI embeddings model
- * Using text-embedding-004 (768 dimensions)
+ * Create embeddings model
+ * Gemini default: text-embedding-004 (768 dimensions)
  * 
- * Task Types:
+ * Task Types (Gemini):
  * - RETRIEVAL_QUERY: For search queries
  * - RETRIEVAL_DOCUMENT: For documents to be searched
  * - SEMANTIC_SIMILARITY: For comparing text similarity
  * - CLASSIFICATION: For text classification
  * - CLUSTERING: For grouping similar texts
  * 
+ * `modelId` ('provider:model', see getEmbeddingModelId) selects a model other
+ * than the configured one, e.g. to compare two models side by side
+ *
  * @param {Object} options - Embedding options
- * @returns {GoogleGenerativeAIEmbeddings} Embeddings instance
+ * @returns {Object} Embeddings with embedQuery() and embedDocuments()
  */
 export const createEmbeddings = (options = {}) => {
-  const embeddings = new GoogleGenerativeAIEmbeddings({
-    model: options.model || 'text-embedding-004',
-    apiKey: config.google.apiKey,
-    taskType: options.taskType || 'RETRIEVAL_DOCUMENT',
-    ...options,
+  const { modelId, ...rest } = options;
+  const configured = !modelId || modelId === getEmbeddingModelId();
+  const { provider, model, dimensions } = configured
+    ? {
+      provider: config.llm.embeddingProvider,
+      model: rest.model || getModelName(config.llm.embeddingProvider, 'embedding'),
+      dimensions: getEmbeddingDimensions(),
+    }
+    : parseEmbeddingModelId(modelId);
+  const taskType = rest.taskType || 'RETRIEVAL_DOCUMENT';
+
+  const embeddings = getLlmProvider(provider).createEmbeddings({
+    ...rest,
+    model,
+    taskType,
+    dimensions,
   });
 
-  logger.debug({ 
-    model: options.model || 'text-embedding-004',
-    taskType: options.taskType || 'RETRIEVAL_DOCUMENT',
-  }, 'Embeddings model created');
+  logger.debug({ provider, model, taskType }, 'Embeddings model created');
   return embeddings;
 };
 
 /**
  * Create biomedical/healthcare embeddings model
  * Optimized for medical terminology matching
- * Uses text-embedding-004 with RETRIEVAL_DOCUMENT task
+ * Uses RETRIEVAL_DOCUMENT task
  * 
  * Best for:
  * - NAMASTE code descriptions (Sanskrit/Tamil/Arabic medical terms)
@@ -102,11 +123,10 @@ export const createEmbeddings = (options = {}) => {
  * - Traditional medicine terminology
  * 
  * @param {Object} options - Embedding options
- * @returns {GoogleGenerativeAIEmbeddings} Embeddings instance
+ * @returns {Object} Embeddings instance
  */
 export const createBiomedicalEmbeddings = (options = {}) => {
   return createEmbeddings({
-    model: 'text-embedding-004',
     taskType: 'RETRIEVAL_DOCUMENT',
     title: options.title || 'Medical Terminology',
     ...options,
@@ -117,16 +137,30 @@ export const createBiomedicalEmbeddings = (options = {}) => {
  * Create query embeddings for search
  * Uses RETRIEVAL_QUERY task type for optimal search performance
  * @param {Object} options - Embedding options
- * @returns {GoogleGenerativeAIEmbeddings} Embeddings instance
+ * @returns {Object} Embeddings instance
  */
 export const createQueryEmbeddings = (options = {}) => {
   return createEmbeddings({
-    model: 'text-embedding-004',
     taskType: 'RETRIEVAL_QUERY',
     ...options,
   });
 };
 
+/**
+ * Active providers and models, for logs and status endpoints
+ */
+export const getLlmInfo = () => ({
+  provider: config.llm.provider,
+  fastModel: getModelName(config.llm.provider, 'fast'),
+  reasoningModel: getModelName(config.llm.provider, 'reasoning'),
+  embeddingProvider: config.llm.embeddingProvider,
+  embeddingModel: getModelName(config.llm.embeddingProvider, 'embedding'),
+  embeddingModelId: getEmbeddingModelId(),
+  embeddingDimensions: getEmbeddingDimensions(),
+});
+
+export { getEmbeddingDimensions, getEmbeddingModelId };
+
 /**
  * Generate embeddings for text
  * @param {string|string[]} texts - Text(s) to embed
@@ -174,8 +208,8 @@ export const embedQuery = async (query, options = {}) => {
  */
 export const chat = async (prompt, options = {}) => {
   const model = options.model === 'pro' 
-    ? createGeminiPro(options)
-    : createGeminiFlash(options);
+    ? createGeminiPro({ ...options, model: undefined })
+    : createGeminiFlash({ ...options, model: undefined });
 
   try {
     const response = await model.invoke(prompt);
@@ -195,8 +229,8 @@ export const chat = async (prompt, options = {}) => {
  */
 export const chatWithStructuredOutput = async (prompt, schema, options = {}) => {
   const model = options.model === 'pro'
-    ? createGeminiPro(options)
-    : createGeminiFlash(options);
+    ? createGeminiPro({ ...options, model: undefined })
+    : createGeminiFlash({ ...options, model: undefined });
 
   const structuredModel = model.withStructuredOutput(schema);
 
@@ -0,0 +1,198 @@
+/**
+ * Mapping Context Service
+ *
+ * Patient/encounter context for NAMASTE → TM2 mapping: age group, sex,
+ * pregnancy, presenting complaint and dosha assessment
+ * Used to widen the TM2 search to context-specific variants, to rerank
+ * candidates and to brief the AI validator
+ */
+
+import { createHash } from 'crypto';
+
+export const AGE_GROUPS = ['neonate', 'infant', 'child', 'adolescent', 'adult', 'older-adult'];
+export const DOSHAS = ['vata', 'pitta', 'kapha'];
+
+const PAEDIATRIC_AGE_GROUPS = ['neonate', 'infant', 'child'];
+
+// Score added to (or taken from) a candidate per matching rule
+const CONTEXT_BOOST = 0.15;
+const CONTEXT_PENALTY = 0.2;
+
+// How context-specific TM2 variants are recognised
+const VARIANTS = {
+  pregnancy: {
+    codePrefix: 'SN1',
+    pattern: /pregnan|gestation|antenatal|prenatal|puerper|postpartum|obstetric|labou?r\b/i,
+    searchTerms: ['pregnancy', 'gestation', 'puerperium'],
+  },
+  paediatric: {
+    pattern: /paediatric|pediatric|child|infant|neonat|newborn|\bbala\b/i,
+    searchTerms: ['child', 'infant', 'paediatric'],
+  },
+};
+
+/**
+ * Normalize request context
+ * A plain string (the original free-form field) is read as the presenting complaint
+ * @param {string|Object} [context]
+ * @returns {Object|null} { ageGroup?, sex?, pregnant?, complaint?, dosha? } or null when empty
+ */
+export const normalizeMappingContext = (context) => {
+  if (!context) return null;
+  const raw = typeof context === 'string' ? { complaint: context } : context;
+
+  const normalized = {
+    ...(raw.ageGroup && { ageGroup: raw.ageGroup }),
+    ...(raw.sex && { sex: raw.sex }),
+    ...(raw.pregnant !== undefined && { pregnant: raw.pregnant }),
+    ...(raw.complaint?.trim() && { complaint: raw.complaint.trim() }),
+    ...(raw.dosha?.length && { dosha: [...new Set(raw.dosha)].sort() }),
+  };
+
+  return Object.keys(normalized).length > 0 ? normalized : null;
+};
+
+/**
+ * Stable key for caching context-specific mappings
+ * @returns {string} Short hash, or '' without context
+ */
+export const getContextKey = (context) => {
+  if (!context) return '';
+  const canonical = JSON.stringify({ ...context, complaint: context.complaint?.toLowerCase() });
+  return createHash('sha256').update(canonical).digest('hex').slice(0, 16);
+};
+
+/**
+ * Context variants that should be preferred, e.g. ['pregnancy']
+ */
+export const getPreferredVariants = (context) => {
+  if (!context) return [];
+  const variants = [];
+  if (context.pregnant && context.sex !== 'male') variants.push('pregnancy');
+  if (PAEDIATRIC_AGE_GROUPS.includes(context.ageGroup)) variants.push('paediatric');
+  return variants;
+};
+
+/**
+ * Extra text for the NAMASTE search description: the complaint narrative and dosha
+ */
+export const getContextSearchText = (context) => [
+  context?.complaint,
+  ...(context?.dosha || []),
+].filter(Boolean).join(' ').toLowerCase();
+
+/**
+ * Search terms and code prefixes that find context variants of a diagnosis
+ * @returns {{ terms: string[], codePrefixes: string[] }}
+ */
+export const getVariantSearchTerms = (context) => {
+  const variants = getPreferredVariants(context).map(name => VARIANTS[name]);
+  return {
+    terms: variants.flatMap(v => v.searchTerms),
+    codePrefixes: variants.map(v => v.codePrefix).filter(Boolean),
+  };
+};
+
+const matchesVariant = (candidate, name) => {
+  const variant = VARIANTS[name];
+  const text = `${candidate.title || ''} ${candidate.definition || ''}`;
+  return (variant.codePrefix && candidate.code?.startsWith(variant.codePrefix)) || variant.pattern.test(text);
+};
+
+/**
+ * Rerank TM2 candidates for the context
+ * Preferred variants (pregnancy, paediatric) and dosha matches gain score;
+ * variants that contradict the context (pregnancy codes for men or
+ * non-pregnant patients, paediatric codes for adults) lose it
+ * @param {Array} candidates - TM2 candidates with score, best first
+ * @param {Object|null} context - Normalized context
+ * @returns {{ candidates: Array, effects: Object }} effects explains rank changes
+ */
+export const rerankForContext = (candidates, context) => {
+  if (!context || candidates.length === 0) {
+    return { candidates, effects: { applied: false, changes: [] } };
+  }
+
+  const preferred = getPreferredVariants(context);
+  const excludesPregnancy = context.sex === 'male' || context.pregnant === false
+    || PAEDIATRIC_AGE_GROUPS.includes(context.ageGroup);
+  const excludesPaediatric = ['adult', 'older-adult'].includes(context.ageGroup);
+
+  const adjusted = candidates.map((candidate, index) => {
+    const reasons = [];
+    let adjustment = 0;
+
+    for (const name of Object.keys(VARIANTS)) {
+      if (!matchesVariant(candidate, name)) continue;
+      if (preferred.includes(name)) {
+        adjustment += CONTEXT_BOOST;
+        reasons.push(`${name} variant preferred for this patient`);
+      } else if ((name === 'pregnancy' && excludesPregnancy) || (name === 'paediatric' && excludesPaediatric)) {
+        adjustment -= CONTEXT_PENALTY;
+        reasons.push(`${name} variant does not fit this patient`);
+      }
+    }
+
+    const text = `${candidate.title || ''} ${candidate.definition || ''}`.toLowerCase();
+    const doshas = (context.dosha || []).filter(d => text.includes(d));
+    if (doshas.length > 0) {
+      adjustment += CONTEXT_BOOST / 2;
+      reasons.push(`matches assessed dosha (${doshas.join(', ')})`);
+    }
+
+    return {
+      ...candidate,
+      originalRank: index + 1,
+      baseScore: candidate.score || 0,
+      score: Math.max(0, Math.min(1, (candidate.score || 0) + adjustment)),
+      contextAdjustment: adjustment,
+      contextReasons: reasons,
+    };
+  });
+
+  const reranked = adjusted.sort((a, b) => b.score - a.score);
+  const changes = reranked
+    .map((candidate, index) => ({ candidate, rank: index + 1 }))
+    .filter(({ candidate, rank }) => candidate.contextReasons.length > 0 || candidate.originalRank !== rank)
+    .map(({ candidate, rank }) => ({
+      code: candidate.code,
+      title: candidate.title,
+      fromRank: candidate.originalRank,
+      toRank: rank,
+      adjustment: Number(candidate.contextAdjustment.toFixed(3)),
+      reasons: candidate.contextReasons,
+    }));
+
+  const top = reranked[0];
+  const summary = top.originalRank !== 1
+    ? `Context moved ${top.code} from rank ${top.originalRank} to 1: ${top.contextReasons.join('; ') || 'other candidates lost score'}`
+    : changes.some(c => c.reasons.length > 0)
+      ? `Context adjusted ${changes.filter(c => c.reasons.length > 0).length} candidate(s) without changing the top match`
+      : 'Context did not change the ranking';
+
+  return {
+    candidates: reranked,
+    effects: {
+      applied: true,
+      preferredVariants: preferred,
+      topChanged: top.originalRank !== 1,
+      summary,
+      changes,
+    },
+  };
+};
+
+/**
+ * Describe the context for the AI validation prompt
+ * @returns {string} One line per known fact, or '' without context
+ */
+export const describeContext = (context) => {
+  if (!context) return '';
+  return [
+    context.ageGroup && `Age group: ${context.ageGroup}`,
+    context.sex && `Sex: ${context.sex}`,
+    context.pregnant !== undefined && `Pregnant: ${context.pregnant ? 'yes' : 'no'}`,
+    context.dosha && `Dosha assessment: ${context.dosha.join(', ')}`,
+    context.complaint && `Presenting complaint: ${context.complaint.substring(0, 300)}`,
+  ].filter(Boolean).join('\n');
+};
@@ -0,0 +1,303 @@
+/**
+ * NAMASTE Search
+ *
+ * Autocomplete over NAMASTE codes in any script. A query in Devanagari, Tamil,
+ * Urdu, IAST, ITRANS or loose romanisation ("khanja" for kha~jjaH) is reduced
+ * to the same loose keys stored in namaste_codes.search_keys (see
+ * transliteration.js); misspellings are caught by pg_trgm similarity.
+ * Candidates are ranked by their best match across the term, native script,
+ * romanised native script, diacritical term, English name and definition.
+ */
+
+import { getPrisma, getPool } from '../db/client.js';
+import { config } from '../config/index.js';
+import { logger } from '../config/logger.js';
+import {
+  detectScript,
+  normalizeNative,
+  searchKey,
+  skeletonKey,
+  devoicedKey,
+  buildSearchKeys,
+  toLatin,
+} from './transliteration.js';
+import { foldText, rankMatch, highlightSpans } from './text-match.js';
+
+// Codes fetched before ranking
+const CANDIDATE_POOL = 200;
+const PREFIX_POOL = 50;
+
+const CANDIDATE_SELECT = {
+  id: true,
+  code: true,
+  system: true,
+  term: true,
+  nativeScript: true,
+  englishName: true,
+  shortDefinition: true,
+  metadata: true,
+};
+
+const FIELD_WEIGHTS = {
+  term: 1,
+  nativeScript: 1,
+  transliteration: 1,
+  termDiacritical: 1,
+  englishName: 0.95,
+  definition: 0.7,
+};
+
+/**
+ * Loose keys of a query: read as NAMASTE/ITRANS spelling and as plain text,
+ * devoiced (for Tamil), the consonant skeleton of Urdu and the normalized
+ * native script
+ * @param {string} query
+ * @returns {string[]}
+ */
+export const buildQueryKeys = (query) => {
+  const script = detectScript(query);
+  const keys = [searchKey(query, { spelling: 'itrans' }), searchKey(query)];
+  keys.push(...keys.map(devoicedKey));
+
+  if (script === 'arabic') {
+    const skeleton = skeletonKey(searchKey(query));
+    if (skeleton.replace(/ /g, '').length >= 3) keys.push(skeleton);
+  }
+  if (script !== 'latin') keys.push(normalizeNative(query));
+
+  return [...new Set(keys.filter(key => key.length >= 2))];
+};
+
+// Each field of a code as written, its loose keys, and the loose key of one
+// of its words (for highlighting)
+const searchFields = (code) => {
+  const ayurveda = String(code.system).toLowerCase() === 'ayurveda';
+  const native = code.nativeScript || '';
+  const nativeScript = detectScript(native);
+  const termKeyOf = word => searchKey(word, ayurveda ? { spelling: 'itrans' } : undefined);
+  const termKey = termKeyOf(code.term);
+  const nativeKey = searchKey(native);
+
+  return [
+    {
+      name: 'term',
+      text: code.term,
+      keys: [termKey, ...(nativeScript === 'arabic' ? [skeletonKey(termKey)] : [])],
+      keyOf: termKeyOf,
+    },
+    { name: 'nativeScript', text: native, keyOf: normalizeNative },
+    {
+      name: 'transliteration',
+      text: code.transliteration,
+      keys: [
+        nativeKey,
+        ...(nativeScript === 'tamil' ? [devoicedKey(nativeKey)] : []),
+        ...(nativeScript === 'arabic' ? [skeletonKey(nativeKey)] : []),
+      ],
+      keyOf: word => searchKey(word),
+    },
+    {
+      name: 'termDiacritical',
+      text: code.termDiacritical,
+      keys: [searchKey(code.termDiacritical)],
+      keyOf: word => searchKey(word),
+    },
+    { name: 'englishName', text: code.englishName, keys: [searchKey(code.englishName)], keyOf: word => searchKey(word) },
+    { name: 'definition', text: code.shortDefinition },
+  ].map(field => ({ ...field, weight: FIELD_WEIGHTS[field.name] }));
+};
+
+/**
+ * NAMASTE codes whose code, term, English name or native script is, or
+ * starts with, the query: the code and prefix tiers, fetched apart from the
+ * broad candidate pool so a query matching more codes than the pool keeps them
+ */
+const searchPrefixCandidates = async (prisma, { query, where }) => {
+  const fieldMatches = (filter) => [
+    { code: { [filter]: query.toUpperCase() } },
+    { term: { [filter]: query, mode: 'insensitive' } },
+    { englishName: { [filter]: query, mode: 'insensitive' } },
+    { nativeScript: { [filter]: query } },
+  ];
+  const find = (filter) => prisma.namasteCode.findMany({
+    where: { ...where, OR: fieldMatches(filter) },
+    take: PREFIX_POOL,
+    select: CANDIDATE_SELECT,
+    orderBy: [
+      { code: 'asc' },
+    ],
+  });
+
+  const [exact, prefix] = await Promise.all([find('equals'), find('startsWith')]);
+  return [...exact, ...prefix];
+};
+
+/**
+ * NAMASTE codes whose term, English name or search keys resemble the query,
+ * by pg_trgm word similarity (GIN trigram indexes), for misspelt queries
+ * that match nothing as written (arthritus, migrane)
+ */
+const searchFuzzyCandidates = async (prisma, { query, key, system, limit, minSimilarity }) => {
+  const [, rows] = await prisma.$transaction([
+    // The <% operator filters by this threshold, using the trigram indexes
+    prisma.$queryRaw`SELECT set_config('pg_trgm.word_similarity_threshold', ${String(minSimilarity)}, true)`,
+    prisma.$queryRaw`
+      SELECT id, code, system, term, native_script AS "nativeScript", english_name AS "englishName",
+        short_definition AS "shortDefinition", metadata
+      FROM namaste_codes
+      WHERE (${query} <% term OR ${query} <% english_name OR ${key} <% search_keys)
+        AND (${system}::text IS NULL OR system = ${system})
+      ORDER BY GREATEST(
+        word_similarity(${query}, term),
+        word_similarity(${query}, english_name),
+        word_similarity(${key}, search_keys)
+      ) DESC
+      LIMIT ${limit}
+    `,
+  ]);
+  return rows;
+};
+
+/**
+ * Search NAMASTE codes in any script, tolerating typos
+ * Exact code matches rank first, then prefix, word and fuzzy matches (see
+ * text-match.js); within a tier, matches on the term and native script rank
+ * above the English name and definition
+ * @param {string} query - Code, term, English name or native-script text
+ * @param {Object} [options]
+ * @param {string} [options.system] - ayurveda, siddha or unani
+ * @param {number} [options.limit] - Maximum results (default 10)
+ * @returns {Promise<Array>} Codes with score, matchType, matchedOn,
+ *   highlights ({ [field]: [[start, end], ...] }) and transliteration (the
+ *   native script romanised), best first
+ */
+export const searchNamaste = async (query, { system, limit = 10 } = {}) => {
+  const prisma = getPrisma();
+  const { minSimilarity, fuzzyCandidates } = config.autocomplete;
+  const queryKeys = buildQueryKeys(query);
+
+  const systemFilter = system ? { system: system.toUpperCase() } : {};
+
+  const [prefix, lexical, fuzzy] = await Promise.all([
+    searchPrefixCandidates(prisma, { query: query.trim(), where: systemFilter }),
+    prisma.namasteCode.findMany({
+      where: {
+        ...systemFilter,
+        OR: [
+          { code: { startsWith: query.toUpperCase() } },
+          { term: { contains: query, mode: 'insensitive' } },
+          { englishName: { contains: query, mode: 'insensitive' } },
+          { searchableText: { contains: query.toLowerCase() } },
+          { nativeScript: { contains: query } },
+          ...queryKeys.map(key => ({ searchKeys: { contains: key } })),
+        ],
+      },
+      take: CANDIDATE_POOL,
+      select: CANDIDATE_SELECT,
+      orderBy: [
+        { code: 'asc' },
+      ],
+    }),
+    searchFuzzyCandidates(prisma, {
+      query: foldText(query).trim(),
+      key: queryKeys[0] || query,
+      system: system ? system.toLowerCase() : null,
+      limit: fuzzyCandidates,
+      minSimilarity,
+    }).catch((error) => {
+      logger.warn({ error: error.message }, 'Fuzzy NAMASTE search failed');
+      return [];
+    }),
+  ]);
+
+  const candidates = new Map();
+  for (const code of [...prefix, ...lexical, ...fuzzy]) {
+    if (!candidates.has(code.id)) {
+      candidates.set(code.id, {
+        ...code,
+        system: String(code.system).toUpperCase(),
+        termDiacritical: code.metadata?.termDiacritical || null,
+        transliteration: code.nativeScript ? toLatin(code.nativeScript) : null,
+      });
+    }
+  }
+
+  return [...candidates.values()]
+    .map((code) => {
+      const fields = searchFields(code);
+      return { ...code, fields, ...rankMatch(code, query, { fields, queryKeys, minSimilarity }) };
+    })
+    .filter(code => code.score > 0)
+    .sort((a, b) => b.score - a.score || a.term.length - b.term.length || a.code.localeCompare(b.code))
+    .slice(0, limit)
+    .map(({ fields, ...code }) => {
+      const field = fields.find(f => f.name === code.matchedOn);
+      return {
+        ...code,
+        highlights: {
+          [code.matchedOn]: field
+            ? highlightSpans(field.text, query, { keys: queryKeys, keyOf: field.keyOf, minSimilarity })
+            : highlightSpans(code.code, query),
+        },
+      };
+    });
+};
+
+/**
+ * Add namaste_codes.search_keys and the trigram indexes autocomplete uses to
+ * databases created before they existed
+ */
+export const migrateSearchKeys = async () => {
+  const pool = getPool();
+  await pool.query('ALTER TABLE namaste_codes ADD COLUMN IF NOT EXISTS search_keys TEXT');
+  await pool.query('CREATE INDEX IF NOT EXISTS idx_namaste_codes_search_keys_trgm ON namaste_codes USING gin(search_keys gin_trgm_ops)');
+  await pool.query('CREATE INDEX IF NOT EXISTS idx_namaste_codes_english_name_trgm ON namaste_codes USING gin(english_name gin_trgm_ops)');
+};
+
+/**
+ * Recompute namaste_codes.search_keys for every code, e.g. after changing
+ * transliteration.js
+ * @param {Object} [options]
+ * @param {number} [options.batchSize] - Codes read per page (default 500)
+ * @param {Function} [options.onProgress] - Called with { processed, updated }
+ * @returns {Promise<{ processed: number, updated: number }>}
+ */
+export const backfillSearchKeys = async ({ batchSize = 500, onProgress } = {}) => {
+  const prisma = getPrisma();
+  let processed = 0;
+  let updated = 0;
+  let cursor;
+
+  for (;;) {
+    const codes = await prisma.namasteCode.findMany({
+      take: batchSize,
+      ...(cursor && { skip: 1, cursor: { id: cursor } }),
+      orderBy: { id: 'asc' },
+      select: {
+        id: true,
+        system: true,
+        term: true,
+        nativeScript: true,
+        englishName: true,
+        metadata: true,
+        searchKeys: true,
+      },
+    });
+    if (codes.length === 0) break;
+
+    for (const code of codes) {
+      const searchKeys = buildSearchKeys(code);
+      if (searchKeys !== code.searchKeys) {
+        await prisma.namasteCode.update({ where: { id: code.id }, data: { searchKeys } });
+        updated++;
+      }
+    }
+
+    processed += codes.length;
+    cursor = codes[codes.length - 1].id;
+    onProgress?.({ processed, updated });
+  }
+
+  logger.info({ processed, updated }, 'NAMASTE search keys backfilled');
+  return { processed, updated };
+};
@@ -0,0 +1,191 @@
+/**
+ * Offline LLM Provider
+ *
+ * Runs the mapping workflow with no network, for air-gapped deployments and CI
+ * - Embeddings: feature-hashed bag of words and character trigrams, so
+ *   spelling variants (jvara / jwara) still land close together
+ * - Chat: rule-based selection - picks the numbered candidate in the prompt
+ *   whose text is most similar to the query, and answers in the JSON shape
+ *   the prompt asks for
+ *
+ * Deterministic: the same input always gives the same output
+ */
+
+// Matches the pgvector embedding columns
+export const OFFLINE_EMBEDDING_DIMENSIONS = 768;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'by', 'for', 'from', 'in', 'is', 'it',
+  'of', 'on', 'or', 'the', 'to', 'with', 'without', 'due', 'other', 'unspecified',
+]);
+
+const TRIGRAM_WEIGHT = 0.5;
+
+// Similarity needed before a candidate is selected, and for each equivalence
+const MIN_SELECT_SIMILARITY = 0.15;
+const EQUIVALENT_SIMILARITY = 0.6;
+const PLAUSIBLE_SIMILARITY = 0.3;
+
+// Rule-based answers never claim more than this
+const MAX_CONFIDENCE = 0.8;
+
+// 32-bit FNV-1a
+const hash = (text, seed = 0x811c9dc5) => {
+  let h = seed;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+};
+
+/**
+ * Lowercase words with Latin diacritics folded (jvāra → jvara), stop words removed
+ */
+export const tokenize = (text) => (String(text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .match(/[\p{L}\p{M}\p{N}]+/gu) || [])
+  .filter(token => !STOP_WORDS.has(token));
+
+const features = (text) => {
+  const counts = new Map();
+  const add = (feature, weight) => counts.set(feature, (counts.get(feature) || 0) + weight);
+
+  for (const token of tokenize(text)) {
+    add(`w:${token}`, 1);
+    const padded = `#${token}#`;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      add(`t:${padded.slice(i, i + 3)}`, TRIGRAM_WEIGHT);
+    }
+  }
+  return counts;
+};
+
+/**
+ * Hash a text into a unit-length vector
+ * Each feature lands in one dimension with a hash-chosen sign; counts are
+ * damped with 1 + log(count)
+ * @param {string} text
+ * @param {number} [dimensions]
+ * @returns {number[]}
+ */
+export const hashEmbedding = (text, dimensions = OFFLINE_EMBEDDING_DIMENSIONS) => {
+  const vector = new Array(dimensions).fill(0);
+
+  for (const [feature, count] of features(text)) {
+    const index = hash(feature) % dimensions;
+    const sign = hash(feature, 0x9747b28c) & 1 ? 1 : -1;
+    vector[index] += sign * (1 + Math.log(count));
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return norm > 0 ? vector.map(v => Number((v / norm).toFixed(6))) : vector;
+};
+
+const cosine = (a, b) => a.reduce((sum, v, i) => sum + v * b[i], 0);
+
+/**
+ * Read the query and the numbered candidates ("1. CODE: title - definition")
+ * out of a prompt. The query is taken from Term/Definition/complaint lines,
+ * or else from the text before the first candidate
+ */
+const parsePrompt = (prompt) => {
+  const candidates = [...prompt.matchAll(/^\s*\d+\.\s+([^\s:]+):\s+(.+)$/gm)]
+    .map(([, code, text]) => ({ code, text }));
+
+  const labelled = [...prompt.matchAll(/^\s*(?:Term|Definition|Presenting complaint|Dosha assessment):\s*(.+)$/gim)]
+    .map(([, text]) => text)
+    .filter(text => text !== 'N/A');
+  const firstCandidate = prompt.search(/^\s*\d+\.\s+[^\s:]+:\s+/m);
+  const query = labelled.length > 0
+    ? labelled.join(' ')
+    : prompt.slice(0, firstCandidate >= 0 ? firstCandidate : undefined);
+
+  return { query, candidates, wantsCandidates: /"candidates"\s*:/.test(prompt) };
+};
+
+/**
+ * Rule-based answer to a candidate selection prompt
+ * @param {string} prompt
+ * @returns {Object|null} { selectedCode, confidence, equivalence, reasoning, candidates? },
+ *   or null when the prompt lists no candidates
+ */
+export const selectCandidate = (prompt) => {
+  const { query, candidates, wantsCandidates } = parsePrompt(prompt);
+  if (candidates.length === 0) return null;
+
+  const queryVector = hashEmbedding(query);
+  const scored = candidates
+    .map((candidate, index) => ({
+      ...candidate,
+      similarity: Math.max(0, cosine(queryVector, hashEmbedding(candidate.text))),
+      // Small preference for the search order on near ties
+      prior: 0.05 * (1 - index / candidates.length),
+    }))
+    .sort((a, b) => (b.similarity + b.prior) - (a.similarity + a.prior));
+
+  const equivalenceFor = (similarity) => (similarity >= EQUIVALENT_SIMILARITY ? 'EQUIVALENT'
+    : similarity >= MIN_SELECT_SIMILARITY ? 'INEXACT' : 'UNMATCHED');
+  const confidenceFor = (similarity) => Number(Math.min(MAX_CONFIDENCE, similarity).toFixed(2));
+
+  const best = scored[0];
+  const selected = best.similarity >= MIN_SELECT_SIMILARITY ? best : null;
+
+  return {
+    selectedCode: selected?.code ?? null,
+    confidence: confidenceFor(best.similarity),
+    equivalence: equivalenceFor(best.similarity),
+    reasoning: selected
+      ? `Offline rule-based match: ${selected.code} has the closest wording to the query (similarity ${best.similarity.toFixed(2)})`
+      : 'Offline rule-based match: no candidate is worded closely enough to the query',
+    ...(wantsCandidates && {
+      candidates: scored.map((candidate, index) => ({
+        code: candidate.code,
+        judgement: index === 0 && selected ? 'best'
+          : candidate.similarity >= PLAUSIBLE_SIMILARITY ? 'plausible' : 'unlikely',
+        confidence: confidenceFor(candidate.similarity),
+        equivalence: equivalenceFor(candidate.similarity),
+        rationale: `Wording similarity ${candidate.similarity.toFixed(2)}`,
+      })),
+    }),
+  };
+};
+
+const promptText = (prompt) => (Array.isArray(prompt)
+  ? prompt.map(message => message.content ?? message[1] ?? '').join('\n')
+  : String(prompt));
+
+/**
+ * Offline chat model
+ * invoke() answers candidate selection prompts with JSON; other prompts get
+ * a short note that the offline provider cannot answer them
+ */
+export const createOfflineChatModel = () => {
+  const respond = (prompt) => {
+    const answer = selectCandidate(promptText(prompt));
+    return answer
+      ? JSON.stringify(answer)
+      : 'The offline provider only answers candidate selection prompts';
+  };
+
+  return {
+    invoke: async (prompt) => ({ content: respond(prompt) }),
+    withStructuredOutput: (schema) => ({
+      invoke: async (prompt) => {
+        const answer = selectCandidate(promptText(prompt));
+        if (!answer) throw new Error('The offline provider only answers candidate selection prompts');
+        return schema.parse(answer);
+      },
+    }),
+  };
+};
+
+/**
+ * Offline embeddings
+ */
+export const createOfflineEmbeddings = ({ dimensions = OFFLINE_EMBEDDING_DIMENSIONS } = {}) => ({
+  embedQuery: async (text) => hashEmbedding(text, dimensions),
+  embedDocuments: async (texts) => texts.map(text => hashEmbedding(text, dimensions)),
+});
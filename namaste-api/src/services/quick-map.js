@@ -0,0 +1,157 @@
+/**
+ * Quick Map Service
+ *
+ * Resolves a free-text diagnosis (or a typed code) to a NAMASTE code
+ * Shared by the frontend quick-map endpoint, FHIR Condition coding and
+ * free-text mapping
+ */
+
+import { getPrisma } from '../db/client.js';
+import { searchNamasteBySimilarity } from './vector-search.js';
+
+/**
+ * Find the NAMASTE code matching a term, English name or exact code
+ * @param {string} term - Free text or code
+ * @param {string} system - System name (ayurveda, siddha, unani)
+ * @returns {Promise<Object|null>} NamasteCode row with its highest-confidence mapping
+ */
+export const findNamasteByTerm = async (term, system) => {
+  const prisma = getPrisma();
+
+  return prisma.namasteCode.findFirst({
+    where: {
+      system: system.toUpperCase(),
+      OR: [
+        { term: { contains: term, mode: 'insensitive' } },
+        { englishName: { contains: term, mode: 'insensitive' } },
+        { code: { equals: term, mode: 'insensitive' } },
+      ],
+    },
+    include: {
+      mappings: {
+        take: 1,
+        orderBy: { confidence: 'desc' },
+        include: { tm2Code: true },
+      },
+    },
+  });
+};
+
+/**
+ * Suggest NAMASTE codes sharing the first characters of a term
+ * @param {string} term - Free text
+ * @param {string} system - System name
+ * @returns {Promise<Array>} Up to five { code, term, englishName }
+ */
+export const getSuggestions = async (term, system) => {
+  const prisma = getPrisma();
+
+  return prisma.namasteCode.findMany({
+    where: {
+      system: system.toUpperCase(),
+      OR: [
+        { term: { contains: term.substring(0, 3), mode: 'insensitive' } },
+        { englishName: { contains: term.substring(0, 3), mode: 'insensitive' } },
+      ],
+    },
+    take: 5,
+    select: { code: true, term: true, englishName: true },
+  });
+};
+
+// Words too common in clinical free text to rank NAMASTE codes by
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'that', 'this', 'has', 'have', 'are', 'was',
+  'worse', 'better', 'since', 'days', 'weeks', 'patient', 'complains', 'complaint',
+]);
+
+// Weights of the two rankings when both returned candidates
+const VECTOR_WEIGHT = 0.6;
+const LEXICAL_WEIGHT = 0.4;
+
+/**
+ * Split free text into search keywords
+ */
+const extractKeywords = (text) => [...new Set(
+  text.toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(w => w.length > 2 && !STOP_WORDS.has(w))
+)].slice(0, 8);
+
+/**
+ * Lexical search: NAMASTE codes whose term, English name or definition
+ * contain the keywords, scored by the share of keywords found
+ */
+const searchNamasteByKeywords = async (text, system, limit) => {
+  const keywords = extractKeywords(text);
+  if (keywords.length === 0) return [];
+
+  const prisma = getPrisma();
+  const rows = await prisma.namasteCode.findMany({
+    where: {
+      ...(system && { system: system.toUpperCase() }),
+      OR: keywords.flatMap(keyword => [
+        { term: { contains: keyword, mode: 'insensitive' } },
+        { englishName: { contains: keyword, mode: 'insensitive' } },
+        { shortDefinition: { contains: keyword, mode: 'insensitive' } },
+      ]),
+    },
+    take: 100,
+  });
+
+  return rows
+    .map((row) => {
+      const haystack = [row.term, row.englishName, row.shortDefinition].filter(Boolean).join(' ').toLowerCase();
+      const matched = keywords.filter(k => haystack.includes(k));
+      return { ...row, score: matched.length / keywords.length, matchedKeywords: matched };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+/**
+ * Rank NAMASTE codes for a clinician's free-text description
+ * Combines pgvector similarity (searchNamasteBySimilarity) with keyword
+ * matching; when only one of them finds anything its score is used alone
+ * @param {string} text - Free text, e.g. "joint pain worse in cold with stiffness"
+ * @param {string} [system] - Restrict to one system
+ * @param {number} [limit] - Candidates to return
+ * @returns {Promise<Array>} { namasteCode, confidence, vectorSimilarity, lexicalScore, matchedKeywords }, best first
+ */
+export const findNamasteCandidates = async (text, system, limit = 5) => {
+  const [vectorMatches, lexicalMatches] = await Promise.all([
+    searchNamasteBySimilarity(text, system, limit * 2, 0.3),
+    searchNamasteByKeywords(text, system, limit * 2),
+  ]);
+
+  const vectorWeight = lexicalMatches.length > 0 ? VECTOR_WEIGHT : 1;
+  const lexicalWeight = vectorMatches.length > 0 ? LEXICAL_WEIGHT : 1;
+
+  const candidates = new Map();
+  lexicalMatches.forEach((row) => {
+    candidates.set(row.id, { id: row.id, vectorSimilarity: 0, lexicalScore: row.score, matchedKeywords: row.matchedKeywords });
+  });
+  vectorMatches.forEach((row) => {
+    const existing = candidates.get(row.id) || { id: row.id, lexicalScore: 0, matchedKeywords: [] };
+    candidates.set(row.id, { ...existing, vectorSimilarity: row.score });
+  });
+
+  const ranked = [...candidates.values()]
+    .map(c => ({
+      ...c,
+      confidence: Number((c.vectorSimilarity * vectorWeight + c.lexicalScore * lexicalWeight).toFixed(3)),
+    }))
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, limit);
+
+  if (ranked.length === 0) return [];
+
+  // Vector rows only carry a few columns; the mapping workflow needs full codes
+  const prisma = getPrisma();
+  const codes = await prisma.namasteCode.findMany({ where: { id: { in: ranked.map(c => c.id) } } });
+  const byId = new Map(codes.map(code => [code.id, code]));
+
+  return ranked
+    .filter(c => byId.has(c.id))
+    .map(({ id, ...scores }) => ({ namasteCode: byId.get(id), ...scores }));
+};
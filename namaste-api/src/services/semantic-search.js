@@ -0,0 +1,147 @@
+/**
+ * Semantic Search
+ *
+ * NAMASTE and TM2 codes ranked by meaning: cosine similarity of the query
+ * embedding to the code embeddings (see vector-search.js). With `blend`, the
+ * lexical autocomplete matches (namaste-search.js, tm2-search.js) are merged
+ * in and each code scores the weighted sum of its similarity and lexical score.
+ * The query is embedded once for both code systems
+ */
+
+import { config } from '../config/index.js';
+import { logger } from '../config/logger.js';
+import { embedSearchQuery, searchNamasteByEmbedding, searchTm2ByEmbedding } from './vector-search.js';
+import { searchNamaste } from './namaste-search.js';
+import { searchTm2 } from './tm2-search.js';
+
+export const SEARCH_SCOPES = ['namaste', 'tm2', 'all'];
+
+// Candidates taken from each list before merging
+const POOL_FACTOR = 2;
+
+const round = (value) => Number(value.toFixed(4));
+
+const toNamasteResult = (row) => ({
+  id: row.id,
+  code: row.code,
+  system: String(row.system).toLowerCase(),
+  term: row.term,
+  englishName: row.englishName ?? row.english_name ?? null,
+  definition: row.shortDefinition ?? row.short_definition ?? null,
+});
+
+const toTm2Result = (row) => ({
+  id: row.id,
+  code: row.code,
+  title: row.title,
+  category: row.category,
+  definition: row.definition,
+});
+
+/**
+ * Merge vector and lexical results by id into one ranked list
+ * Without lexical results the score is the similarity, and without vector
+ * results (e.g. the vector search failed) the lexical score
+ */
+const mergeResults = (semantic, lexical, { toResult, lexicalWeight, limit }) => {
+  const merged = new Map();
+
+  for (const row of semantic) {
+    merged.set(row.id, { ...toResult(row), similarity: round(row.score), lexicalScore: null, matchedBy: ['semantic'] });
+  }
+  for (const row of lexical) {
+    const existing = merged.get(row.id);
+    if (existing) {
+      existing.lexicalScore = row.score;
+      existing.matchedBy.push('lexical');
+    } else {
+      merged.set(row.id, { ...toResult(row), similarity: null, lexicalScore: row.score, matchedBy: ['lexical'] });
+    }
+  }
+
+  let weight = lexicalWeight;
+  if (lexical.length === 0) weight = 0;
+  else if (semantic.length === 0) weight = 1;
+
+  return [...merged.values()]
+    .map(result => ({
+      ...result,
+      score: round((1 - weight) * (result.similarity ?? 0) + weight * (result.lexicalScore ?? 0)),
+    }))
+    .sort((a, b) => b.score - a.score || a.code.localeCompare(b.code))
+    .slice(0, limit);
+};
+
+/**
+ * Search codes by meaning
+ * @param {string} query - Free text, e.g. "pain radiating down the leg"
+ * @param {Object} [options]
+ * @param {string} [options.scope] - namaste, tm2 or all (default)
+ * @param {string} [options.system] - NAMASTE system: ayurveda, siddha or unani
+ * @param {number} [options.limit] - Results per code system (default 10)
+ * @param {number} [options.minSimilarity] - Least cosine similarity
+ * @param {boolean} [options.blend] - Merge in lexical matches
+ * @param {number} [options.lexicalWeight] - Share of the blended score from
+ *   the lexical score
+ * @param {string} [options.model] - Embedding model id (the configured model by default)
+ * @returns {Promise<{ namaste?: Array, tm2?: Array, warning?: string }>}
+ *   Results per scope, each with similarity, lexicalScore, score and
+ *   matchedBy, best first. With `blend`, a failed vector search still returns
+ *   the lexical matches, and `warning` says why meaning-based ones are missing
+ * @throws When the vector search fails without `blend`
+ */
+export const semanticSearch = async (query, options = {}) => {
+  const {
+    scope = 'all',
+    system,
+    limit = 10,
+    minSimilarity = config.semanticSearch.minSimilarity,
+    blend = false,
+    lexicalWeight = config.semanticSearch.lexicalWeight,
+    model,
+  } = options;
+  const pool = limit * POOL_FACTOR;
+  const settings = { lexicalWeight, limit };
+  let warning = null;
+
+  const vectorSearch = async (search) => {
+    try {
+      return await search();
+    } catch (error) {
+      if (!blend) throw error;
+      logger.warn({ error: error.message }, 'Vector search failed - returning lexical matches only');
+      warning ??= `Meaning-based matches are unavailable: ${error.message}`;
+      return [];
+    }
+  };
+
+  const embedding = await vectorSearch(() => embedSearchQuery(query, { model }));
+  const semanticResults = (search) => (embedding.length > 0 ? vectorSearch(search) : []);
+
+  const searchNamasteScope = async () => {
+    const [semantic, lexical] = await Promise.all([
+      semanticResults(() => searchNamasteByEmbedding(embedding, system, pool, minSimilarity, { model })),
+      blend ? searchNamaste(query, { system, limit: pool }) : [],
+    ]);
+    return mergeResults(semantic, lexical, { ...settings, toResult: toNamasteResult });
+  };
+
+  const searchTm2Scope = async () => {
+    const [semantic, lexical] = await Promise.all([
+      semanticResults(() => searchTm2ByEmbedding(embedding, pool, minSimilarity, { model })),
+      blend ? searchTm2(query, { limit: pool }) : [],
+    ]);
+    return mergeResults(semantic, lexical, { ...settings, toResult: toTm2Result });
+  };
+
+  const [namaste, tm2] = await Promise.all([
+    scope === 'tm2' ? null : searchNamasteScope(),
+    scope === 'namaste' ? null : searchTm2Scope(),
+  ]);
+
+  return {
+    ...(namaste && { namaste }),
+    ...(tm2 && { tm2 }),
+    ...(warning && { warning }),
+  };
+};
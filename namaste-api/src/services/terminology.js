@@ -0,0 +1,147 @@
+import { config } from '../config/index.js';
+
+/**
+ * Terminology Helpers
+ * Shared code system resolution and FHIR building blocks
+ * Functional approach - pure functions, no database access
+ */
+
+export const NAMASTE_SYSTEMS = ['ayurveda', 'siddha', 'unani'];
+
+/**
+ * FHIR extension URLs for mapping metadata
+ */
+export const FHIR_EXTENSIONS = Object.freeze({
+  confidence: `${config.fhir.baseUrl}/StructureDefinition/mapping-confidence`,
+  validationStatus: `${config.fhir.baseUrl}/StructureDefinition/mapping-validation-status`,
+  mappingSource: `${config.fhir.baseUrl}/StructureDefinition/mapping-source`,
+});
+
+/**
+ * Get the FHIR system URI for a NAMASTE system
+ * @param {string} system - System enum or name (AYURVEDA, siddha, ...)
+ * @returns {string|undefined} System URI
+ */
+export const getNamasteSystemUri = (system) =>
+  config.fhir.namaste[`${system.toLowerCase()}System`];
+
+/**
+ * Resolve a system URI (or bare name) to a NAMASTE system enum
+ * @param {string} system - System URI or name
+ * @returns {'AYURVEDA'|'SIDDHA'|'UNANI'|null} System enum
+ */
+export const resolveNamasteSystem = (system) => {
+  if (!system) return null;
+  const value = system.toLowerCase();
+  if (value.includes('ayurveda')) return 'AYURVEDA';
+  if (value.includes('siddha')) return 'SIDDHA';
+  if (value.includes('unani')) return 'UNANI';
+  return null;
+};
+
+// Names and URIs accepted for ICD-11 TM2 besides config.fhir.icd11.tm2System
+const TM2_SYSTEM_ALIASES = ['tm2', 'icd11', 'icd-11', 'icd11-tm2', 'http://id.who.int/icd11/tm2'];
+
+/**
+ * Check whether a system URI (or bare name) refers to ICD-11 TM2
+ * @param {string} system - System URI or name
+ * @returns {boolean}
+ */
+export const isTm2System = (system) => {
+  if (!system) return false;
+  const value = system.toLowerCase();
+  return value === config.fhir.icd11.tm2System.toLowerCase() || TM2_SYSTEM_ALIASES.includes(value);
+};
+
+/**
+ * Resolve a system URI (or bare name) to its canonical code system URI
+ * @param {string} system - System URI or name
+ * @returns {string|null} Canonical URI, null when unsupported
+ */
+export const getCanonicalSystemUri = (system) => {
+  const namasteSystem = resolveNamasteSystem(system);
+  if (namasteSystem) return getNamasteSystemUri(namasteSystem);
+  if (isTm2System(system)) return config.fhir.icd11.tm2System;
+  return null;
+};
+
+/**
+ * Get the designation language for a NAMASTE system
+ * @param {string} system - System enum
+ * @returns {string} BCP-47 language code
+ */
+export const getLanguageCode = (system) => {
+  switch (system) {
+    case 'AYURVEDA': return 'sa'; // Sanskrit
+    case 'SIDDHA': return 'ta'; // Tamil
+    case 'UNANI': return 'ur'; // Urdu
+    default: return 'en';
+  }
+};
+
+/**
+ * Convert a stored equivalence enum to the FHIR R4 ConceptMap code
+ * @param {string} equivalence - Equivalence enum (EQUIVALENT, WIDER, ...)
+ * @returns {string} FHIR equivalence code
+ */
+export const toFhirEquivalence = (equivalence) =>
+  (equivalence || 'UNMATCHED').toLowerCase();
+
+/**
+ * Invert an equivalence for reading a mapping in the opposite direction
+ * A TM2 target that is wider than its NAMASTE source makes the NAMASTE
+ * concept narrower than the TM2 code, and vice versa
+ * @param {string} equivalence - Equivalence enum (EQUIVALENT, WIDER, ...)
+ * @returns {string} Inverted equivalence enum
+ */
+export const invertEquivalence = (equivalence) => {
+  switch (equivalence) {
+    case 'WIDER': return 'NARROWER';
+    case 'NARROWER': return 'WIDER';
+    default: return equivalence;
+  }
+};
+
+/**
+ * Compose the equivalences of two chained mappings (A → B, then B → C)
+ * Both legs read target-relative-to-source; matching directions carry
+ * through, anything mixed or inexact can only be inexact
+ * @param {string} first - Equivalence enum of the A → B leg
+ * @param {string} second - Equivalence enum of the B → C leg
+ * @returns {string} Equivalence enum of A → C
+ */
+export const composeEquivalence = (first, second) => {
+  if (first === 'EQUIVALENT') return second;
+  if (second === 'EQUIVALENT') return first;
+  if (first === second && (first === 'WIDER' || first === 'NARROWER')) return first;
+  return 'INEXACT';
+};
+
+/**
+ * Build mapping metadata extensions (confidence, validation status, source)
+ * @param {Object} mapping - Mapping row
+ * @returns {Array} FHIR extensions
+ */
+export const createMappingExtensions = (mapping) => [
+  { url: FHIR_EXTENSIONS.confidence, valueDecimal: mapping.confidence },
+  mapping.validationStatus && {
+    url: FHIR_EXTENSIONS.validationStatus,
+    valueCode: mapping.validationStatus.toLowerCase(),
+  },
+  mapping.mappingSource && {
+    url: FHIR_EXTENSIONS.mappingSource,
+    valueCode: mapping.mappingSource.toLowerCase(),
+  },
+].filter(Boolean);
+
+/**
+ * Create a FHIR OperationOutcome with a single issue
+ * @param {string} code - Issue type (required, not-found, invalid, ...)
+ * @param {string} diagnostics - Human readable detail
+ * @param {string} severity - Issue severity
+ * @returns {Object} OperationOutcome resource
+ */
+export const createOperationOutcome = (code, diagnostics, severity = 'error') => ({
+  resourceType: 'OperationOutcome',
+  issue: [{ severity, code, diagnostics }],
+});
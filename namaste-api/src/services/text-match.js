@@ -0,0 +1,221 @@
+/**
+ * Text Matching
+ *
+ * Match tiers, trigram similarity and highlight spans for autocomplete.
+ * A match falls in one tier, best first:
+ * - code: the query is the code
+ * - prefix: a field (or the code) starts with the query
+ * - word: a word inside a field starts with, or contains, the query
+ * - fuzzy: a word resembles the query by trigram similarity (typos)
+ * Scores are banded by tier so sorting by score orders results tier first
+ */
+
+import { foldDiacritics, normalizeNative } from './transliteration.js';
+
+export const MATCH_TIERS = ['code', 'prefix', 'word', 'fuzzy'];
+
+const TIER_BANDS = {
+  code: [1, 1],
+  prefix: [0.7, 0.95],
+  word: [0.4, 0.7],
+  fuzzy: [0, 0.4],
+};
+
+const round = (value) => Number(value.toFixed(4));
+
+/**
+ * Score of a match: its strength (0-1) placed in its tier's band
+ */
+export const tierScore = (tier, strength) => {
+  const [low, high] = TIER_BANDS[tier];
+  return round(low + (high - low) * strength);
+};
+
+/**
+ * Text as compared when matching as written: native script normalized,
+ * diacritics folded, whitespace collapsed
+ */
+export const foldText = (text) => foldDiacritics(normalizeNative(text)).replace(/\s+/g, ' ');
+
+// Words of a text, with '~' and '^' kept for NAMASTE spellings (kha~jjaH)
+const WORD = /[\p{L}\p{M}\p{N}~^]+/gu;
+
+const words = (text) => String(text || '').match(WORD) || [];
+
+/**
+ * Exact, prefix or word match of a needle in a text (both folded)
+ * @returns {{ tier: string, strength: number }|null}
+ */
+export const matchText = (text, needle) => {
+  if (!text || !needle) return null;
+  if (text === needle) return { tier: 'prefix', strength: 1 };
+  if (text.startsWith(needle)) return { tier: 'prefix', strength: 0.9 };
+  if (` ${text}`.includes(` ${needle}`)) return { tier: 'word', strength: 1 };
+  if (text.includes(needle)) return { tier: 'word', strength: 0.7 };
+  return null;
+};
+
+// Trigrams of a word padded as pg_trgm pads them
+const trigrams = (word) => {
+  const padded = `  ${word} `;
+  const grams = new Set();
+  for (let i = 0; i + 3 <= padded.length; i++) grams.add(padded.slice(i, i + 3));
+  return grams;
+};
+
+const sharedShare = (needleGrams, grams) => {
+  let shared = 0;
+  for (const gram of needleGrams) if (grams.has(gram)) shared++;
+  return shared / needleGrams.size;
+};
+
+/**
+ * How closely the words of a needle appear among the words of a text, like
+ * pg_trgm word_similarity: for each needle word, the share of its trigrams
+ * found in the closest text word, averaged over the needle's words
+ * (arthritus in "Rheumatoid arthritis" → 0.7)
+ * @returns {number} 0-1
+ */
+export const wordSimilarity = (needle, text) => {
+  const needleWords = words(needle);
+  const textGrams = words(text).map(trigrams);
+  if (needleWords.length === 0 || textGrams.length === 0) return 0;
+
+  const total = needleWords.reduce((sum, word) => {
+    const grams = trigrams(word);
+    return sum + Math.max(...textGrams.map(wordGrams => sharedShare(grams, wordGrams)));
+  }, 0);
+  return total / needleWords.length;
+};
+
+// Folded text with the original [start, end) offsets of each folded unit
+const foldWithOffsets = (text) => {
+  let folded = '';
+  const starts = [];
+  const ends = [];
+  let position = 0;
+
+  for (const char of text) {
+    const unit = /\s/.test(char) ? ' ' : foldText(char);
+    for (let i = 0; i < unit.length; i++) {
+      starts.push(position);
+      ends.push(position + char.length);
+    }
+    folded += unit;
+    position += char.length;
+  }
+  return { folded, starts, ends };
+};
+
+const mergeSpans = (spans) => spans
+  .sort((a, b) => a[0] - b[0])
+  .reduce((merged, span) => {
+    const last = merged[merged.length - 1];
+    if (last && span[0] <= last[1]) last[1] = Math.max(last[1], span[1]);
+    else merged.push([...span]);
+    return merged;
+  }, []);
+
+/**
+ * Spans of a text that matched a query, as [start, end) offsets into the
+ * text: occurrences of the query (or of its words) as written, else the
+ * words whose loose key matches a query key, else the words that resemble
+ * the query
+ * @param {string} text - Field value as returned to the client
+ * @param {string} query - Search query
+ * @param {Object} [options]
+ * @param {string[]} [options.keys] - Loose keys of the query
+ * @param {Function} [options.keyOf] - Loose key of one word of the text
+ * @param {number} [options.minSimilarity] - Least similarity of a fuzzy word
+ * @returns {number[][]}
+ */
+export const highlightSpans = (text, query, { keys = [], keyOf, minSimilarity = 0.5 } = {}) => {
+  if (!text || !query) return [];
+  const { folded, starts, ends } = foldWithOffsets(String(text));
+  const needle = foldText(query).trim();
+
+  const occurrences = (part) => {
+    const spans = [];
+    for (let index = folded.indexOf(part); part && index !== -1; index = folded.indexOf(part, index + part.length)) {
+      spans.push([starts[index], ends[index + part.length - 1]]);
+    }
+    return spans;
+  };
+
+  let spans = occurrences(needle);
+  if (spans.length === 0) spans = needle.split(' ').filter(part => part.length >= 2).flatMap(occurrences);
+  if (spans.length > 0) return mergeSpans(spans);
+
+  const textWords = [...String(text).matchAll(WORD)].map(match => ({
+    word: match[0],
+    span: [match.index, match.index + match[0].length],
+  }));
+  const keyWords = keys.flatMap(key => key.split(' ')).filter(word => word.length >= 2);
+
+  if (keyOf && keyWords.length > 0) {
+    const loose = textWords.filter(({ word }) => {
+      const key = keyOf(word);
+      return key && keyWords.some(keyWord => key.includes(keyWord));
+    });
+    if (loose.length > 0) return mergeSpans(loose.map(({ span }) => span));
+  }
+
+  return mergeSpans(textWords
+    .filter(({ word }) => wordSimilarity(needle, foldText(word)) >= minSimilarity
+      || (keyOf && keyWords.some(keyWord => wordSimilarity(keyWord, keyOf(word)) >= minSimilarity)))
+    .map(({ span }) => span));
+};
+
+/**
+ * Best match of a query across the fields of a code
+ * @param {Object} code - Code with a `code` property
+ * @param {string} query - Search query
+ * @param {Object} options
+ * @param {Array} options.fields - { name, text, keys, weight } per field; keys
+ *   are the field's loose keys, matched against the query keys
+ * @param {string[]} [options.queryKeys] - Loose keys of the query
+ * @param {number} [options.minSimilarity] - Least trigram similarity of a fuzzy match
+ * @returns {{ score: number, matchType: string|null, matchedOn: string|null }}
+ */
+export const rankMatch = (code, query, { fields, queryKeys = [], minSimilarity = 0.5 }) => {
+  const upperQuery = query.trim().toUpperCase();
+  const upperCode = code.code.toUpperCase();
+  if (upperCode === upperQuery) return { score: tierScore('code', 1), matchType: 'code', matchedOn: 'code' };
+
+  let best = upperCode.startsWith(upperQuery)
+    ? { score: tierScore('prefix', 0.95), matchType: 'prefix', matchedOn: 'code' }
+    : { score: 0, matchType: null, matchedOn: null };
+
+  const foldedQuery = foldText(query).trim();
+  const consider = (name, tier, strength) => {
+    const score = tierScore(tier, strength);
+    if (score > best.score) best = { score, matchType: tier, matchedOn: name };
+  };
+
+  for (const { name, text, keys = [], weight = 1 } of fields) {
+    if (!text) continue;
+    const asWritten = matchText(foldText(text).trim(), foldedQuery);
+    if (asWritten) consider(name, asWritten.tier, asWritten.strength * weight);
+
+    // Loose keys rank just below the same match as written
+    for (const key of keys) {
+      for (const queryKey of queryKeys) {
+        const loose = matchText(key, queryKey);
+        if (loose) consider(name, loose.tier, loose.strength * weight * 0.95);
+      }
+    }
+  }
+
+  if (best.score > 0) return best;
+
+  for (const { name, text, keys = [], weight = 1 } of fields) {
+    if (!text) continue;
+    const similarity = Math.max(
+      wordSimilarity(foldedQuery, foldText(text)),
+      ...keys.flatMap(key => queryKeys.map(queryKey => wordSimilarity(queryKey, key))),
+    );
+    if (similarity >= minSimilarity) consider(name, 'fuzzy', similarity * weight);
+  }
+
+  return best;
+};
@@ -0,0 +1,135 @@
+/**
+ * TM2 Search
+ *
+ * Autocomplete over ICD-11 TM2 codes, tolerating typos: matches on the code,
+ * title and definition, plus pg_trgm similarity of the title for
+ * misspelt queries. Ranked by match tier (see text-match.js)
+ */
+
+import { getPrisma } from '../db/client.js';
+import { config } from '../config/index.js';
+import { logger } from '../config/logger.js';
+import { foldText, rankMatch, highlightSpans } from './text-match.js';
+
+// Codes fetched before ranking
+const CANDIDATE_POOL = 200;
+const PREFIX_POOL = 50;
+
+const CANDIDATE_SELECT = {
+  id: true,
+  code: true,
+  title: true,
+  category: true,
+  definition: true,
+};
+
+const FIELD_WEIGHTS = { title: 1, definition: 0.7 };
+
+const searchFields = (code) => [
+  { name: 'title', text: code.title },
+  { name: 'definition', text: code.definition },
+].map(field => ({ ...field, weight: FIELD_WEIGHTS[field.name] }));
+
+/**
+ * TM2 codes whose code or title is, or starts with, the query: the code and
+ * prefix tiers, fetched apart from the broad candidate pool so a query
+ * matching more codes than the pool keeps them
+ */
+const searchPrefixCandidates = async (prisma, { query, where }) => {
+  const find = (filter) => prisma.tm2Code.findMany({
+    where: {
+      ...where,
+      OR: [
+        { code: { [filter]: query.toUpperCase() } },
+        { title: { [filter]: query, mode: 'insensitive' } },
+      ],
+    },
+    take: PREFIX_POOL,
+    select: CANDIDATE_SELECT,
+    orderBy: [
+      { code: 'asc' },
+    ],
+  });
+
+  const [exact, prefix] = await Promise.all([find('equals'), find('startsWith')]);
+  return [...exact, ...prefix];
+};
+
+/**
+ * TM2 codes whose title resembles the query (GIN trigram index on title)
+ */
+const searchFuzzyCandidates = async (prisma, { query, category, limit, minSimilarity }) => {
+  const [, rows] = await prisma.$transaction([
+    prisma.$queryRaw`SELECT set_config('pg_trgm.word_similarity_threshold', ${String(minSimilarity)}, true)`,
+    prisma.$queryRaw`
+      SELECT id, code, title, category, definition
+      FROM tm2_codes
+      WHERE ${query} <% title
+        AND (${category}::text IS NULL OR category = ${category})
+      ORDER BY word_similarity(${query}, title) DESC
+      LIMIT ${limit}
+    `,
+  ]);
+  return rows;
+};
+
+/**
+ * Search TM2 codes, tolerating typos
+ * @param {string} query - Code or title
+ * @param {Object} [options]
+ * @param {string} [options.category] - TM2 category
+ * @param {number} [options.limit] - Maximum results (default 10)
+ * @returns {Promise<Array>} Codes with score, matchType, matchedOn and
+ *   highlights ({ [field]: [[start, end], ...] }), best first
+ */
+export const searchTm2 = async (query, { category, limit = 10 } = {}) => {
+  const prisma = getPrisma();
+  const { minSimilarity, fuzzyCandidates } = config.autocomplete;
+
+  const categoryFilter = category ? { category } : {};
+
+  const [prefix, lexical, fuzzy] = await Promise.all([
+    searchPrefixCandidates(prisma, { query: query.trim(), where: categoryFilter }),
+    prisma.tm2Code.findMany({
+      where: {
+        ...categoryFilter,
+        OR: [
+          { code: { startsWith: query.toUpperCase() } },
+          { title: { contains: query, mode: 'insensitive' } },
+          { definition: { contains: query, mode: 'insensitive' } },
+        ],
+      },
+      take: CANDIDATE_POOL,
+      select: CANDIDATE_SELECT,
+      orderBy: [
+        { code: 'asc' },
+      ],
+    }),
+    searchFuzzyCandidates(prisma, {
+      query: foldText(query).trim(),
+      category: category || null,
+      limit: fuzzyCandidates,
+      minSimilarity,
+    }).catch((error) => {
+      logger.warn({ error: error.message }, 'Fuzzy TM2 search failed');
+      return [];
+    }),
+  ]);
+
+  const candidates = new Map([...fuzzy, ...lexical, ...prefix].map(code => [code.id, code]));
+
+  return [...candidates.values()]
+    .map(code => ({ ...code, ...rankMatch(code, query, { fields: searchFields(code), minSimilarity }) }))
+    .filter(code => code.score > 0)
+    .sort((a, b) => b.score - a.score || a.title.length - b.title.length || a.code.localeCompare(b.code))
+    .slice(0, limit)
+    .map((code) => {
+      const field = searchFields(code).find(f => f.name === code.matchedOn);
+      return {
+        ...code,
+        highlights: {
+          [code.matchedOn]: highlightSpans(field ? field.text : code.code, query, { minSimilarity }),
+        },
+      };
+    });
+};
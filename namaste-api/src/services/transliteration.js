@@ -0,0 +1,573 @@
+/**
+ * Transliteration
+ *
+ * NAMASTE terms come in three scripts and several romanisations:
+ * - Ayurveda: Devanagari ↔ IAST. Latin input may also be ITRANS or the
+ *   NAMASTE portal's ITRANS-like spelling (kha~jjaH, vAtavyAdhiH)
+ * - Siddha: Tamil ↔ Latin (ISO 15919, as in the Siddha terms)
+ * - Unani: Urdu/Arabic ↔ Latin (common Urdu romanisation). Arabic script
+ *   leaves out short vowels, so Urdu is compared by consonant skeleton
+ *
+ * Search keys fold what romanisations disagree on - diacritics, vowel length,
+ * aspiration, doubled letters, c/ch/s and nasals - so "khanja", "kha~jjaH",
+ * "khañjaḥ" and खञ्जः all have the key "kanja"
+ *
+ * Pure functions, no I/O
+ */
+
+export const SCRIPTS = ['latin', 'devanagari', 'tamil', 'arabic'];
+
+const SCRIPT_PATTERNS = {
+  devanagari: /[\u0900-\u097f]/,
+  tamil: /[\u0b80-\u0bff]/,
+  arabic: /[\u0600-\u06ff\u0750-\u077f\ufb50-\ufdff\ufe70-\ufefe]/,
+};
+
+/**
+ * Script of a text: the first non-Latin script it contains, else latin
+ * @param {string} text
+ * @returns {string} One of SCRIPTS
+ */
+export const detectScript = (text) =>
+  Object.keys(SCRIPT_PATTERNS).find(script => SCRIPT_PATTERNS[script].test(text || '')) || 'latin';
+
+/**
+ * Lowercase with diacritics and apostrophes removed (vyādhi → vyadhi, Aẕal → azal)
+ */
+export const foldDiacritics = (text) => String(text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[’‘'ʼʻʿʾ`]/g, '')
+  .toLowerCase();
+
+// ============================================================================
+// Devanagari
+// ============================================================================
+
+// IAST vowel → [independent letter, vowel sign]
+const DEVANAGARI_VOWELS = {
+  a: ['अ', ''], ā: ['आ', 'ा'], i: ['इ', 'ि'], ī: ['ई', 'ी'], u: ['उ', 'ु'], ū: ['ऊ', 'ू'],
+  ṛ: ['ऋ', 'ृ'], ṝ: ['ॠ', 'ॄ'], ḷ: ['ऌ', 'ॢ'],
+  e: ['ए', 'े'], ai: ['ऐ', 'ै'], o: ['ओ', 'ो'], au: ['औ', 'ौ'],
+};
+
+const DEVANAGARI_CONSONANTS = {
+  k: 'क', kh: 'ख', g: 'ग', gh: 'घ', ṅ: 'ङ',
+  c: 'च', ch: 'छ', j: 'ज', jh: 'झ', ñ: 'ञ',
+  ṭ: 'ट', ṭh: 'ठ', ḍ: 'ड', ḍh: 'ढ', ṇ: 'ण',
+  t: 'त', th: 'थ', d: 'द', dh: 'ध', n: 'न',
+  p: 'प', ph: 'फ', b: 'ब', bh: 'भ', m: 'म',
+  y: 'य', r: 'र', l: 'ल', v: 'व', ś: 'श', ṣ: 'ष', s: 'स', h: 'ह',
+  // Nukta letters, for Perso-Arabic loanwords
+  q: 'क़', f: 'फ़', z: 'ज़',
+};
+
+const DEVANAGARI_MARKS = { ṃ: 'ं', 'm̐': 'ँ', ḥ: 'ः', "'": 'ऽ' };
+
+const DEVANAGARI_VIRAMA = '्';
+const NUKTA = '़';
+
+const invert = (object, pick = value => value) =>
+  Object.fromEntries(Object.entries(object).map(([key, value]) => [pick(value), key]));
+
+const DEVANAGARI_TO_LATIN = {
+  ...invert(DEVANAGARI_VOWELS, ([letter]) => letter),
+  ...invert(DEVANAGARI_MARKS),
+  'ॐ': 'oṃ',
+  '।': '.',
+  '॥': '.',
+  ...Object.fromEntries([...'०१२३४५६७८९'].map((digit, index) => [digit, String(index)])),
+};
+const DEVANAGARI_CONSONANT_TO_LATIN = invert(
+  Object.fromEntries(Object.entries(DEVANAGARI_CONSONANTS).filter(([, letter]) => !letter.includes(NUKTA)))
+);
+const DEVANAGARI_SIGN_TO_LATIN = Object.fromEntries(
+  Object.entries(DEVANAGARI_VOWELS).filter(([, [, sign]]) => sign).map(([vowel, [, sign]]) => [sign, vowel])
+);
+const DEVANAGARI_NUKTA_TO_LATIN = { 'क': 'q', 'ख': 'kh', 'ग': 'g', 'ज': 'z', 'ड': 'ṛ', 'ढ': 'ṛh', 'फ': 'f', 'य': 'y' };
+
+/**
+ * Devanagari → IAST (व्याधिः → vyādhiḥ)
+ * Other characters are kept
+ */
+export const devanagariToLatin = (text) => {
+  // NFD splits precomposed nukta letters (क़ → क + ़)
+  const chars = [...String(text || '').normalize('NFD')];
+  let latin = '';
+
+  for (let i = 0; i < chars.length; i++) {
+    const consonant = DEVANAGARI_CONSONANT_TO_LATIN[chars[i]];
+    if (!consonant) {
+      latin += DEVANAGARI_TO_LATIN[chars[i]] ?? chars[i];
+      continue;
+    }
+
+    let syllable = consonant;
+    if (chars[i + 1] === NUKTA) {
+      syllable = DEVANAGARI_NUKTA_TO_LATIN[chars[i]] ?? consonant;
+      i++;
+    }
+
+    // A consonant carries an inherent a unless a virama or vowel sign follows
+    const next = chars[i + 1];
+    if (next === DEVANAGARI_VIRAMA) {
+      i++;
+    } else if (DEVANAGARI_SIGN_TO_LATIN[next]) {
+      syllable += DEVANAGARI_SIGN_TO_LATIN[next];
+      i++;
+    } else {
+      syllable += 'a';
+    }
+    latin += syllable;
+  }
+
+  return latin;
+};
+
+// ============================================================================
+// Latin input (IAST, ITRANS, NAMASTE spelling) → IAST letters
+// ============================================================================
+
+const VIRAMA = Symbol('virama');
+
+// Input spelling → IAST letters. Case matters: in ITRANS and the NAMASTE
+// spelling capitals mark long vowels (A, I, U, E, O), retroflexes (T, D, N),
+// sibilants (S, Sh), aspirates (B, P, C) and marks (M, H)
+const LATIN_SPELLINGS = Object.entries({
+  // Vowels
+  aa: 'ā', A: 'ā', ā: 'ā', a: 'a',
+  ii: 'ī', ee: 'ī', I: 'ī', ī: 'ī', i: 'i',
+  uu: 'ū', oo: 'ū', U: 'ū', ū: 'ū', u: 'u',
+  RRi: 'ṛ', 'R^i': 'ṛ', Ru: 'ṛ', ṛ: 'ṛ', 'r̥': 'ṛ',
+  RRI: 'ṝ', 'R^I': 'ṝ', ṝ: 'ṝ', 'r̥̄': 'ṝ',
+  LLi: 'ḷ', 'L^i': 'ḷ', 'l̥': 'ḷ',
+  ai: 'ai', au: 'au', e: 'e', E: 'e', ē: 'e', o: 'o', O: 'o', ō: 'o',
+  // Consonants
+  kh: 'kh', K: 'kh', k: 'k', gh: 'gh', G: 'gh', g: 'g', '~N': 'ṅ', '~g': 'ṅ', ṅ: 'ṅ',
+  chh: 'ch', Ch: 'ch', C: 'ch', ch: 'c', c: 'c', jh: 'jh', J: 'jh', j: 'j',
+  '~n': 'ñ', '~j': 'ñ', JN: 'ñ', ñ: 'ñ',
+  Th: 'ṭh', ṭh: 'ṭh', T: 'ṭ', ṭ: 'ṭ', Dh: 'ḍh', ḍh: 'ḍh', D: 'ḍ', ḍ: 'ḍ', N: 'ṇ', ṇ: 'ṇ',
+  th: 'th', t: 't', dh: 'dh', d: 'd', n: 'n',
+  ph: 'ph', P: 'ph', p: 'p', f: 'f', bh: 'bh', B: 'bh', b: 'b', m: 'm',
+  y: 'y', r: 'r', l: 'l', v: 'v', w: 'v',
+  shh: 'ṣ', Sh: 'ṣ', ṣ: 'ṣ', sh: 'ś', S: 'ś', ś: 'ś', s: 's', h: 'h',
+  x: ['k', 'ṣ'], GY: ['j', 'ñ'], q: 'q', z: 'z',
+  // Marks
+  M: 'ṃ', '.n': 'ṃ', ṃ: 'ṃ', ṁ: 'ṃ', '.N': 'm̐', 'm̐': 'm̐', H: 'ḥ', ḥ: 'ḥ',
+  '.h': VIRAMA, '^^': "'", '.a': "'", '^': [],
+}).sort(([a], [b]) => b.length - a.length);
+
+/**
+ * Split romanised text into IAST letters and other characters
+ * Letters not spelled out above (e.g. a capital starting a word) are read lowercase
+ */
+const tokenizeLatin = (text) => {
+  const input = String(text || '').normalize('NFC');
+  const tokens = [];
+
+  for (let i = 0; i < input.length;) {
+    let match = LATIN_SPELLINGS.find(([spelling]) => input.startsWith(spelling, i));
+    if (!match) {
+      const lower = input[i].toLowerCase();
+      match = lower !== input[i] && LATIN_SPELLINGS.find(([spelling]) => spelling === lower);
+    }
+
+    if (match) {
+      tokens.push(...[match[1]].flat());
+      i += match[0].length;
+    } else {
+      tokens.push({ other: input[i] });
+      i++;
+    }
+  }
+  return tokens;
+};
+
+/**
+ * Romanised text (IAST, ITRANS or NAMASTE spelling) → IAST (kha~jjaH → khañjaḥ)
+ */
+export const latinToIast = (text) => tokenizeLatin(text)
+  .map(token => (token === VIRAMA ? '' : token.other ?? token))
+  .join('');
+
+/**
+ * Render letters in an Indic script: consonants take vowel signs, and a
+ * consonant followed by no vowel gets the virama
+ */
+const renderIndic = (letters, { vowels, consonants, marks, virama }) => {
+  let output = '';
+  let bareConsonant = false;
+
+  for (const letter of letters) {
+    if (consonants[letter]) {
+      if (bareConsonant) output += virama;
+      output += consonants[letter];
+      bareConsonant = true;
+    } else if (vowels[letter]) {
+      output += bareConsonant ? vowels[letter][1] : vowels[letter][0];
+      bareConsonant = false;
+    } else if (marks[letter]) {
+      output += marks[letter];
+      bareConsonant = false;
+    } else {
+      if (bareConsonant) output += virama;
+      bareConsonant = false;
+      if (letter && letter !== VIRAMA) output += letter.other ?? letter;
+    }
+  }
+  if (bareConsonant) output += virama;
+  return output;
+};
+
+/**
+ * Romanised text (IAST, ITRANS or NAMASTE spelling) → Devanagari
+ * (khanja → खन्ज, vyAdhiH → व्याधिः)
+ */
+export const latinToDevanagari = (text) => renderIndic(tokenizeLatin(text), {
+  vowels: DEVANAGARI_VOWELS,
+  consonants: DEVANAGARI_CONSONANTS,
+  marks: DEVANAGARI_MARKS,
+  virama: DEVANAGARI_VIRAMA,
+});
+
+// ============================================================================
+// Tamil
+// ============================================================================
+
+const TAMIL_VOWELS = {
+  a: ['அ', ''], ā: ['ஆ', 'ா'], i: ['இ', 'ி'], ī: ['ஈ', 'ீ'], u: ['உ', 'ு'], ū: ['ஊ', 'ூ'],
+  e: ['எ', 'ெ'], ē: ['ஏ', 'ே'], ai: ['ஐ', 'ை'], o: ['ஒ', 'ொ'], ō: ['ஓ', 'ோ'], au: ['ஔ', 'ௌ'],
+};
+
+const TAMIL_CONSONANTS = {
+  k: 'க', ṅ: 'ங', c: 'ச', ñ: 'ஞ', ṭ: 'ட', ṇ: 'ண', t: 'த', n: 'ந', p: 'ப', m: 'ம',
+  y: 'ய', r: 'ர', l: 'ல', v: 'வ', ḻ: 'ழ', ḷ: 'ள', ṟ: 'ற', ṉ: 'ன',
+  // Grantha letters
+  j: 'ஜ', ṣ: 'ஷ', s: 'ஸ', h: 'ஹ', ś: 'ஶ',
+};
+
+const TAMIL_PULLI = '்';
+
+const TAMIL_TO_LATIN = { ...invert(TAMIL_VOWELS, ([letter]) => letter), 'ஃ': 'ḵ' };
+const TAMIL_CONSONANT_TO_LATIN = invert(TAMIL_CONSONANTS);
+const TAMIL_SIGN_TO_LATIN = Object.fromEntries(
+  Object.entries(TAMIL_VOWELS).filter(([, [, sign]]) => sign).map(([vowel, [, sign]]) => [sign, vowel])
+);
+
+/**
+ * Tamil → ISO 15919 (சுரோணித → curōṇita)
+ */
+export const tamilToLatin = (text) => {
+  // NFC joins two-part vowel signs (ெ + ா → ொ)
+  const chars = [...String(text || '').normalize('NFC')];
+  let latin = '';
+
+  for (let i = 0; i < chars.length; i++) {
+    const consonant = TAMIL_CONSONANT_TO_LATIN[chars[i]];
+    if (!consonant) {
+      latin += TAMIL_TO_LATIN[chars[i]] ?? chars[i];
+      continue;
+    }
+
+    const next = chars[i + 1];
+    if (next === TAMIL_PULLI) {
+      latin += consonant;
+      i++;
+    } else if (TAMIL_SIGN_TO_LATIN[next]) {
+      latin += consonant + TAMIL_SIGN_TO_LATIN[next];
+      i++;
+    } else {
+      latin += `${consonant}a`;
+    }
+  }
+
+  return latin;
+};
+
+// Romanised spelling → Tamil letter. Tamil script does not mark voicing or
+// aspiration, so g/kh/gh are written க, d/th/dh த and so on
+const TAMIL_SPELLINGS = Object.entries({
+  aa: 'ā', ā: 'ā', a: 'a', ii: 'ī', ee: 'ī', ī: 'ī', i: 'i', uu: 'ū', oo: 'ū', ū: 'ū', u: 'u',
+  ai: 'ai', au: 'au', ē: 'ē', e: 'e', ō: 'ō', o: 'o',
+  kh: 'k', gh: 'k', k: 'k', g: 'k', q: 'k', ṅ: 'ṅ', ng: ['ṅ', 'k'],
+  ch: 'c', c: 'c', s: 'c', sh: 'ṣ', ś: 'ṣ', ṣ: 'ṣ', jh: 'j', j: 'j', ñ: 'ñ', nj: ['ñ', 'c'],
+  ṭh: 'ṭ', ḍh: 'ṭ', ṭ: 'ṭ', ḍ: 'ṭ', ṇ: 'ṇ',
+  th: 't', dh: 't', t: 't', d: 't', ṉ: 'ṉ', n: 'n',
+  ph: 'p', bh: 'p', p: 'p', b: 'p', f: 'p', m: 'm',
+  y: 'y', rr: 'ṟ', ṟ: 'ṟ', r: 'r', l: 'l', ḷ: 'ḷ', zh: 'ḻ', ḻ: 'ḻ', ẕ: 'ḻ', z: 'ḻ',
+  v: 'v', w: 'v', h: 'h',
+  // Sanskrit letters Tamil does not write
+  ṛ: ['r', 'i'], ṃ: 'm', ṁ: 'm', ḥ: [],
+}).sort(([a], [b]) => b.length - a.length);
+
+/**
+ * Romanised text → Tamil (curōṇita → சுரோணித, suram → சுரம்)
+ * Lossy: n is written ந at the start of a word and before t, ன elsewhere
+ */
+export const latinToTamil = (text) => String(text || '')
+  .normalize('NFC')
+  .toLowerCase()
+  .split(/(\s+)/)
+  .map((word) => {
+    const letters = [];
+    for (let i = 0; i < word.length;) {
+      const match = TAMIL_SPELLINGS.find(([spelling]) => word.startsWith(spelling, i));
+      if (match) {
+        letters.push(...[match[1]].flat());
+        i += match[0].length;
+      } else {
+        letters.push({ other: word[i] });
+        i++;
+      }
+    }
+
+    const spelled = letters.map((letter, index) => (letter === 'n' && index > 0 && letters[index + 1] !== 't'
+      ? 'ṉ'
+      : letter));
+    return renderIndic(spelled, {
+      vowels: TAMIL_VOWELS,
+      consonants: TAMIL_CONSONANTS,
+      marks: {},
+      virama: TAMIL_PULLI,
+    });
+  })
+  .join('');
+
+// ============================================================================
+// Urdu / Arabic
+// ============================================================================
+
+const ARABIC_CONSONANTS = {
+  'ب': 'b', 'پ': 'p', 'ت': 't', 'ٹ': 'ṭ', 'ث': 's', 'ج': 'j', 'چ': 'ch', 'ح': 'ḥ', 'خ': 'kh',
+  'د': 'd', 'ڈ': 'ḍ', 'ذ': 'ẕ', 'ر': 'r', 'ڑ': 'ṛ', 'ز': 'z', 'ژ': 'zh', 'س': 's', 'ش': 'sh',
+  'ص': 'ṣ', 'ض': 'ẓ', 'ط': 'ṭ', 'ظ': 'ẓ', 'ع': 'ʿ', 'غ': 'gh', 'ف': 'f', 'ق': 'q',
+  'ک': 'k', 'ك': 'k', 'گ': 'g', 'ل': 'l', 'م': 'm', 'ن': 'n', 'ں': 'n', 'ھ': 'h',
+};
+
+const ARABIC_HARAKAT = { 'َ': 'a', 'ِ': 'i', 'ُ': 'u', 'ً': 'an', 'ٍ': 'in', 'ٌ': 'un', 'ٰ': 'ā', 'ْ': '' };
+const ALIFS = ['ا', 'أ', 'إ', 'آ'];
+const WAWS = ['و', 'ؤ'];
+const YEHS = ['ی', 'ي', 'ى', 'ئ'];
+const HEHS = ['ہ', 'ه', 'ۂ', 'ۃ', 'ة'];
+
+/**
+ * Urdu/Arabic → Latin (رطوبت → rṭūbt)
+ * Short vowels are not written in Arabic script and stay out; و and ی read
+ * as consonants (v, y) next to vowels and as long vowels (ū, ī) otherwise,
+ * and a final ہ as a
+ */
+export const arabicToLatin = (text) => String(text || '')
+  .normalize('NFC')
+  .replace(/ـ/g, '')
+  .split(/(\s+)/)
+  .map((word) => {
+    const chars = [...word];
+    let latin = '';
+    let afterVowel = true;
+
+    chars.forEach((char, index) => {
+      const next = chars[index + 1];
+      const nextIsVowel = ALIFS.includes(next) || WAWS.includes(next)
+        || (HEHS.includes(next) && index + 2 === chars.length);
+
+      let letter;
+      if (char === 'آ') letter = 'ā';
+      else if (ALIFS.includes(char)) letter = index === 0 ? (char === 'إ' ? 'i' : 'a') : 'ā';
+      else if (WAWS.includes(char)) letter = afterVowel || nextIsVowel ? 'v' : 'ū';
+      else if (YEHS.includes(char)) letter = afterVowel || nextIsVowel ? 'y' : 'ī';
+      else if (char === 'ے') letter = 'e';
+      else if (HEHS.includes(char)) letter = index === chars.length - 1 && index > 0 ? 'a' : 'h';
+      else if (char === 'ّ') letter = latin.slice(-1);
+      else if (char === 'ء') letter = '';
+      else letter = ARABIC_HARAKAT[char] ?? ARABIC_CONSONANTS[char] ?? char;
+
+      latin += letter;
+      if (letter) afterVowel = /[aeiouāīū]$/.test(letter);
+    });
+
+    return latin;
+  })
+  .join('');
+
+const URDU_SPELLINGS = Object.entries({
+  kh: 'خ', gh: 'غ', sh: 'ش', ch: 'چ', zh: 'ژ',
+  th: 'تھ', ph: 'پھ', bh: 'بھ', dh: 'دھ', jh: 'جھ', 'ṭh': 'ٹھ', 'ḍh': 'ڈھ',
+  c: 'چ', x: 'کس', b: 'ب', p: 'پ', t: 'ت', 'ṭ': 'ط', s: 'س', 'ṣ': 'ص', j: 'ج', 'ḥ': 'ح', h: 'ہ',
+  d: 'د', 'ḍ': 'ض', 'ẕ': 'ذ', z: 'ز', 'ẓ': 'ظ', r: 'ر', 'ṛ': 'ڑ', f: 'ف', q: 'ق',
+  k: 'ک', g: 'گ', l: 'ل', m: 'م', n: 'ن', 'ṉ': 'ں', v: 'و', w: 'و', y: 'ی',
+  'ʿ': 'ع', '‘': 'ع', '’': '', 'ʾ': '',
+  // Sanskrit and Tamil letters
+  'ñ': 'ن', 'ṇ': 'ن', 'ṅ': 'ن', 'ṃ': 'ن', 'ś': 'ش', 'ḷ': 'ل', 'ḻ': 'ژ', 'ṟ': 'ر',
+}).sort(([a], [b]) => b.length - a.length);
+
+const URDU_LONG_VOWELS = { aa: 'ا', 'ā': 'ا', ee: 'ی', ii: 'ی', 'ī': 'ی', oo: 'و', uu: 'و', 'ū': 'و', ai: 'ے', au: 'و', 'ē': 'ے', e: 'ے', 'ō': 'و', o: 'و' };
+const URDU_VOWEL_SPELLINGS = Object.keys(URDU_LONG_VOWELS).sort((a, b) => b.length - a.length);
+
+/**
+ * Romanised text → Urdu (ruṭūbat → رطوبت)
+ * Lossy: short vowels are written only at the start (ا) and end of a word
+ * (final a as ہ), doubled letters once, e and ai as ی inside a word
+ */
+export const latinToArabic = (text) => String(text || '')
+  .normalize('NFC')
+  .toLowerCase()
+  .split(/(\s+)/)
+  .map((word) => {
+    let urdu = '';
+    for (let i = 0; i < word.length;) {
+      const atStart = i === 0;
+      const long = URDU_VOWEL_SPELLINGS.find(spelling => word.startsWith(spelling, i));
+      if (long) {
+        i += long.length;
+        const letter = URDU_LONG_VOWELS[long];
+        urdu += atStart && letter === 'ا' ? 'آ' : `${atStart ? 'ا' : ''}${letter === 'ے' && i < word.length ? 'ی' : letter}`;
+        continue;
+      }
+
+      if ('aiu'.includes(word[i])) {
+        const atEnd = i === word.length - 1;
+        urdu += atStart ? 'ا' : atEnd ? { a: 'ہ', i: 'ی', u: 'و' }[word[i]] : '';
+        i++;
+        continue;
+      }
+
+      const match = URDU_SPELLINGS.find(([spelling]) => word.startsWith(spelling, i));
+      if (match) {
+        if (!urdu.endsWith(match[1])) urdu += match[1];
+        i += match[0].length;
+      } else {
+        urdu += word[i];
+        i++;
+      }
+    }
+    return urdu;
+  })
+  .join('');
+
+// ============================================================================
+// Any script
+// ============================================================================
+
+/**
+ * Latin rendering of text in any supported script
+ * @param {string} text
+ * @param {Object} [options] - { spelling: 'itrans' } reads Latin text as
+ *   IAST/ITRANS/NAMASTE spelling, where capitals have meaning
+ */
+export const toLatin = (text, { spelling } = {}) => {
+  const script = detectScript(text);
+  if (script === 'devanagari') return devanagariToLatin(text);
+  if (script === 'tamil') return tamilToLatin(text);
+  if (script === 'arabic') return arabicToLatin(text);
+  return spelling === 'itrans' ? latinToIast(text) : String(text || '');
+};
+
+/**
+ * Text in every script, for showing a query the way each system writes it
+ * @returns {{ script, latin, devanagari, tamil, urdu }}
+ */
+export const transliterate = (text) => {
+  const script = detectScript(text);
+  const latin = toLatin(text, { spelling: 'itrans' });
+
+  return {
+    script,
+    latin,
+    devanagari: script === 'devanagari' ? text : latinToDevanagari(latin),
+    tamil: script === 'tamil' ? text : latinToTamil(latin),
+    urdu: script === 'arabic' ? text : latinToArabic(latin),
+  };
+};
+
+/**
+ * Native-script text normalized for comparison: Arabic letter variants
+ * unified and vowel marks removed, Indic text in NFC
+ */
+export const normalizeNative = (text) => String(text || '')
+  .normalize('NFC')
+  .replace(/[ًٌٍَُِّْٰـ]/g, '')
+  .replace(/[يى]/g, 'ی')
+  .replace(/ك/g, 'ک')
+  .replace(/[هۂ]/g, 'ہ')
+  .replace(/ة/g, 'ۃ')
+  .replace(/[أإ]/g, 'ا')
+  .toLowerCase()
+  .trim();
+
+/**
+ * Loose search key of text in any script (khañjaḥ, kha~jjaH, खञ्जः → kanja)
+ * @param {string} text
+ * @param {Object} [options] - As for toLatin
+ */
+export const searchKey = (text, options) => foldDiacritics(
+  toLatin(text, options)
+    .normalize('NFC')
+    .replace(/ṝ|ṛ|r̥̄|r̥/g, 'ri')
+    .replace(/[ḻẕ]/g, 'z')
+)
+  .replace(/x/g, 'ks')
+  .replace(/q/g, 'k')
+  .replace(/w/g, 'v')
+  .replace(/ee/g, 'i')
+  .replace(/oo/g, 'u')
+  // Aspiration (kh, bh, th), sh, ch and zh
+  .replace(/([bcdgjkpstz])h/g, '$1')
+  // Visarga and h before a consonant (duḥkha, brahma)
+  .replace(/(?<=[aeiou])h(?=[bcdfgjklmnpqrstvyz]|\b)/g, '')
+  .replace(/c/g, 's')
+  // Anusvara and nasals before a consonant
+  .replace(/m(?=[bcdfgjkpqstz])/g, 'n')
+  .replace(/(\p{L})\1+/gu, '$1')
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+/**
+ * Consonant skeleton of a search key, for Urdu terms whose short vowels the
+ * script does not write (ruṭūbat, رطوبت → rtbt)
+ */
+export const skeletonKey = (key) => key
+  .split(' ')
+  .map(word => word.replace(/[aeiou]/g, ''))
+  .filter(Boolean)
+  .join(' ');
+
+/**
+ * Search key with voicing dropped (siddha, சித்தா → sita), for Tamil terms:
+ * the script writes k/g, t/d and p/b alike
+ */
+export const devoicedKey = (key) => key
+  .replace(/g/g, 'k')
+  .replace(/d/g, 't')
+  .replace(/b/g, 'p')
+  .replace(/(\p{L})\1+/gu, '$1');
+
+/**
+ * Search keys of a NAMASTE code: loose keys of the term (read in the NAMASTE
+ * spelling for Ayurveda), its diacritical form, the romanised native script
+ * and the English name, the normalized native script, and the devoiced key
+ * of Tamil or consonant skeletons of Urdu terms
+ * Stored '|'-separated in namaste_codes.search_keys
+ * @param {Object} code - NAMASTE code with term, nativeScript, englishName,
+ *   system and metadata
+ * @returns {string}
+ */
+export const buildSearchKeys = (code) => {
+  const system = String(code.system || '').toLowerCase();
+  const native = code.nativeScript || '';
+  const keys = [
+    searchKey(code.term, system === 'ayurveda' ? { spelling: 'itrans' } : undefined),
+    searchKey(code.metadata?.termDiacritical),
+    searchKey(native),
+    searchKey(code.englishName),
+    normalizeNative(native),
+  ];
+
+  const nativeScript = detectScript(native);
+  if (nativeScript === 'tamil') {
+    keys.push(devoicedKey(searchKey(native)));
+  } else if (nativeScript === 'arabic') {
+    keys.push(skeletonKey(searchKey(native)), skeletonKey(searchKey(code.term)));
+  }
+
+  return [...new Set(keys.filter(Boolean))].join('|');
+};
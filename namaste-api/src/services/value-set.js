@@ -0,0 +1,576 @@
+/**
+ * ValueSet Service
+ *
+ * Stores intensional ValueSet definitions (compose.include / exclude with
+ * filters) and expands them against NAMASTE and ICD-11 TM2 codes
+ * Implicit value sets follow the FHIR convention: a code system URI
+ * (optionally suffixed with ?fhir_vs) includes every code in that system
+ *
+ * Supported include filters:
+ *   code                   =, in, not-in, regex (matches the stored or NAMASTE core code;
+ *                          regex runs in PostgreSQL, see MAX_REGEX_LENGTH)
+ *   category               =, in (TM2 only, case-insensitive)
+ *   min-mapping-confidence =  (codes with a non-rejected mapping at or above the value)
+ */
+
+import { getPrisma, getPool } from '../db/client.js';
+import { config } from '../config/index.js';
+import {
+  NAMASTE_SYSTEMS,
+  getNamasteSystemUri,
+  getCanonicalSystemUri,
+  resolveNamasteSystem,
+  isTm2System,
+} from './terminology.js';
+import { createNamasteConcept, createTm2Concept } from './code-system.js';
+
+const ALL_NAMASTE_URIS = NAMASTE_SYSTEMS.map(getNamasteSystemUri);
+
+const SUPPORTED_FILTERS = {
+  code: ['=', 'in', 'not-in', 'regex'],
+  category: ['=', 'in'],
+  'min-mapping-confidence': ['='],
+};
+
+const VALUE_SET_STATUSES = ['draft', 'active', 'retired', 'unknown'];
+
+// Regex filters run in PostgreSQL (under a statement timeout) on every expansion
+const MAX_REGEX_LENGTH = 200;
+
+/**
+ * Resolve the code systems included by an implicit ValueSet URL
+ * @param {string} [url] - ValueSet URL; omitted means every supported system
+ * @returns {string[]|null} Included system URIs, null when not an implicit ValueSet
+ */
+export const resolveValueSetSystems = (url) => {
+  if (!url) return [...ALL_NAMASTE_URIS, config.fhir.icd11.tm2System];
+
+  const base = url.split('?')[0];
+  const canonical = getCanonicalSystemUri(base);
+  if (canonical) return [canonical];
+
+  if (base.toLowerCase().includes('namaste')) return ALL_NAMASTE_URIS;
+
+  return null;
+};
+
+// ============================================================================
+// Definition Validation
+// ============================================================================
+
+const splitValues = (value) => String(value).split(',').map(v => v.trim()).filter(Boolean);
+
+/**
+ * Validate a compose include/exclude entry
+ * @returns {string|null} Error message
+ */
+const validateInclude = (include, path) => {
+  if (!include || typeof include !== 'object') return `${path} must be an object`;
+  if (include.valueSet) return `${path}.valueSet is not supported`;
+  if (!include.system) return `${path}.system is required`;
+
+  const system = getCanonicalSystemUri(include.system);
+  if (!system) return `${path}.system ${include.system} is not a supported code system`;
+
+  if (include.concept !== undefined
+    && (!Array.isArray(include.concept) || include.concept.some(concept => !concept?.code))) {
+    return `${path}.concept must be an array of concepts with a code`;
+  }
+
+  const filters = include.filter || [];
+  if (!Array.isArray(filters)) return `${path}.filter must be an array`;
+
+  for (let i = 0; i < filters.length; i++) {
+    const { property, op, value } = filters[i] || {};
+    const location = `${path}.filter[${i}]`;
+
+    if (!SUPPORTED_FILTERS[property]) {
+      return `${location}: unsupported property ${property}; supported: ${Object.keys(SUPPORTED_FILTERS).join(', ')}`;
+    }
+    if (!SUPPORTED_FILTERS[property].includes(op)) {
+      return `${location}: operator ${op} is not supported for ${property}`;
+    }
+    if (typeof value !== 'string' || !value) {
+      return `${location}: value must be a non-empty string`;
+    }
+    if (property === 'category' && !isTm2System(system)) {
+      return `${location}: category filters only apply to ICD-11 TM2`;
+    }
+    if (property === 'min-mapping-confidence') {
+      const confidence = Number(value);
+      if (isNaN(confidence) || confidence < 0 || confidence > 1) {
+        return `${location}: min-mapping-confidence must be a number between 0 and 1`;
+      }
+    }
+    if (op === 'regex') {
+      if (value.length > MAX_REGEX_LENGTH) {
+        return `${location}: regular expressions are limited to ${MAX_REGEX_LENGTH} characters`;
+      }
+      try {
+        new RegExp(value);
+      } catch {
+        return `${location}: invalid regular expression ${value}`;
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Validate a ValueSet resource before storing it
+ * @param {Object} resource - ValueSet resource
+ * @returns {string|null} Error message
+ */
+export const validateValueSetResource = (resource) => {
+  if (!resource || resource.resourceType !== 'ValueSet') {
+    return 'Body must be a ValueSet resource';
+  }
+  if (typeof resource.url !== 'string' || !resource.url) {
+    return 'ValueSet.url is required';
+  }
+  if (resource.status && !VALUE_SET_STATUSES.includes(resource.status)) {
+    return `ValueSet.status must be one of ${VALUE_SET_STATUSES.join(', ')}`;
+  }
+
+  const includes = resource.compose?.include;
+  if (!Array.isArray(includes) || includes.length === 0) {
+    return 'ValueSet.compose.include must contain at least one entry';
+  }
+
+  for (let i = 0; i < includes.length; i++) {
+    const error = validateInclude(includes[i], `ValueSet.compose.include[${i}]`);
+    if (error) return error;
+  }
+
+  const excludes = resource.compose.exclude || [];
+  if (!Array.isArray(excludes)) return 'ValueSet.compose.exclude must be an array';
+
+  for (let i = 0; i < excludes.length; i++) {
+    const error = validateInclude(excludes[i], `ValueSet.compose.exclude[${i}]`);
+    if (error) return error;
+  }
+
+  return null;
+};
+
+// ============================================================================
+// Storage
+// ============================================================================
+
+/**
+ * Merge a stored row back into its resource
+ */
+const toResource = (row) => ({
+  ...row.resource,
+  id: row.id,
+  meta: { ...row.resource.meta, lastUpdated: row.updatedAt.toISOString() },
+});
+
+/**
+ * Read a stored ValueSet by id
+ * @param {string} id - ValueSet id
+ * @returns {Promise<Object|null>} ValueSet resource
+ */
+export const getValueSet = async (id) => {
+  const prisma = getPrisma();
+  const row = await prisma.valueSet.findUnique({ where: { id } });
+  return row ? toResource(row) : null;
+};
+
+/**
+ * Search stored ValueSets
+ * Supported: url, name (prefix), title (contains), status, _summary
+ * @param {Object} params - Query parameters
+ * @returns {Promise<Array>} ValueSet resources
+ */
+export const searchValueSets = async (params = {}) => {
+  const prisma = getPrisma();
+  const [url, version] = (params.url || '').split('|');
+
+  const rows = await prisma.valueSet.findMany({
+    where: {
+      ...(url && { url }),
+      ...(version && { version }),
+      ...(params.name && { name: { startsWith: params.name, mode: 'insensitive' } }),
+      ...(params.title && { title: { contains: params.title, mode: 'insensitive' } }),
+      ...(params.status && { status: params.status }),
+    },
+    orderBy: { id: 'asc' },
+  });
+
+  return rows.map((row) => {
+    const resource = toResource(row);
+    if (params._summary !== 'true') return resource;
+
+    const { compose, ...summary } = resource;
+    return summary;
+  });
+};
+
+/**
+ * Create or replace a stored ValueSet (FHIR update semantics)
+ * @param {string} id - ValueSet id
+ * @param {Object} resource - ValueSet resource
+ * @returns {Promise<{ resource?: Object, created?: boolean, error?: string }>}
+ */
+export const saveValueSet = async (id, resource) => {
+  if (resource?.id && resource.id !== id) {
+    return { error: `Resource id ${resource.id} does not match URL id ${id}` };
+  }
+
+  const error = validateValueSetResource(resource);
+  if (error) return { error };
+
+  const prisma = getPrisma();
+  const duplicate = await prisma.valueSet.findFirst({
+    where: { url: resource.url, id: { not: id } },
+    select: { id: true },
+  });
+  if (duplicate) {
+    return { error: `ValueSet ${duplicate.id} already uses url ${resource.url}` };
+  }
+
+  const { meta, id: _id, ...content } = resource;
+  const data = {
+    url: resource.url,
+    version: resource.version || null,
+    name: resource.name || null,
+    title: resource.title || null,
+    status: resource.status || 'active',
+    resource: { ...content, status: resource.status || 'active' },
+  };
+
+  const existing = await prisma.valueSet.findUnique({ where: { id }, select: { id: true } });
+  const row = existing
+    ? await prisma.valueSet.update({ where: { id }, data })
+    : await prisma.valueSet.create({ data: { id, ...data } });
+
+  return { resource: toResource(row), created: !existing };
+};
+
+/**
+ * Delete a stored ValueSet
+ * @param {string} id - ValueSet id
+ * @returns {Promise<boolean>} Whether a ValueSet was deleted
+ */
+export const deleteValueSet = async (id) => {
+  const prisma = getPrisma();
+  const { count } = await prisma.valueSet.deleteMany({ where: { id } });
+  return count > 0;
+};
+
+/**
+ * Resolve a ValueSet by id or canonical URL
+ * Stored ValueSets take precedence; otherwise the URL is treated as an
+ * implicit (whole code system) ValueSet
+ * @param {{ id?: string, url?: string }} reference
+ * @returns {Promise<Object|null>} ValueSet resource with compose, null when unknown
+ */
+export const resolveValueSet = async ({ id, url }) => {
+  if (id) return getValueSet(id);
+
+  if (url) {
+    const [canonical, version] = url.split('|');
+    const prisma = getPrisma();
+    const row = await prisma.valueSet.findFirst({
+      where: { url: canonical, ...(version && { version }) },
+    });
+    if (row) return toResource(row);
+  }
+
+  const systems = resolveValueSetSystems(url);
+  if (!systems) return null;
+
+  return {
+    resourceType: 'ValueSet',
+    ...(url && { url }),
+    status: 'active',
+    compose: { include: systems.map(system => ({ system })) },
+  };
+};
+
+// ============================================================================
+// Expansion
+// ============================================================================
+
+// Parameter placeholders for a query assembled from compose entries
+const createParams = () => {
+  const values = [];
+  return {
+    values,
+    add: (value) => {
+      values.push(value);
+      return `$${values.length}`;
+    },
+  };
+};
+
+// The NAMASTE part of a stored code in SQL, as getNamasteCoreCode does it:
+// the first token that is not a TM2 code, else the first token
+const NAMASTE_CORE_CODE_SQL = `COALESCE((
+  SELECT token FROM unnest(regexp_split_to_array(c.code, '[[:space:]()]+')) WITH ORDINALITY AS t(token, position)
+  WHERE token <> ''
+  ORDER BY token ~ '^S[K-T][0-9][0-9A-Z]$', position
+  LIMIT 1
+), c.code)`;
+
+const NAMASTE_TEXT_COLUMNS = ['c.code', 'c.term', 'c.english_name', 'c.native_script', "c.metadata->>'termDiacritical'"];
+const TM2_TEXT_COLUMNS = ['c.code', 'c.title'];
+
+/**
+ * SQL condition for a code filter or an enumerated concept list, tested
+ * against the stored code and, for NAMASTE, its core code
+ */
+const createCodeCondition = ({ op, value }, columns, params) => {
+  const values = Array.isArray(value) ? value : splitValues(value);
+  const any = () => {
+    const placeholder = params.add(values);
+    return `(${columns.map(column => `${column} = ANY(${placeholder}::text[])`).join(' OR ')})`;
+  };
+
+  switch (op) {
+    case '=': {
+      const placeholder = params.add(value);
+      return `(${columns.map(column => `${column} = ${placeholder}`).join(' OR ')})`;
+    }
+    case 'in': return any();
+    case 'not-in': return `NOT ${any()}`;
+    case 'regex': {
+      const placeholder = params.add(`^(?:${value})$`);
+      return `(${columns.map(column => `${column} ~ ${placeholder}`).join(' OR ')})`;
+    }
+    default: return 'false';
+  }
+};
+
+/**
+ * Build the SELECT for the codes of a compose include (or exclude) entry
+ * @param {Object} include - Include entry
+ * @param {number} part - Position of the entry; expansions list entries in order
+ * @param {Object} params - Shared query parameters
+ * @param {Object} [options] - { code: restrict to one stored code, text: free-text filter }
+ * @returns {string} SQL selecting system, id, code and part
+ */
+const createIncludeQuery = (include, part, params, { code, text } = {}) => {
+  const system = getCanonicalSystemUri(include.system);
+  const namasteSystem = resolveNamasteSystem(system);
+  const filters = include.filter || [];
+  const codeFilters = filters.filter(f => f.property === 'code');
+  const codeColumns = namasteSystem ? ['c.code', 'k.core'] : ['c.code'];
+  const conditions = [];
+
+  if (namasteSystem) conditions.push(`c.system = ${params.add(namasteSystem.toLowerCase())}`);
+  if (code) conditions.push(`c.code = ${params.add(code)}`);
+
+  if (include.concept) {
+    const concepts = { op: 'in', value: include.concept.map(concept => concept.code) };
+    conditions.push(createCodeCondition(concepts, codeColumns, params));
+  }
+  codeFilters.forEach(filter => conditions.push(createCodeCondition(filter, codeColumns, params)));
+
+  const confidences = filters
+    .filter(f => f.property === 'min-mapping-confidence')
+    .map(f => Number(f.value));
+  if (confidences.length > 0) {
+    conditions.push(`EXISTS (
+      SELECT 1 FROM mappings m
+      WHERE m.${namasteSystem ? 'namaste_code_id' : 'tm2_code_id'} = c.id
+        AND m.confidence >= ${params.add(Math.max(...confidences))}
+        AND m.validation_status <> 'rejected'
+    )`);
+  }
+
+  if (!namasteSystem) {
+    filters
+      .filter(f => f.property === 'category')
+      .map(f => (f.op === 'in' ? splitValues(f.value) : [f.value]))
+      .forEach(values => conditions.push(
+        `lower(c.category) = ANY(${params.add(values.map(value => value.toLowerCase()))}::text[])`
+      ));
+  }
+
+  // Matches the code, display or a designation of the concept
+  if (text) {
+    const placeholder = params.add(text);
+    const matches = (namasteSystem ? NAMASTE_TEXT_COLUMNS : TM2_TEXT_COLUMNS)
+      .map(column => `strpos(lower(${column}), ${placeholder}) > 0`);
+    if (!namasteSystem) {
+      matches.push(`EXISTS (SELECT 1 FROM unnest(c.synonyms) AS synonym WHERE strpos(lower(synonym), ${placeholder}) > 0)`);
+    }
+    conditions.push(`(${matches.join(' OR ')})`);
+  }
+
+  const needsCore = namasteSystem && (include.concept || codeFilters.length > 0);
+
+  return `
+    SELECT ${params.add(system)}::text AS system, c.id, c.code, ${part} AS part
+    FROM ${namasteSystem ? 'namaste_codes' : 'tm2_codes'} c
+    ${needsCore ? `CROSS JOIN LATERAL (SELECT ${NAMASTE_CORE_CODE_SQL} AS core) k` : ''}
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+  `;
+};
+
+/**
+ * Run an expansion query under a statement timeout, so that a costly
+ * stored definition (e.g. a pathological regex filter) cannot hold a connection
+ */
+const runExpansionQuery = async (sql, values) => {
+  const client = await getPool().connect();
+
+  try {
+    await client.query('BEGIN READ ONLY');
+    await client.query(`SET LOCAL statement_timeout = ${config.fhir.expandTimeoutMs}`);
+    const { rows } = await client.query(sql, values);
+    await client.query('COMMIT');
+    return rows;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Whether an error is an expansion cancelled by its statement timeout
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isExpansionTimeout = (error) => error?.code === '57014';
+
+/**
+ * Evaluate a compose definition in the database into an ordered,
+ * de-duplicated page of codes: include entries in order, codes sorted
+ * within each, excluded codes removed
+ * @param {Object} compose - ValueSet.compose
+ * @param {Object} [options] - { code, text, count (all when omitted), offset }
+ * @returns {Promise<{ total: number, rows: Array }>} Rows of { system, id }
+ */
+const evaluateCompose = async (compose, { code, text, count = null, offset = 0 } = {}) => {
+  const params = createParams();
+  const included = compose.include.map((include, i) => createIncludeQuery(include, i, params, { code, text }));
+  const excluded = (compose.exclude || []).map((exclude, i) => createIncludeQuery(exclude, i, params, { code }));
+
+  const rows = await runExpansionQuery(`
+    WITH included AS (${included.join(' UNION ALL ')}),
+    excluded AS (${excluded.length > 0 ? excluded.join(' UNION ALL ') : 'SELECT NULL::text AS system, NULL::text AS code WHERE false'}),
+    selected AS (
+      SELECT DISTINCT ON (i.system, i.code) i.system, i.id, i.code, i.part
+      FROM included i
+      WHERE NOT EXISTS (SELECT 1 FROM excluded e WHERE e.system = i.system AND e.code = i.code)
+      ORDER BY i.system, i.code, i.part
+    )
+    SELECT t.total, page.system, page.id
+    FROM (SELECT count(*)::int AS total FROM selected) t
+    LEFT JOIN LATERAL (
+      SELECT system, id FROM selected
+      ORDER BY part, code
+      LIMIT ${params.add(count)} OFFSET ${params.add(offset)}
+    ) page ON true
+  `, params.values);
+
+  return {
+    total: rows[0]?.total ?? 0,
+    rows: rows.filter(row => row.id),
+  };
+};
+
+/**
+ * Load the concepts of a page of expansion rows, keeping their order
+ */
+const loadConcepts = async (rows) => {
+  const prisma = getPrisma();
+  const idsOf = (namaste) => rows
+    .filter(row => Boolean(resolveNamasteSystem(row.system)) === namaste)
+    .map(row => row.id);
+  const namasteIds = idsOf(true);
+  const tm2Ids = idsOf(false);
+
+  const [namasteCodes, tm2Codes] = await Promise.all([
+    namasteIds.length > 0 ? prisma.namasteCode.findMany({ where: { id: { in: namasteIds } } }) : [],
+    tm2Ids.length > 0 ? prisma.tm2Code.findMany({ where: { id: { in: tm2Ids } } }) : [],
+  ]);
+
+  const concepts = new Map([
+    ...namasteCodes.map(row => [row.id, createNamasteConcept(row)]),
+    ...tm2Codes.map(row => [row.id, createTm2Concept(row)]),
+  ]);
+
+  return rows
+    .filter(row => concepts.has(row.id))
+    .map(({ system, id }) => ({ system, concept: concepts.get(id) }));
+};
+
+/**
+ * Pick the display for a requested language
+ * English uses the concept display; other languages prefer an exact
+ * designation match (sa) over a script variant (sa-Latn)
+ */
+const getDisplay = (concept, displayLanguage) => {
+  if (!displayLanguage || displayLanguage.split('-')[0] === 'en') return concept.display;
+
+  const designations = concept.designation || [];
+  const exact = designations.find(d => d.language === displayLanguage);
+  const variant = designations.find(d => d.language?.startsWith(`${displayLanguage}-`));
+  return (exact || variant)?.value || concept.display;
+};
+
+/**
+ * Expand a ValueSet
+ * @param {Object} valueSet - ValueSet resource with compose
+ * @param {Object} options - { count, offset, filter, displayLanguage, includeDesignations }
+ * @returns {Promise<Object>} ValueSet with expansion
+ */
+export const expandValueSet = async (valueSet, options = {}) => {
+  const { count = 20, offset = 0, filter, displayLanguage, includeDesignations = false } = options;
+  const text = filter?.trim().toLowerCase();
+
+  const { total, rows } = await evaluateCompose(valueSet.compose, { text, count, offset });
+  const entries = await loadConcepts(rows);
+
+  const { compose, ...definition } = valueSet;
+
+  return {
+    ...definition,
+    expansion: {
+      timestamp: new Date().toISOString(),
+      total,
+      offset,
+      parameter: [
+        { name: 'count', valueInteger: count },
+        { name: 'offset', valueInteger: offset },
+        text && { name: 'filter', valueString: filter },
+        displayLanguage && { name: 'displayLanguage', valueCode: displayLanguage },
+        { name: 'includeDesignations', valueBoolean: includeDesignations },
+      ].filter(Boolean),
+      contains: entries.map(({ system, concept }) => ({
+        system,
+        code: concept.code,
+        display: getDisplay(concept, displayLanguage),
+        ...(includeDesignations && concept.designation && { designation: concept.designation }),
+      })),
+    },
+  };
+};
+
+/**
+ * Check whether a ValueSet contains a code
+ * @param {Object} valueSet - ValueSet resource with compose
+ * @param {string} system - Code system URI
+ * @param {string} code - Code
+ * @returns {Promise<boolean>}
+ */
+export const valueSetContains = async (valueSet, system, code) => {
+  const canonical = getCanonicalSystemUri(system);
+  const { rows } = await evaluateCompose(valueSet.compose, { code });
+  return rows.some(row => row.system === canonical);
+};
+
+/**
+ * List the code system URIs a ValueSet draws from
+ * @param {Object} valueSet - ValueSet resource with compose
+ * @returns {string[]} Canonical system URIs
+ */
+export const getValueSetSystems = (valueSet) =>
+  [...new Set(valueSet.compose.include.map(include => getCanonicalSystemUri(include.system)))];
@@ -3,10 +3,19 @@
  * 
  * pgvector-based semantic similarity search
  * Uses HNSW index for fast approximate nearest neighbor search
+ * Vector size and model follow the configured embedding provider; the
+ * columns are re-created when it changes (migrateEmbeddingColumns)
+ *
+ * The embeddings table keeps one row per code, model and text hash, so
+ * vectors of several models can be kept and compared, and codes whose text
+ * changed are found and re-embedded (reembedCodes). The code tables' own
+ * embedding columns hold the configured model's vectors
  */
 
-import { getPrisma, getPool } from '../db/client.js';
-import { embedQuery, embedTexts } from './llm.js';
+import { createHash } from 'crypto';
+import { getPool } from '../db/client.js';
+import { embedQuery, embedTexts, getEmbeddingDimensions, getEmbeddingModelId } from './llm.js';
+import { IN_PROCESS_PROVIDERS, parseEmbeddingModelId } from './llm-providers.js';
 import { logger } from '../config/logger.js';
 import { getCachedEmbedding, setCachedEmbedding } from '../middleware/cache.js';
 import { recordEmbeddingMetrics } from '../middleware/metrics.js';
@@ -29,47 +38,213 @@ export const checkPgvectorInstalled = async () => {
   }
 };
 
+// Code tables whose embedding column holds the configured model's vectors,
+// and their HNSW indexes
+const VECTOR_TABLES = [
+  { table: 'namaste_codes', index: 'namaste_embedding_idx' },
+  { table: 'tm2_codes', index: 'tm2_embedding_idx' },
+];
+
+// Columns created before the model was recorded hold Gemini vectors
+const LEGACY_MODEL_ID = 'gemini:text-embedding-004';
+
+// pgvector cannot build HNSW indexes on larger vectors
+const MAX_INDEXED_DIMENSIONS = 2000;
+
+const quoteLiteral = (value) => `'${value.replace(/'/g, "''")}'`;
+
+const hashText = (text) => createHash('sha256').update(text).digest('hex');
+
 /**
- * Initialize pgvector extension and indexes
+ * Model id to read or write vectors of, and whether it is the configured model
+ * @param {string} [model] - Embedding model id ('provider:model'); the configured model when omitted
  */
-export const initializeVectorSearch = async () => {
+const resolveModel = (model) => {
+  const modelId = model || getEmbeddingModelId();
+  parseEmbeddingModelId(modelId);
+  return { modelId, active: modelId === getEmbeddingModelId() };
+};
+
+/**
+ * Dimensions and model of each embedding column
+ * The model id is kept as the column comment
+ * @returns {Promise<Array<{ table, index, type, dimensions, modelId }>>}
+ *   type, dimensions and modelId are null when the column does not exist
+ */
+export const getEmbeddingColumns = async () => {
   const pool = getPool();
-  
+  const result = await pool.query(`
+    SELECT
+      c.relname as table_name,
+      format_type(a.atttypid, a.atttypmod) as type,
+      col_description(a.attrelid, a.attnum) as model_id
+    FROM pg_attribute a
+    JOIN pg_class c ON c.oid = a.attrelid
+    WHERE c.relname = ANY($1)
+      AND a.attname = 'embedding'
+      AND NOT a.attisdropped
+  `, [VECTOR_TABLES.map(t => t.table)]);
+
+  return VECTOR_TABLES.map(({ table, index }) => {
+    const row = result.rows.find(r => r.table_name === table);
+    const dimensions = row?.type.match(/^vector\((\d+)\)$/)?.[1];
+    return {
+      table,
+      index,
+      type: row?.type ?? null,
+      dimensions: dimensions ? parseInt(dimensions, 10) : null,
+      modelId: row ? row.model_id || LEGACY_MODEL_ID : null,
+    };
+  });
+};
+
+/**
+ * Prepare the embeddings table to hold vectors of several models
+ * Its embedding column has no fixed size (each model gets a partial HNSW
+ * index, see ensureModelIndex) and every row records the hash of the text it
+ * embeds: one row per code, model and text
+ */
+const migrateEmbeddingStore = async (pool) => {
+  const result = await pool.query(`
+    SELECT format_type(atttypid, atttypmod) as type
+    FROM pg_attribute
+    WHERE attrelid = 'embeddings'::regclass
+      AND attname = 'embedding'
+      AND NOT attisdropped
+  `);
+  const type = result.rows[0]?.type;
+
+  if (type !== 'vector') {
+    // Older databases index the column for a single model
+    await pool.query('DROP INDEX IF EXISTS embeddings_embedding_idx');
+    await pool.query(type
+      ? 'ALTER TABLE embeddings ALTER COLUMN embedding TYPE vector USING embedding::vector'
+      : 'ALTER TABLE embeddings ADD COLUMN embedding vector');
+    logger.info({ previous: type ?? null }, 'Embeddings table migrated to hold several models');
+  }
+
+  await pool.query('ALTER TABLE embeddings ADD COLUMN IF NOT EXISTS text_hash VARCHAR(64)');
+  await pool.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS embeddings_source_model_hash_key
+    ON embeddings (source_type, source_code, source_system, model_name, text_hash)
+    NULLS NOT DISTINCT
+  `);
+  await pool.query('CREATE INDEX IF NOT EXISTS embeddings_model_idx ON embeddings (model_name, source_type)');
+};
+
+/**
+ * HNSW index over one model's rows of the embeddings table
+ * Searches must use the same expression, embedding::vector(dimensions)
+ */
+const ensureModelIndex = async (modelId, dimensions) => {
+  if (dimensions > MAX_INDEXED_DIMENSIONS) {
+    logger.warn({ modelId, dimensions }, 'Embedding model too large to index - its searches scan the table');
+    return;
+  }
+
+  const name = `embeddings_hnsw_${hashText(modelId).substring(0, 12)}`;
+  await getPool().query(`
+    CREATE INDEX IF NOT EXISTS ${name}
+    ON embeddings
+    USING hnsw ((embedding::vector(${dimensions})) vector_cosine_ops)
+    WITH (m = 16, ef_construction = 64)
+    WHERE model_name = ${quoteLiteral(modelId)}
+  `);
+};
+
+/**
+ * Bring the embedding columns in line with the configured embedding model
+ * Missing columns are created. A column built for another model or size is
+ * dropped and re-created with its HNSW index when `recreate` is set, and only
+ * reported otherwise. The vectors it held stay in the embeddings table; the
+ * re-embed job (reembedCodes) refills the column, copying vectors the new
+ * model already has there
+ * @param {Object} [options] - { recreate }
+ * @returns {Promise<{ modelId, dimensions, tables: Array<{ table, status, previous? }> }>}
+ *   status: ok, created, recreated or mismatch
+ */
+export const migrateEmbeddingColumns = async ({ recreate = false } = {}) => {
+  const pool = getPool();
+  const dimensions = getEmbeddingDimensions();
+  const modelId = getEmbeddingModelId();
+
+  if (dimensions > MAX_INDEXED_DIMENSIONS) {
+    throw new Error(`HNSW indexes support up to ${MAX_INDEXED_DIMENSIONS} dimensions, the embedding model has ${dimensions}`);
+  }
+
+  await pool.query('CREATE EXTENSION IF NOT EXISTS vector');
+  await migrateEmbeddingStore(pool);
+  const columns = await getEmbeddingColumns();
+  const tables = [];
+
+  for (const column of columns) {
+    const { table, index } = column;
+    const exists = column.type !== null;
+
+    if (column.dimensions === dimensions && column.modelId === modelId) {
+      // Older databases may lack the index
+      await pool.query(`
+        CREATE INDEX IF NOT EXISTS ${index}
+        ON ${table}
+        USING hnsw (embedding vector_cosine_ops)
+        WITH (m = 16, ef_construction = 64)
+      `);
+      tables.push({ table, status: 'ok' });
+      continue;
+    }
+
+    const previous = { type: column.type, modelId: column.modelId };
+    if (exists && !recreate) {
+      tables.push({ table, status: 'mismatch', previous });
+      continue;
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(`DROP INDEX IF EXISTS ${index}`);
+      await client.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS embedding`);
+      await client.query(`ALTER TABLE ${table} ADD COLUMN embedding vector(${dimensions})`);
+      await client.query(`COMMENT ON COLUMN ${table}.embedding IS ${quoteLiteral(modelId)}`);
+      await client.query(`
+        CREATE INDEX ${index}
+        ON ${table}
+        USING hnsw (embedding vector_cosine_ops)
+        WITH (m = 16, ef_construction = 64)
+      `);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    tables.push({ table, status: exists ? 'recreated' : 'created', ...(exists && { previous }) });
+  }
+
+  const changed = tables.filter(t => ['created', 'recreated'].includes(t.status));
+  if (changed.length > 0) {
+    logger.info({ modelId, dimensions, tables: changed }, 'Embedding columns migrated');
+  }
+
+  return { modelId, dimensions, tables };
+};
+
+/**
+ * Initialize pgvector extension, embedding columns and indexes
+ * Columns built for another embedding model are left alone (see migrateEmbeddingColumns)
+ */
+export const initializeVectorSearch = async () => {
   try {
-    // Create extension if not exists
-    await pool.query('CREATE EXTENSION IF NOT EXISTS vector');
-    logger.info('pgvector extension enabled');
-
-    // Add embedding columns if not exist
-    await pool.query(`
-      ALTER TABLE namaste_codes 
-      ADD COLUMN IF NOT EXISTS embedding vector(768)
-    `);
-    
-    await pool.query(`
-      ALTER TABLE tm2_codes 
-      ADD COLUMN IF NOT EXISTS embedding vector(768)
-    `);
-    
-    logger.info('Embedding columns added');
-
-    // Create HNSW indexes for fast similarity search
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS namaste_embedding_idx 
-      ON namaste_codes 
-      USING hnsw (embedding vector_cosine_ops)
-      WITH (m = 16, ef_construction = 64)
-    `);
-    
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS tm2_embedding_idx 
-      ON tm2_codes 
-      USING hnsw (embedding vector_cosine_ops)
-      WITH (m = 16, ef_construction = 64)
-    `);
-    
-    logger.info('HNSW indexes created');
-    
+    const result = await migrateEmbeddingColumns();
+    logger.info({ modelId: result.modelId, dimensions: result.dimensions }, 'Vector search initialized');
+
+    const mismatched = result.tables.filter(t => t.status === 'mismatch');
+    if (mismatched.length > 0) {
+      logger.warn({ tables: mismatched }, 'Embedding columns were built for another model - run the embedding migration');
+      return false;
+    }
     return true;
   } catch (error) {
     logger.error({ error: error.message }, 'Failed to initialize vector search');
@@ -77,55 +252,130 @@ export const initializeVectorSearch = async () => {
   }
 };
 
+/**
+ * Embedding columns that do not hold vectors of the configured model
+ * @param {Object} [options] - { includeMissing } also reports columns that do not exist
+ * @returns {Promise<Array>} Columns as from getEmbeddingColumns
+ */
+export const getMismatchedEmbeddingColumns = async ({ includeMissing = false } = {}) => {
+  const dimensions = getEmbeddingDimensions();
+  const modelId = getEmbeddingModelId();
+  const columns = await getEmbeddingColumns();
+  return columns.filter(c => (c.type !== null || includeMissing)
+    && (c.dimensions !== dimensions || c.modelId !== modelId));
+};
+
+/**
+ * Throw unless the embedding columns hold vectors of the configured model
+ * (writing would mix vectors of different models)
+ */
+const assertColumnsMatchModel = async () => {
+  const mismatched = await getMismatchedEmbeddingColumns({ includeMissing: true });
+
+  if (mismatched.length > 0) {
+    throw new Error(
+      `Embedding columns (${mismatched.map(c => `${c.table}: ${c.type ? c.modelId : 'missing'}`).join(', ')}) `
+      + `do not match ${getEmbeddingModelId()} (${getEmbeddingDimensions()} dimensions); run the embedding migration`
+    );
+  }
+};
+
+/**
+ * Store a code's vector with the model and text hash it came from
+ * Replaces the code's earlier row for the model. Vectors of the configured
+ * model are also written to the code table, which hybrid search and the
+ * mapping workflow read
+ * @param {string} type - namaste or tm2
+ * @param {Object} code - Row with id, code and (NAMASTE) system
+ * @param {number[]} embedding
+ * @param {Object} source - { modelId, textHash, active }
+ */
+const storeCodeEmbedding = async (type, code, embedding, { modelId, textHash, active }) => {
+  const client = await getPool().connect();
+  const table = type === 'namaste' ? 'namaste_codes' : 'tm2_codes';
+  const vector = `[${embedding.join(',')}]`;
+  const system = code.system?.toLowerCase() ?? null;
+
+  try {
+    await client.query('BEGIN');
+    if (active) {
+      await client.query(`UPDATE ${table} SET embedding = $1::vector WHERE id = $2`, [vector, code.id]);
+    }
+    await client.query(
+      `DELETE FROM embeddings
+       WHERE source_type = $1 AND source_code = $2 AND source_system IS NOT DISTINCT FROM $3
+         AND model_name = $4`,
+      [type, code.code, system, modelId]
+    );
+    await client.query(
+      `INSERT INTO embeddings (id, source_type, source_code, source_system, embedding, model_name, text_hash)
+       VALUES (gen_random_uuid(), $1, $2, $3, $4::vector, $5, $6)`,
+      [type, code.code, system, vector, modelId, textHash]
+    );
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Text embedded for a code
+ * @param {Object} code - NAMASTE or TM2 row, camelCase (Prisma) or snake_case (SQL)
+ */
+const getEmbeddingText = (code, type) => (type === 'namaste'
+  ? [
+    code.shortDefinition ?? code.short_definition,
+    code.englishName ?? code.english_name,
+    code.longDefinition ?? code.long_definition,
+    code.term,
+  ]
+  : [
+    code.title,
+    code.definition,
+    Array.isArray(code.synonyms) ? code.synonyms.join(', ') : code.synonyms,
+  ]).filter(Boolean).join(' ');
+
 /**
  * Generate and store embedding for a single code
+ * @param {Object} code - NAMASTE or TM2 row
+ * @param {string} [type] - namaste or tm2
+ * @param {Object} [options] - { model } embedding model id, the configured model by default
  */
-export const generateCodeEmbedding = async (code, type = 'namaste') => {
-  const pool = getPool();
-  
+export const generateCodeEmbedding = async (code, type = 'namaste', { model } = {}) => {
   try {
+    const { modelId, active } = resolveModel(model);
+
     // Create text for embedding
-    let text;
-    if (type === 'namaste') {
-      text = [
-        code.shortDefinition,
-        code.englishName,
-        code.longDefinition,
-        code.term,
-      ].filter(Boolean).join(' ');
-    } else {
-      text = [
-        code.title,
-        code.definition,
-        code.synonyms,
-      ].filter(Boolean).join(' ');
-    }
+    const text = getEmbeddingText(code, type);
 
     if (!text || text.trim().length < 3) {
       logger.warn({ code: code.code, type }, 'Insufficient text for embedding');
       return null;
     }
 
-    // Check cache
-    const cached = getCachedEmbedding(text);
+    // Check cache (keyed by model, so a model change cannot serve stale vectors)
+    const cacheKey = `${modelId}:${text}`;
+    const cached = getCachedEmbedding(cacheKey);
     if (cached) {
       recordEmbeddingMetrics('cached');
       return cached;
     }
 
     // Generate embedding
-    const embedding = await embedQuery(text);
+    const embedding = await embedQuery(text, { modelId });
+    if (!embedding?.length || (active && embedding.length !== getEmbeddingDimensions())) {
+      throw new Error(`Expected ${active ? getEmbeddingDimensions() : 'a'} dimensions, got ${embedding?.length}`);
+    }
     recordEmbeddingMetrics('generated');
 
     // Cache it
-    setCachedEmbedding(text, embedding);
+    setCachedEmbedding(cacheKey, embedding);
 
     // Store in database
-    const table = type === 'namaste' ? 'namaste_codes' : 'tm2_codes';
-    await pool.query(
-      `UPDATE ${table} SET embedding = $1::vector WHERE id = $2`,
-      [`[${embedding.join(',')}]`, code.id]
-    );
+    await storeCodeEmbedding(type, code, embedding, { modelId, textHash: hashText(text), active });
 
     return embedding;
   } catch (error) {
@@ -136,72 +386,118 @@ export const generateCodeEmbedding = async (code, type = 'namaste') => {
 };
 
 /**
- * Batch generate embeddings for codes
+ * Re-embed codes whose embedding is missing or outdated
+ * Outdated means the code's text changed since it was embedded (its hash no
+ * longer matches the stored one), or any code with `force`. Rows of deleted
+ * codes are removed. For the configured model, a code whose current vector is
+ * already stored (e.g. computed for a comparison before switching models) is
+ * copied to the code table instead of being embedded again
+ * Remote providers get a pause between batches for their rate limits
+ * @param {string} type - namaste or tm2
+ * @param {Object} [options] - { model, batchSize, force, onProgress }
+ * @returns {Promise<Object>} { type, modelId, total, unchanged, copied, embedded, removed, errors }
  */
-export const batchGenerateEmbeddings = async (type = 'namaste', batchSize = 50, onProgress) => {
+export const reembedCodes = async (type = 'namaste', { model, batchSize = 50, force = false, onProgress } = {}) => {
   const pool = getPool();
-  const prisma = getPrisma();
-  
+  const { modelId, active } = resolveModel(model);
+
   const table = type === 'namaste' ? 'namaste_codes' : 'tm2_codes';
-  const model = type === 'namaste' ? prisma.namasteCode : prisma.tm2Code;
-  
-  // Get codes without embeddings
-  const codesWithoutEmbeddings = await pool.query(`
-    SELECT id, code, term, short_definition, english_name, long_definition, title, definition, synonyms
-    FROM ${table}
-    WHERE embedding IS NULL
-    ORDER BY id
-  `);
-  
-  const total = codesWithoutEmbeddings.rows.length;
-  logger.info({ type, total }, 'Starting batch embedding generation');
-  
+  const columns = type === 'namaste'
+    ? 'id, code, system, term, short_definition, english_name, long_definition'
+    : 'id, code, title, definition, synonyms';
+  const batchDelayMs = IN_PROCESS_PROVIDERS.includes(parseEmbeddingModelId(modelId).provider) ? 0 : 1000;
+
+  if (active) {
+    await assertColumnsMatchModel();
+  }
+
+  const [codes, stored] = await Promise.all([
+    pool.query(`
+      SELECT ${columns}${active ? ', embedding IS NOT NULL as has_embedding' : ''}
+      FROM ${table}
+      ORDER BY id
+    `),
+    pool.query(
+      'SELECT id, source_code, source_system, text_hash FROM embeddings WHERE model_name = $1 AND source_type = $2',
+      [modelId, type]
+    ),
+  ]);
+
+  const key = (code, system) => `${code}|${system?.toLowerCase() ?? ''}`;
+  const storedByCode = new Map(stored.rows.map(row => [key(row.source_code, row.source_system), row]));
+
+  const pending = [];
+  const toCopy = [];
+  let unchanged = 0;
+
+  for (const code of codes.rows) {
+    const text = getEmbeddingText(code, type) || code.code;
+    const textHash = hashText(text);
+    const codeKey = key(code.code, code.system);
+    const row = storedByCode.get(codeKey);
+    storedByCode.delete(codeKey);
+
+    if (force || row?.text_hash !== textHash) {
+      pending.push({ code, text, textHash });
+    } else if (active && !code.has_embedding) {
+      toCopy.push(code.id);
+    } else {
+      unchanged++;
+    }
+  }
+
+  // Rows left over belong to codes that no longer exist
+  const orphans = [...storedByCode.values()].map(row => row.id);
+  if (orphans.length > 0) {
+    await pool.query('DELETE FROM embeddings WHERE id = ANY($1)', [orphans]);
+  }
+
+  let copied = 0;
+  if (toCopy.length > 0) {
+    const result = await pool.query(`
+      UPDATE ${table} t
+      SET embedding = e.embedding
+      FROM embeddings e
+      WHERE t.id = ANY($1)
+        AND e.model_name = $2
+        AND e.source_type = $3
+        AND e.source_code = t.code
+        AND ${type === 'namaste' ? 'e.source_system::text = t.system::text' : 'e.source_system IS NULL'}
+    `, [toCopy, modelId, type]);
+    copied = result.rowCount;
+  }
+
+  const total = pending.length;
+  logger.info(
+    { type, modelId, codes: codes.rows.length, pending: total, copied, removed: orphans.length },
+    'Starting re-embedding'
+  );
+
+  let dimensions = active ? getEmbeddingDimensions() : null;
   let processed = 0;
   let errors = 0;
-  
+
   // Process in batches
   for (let i = 0; i < total; i += batchSize) {
-    const batch = codesWithoutEmbeddings.rows.slice(i, i + batchSize);
-    
-    // Create texts for batch embedding
-    const texts = batch.map(code => {
-      if (type === 'namaste') {
-        return [
-          code.short_definition,
-          code.english_name,
-          code.long_definition,
-          code.term,
-        ].filter(Boolean).join(' ') || code.code;
-      } else {
-        return [
-          code.title,
-          code.definition,
-          code.synonyms,
-        ].filter(Boolean).join(' ') || code.code;
-      }
-    });
-    
+    const batch = pending.slice(i, i + batchSize);
+
     try {
-      // Generate embeddings in batch
-      const embeddings = await embedTexts(texts);
+      const embeddings = await embedTexts(batch.map(item => item.text), { modelId });
       recordEmbeddingMetrics('generated', batch.length);
-      
-      // Store embeddings
+
       for (let j = 0; j < batch.length; j++) {
-        const code = batch[j];
         const embedding = embeddings[j];
-        
-        if (embedding && embedding.length === 768) {
-          await pool.query(
-            `UPDATE ${table} SET embedding = $1::vector WHERE id = $2`,
-            [`[${embedding.join(',')}]`, code.id]
-          );
+        // Every vector of a model has the size of its first
+        if (!dimensions && embedding?.length) dimensions = embedding.length;
+
+        if (embedding?.length === dimensions) {
+          await storeCodeEmbedding(type, batch[j].code, embedding, { modelId, textHash: batch[j].textHash, active });
           processed++;
         } else {
           errors++;
         }
       }
-      
+
       // Report progress
       if (onProgress) {
         onProgress({
@@ -211,60 +507,176 @@ export const batchGenerateEmbeddings = async (type = 'namaste', batchSize = 50,
           percentage: ((processed / total) * 100).toFixed(1),
         });
       }
-      
+
       logger.debug({ processed, total, batch: i / batchSize + 1 }, 'Batch processed');
-      
+
       // Rate limiting - wait between batches
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
+      if (batchDelayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, batchDelayMs));
+      }
     } catch (error) {
       logger.error({ error: error.message, batch: i / batchSize + 1 }, 'Batch embedding failed');
       errors += batch.length;
       recordEmbeddingMetrics('error', batch.length);
     }
   }
-  
-  logger.info({ processed, errors, total }, 'Batch embedding generation complete');
-  
-  return { processed, errors, total };
+
+  if (dimensions && processed > 0) {
+    await ensureModelIndex(modelId, dimensions);
+  }
+
+  const summary = {
+    type,
+    modelId,
+    total: codes.rows.length,
+    unchanged,
+    copied,
+    embedded: processed,
+    removed: orphans.length,
+    errors,
+  };
+  logger.info(summary, 'Re-embedding complete');
+
+  return summary;
 };
 
 /**
- * Search TM2 codes by vector similarity
+ * Where to read a model's vectors of a code table from
+ * The configured model's vectors are in the code table itself; any other
+ * model's are in the embeddings table, cast to the size of its partial index
+ * Code table columns are aliased t
+ * @param {string} modelParam - Query placeholder holding the model id
+ */
+const vectorSource = (type, { active, dimensions, modelParam }) => {
+  const table = type === 'namaste' ? 'namaste_codes' : 'tm2_codes';
+
+  if (active) {
+    return { from: `${table} t`, vector: 't.embedding', filter: 't.embedding IS NOT NULL' };
+  }
+  return {
+    from: `embeddings e JOIN ${table} t ON t.code = e.source_code${
+      type === 'namaste' ? ' AND t.system::text = e.source_system::text' : ''}`,
+    vector: `e.embedding::vector(${dimensions})`,
+    filter: `e.source_type = '${type}' AND e.model_name = ${modelParam}`,
+  };
+};
+
+/**
+ * Embed a search query with the model whose vectors it is compared to
+ * @param {string} queryText
+ * @param {Object} [options] - { model } embedding model id, the configured model by default
+ * @returns {Promise<number[]>} Query vector
+ * @throws When the provider fails or returns a vector of the wrong size
  */
-export const searchTm2BySimilarity = async (queryText, limit = 10, minSimilarity = 0.5) => {
+export const embedSearchQuery = async (queryText, { model } = {}) => {
+  const { modelId, active } = resolveModel(model);
+  const embedding = await embedQuery(queryText, { modelId });
+
+  if (!embedding?.length || (active && embedding.length !== getEmbeddingDimensions())) {
+    throw new Error(`Query embedding from ${modelId} has ${embedding?.length ?? 0} dimensions, expected ${
+      active ? getEmbeddingDimensions() : 'a vector'}`);
+  }
+  return embedding;
+};
+
+/**
+ * Search TM2 codes by similarity to a query vector
+ * @param {number[]} queryEmbedding - From embedSearchQuery, with the same model
+ * @param {number} [limit]
+ * @param {number} [minSimilarity]
+ * @param {Object} [options] - { model } embedding model id to compare with,
+ *   the configured model by default. Other models search the vectors the
+ *   re-embed job stored for them
+ * @throws When the query fails
+ */
+export const searchTm2ByEmbedding = async (queryEmbedding, limit = 10, minSimilarity = 0.5, { model } = {}) => {
   const pool = getPool();
-  
+  const { modelId, active } = resolveModel(model);
+  const source = vectorSource('tm2', { active, dimensions: queryEmbedding.length, modelParam: '$4' });
+
+  // Search using cosine similarity
+  const result = await pool.query(`
+    SELECT
+      t.id,
+      t.code,
+      t.title,
+      t.definition,
+      t.category,
+      t.synonyms,
+      1 - (${source.vector} <=> $1::vector) as similarity
+    FROM ${source.from}
+    WHERE ${source.filter}
+      AND 1 - (${source.vector} <=> $1::vector) >= $2
+    ORDER BY ${source.vector} <=> $1::vector
+    LIMIT $3
+  `, [`[${queryEmbedding.join(',')}]`, minSimilarity, limit, ...(active ? [] : [modelId])]);
+
+  return result.rows.map(row => ({
+    ...row,
+    score: parseFloat(row.similarity),
+  }));
+};
+
+/**
+ * Search NAMASTE codes by similarity to a query vector
+ * @param {number[]} queryEmbedding - From embedSearchQuery, with the same model
+ * @param {string} [system] - ayurveda, siddha or unani
+ * @param {number} [limit]
+ * @param {number} [minSimilarity]
+ * @param {Object} [options] - { model } as for searchTm2ByEmbedding
+ * @throws When the query fails
+ */
+export const searchNamasteByEmbedding = async (queryEmbedding, system, limit = 10, minSimilarity = 0.5, { model } = {}) => {
+  const pool = getPool();
+  const { modelId, active } = resolveModel(model);
+
+  const params = [`[${queryEmbedding.join(',')}]`, minSimilarity];
+  if (!active) params.push(modelId);
+  const source = vectorSource('namaste', { active, dimensions: queryEmbedding.length, modelParam: '$3' });
+
+  let query = `
+    SELECT
+      t.id,
+      t.code,
+      t.term,
+      t.system,
+      t.short_definition,
+      t.english_name,
+      1 - (${source.vector} <=> $1::vector) as similarity
+    FROM ${source.from}
+    WHERE ${source.filter}
+      AND 1 - (${source.vector} <=> $1::vector) >= $2
+  `;
+
+  if (system) {
+    // Stored lowercase
+    params.push(system.toLowerCase());
+    query += ` AND t.system = $${params.length}`;
+  }
+
+  query += ` ORDER BY ${source.vector} <=> $1::vector LIMIT $${params.length + 1}`;
+  params.push(limit);
+
+  const result = await pool.query(query, params);
+
+  return result.rows.map(row => ({
+    ...row,
+    score: parseFloat(row.similarity),
+  }));
+};
+
+/**
+ * Search TM2 codes by vector similarity
+ * Returns no results when embedding or searching fails
+ * @param {string} queryText
+ * @param {number} [limit]
+ * @param {number} [minSimilarity]
+ * @param {Object} [options] - { model } as for searchTm2ByEmbedding
+ */
+export const searchTm2BySimilarity = async (queryText, limit = 10, minSimilarity = 0.5, { model } = {}) => {
   try {
-    // Generate query embedding
-    const queryEmbedding = await embedQuery(queryText);
-    
-    if (!queryEmbedding || queryEmbedding.length !== 768) {
-      logger.warn('Failed to generate query embedding');
-      return [];
-    }
-    
-    // Search using cosine similarity
-    const result = await pool.query(`
-      SELECT 
-        id,
-        code,
-        title,
-        definition,
-        category,
-        synonyms,
-        1 - (embedding <=> $1::vector) as similarity
-      FROM tm2_codes
-      WHERE embedding IS NOT NULL
-        AND 1 - (embedding <=> $1::vector) >= $2
-      ORDER BY embedding <=> $1::vector
-      LIMIT $3
-    `, [`[${queryEmbedding.join(',')}]`, minSimilarity, limit]);
-    
-    return result.rows.map(row => ({
-      ...row,
-      score: parseFloat(row.similarity),
-    }));
+    const queryEmbedding = await embedSearchQuery(queryText, { model });
+    return await searchTm2ByEmbedding(queryEmbedding, limit, minSimilarity, { model });
   } catch (error) {
     logger.error({ error: error.message }, 'Vector search failed');
     return [];
@@ -273,47 +685,17 @@ export const searchTm2BySimilarity = async (queryText, limit = 10, minSimilarity
 
 /**
  * Search NAMASTE codes by vector similarity
+ * Returns no results when embedding or searching fails
+ * @param {string} queryText
+ * @param {string} [system] - ayurveda, siddha or unani
+ * @param {number} [limit]
+ * @param {number} [minSimilarity]
+ * @param {Object} [options] - { model } as for searchTm2ByEmbedding
  */
-export const searchNamasteBySimilarity = async (queryText, system, limit = 10, minSimilarity = 0.5) => {
-  const pool = getPool();
-  
+export const searchNamasteBySimilarity = async (queryText, system, limit = 10, minSimilarity = 0.5, { model } = {}) => {
   try {
-    const queryEmbedding = await embedQuery(queryText);
-    
-    if (!queryEmbedding || queryEmbedding.length !== 768) {
-      return [];
-    }
-    
-    let query = `
-      SELECT 
-        id,
-        code,
-        term,
-        system,
-        short_definition,
-        english_name,
-        1 - (embedding <=> $1::vector) as similarity
-      FROM namaste_codes
-      WHERE embedding IS NOT NULL
-        AND 1 - (embedding <=> $1::vector) >= $2
-    `;
-    
-    const params = [`[${queryEmbedding.join(',')}]`, minSimilarity];
-    
-    if (system) {
-      query += ` AND system = $3`;
-      params.push(system.toUpperCase());
-    }
-    
-    query += ` ORDER BY embedding <=> $1::vector LIMIT $${params.length + 1}`;
-    params.push(limit);
-    
-    const result = await pool.query(query, params);
-    
-    return result.rows.map(row => ({
-      ...row,
-      score: parseFloat(row.similarity),
-    }));
+    const queryEmbedding = await embedSearchQuery(queryText, { model });
+    return await searchNamasteByEmbedding(queryEmbedding, system, limit, minSimilarity, { model });
   } catch (error) {
     logger.error({ error: error.message }, 'NAMASTE vector search failed');
     return [];
@@ -327,7 +709,7 @@ export const getEmbeddingStats = async () => {
   const pool = getPool();
   
   try {
-    const [namasteStats, tm2Stats] = await Promise.all([
+    const [namasteStats, tm2Stats, modelStats] = await Promise.all([
       pool.query(`
         SELECT 
           COUNT(*) as total,
@@ -342,9 +724,38 @@ export const getEmbeddingStats = async () => {
           COUNT(*) - COUNT(embedding) as without_embedding
         FROM tm2_codes
       `),
+      pool.query(`
+        SELECT
+          model_name,
+          source_type,
+          COUNT(*) as count,
+          MAX(vector_dims(embedding)) as dimensions
+        FROM embeddings
+        GROUP BY model_name, source_type
+        ORDER BY model_name
+      `),
     ]);
+
+    // Stored vectors per model, e.g. for comparing a candidate model
+    const models = new Map();
+    for (const row of modelStats.rows) {
+      const entry = models.get(row.model_name) ?? {
+        id: row.model_name,
+        active: row.model_name === getEmbeddingModelId(),
+        dimensions: row.dimensions === null ? null : parseInt(row.dimensions),
+        namaste: 0,
+        tm2: 0,
+      };
+      entry[row.source_type] = parseInt(row.count);
+      models.set(row.model_name, entry);
+    }
     
     return {
+      model: {
+        id: getEmbeddingModelId(),
+        dimensions: getEmbeddingDimensions(),
+      },
+      models: [...models.values()],
       namaste: {
         total: parseInt(namasteStats.rows[0].total),
         withEmbedding: parseInt(namasteStats.rows[0].with_embedding),
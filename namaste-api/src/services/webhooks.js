@@ -0,0 +1,379 @@
+/**
+ * Webhook Delivery Service
+ *
+ * Signed, retried delivery of batch job callbacks
+ * Deliveries are queued in webhook_deliveries and sent by a poller on every
+ * API instance (claimed with FOR UPDATE SKIP LOCKED, like batch jobs)
+ *
+ * Each request carries:
+ *   X-Namaste-Event: job.progress | job.completed
+ *   X-Namaste-Delivery: <delivery id>
+ *   X-Namaste-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ * signed with the webhook client's secret (or WEBHOOK_SECRET for jobs without one)
+ */
+
+import { createHmac, randomBytes } from 'crypto';
+import { getPrisma } from '../db/client.js';
+import { config } from '../config/index.js';
+import { logger } from '../config/logger.js';
+
+const { maxAttempts, backoffBaseMs, backoffMaxMs, timeoutMs, pollIntervalMs } = config.webhooks;
+
+// Deliveries claimed per poll, and how long a claim blocks other instances
+const CLAIM_BATCH_SIZE = 20;
+const CLAIM_LEASE_MS = timeoutMs * 3;
+// Attempts kept in a delivery's attempt log
+const MAX_ATTEMPT_LOG = 20;
+
+let isPolling = false;
+let pollTimer = null;
+let cleanupTimer = null;
+
+/**
+ * Sign a payload body
+ * @param {string} secret - Client secret
+ * @param {string} body - Raw JSON body
+ * @param {number} timestamp - Unix seconds
+ * @returns {string} Signature header value
+ */
+export const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const digest = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+};
+
+/**
+ * Delay before the next attempt: base * 2^(attempt - 1), capped, with ±20% jitter
+ */
+const getBackoffMs = (attempt) => {
+  const delay = Math.min(backoffMaxMs, backoffBaseMs * 2 ** (attempt - 1));
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+const generateSecret = () => `whsec_${randomBytes(24).toString('hex')}`;
+
+// ============================================================================
+// Clients
+// ============================================================================
+
+/**
+ * Register a webhook client; the secret is only returned here and on rotation
+ */
+export const createWebhookClient = async (name) => {
+  const prisma = getPrisma();
+  return prisma.webhookClient.create({
+    data: { name, secret: generateSecret() },
+  });
+};
+
+/**
+ * List webhook clients without their secrets
+ */
+export const listWebhookClients = async () => {
+  const prisma = getPrisma();
+  return prisma.webhookClient.findMany({
+    select: { id: true, name: true, createdAt: true, updatedAt: true },
+    orderBy: { createdAt: 'desc' },
+  });
+};
+
+/**
+ * Check that a webhook client exists
+ */
+export const webhookClientExists = async (id) => {
+  const prisma = getPrisma();
+  const client = await prisma.webhookClient.findUnique({ where: { id }, select: { id: true } });
+  return !!client;
+};
+
+/**
+ * Replace a client's secret
+ * @returns {Promise<Object|null>} Client with the new secret, or null if unknown
+ */
+export const rotateWebhookSecret = async (id) => {
+  const prisma = getPrisma();
+  const { count } = await prisma.webhookClient.updateMany({
+    where: { id },
+    data: { secret: generateSecret() },
+  });
+  if (count === 0) return null;
+  return prisma.webhookClient.findUnique({ where: { id } });
+};
+
+// ============================================================================
+// Deliveries
+// ============================================================================
+
+/**
+ * Queue a webhook
+ * Without a transaction it is sent right away; inside one, call
+ * deliverPendingWebhooks() once the transaction has committed
+ * @param {Object} webhook - { url, event, payload, jobId?, clientId? }
+ * @param {Object} [tx] - Prisma transaction client
+ */
+export const enqueueWebhook = async ({ url, event, payload, jobId, clientId }, tx) => {
+  const delivery = await (tx || getPrisma()).webhookDelivery.create({
+    data: { url, event, payload, jobId, clientId },
+  });
+
+  logger.debug({ deliveryId: delivery.id, jobId, event }, 'Webhook queued');
+  if (!tx) processDeliveries();
+  return delivery;
+};
+
+/**
+ * Claim due deliveries by pushing their next attempt past the claim lease
+ */
+const claimDueDeliveries = async () => {
+  const prisma = getPrisma();
+
+  const claimed = await prisma.$queryRaw`
+    UPDATE webhook_deliveries
+    SET next_attempt_at = NOW() + ${CLAIM_LEASE_MS}::int * INTERVAL '1 millisecond'
+    WHERE id IN (
+      SELECT id FROM webhook_deliveries
+      WHERE status = 'pending' AND next_attempt_at <= NOW()
+      ORDER BY next_attempt_at
+      LIMIT ${CLAIM_BATCH_SIZE}
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING id
+  `;
+
+  if (claimed.length === 0) return [];
+  return prisma.webhookDelivery.findMany({
+    where: { id: { in: claimed.map(row => row.id) } },
+    include: { client: true },
+    orderBy: { createdAt: 'asc' },
+  });
+};
+
+/**
+ * Send one delivery attempt and record the outcome
+ */
+const attemptDelivery = async (delivery) => {
+  const prisma = getPrisma();
+  const body = JSON.stringify(delivery.payload);
+  const secret = delivery.client?.secret || config.webhooks.defaultSecret;
+  const attempt = delivery.attempts + 1;
+  const startTime = Date.now();
+
+  let statusCode = null;
+  let error = null;
+
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'NAMASTE-ICD-Webhooks/1.0',
+        'X-Namaste-Event': delivery.event,
+        'X-Namaste-Delivery': delivery.id,
+        ...(secret && { 'X-Namaste-Signature': signPayload(secret, body) }),
+      },
+      body,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    statusCode = response.status;
+    if (!response.ok) error = `HTTP ${response.status}`;
+  } catch (err) {
+    error = err.name === 'TimeoutError' ? `Timed out after ${timeoutMs}ms` : err.message;
+  }
+
+  const delivered = !error;
+  const exhausted = !delivered && attempt >= maxAttempts;
+  const attemptLog = [
+    ...(Array.isArray(delivery.attemptLog) ? delivery.attemptLog : []),
+    { attempt, at: new Date(startTime).toISOString(), statusCode, error, durationMs: Date.now() - startTime },
+  ].slice(-MAX_ATTEMPT_LOG);
+
+  await prisma.webhookDelivery.update({
+    where: { id: delivery.id },
+    data: {
+      attempts: attempt,
+      status: delivered ? 'delivered' : exhausted ? 'failed' : 'pending',
+      lastStatusCode: statusCode,
+      lastError: error,
+      attemptLog,
+      deliveredAt: delivered ? new Date() : null,
+      nextAttemptAt: delivered || exhausted ? null : new Date(Date.now() + getBackoffMs(attempt)),
+    },
+  });
+
+  if (delivered) {
+    logger.info({ deliveryId: delivery.id, jobId: delivery.jobId, event: delivery.event, attempt }, 'Webhook delivered');
+  } else {
+    logger.warn({
+      deliveryId: delivery.id,
+      jobId: delivery.jobId,
+      url: delivery.url,
+      attempt,
+      error,
+      exhausted,
+    }, exhausted ? 'Webhook delivery failed permanently' : 'Webhook delivery failed, will retry');
+  }
+};
+
+/**
+ * Send every due delivery
+ */
+const processDeliveries = async () => {
+  if (isPolling) return;
+  isPolling = true;
+
+  try {
+    let due = await claimDueDeliveries();
+    while (due.length > 0) {
+      await Promise.all(due.map(delivery => attemptDelivery(delivery).catch((error) => {
+        logger.error({ deliveryId: delivery.id, error: error.message }, 'Webhook attempt crashed');
+      })));
+      due = await claimDueDeliveries();
+    }
+  } catch (error) {
+    logger.error({ error: error.message }, 'Failed to claim webhook deliveries');
+  } finally {
+    isPolling = false;
+  }
+};
+
+/**
+ * Send due deliveries now instead of waiting for the next poll
+ */
+export const deliverPendingWebhooks = () => {
+  processDeliveries();
+};
+
+/**
+ * Format a delivery for the admin API (never exposes the client secret)
+ */
+const toDeliverySummary = (delivery, { withPayload = false } = {}) => ({
+  id: delivery.id,
+  event: delivery.event,
+  jobId: delivery.jobId,
+  clientId: delivery.clientId,
+  url: delivery.url,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  lastStatusCode: delivery.lastStatusCode,
+  lastError: delivery.lastError,
+  nextAttemptAt: delivery.nextAttemptAt,
+  deliveredAt: delivery.deliveredAt,
+  createdAt: delivery.createdAt,
+  ...(withPayload && { attemptLog: delivery.attemptLog, payload: delivery.payload }),
+});
+
+/**
+ * List deliveries, newest first
+ */
+export const listDeliveries = async (options = {}) => {
+  const { status, jobId, clientId, event, limit = 20, offset = 0 } = options;
+  const prisma = getPrisma();
+
+  const where = {
+    ...(status && { status }),
+    ...(jobId && { jobId }),
+    ...(clientId && { clientId }),
+    ...(event && { event }),
+  };
+
+  const [deliveries, total] = await Promise.all([
+    prisma.webhookDelivery.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+      skip: offset,
+    }),
+    prisma.webhookDelivery.count({ where }),
+  ]);
+
+  return {
+    deliveries: deliveries.map(d => toDeliverySummary(d)),
+    total,
+    limit,
+    offset,
+  };
+};
+
+/**
+ * Get one delivery with its payload and attempt log
+ */
+export const getDelivery = async (id) => {
+  const prisma = getPrisma();
+  const delivery = await prisma.webhookDelivery.findUnique({ where: { id } });
+  return delivery && toDeliverySummary(delivery, { withPayload: true });
+};
+
+/**
+ * Requeue a failed delivery with a fresh set of attempts
+ * @returns {Promise<{ delivery?: Object, error?: Object }>}
+ */
+export const replayDelivery = async (id) => {
+  const prisma = getPrisma();
+  const { count } = await prisma.webhookDelivery.updateMany({
+    where: { id, status: 'failed' },
+    data: { status: 'pending', attempts: 0, nextAttemptAt: new Date() },
+  });
+
+  if (count === 0) {
+    const exists = await prisma.webhookDelivery.findUnique({ where: { id }, select: { status: true } });
+    return exists
+      ? { error: { status: 409, message: `Delivery is ${exists.status}; only failed deliveries can be replayed` } }
+      : { error: { status: 404, message: `Delivery ${id} not found` } };
+  }
+
+  logger.info({ deliveryId: id }, 'Webhook delivery replayed');
+  processDeliveries();
+  return { delivery: await getDelivery(id) };
+};
+
+/**
+ * Delete finished deliveries older than the batch job retention period
+ */
+export const cleanupOldDeliveries = async (maxAgeMs = config.batch.retentionHours * 3600000) => {
+  const prisma = getPrisma();
+  const { count } = await prisma.webhookDelivery.deleteMany({
+    where: {
+      status: { in: ['delivered', 'failed'] },
+      createdAt: { lt: new Date(Date.now() - maxAgeMs) },
+    },
+  });
+  return count;
+};
+
+/**
+ * Get delivery counts by status
+ */
+export const getDeliveryStats = async () => {
+  const prisma = getPrisma();
+  const groups = await prisma.webhookDelivery.groupBy({
+    by: ['status'],
+    _count: { id: true },
+  });
+
+  const byStatus = { pending: 0, delivered: 0, failed: 0 };
+  groups.forEach(g => { byStatus[g.status] = g._count.id; });
+  return byStatus;
+};
+
+/**
+ * Start polling for due deliveries (retries and deliveries left by other instances)
+ * and the hourly cleanup of old log entries
+ */
+export const startWebhookWorker = () => {
+  if (pollTimer) return;
+
+  pollTimer = setInterval(() => processDeliveries(), pollIntervalMs);
+  cleanupTimer = setInterval(() => {
+    cleanupOldDeliveries()
+      .then(cleaned => logger.info({ cleaned }, 'Old webhook deliveries cleaned up'))
+      .catch(error => logger.error({ error: error.message }, 'Webhook cleanup failed'));
+  }, 3600000);
+
+  processDeliveries();
+};
+
+export const stopWebhookWorker = () => {
+  clearInterval(pollTimer);
+  clearInterval(cleanupTimer);
+  pollTimer = null;
+  cleanupTimer = null;
+};
@@ -14,6 +14,20 @@ import {
   embedQuery,
 } from '../services/llm.js';
 import { logger } from '../config/logger.js';
+import {
+  getContextSearchText,
+  getVariantSearchTerms,
+  rerankForContext,
+  describeContext,
+} from '../services/mapping-context.js';
+import {
+  searchTm2Hybrid,
+  fuseRankings,
+  isHighConfidenceMatch,
+  RETRIEVAL_SIGNALS,
+  CONTEXT_SIGNAL,
+} from '../services/hybrid-search.js';
+import { config } from '../config/index.js';
 
 // ============================================================================
 // State Definition
@@ -28,12 +42,24 @@ const MappingState = Annotation.Root({
     reducer: (_, next) => next,
     default: () => null,
   }),
+  context: Annotation({
+    reducer: (_, next) => next,
+    default: () => null,
+  }),
+  candidateCount: Annotation({
+    reducer: (_, next) => next,
+    default: () => 1,
+  }),
   
   // Processing
   normalizedText: Annotation({
     reducer: (_, next) => next,
     default: () => '',
   }),
+  contextText: Annotation({
+    reducer: (_, next) => next,
+    default: () => '',
+  }),
   embedding: Annotation({
     reducer: (_, next) => next,
     default: () => [],
@@ -44,6 +70,14 @@ const MappingState = Annotation.Root({
     reducer: (_, next) => next,
     default: () => [],
   }),
+  contextEffects: Annotation({
+    reducer: (_, next) => next,
+    default: () => ({ applied: false, changes: [] }),
+  }),
+  retrieval: Annotation({
+    reducer: (_, next) => next,
+    default: () => null,
+  }),
   
   // Output
   selectedMapping: Annotation({
@@ -62,6 +96,10 @@ const MappingState = Annotation.Root({
     reducer: (_, next) => next,
     default: () => '',
   }),
+  rankedCandidates: Annotation({
+    reducer: (_, next) => next,
+    default: () => [],
+  }),
   
   // Metadata
   processingTime: Annotation({
@@ -83,7 +121,7 @@ const MappingState = Annotation.Root({
  */
 const preprocessNode = async (state) => {
   const startTime = Date.now();
-  const { namasteCode } = state;
+  const { namasteCode, context } = state;
   
   if (!namasteCode) {
     return { errors: ['No NAMASTE code provided'] };
@@ -110,6 +148,8 @@ const preprocessNode = async (state) => {
   
   return {
     normalizedText,
+    // Complaint narrative and dosha, kept apart so they cannot drown the code's own text in search
+    contextText: getContextSearchText(context),
     processingTime: Date.now() - startTime,
   };
 };
@@ -119,7 +159,7 @@ const preprocessNode = async (state) => {
  */
 const embedNode = async (state) => {
   const startTime = Date.now();
-  const { normalizedText, namasteCode } = state;
+  const { normalizedText, contextText, namasteCode } = state;
   
   if (!normalizedText) {
     return { errors: ['No normalized text for embedding'] };
@@ -129,7 +169,7 @@ const embedNode = async (state) => {
   
   try {
     // Generate query embedding (optimized for retrieval)
-    const embedding = await embedQuery(normalizedText);
+    const embedding = await embedQuery([normalizedText, contextText].filter(Boolean).join(' '));
     
     return {
       embedding,
@@ -145,88 +185,137 @@ const embedNode = async (state) => {
 };
 
 /**
- * Semantic search for TM2 candidates
+ * Extract meaningful keywords (longer than 3 chars, not common words)
+ */
+const extractKeywords = (text) => {
+  const stopWords = ['the', 'and', 'for', 'with', 'from', 'that', 'this', 'disorder', 'disease'];
+  return text
+    .split(/[\s\/\-\|]+/)
+    .filter(w => w.length > 3 && !stopWords.includes(w))
+    .slice(0, 5);
+};
+
+/**
+ * Find context variants of the diagnosis, e.g. its pregnancy (SN1x) or
+ * paediatric form, which plain text search tends to rank low or miss
+ * Best first, scored by the share of keywords they match
+ */
+const searchContextVariants = async (prisma, normalizedText, context) => {
+  const { terms, codePrefixes } = getVariantSearchTerms(context);
+  const keywords = extractKeywords(normalizedText);
+  if (keywords.length === 0 || (terms.length === 0 && codePrefixes.length === 0)) return [];
+
+  const variants = await prisma.tm2Code.findMany({
+    where: {
+      AND: [
+        {
+          OR: keywords.flatMap(keyword => [
+            { title: { contains: keyword, mode: 'insensitive' } },
+            { definition: { contains: keyword, mode: 'insensitive' } },
+          ]),
+        },
+        {
+          OR: [
+            ...terms.flatMap(term => [
+              { title: { contains: term, mode: 'insensitive' } },
+              { definition: { contains: term, mode: 'insensitive' } },
+            ]),
+            ...codePrefixes.map(prefix => ({ code: { startsWith: prefix } })),
+          ],
+        },
+      ],
+    },
+    take: 10,
+  });
+
+  return variants.map(c => ({
+    ...c,
+    score: keywords.filter(k =>
+      c.title?.toLowerCase().includes(k) ||
+      c.definition?.toLowerCase().includes(k)
+    ).length / keywords.length,
+  })).sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Keyword matching, for when no hybrid search signal finds anything
+ * (e.g. no embeddings and no full-text or trigram hits), best first
+ */
+const searchByKeywords = async (prisma, keywords) => {
+  if (keywords.length === 0) return [];
+  
+  logger.debug({ keywords }, 'Searching with keywords');
+  
+  const matches = await prisma.tm2Code.findMany({
+    where: {
+      OR: keywords.flatMap(keyword => [
+        { title: { contains: keyword, mode: 'insensitive' } },
+        { definition: { contains: keyword, mode: 'insensitive' } },
+      ]),
+    },
+    take: 15,
+  });
+  
+  // Add basic scoring based on keyword matches
+  return matches.map(c => ({
+    ...c,
+    score: keywords.filter(k => 
+      c.title?.toLowerCase().includes(k) || 
+      c.definition?.toLowerCase().includes(k)
+    ).length / keywords.length,
+  })).sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Hybrid retrieval of TM2 candidates
+ * Fuses pgvector similarity to the embedding with full-text and trigram
+ * matches (see services/hybrid-search.js); every candidate keeps its
+ * component scores. With patient context, context variants are fused in as
+ * a further ranking and the list is reranked
  */
-const semanticSearchNode = async (state) => {
+const hybridSearchNode = async (state) => {
   const startTime = Date.now();
-  const { normalizedText, namasteCode } = state;
+  const { normalizedText, namasteCode, context, embedding, candidateCount } = state;
   
   logger.debug({ code: namasteCode?.code }, 'Searching TM2 candidates');
   
   const prisma = getPrisma();
   
   try {
-    // Text-based search using PostgreSQL full-text search
-    // In production, use pgvector for embedding similarity
-    const searchTerms = normalizedText.split(/\s+/).slice(0, 5).join(' & ');
-    
-    const candidates = await prisma.$queryRaw`
-      SELECT 
-        code,
-        title,
-        definition,
-        category,
-        synonyms,
-        ts_rank(
-          to_tsvector('english', title || ' ' || COALESCE(definition, '')),
-          plainto_tsquery('english', ${normalizedText})
-        ) as score
-      FROM tm2_codes
-      WHERE 
-        to_tsvector('english', title || ' ' || COALESCE(definition, ''))
-        @@ plainto_tsquery('english', ${normalizedText})
-      ORDER BY score DESC
-      LIMIT 10
-    `;
+    const keywords = extractKeywords(normalizedText);
+    const variants = context ? await searchContextVariants(prisma, normalizedText, context) : undefined;
+    const { candidates, retrieval } = await searchTm2Hybrid(
+      { embedding, keywords, text: normalizedText.substring(0, 500), variants },
+      { limit: Math.max(config.retrieval.limit, candidateCount) },
+    );
     
-    // If no full-text matches, try ILIKE search with more keywords
-    let tm2Candidates = candidates;
-    if (candidates.length === 0) {
-      // Extract meaningful keywords (longer than 3 chars, not common words)
-      const stopWords = ['the', 'and', 'for', 'with', 'from', 'that', 'this', 'disorder', 'disease'];
-      const keywords = normalizedText
-        .split(/[\s\/\-\|]+/)
-        .filter(w => w.length > 3 && !stopWords.includes(w))
-        .slice(0, 5);
-      
-      logger.debug({ keywords }, 'Searching with keywords');
-      
-      if (keywords.length > 0) {
-        tm2Candidates = await prisma.tm2Code.findMany({
-          where: {
-            OR: keywords.flatMap(keyword => [
-              { title: { contains: keyword, mode: 'insensitive' } },
-              { definition: { contains: keyword, mode: 'insensitive' } },
-            ]),
-          },
-          take: 15,
-        });
-        
-        // Add basic scoring based on keyword matches
-        tm2Candidates = tm2Candidates.map(c => ({
-          ...c,
-          score: keywords.filter(k => 
-            c.title?.toLowerCase().includes(k) || 
-            c.definition?.toLowerCase().includes(k)
-          ).length / keywords.length,
-        }));
-      }
-    }
+    // Keyword matches stand in for full-text rank when no search signal
+    // found anything, fused with the context variants the same way
+    const keywordFallback = !RETRIEVAL_SIGNALS.some(signal => retrieval.signals[signal] > 0);
+    const tm2Candidates = keywordFallback
+      ? fuseRankings(
+        { fullText: await searchByKeywords(prisma, keywords), ...(variants && { [CONTEXT_SIGNAL]: variants }) },
+        config.retrieval,
+      )
+      : candidates;
     
-    // Sort by score
-    tm2Candidates = tm2Candidates.sort((a, b) => (b.score || 0) - (a.score || 0));
+    const { candidates: ranked, effects: contextEffects } = rerankForContext(tm2Candidates, context);
     
     logger.debug({ 
       code: namasteCode?.code, 
-      candidateCount: tm2Candidates.length 
+      candidateCount: ranked.length,
+      signals: retrieval.signals,
+      contextChanges: contextEffects.changes.length,
     }, 'Found TM2 candidates');
     
     return {
-      tm2Candidates,
+      tm2Candidates: ranked,
+      retrieval: { ...retrieval, keywordFallback },
+      contextEffects,
       processingTime: state.processingTime + (Date.now() - startTime),
     };
   } catch (error) {
-    logger.error({ error: error.message }, 'Semantic search failed');
+    logger.error({ error: error.message }, 'Hybrid search failed');
     return { 
       tm2Candidates: [],
       errors: [`Search failed: ${error.message}`] 
@@ -234,12 +323,83 @@ const semanticSearchNode = async (state) => {
   }
 };
 
+/**
+ * Cosine similarity between the NAMASTE embedding and each candidate's stored TM2 embedding
+ * @returns {Promise<Map<string, number>>} code → similarity; codes without embeddings are absent
+ */
+const getVectorSimilarities = async (embedding, codes) => {
+  if (!embedding?.length || codes.length === 0) return new Map();
+  
+  const prisma = getPrisma();
+  try {
+    const rows = await prisma.$queryRaw`
+      SELECT code, 1 - (embedding <=> ${`[${embedding.join(',')}]`}::vector) as similarity
+      FROM tm2_codes
+      WHERE code = ANY(${codes}) AND embedding IS NOT NULL
+    `;
+    return new Map(rows.map(row => [row.code, Number(Number(row.similarity).toFixed(4))]));
+  } catch (error) {
+    logger.warn({ error: error.message }, 'Candidate vector similarity failed');
+    return new Map();
+  }
+};
+
+/**
+ * Top N candidates with the signals behind each, so reviewers can pick another
+ * The selected candidate comes first, then by LLM confidence
+ * @param {Object} state - Workflow state
+ * @param {Array} judgements - Per-candidate LLM verdicts ({ code, judgement, confidence, equivalence, rationale })
+ * @param {string|null} selectedCode - Code chosen by the validator
+ */
+const buildRankedCandidates = async (state, judgements, selectedCode) => {
+  const { tm2Candidates, embedding, candidateCount } = state;
+  if (candidateCount <= 1) return [];
+  
+  const top = tm2Candidates.slice(0, candidateCount);
+  // Context variants come from keyword search and have no vector component
+  const similarities = await getVectorSimilarities(
+    embedding,
+    top.filter(c => !c.components?.vector).map(c => c.code),
+  );
+  const byCode = new Map(judgements.filter(j => j?.code).map(j => [j.code, j]));
+  
+  return top
+    .map((candidate) => {
+      const judgement = byCode.get(candidate.code);
+      const { components } = candidate;
+      const retrievalScore = Number((candidate.baseScore ?? candidate.score ?? 0).toFixed(4));
+      return {
+        code: candidate.code,
+        title: candidate.title,
+        category: candidate.category || null,
+        retrievalScore,
+        lexicalScore: components
+          ? Math.max(components.fullText?.score ?? 0, components.trigram?.score ?? 0)
+          : retrievalScore,
+        vectorSimilarity: components?.vector?.score ?? similarities.get(candidate.code) ?? null,
+        ...(components && { components }),
+        llmJudgement: judgement ? {
+          verdict: judgement.judgement || null,
+          confidence: judgement.confidence ?? null,
+        } : null,
+        equivalence: judgement?.equivalence ? judgement.equivalence.toUpperCase() : null,
+        rationale: judgement?.rationale || null,
+        selected: candidate.code === selectedCode,
+        ...(candidate.contextReasons?.length > 0 && { contextReasons: candidate.contextReasons }),
+      };
+    })
+    .sort((a, b) => (b.selected - a.selected)
+      || ((b.llmJudgement?.confidence ?? -1) - (a.llmJudgement?.confidence ?? -1)))
+    .map((candidate, index) => ({ rank: index + 1, ...candidate }));
+};
+
 /**
  * AI validation using Gemini Pro
+ * In candidates mode the model also judges each of the top N candidates
  */
 const aiValidationNode = async (state) => {
   const startTime = Date.now();
-  const { namasteCode, tm2Candidates } = state;
+  const { namasteCode, tm2Candidates, context, candidateCount } = state;
   
   if (!tm2Candidates || tm2Candidates.length === 0) {
     return {
@@ -259,23 +419,33 @@ const aiValidationNode = async (state) => {
   try {
     // Use Flash for speed and no rate limits (Pro has strict quotas)
     // Set lower max tokens for faster response
-    const model = createGeminiFlash({ maxTokens: 1024 });
+    const model = createGeminiFlash({ maxTokens: candidateCount > 1 ? 2048 : 1024 });
+    
+    const patientContext = describeContext(context);
+    const contextSection = patientContext
+      ? `\nPatient context (prefer pregnancy or paediatric variants only when it calls for them):\n${patientContext}\n`
+      : '';
+    const shownCandidates = tm2Candidates.slice(0, Math.max(3, candidateCount));
+    const candidatesField = candidateCount > 1
+      ? `,
+  "candidates": [{"code": "each TM2 candidate above", "judgement": "best|plausible|unlikely", "confidence": 0.0-1.0, "equivalence": "EQUIVALENT|WIDER|NARROWER|INEXACT|UNMATCHED", "rationale": "One sentence"}]`
+      : '';
     
     const prompt = `Medical terminology expert: Map NAMASTE to ICD-11 TM2.
 
 NAMASTE: ${namasteCode.code} (${namasteCode.system})
 Term: ${namasteCode.term}
 Definition: ${namasteCode.shortDefinition || namasteCode.englishName || 'N/A'}
-
+${contextSection}
 TM2 Candidates:
-${tm2Candidates.slice(0, 3).map((c, i) => `${i + 1}. ${c.code}: ${c.title}${c.definition ? ' - ' + c.definition.substring(0, 100) : ''}`).join('\n')}
+${shownCandidates.map((c, i) => `${i + 1}. ${c.code}: ${c.title}${c.definition ? ' - ' + c.definition.substring(0, 100) : ''}`).join('\n')}
 
 Respond JSON only:
 {
   "selectedCode": "best TM2 code or null",
   "confidence": 0.0-1.0,
   "equivalence": "EQUIVALENT|WIDER|NARROWER|INEXACT|UNMATCHED",
-  "reasoning": "Brief reason"
+  "reasoning": "Brief reason"${candidatesField}
 }`;
 
     const response = await model.invoke(prompt);
@@ -299,6 +469,11 @@ Respond JSON only:
       confidence: result.confidence || 0,
       equivalence: (result.equivalence || 'UNMATCHED').toUpperCase(),
       reasoning: result.reasoning || '',
+      rankedCandidates: await buildRankedCandidates(
+        state,
+        Array.isArray(result.candidates) ? result.candidates : [],
+        selectedMapping?.code || null,
+      ),
       processingTime: state.processingTime + (Date.now() - startTime),
     };
   } catch (error) {
@@ -311,6 +486,7 @@ Respond JSON only:
       confidence: topCandidate ? 0.5 : 0,
       equivalence: topCandidate ? 'INEXACT' : 'UNMATCHED',
       reasoning: `AI validation failed: ${error.message}. Using top search result.`,
+      rankedCandidates: await buildRankedCandidates(state, [], topCandidate?.code || null),
       processingTime: state.processingTime + (Date.now() - startTime),
       errors: [`AI validation error: ${error.message}`],
     };
@@ -332,9 +508,14 @@ const routeByConfidence = (state) => {
     return 'end';
   }
   
-  // If top candidate has high score, might skip AI validation
-  const topScore = tm2Candidates[0]?.score || 0;
-  if (topScore > 0.9) {
+  // Candidates mode needs the validator's verdict on every candidate
+  if (state.candidateCount > 1) {
+    return 'validate';
+  }
+  
+  // If top candidate is a close match, might skip AI validation
+  // (unless context moved it to the top - the validator should confirm that)
+  if (isHighConfidenceMatch(tm2Candidates[0]) && !state.contextEffects?.topChanged) {
     return 'high_confidence';
   }
   
@@ -356,9 +537,9 @@ const highConfidenceNode = async (state) => {
   
   return {
     selectedMapping: topCandidate,
-    confidence: topCandidate?.score || 0.85,
+    confidence: topCandidate?.components?.vector?.score ?? 0.85,
     equivalence: 'EQUIVALENT',
-    reasoning: 'High confidence text match',
+    reasoning: 'High confidence search match',
   };
 };
 
@@ -374,7 +555,7 @@ export const createMappingWorkflow = () => {
     // Add nodes
     .addNode('preprocess', preprocessNode)
     .addNode('embed', embedNode)
-    .addNode('search', semanticSearchNode)
+    .addNode('search', hybridSearchNode)
     .addNode('validate', aiValidationNode)
     .addNode('high_confidence', highConfidenceNode)
     
@@ -399,8 +580,13 @@ export const createMappingWorkflow = () => {
 
 /**
  * Map a NAMASTE code to ICD-11 TM2
+ * @param {Object} namasteCode - NamasteCode row
+ * @param {Object} [options] - { context, candidateCount }
+ *   context: normalized patient context (see mapping-context.js)
+ *   candidateCount: when above 1, also return that many scored candidates
  */
-export const mapNamasteToTm2 = async (namasteCode) => {
+export const mapNamasteToTm2 = async (namasteCode, options = {}) => {
+  const { context = null, candidateCount = 1 } = options;
   const workflow = createMappingWorkflow();
   
   const startTime = Date.now();
@@ -408,6 +594,8 @@ export const mapNamasteToTm2 = async (namasteCode) => {
   try {
     const result = await workflow.invoke({
       namasteCode,
+      context,
+      candidateCount,
     });
     
     logger.info({
@@ -426,6 +614,9 @@ export const mapNamasteToTm2 = async (namasteCode) => {
       confidence: result.confidence,
       equivalence: result.equivalence,
       reasoning: result.reasoning,
+      contextEffects: result.contextEffects,
+      retrieval: result.retrieval,
+      ...(candidateCount > 1 && { candidates: result.rankedCandidates }),
       processingTime: Date.now() - startTime,
       errors: result.errors,
     };
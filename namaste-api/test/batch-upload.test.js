@@ -0,0 +1,94 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as XLSX from 'xlsx';
+import {
+  getUploadFormat,
+  parseSpreadsheet,
+  resolveColumnMapping,
+  buildUploadCodes,
+} from '../src/services/batch-upload.js';
+
+const csv = (text) => Buffer.from(text);
+
+test('getUploadFormat reads the extension', () => {
+  assert.equal(getUploadFormat('diagnoses.XLSX'), 'xlsx');
+  assert.equal(getUploadFormat('diagnoses.csv'), 'csv');
+  assert.equal(getUploadFormat('diagnoses.pdf'), null);
+});
+
+test('parseSpreadsheet keeps cells as text and pads rows to the widest row', () => {
+  const parsed = parseSpreadsheet(csv('Code,Term\n0012,Fever,extra\nA-1\n'), 'csv');
+
+  assert.deepEqual(parsed.headers, ['Code', 'Term', 'C']);
+  assert.deepEqual(parsed.rows, [['0012', 'Fever', 'extra'], ['A-1', '', '']]);
+});
+
+test('parseSpreadsheet reads a sheet of a few thousand rows', () => {
+  const parsed = parseSpreadsheet(csv(`code,term\n${'A1,fever\n'.repeat(5000)}`), 'csv', undefined, { maxRows: 5000 });
+
+  assert.equal(parsed.rows.length, 5000);
+  assert.deepEqual(parsed.headers, ['code', 'term']);
+});
+
+test('parseSpreadsheet rejects CSV files with more rows than allowed', () => {
+  const parsed = parseSpreadsheet(csv('code\nA1\nA2\nA3\n'), 'csv', undefined, { maxRows: 2 });
+
+  assert.equal(parsed.status, 413);
+  assert.match(parsed.error, /more than 2 rows; the limit is 2/);
+});
+
+test('parseSpreadsheet stops reading a workbook past the row limit but reports its size', () => {
+  const workbook = XLSX.utils.book_new();
+  const rows = Array.from({ length: 1000 }, (_, i) => [`A${i}`]);
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['code'], ...rows]), 'Diagnoses');
+  const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+
+  const parsed = parseSpreadsheet(buffer, 'xlsx', undefined, { maxRows: 10 });
+
+  assert.equal(parsed.status, 413);
+  assert.match(parsed.error, /1000 rows; the limit is 10/);
+});
+
+test('parseSpreadsheet reports a missing sheet', () => {
+  const parsed = parseSpreadsheet(csv('code\nA1\n'), 'csv', 'Diagnoses');
+  assert.equal(parsed.status, 400);
+});
+
+test('resolveColumnMapping detects common header names', () => {
+  const { mapping, errors } = resolveColumnMapping(['Patient', 'NAMC_Code', 'Medicine System', 'Diagnosis']);
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(mapping, { code: 1, system: 2, term: 3 });
+});
+
+test('resolveColumnMapping accepts header names and column letters', () => {
+  const headers = ['Patient', 'Dx', 'Notes'];
+
+  assert.deepEqual(resolveColumnMapping(headers, { term: 'dx' }).mapping, { term: 1 });
+  assert.deepEqual(resolveColumnMapping(headers, { code: 'C' }).mapping, { code: 2 });
+});
+
+test('resolveColumnMapping reports unknown columns and missing code and term', () => {
+  assert.deepEqual(resolveColumnMapping(['Dx'], { code: 'Z' }).errors, ["Column 'Z' for code not found"]);
+  assert.match(resolveColumnMapping(['Patient']).errors[0], /No code or term column/);
+});
+
+test('buildUploadCodes skips unusable rows by spreadsheet row number', () => {
+  const rows = [
+    ['A-1', 'Ayurveda', 'Fever'],
+    ['', '', ''],
+    ['', 'siddha', ''],
+    ['X'.repeat(21), '', ''],
+    ['U-1', 'tcm', ''],
+    ['', '', 'Headache'],
+  ];
+  const { codes, skipped } = buildUploadCodes(rows, { code: 0, system: 1, term: 2 }, 'unani');
+
+  assert.deepEqual(codes.map(({ code, term, system }) => ({ code, term, system })), [
+    { code: 'A-1', term: 'Fever', system: 'ayurveda' },
+    { code: undefined, term: 'Headache', system: 'unani' },
+  ]);
+  assert.deepEqual(skipped.map(s => s.row), [4, 5, 6]);
+  assert.match(skipped[2].reason, /Unknown system 'tcm'/);
+});
@@ -0,0 +1,25 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../src/config/index.js';
+import { validateCondition } from '../src/services/condition.js';
+
+test('validateCondition reports malformed codings instead of failing', async () => {
+  const outcome = await validateCondition({
+    resourceType: 'Condition',
+    subject: { reference: 'Patient/1' },
+    code: {
+      coding: [
+        null,
+        'SK00',
+        { system: config.fhir.icd11.tm2System, extension: {} },
+      ],
+    },
+  });
+
+  assert.deepEqual(outcome.issue.filter(i => i.severity === 'error').map(i => [i.code, i.expression[0]]), [
+    ['structure', 'Condition.code.coding[0]'],
+    ['structure', 'Condition.code.coding[1]'],
+    ['required', 'Condition.code.coding[2].code'],
+  ]);
+});
@@ -0,0 +1,5 @@
+// Imported first by every test: no network, API keys or log output
+process.env.LLM_PROVIDER ??= 'offline';
+process.env.LOG_LEVEL ??= 'silent';
+// Database tests run only against a database named for them
+if (process.env.TEST_DATABASE_URL) process.env.DATABASE_URL = process.env.TEST_DATABASE_URL;
@@ -0,0 +1,83 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../src/config/index.js';
+import { createFhirRoutes } from '../src/routes/fhir.js';
+
+const postBundle = (bundle) => createFhirRoutes().request('/', {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/fhir+json' },
+  body: JSON.stringify(bundle),
+});
+
+const postBatch = async (urls) => {
+  const response = await postBundle({
+    resourceType: 'Bundle',
+    type: 'batch',
+    entry: urls.map(url => ({ request: { method: 'GET', url } })),
+  });
+  assert.equal(response.status, 200);
+  return (await response.json()).entry.map(e => e.response.outcome.issue[0].diagnostics);
+};
+
+test('entry urls reach their operation, relative or absolute under the base', async () => {
+  // Parameter checks run before any database access, so their messages show which handler ran
+  const diagnostics = await postBatch([
+    'CodeSystem/$lookup',
+    `${config.fhir.baseUrl}/ConceptMap/$translate`,
+    'ValueSet/namaste%20fever/$expand?count=-1',
+  ]);
+
+  assert.deepEqual(diagnostics, [
+    'system and code parameters are required',
+    'code and system parameters are required',
+    'count and offset must be non-negative integers',
+  ]);
+});
+
+test('unsupported and malformed entry urls are rejected', async () => {
+  const urls = ['Patient/1', 'CodeSystem/$expand', 'ValueSet/a/b/$expand', 'ValueSet/toString', 'http://['];
+  const diagnostics = await postBatch(urls);
+
+  diagnostics.forEach((message, i) => assert.match(message, /^(Unsupported operation|Invalid request url)/, urls[i]));
+});
+
+test('batch Bundles report each failed entry in place', async () => {
+  const response = await postBundle({
+    resourceType: 'Bundle',
+    type: 'batch',
+    entry: [
+      { request: { method: 'GET', url: 'Patient/1' } },
+      { request: { method: 'DELETE', url: 'CodeSystem/$lookup' } },
+      {},
+      { request: { method: 'POST', url: 'CodeSystem/$lookup' }, resource: { resourceType: 'Bundle' } },
+    ],
+  });
+
+  assert.equal(response.status, 200);
+  const bundle = await response.json();
+  assert.equal(bundle.type, 'batch-response');
+  assert.deepEqual(bundle.entry.map(e => e.response.status), [
+    '400 Bad Request',
+    '405 Method Not Allowed',
+    '400 Bad Request',
+    '400 Bad Request',
+  ]);
+  assert.equal(bundle.entry[0].response.outcome.resourceType, 'OperationOutcome');
+});
+
+test('transaction Bundles fail as a whole', async () => {
+  const response = await postBundle({
+    resourceType: 'Bundle',
+    type: 'transaction',
+    entry: [{ request: { method: 'GET', url: 'Patient/1' } }],
+  });
+
+  assert.equal(response.status, 400);
+  assert.match((await response.json()).issue[0].diagnostics, /Transaction failed at entry 0/);
+});
+
+test('non-Bundle bodies are rejected', async () => {
+  assert.equal((await postBundle({ resourceType: 'Parameters' })).status, 400);
+  assert.equal((await postBundle({ resourceType: 'Bundle', type: 'searchset' })).status, 400);
+});
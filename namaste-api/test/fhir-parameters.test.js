@@ -0,0 +1,82 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseParametersBody,
+  getCoding,
+  getBoolean,
+  getInteger,
+} from '../src/services/fhir-parameters.js';
+
+test('parseParametersBody reads values, parts and repeatable parameters', () => {
+  const { params, error } = parseParametersBody({
+    resourceType: 'Parameters',
+    parameter: [
+      { name: 'url', valueUri: 'http://example.org/vs' },
+      { name: 'count', valueInteger: 10 },
+      { name: 'coding', valueCoding: { system: 'ayurveda', code: 'AAA-1' } },
+      { name: 'property', valueCode: 'parent' },
+      { name: 'property', valueCode: 'child' },
+      { name: 'dependency', part: [{ name: 'element', valueUri: 'x' }, { name: 'concept', valueString: 'y' }] },
+    ],
+  });
+
+  assert.equal(error, undefined);
+  assert.deepEqual(params, {
+    url: 'http://example.org/vs',
+    count: 10,
+    coding: { system: 'ayurveda', code: 'AAA-1' },
+    property: ['parent', 'child'],
+    dependency: [{ element: 'x', concept: 'y' }],
+  });
+});
+
+test('parseParametersBody passes flat JSON bodies through', () => {
+  const body = { code: 'AAA-1', count: 5, reverse: true, coding: { system: 'ayurveda', code: 'AAA-1' } };
+  assert.deepEqual(parseParametersBody(body), { params: body });
+});
+
+test('parseParametersBody checks flat JSON values like Parameters values', () => {
+  assert.equal(parseParametersBody({ code: ['AAA-1'] }).error, 'code must be a string, number or boolean');
+  assert.equal(parseParametersBody({ system: null }).error, 'system must be a string, number or boolean');
+  assert.equal(parseParametersBody({ coding: 'AAA-1' }).error, 'coding must be an object');
+  assert.equal(parseParametersBody({ codingA: { code: 1 } }).error, 'codingA.code must be a string');
+  assert.equal(parseParametersBody({ codeableConcept: { coding: [null] } }).error, 'codeableConcept.coding[0] must be an object');
+});
+
+test('parseParametersBody rejects malformed Parameters', () => {
+  const parse = parameter => parseParametersBody({ resourceType: 'Parameters', parameter }).error;
+
+  assert.equal(parseParametersBody([]).error, 'Request body must be a JSON object');
+  assert.match(parseParametersBody({ resourceType: 'Bundle' }).error, /received Bundle/);
+  assert.equal(parse({}), 'Parameters.parameter must be an array');
+  assert.match(parse([{ valueString: 'x' }]), /\[0\]\.name is required/);
+  assert.match(parse([{ name: 'count', valueInteger: '10' }]), /valueInteger must be a number/);
+  assert.match(parse([{ name: 'coding', valueCoding: { code: ['a'] } }]), /valueCoding\.code must be a string/);
+  assert.match(parse([{ name: 'code', valueCode: 'a', valueString: 'b' }]), /more than one value/);
+  assert.match(parse([{ name: 'code' }]), /has no value/);
+  assert.match(parse([{ name: 'code', valueCode: 'a' }, { name: 'code', valueCode: 'b' }]), /only appear once/);
+});
+
+test('getCoding prefers coding, then codeableConcept, then flat parameters', () => {
+  const flat = { system: 'siddha', code: 'S-1', display: 'Suram' };
+
+  assert.deepEqual(getCoding({ ...flat, coding: { system: 'ayurveda', code: 'A-1' } }), {
+    system: 'ayurveda', code: 'A-1', version: undefined, display: 'Suram',
+  });
+  assert.equal(getCoding({ ...flat, codeableConcept: { coding: [{ code: 'C-1' }] } }).code, 'C-1');
+  assert.equal(getCoding(flat).code, 'S-1');
+  assert.equal(getCoding({ codeA: 'X' }, { code: 'codeA' }).code, 'X');
+});
+
+test('getBoolean and getInteger read JSON and query string values', () => {
+  assert.equal(getBoolean('true'), true);
+  assert.equal(getBoolean(false), false);
+  assert.equal(getBoolean(undefined), undefined);
+
+  assert.equal(getInteger('20'), 20);
+  assert.equal(getInteger(5), 5);
+  assert.equal(getInteger(''), undefined);
+  assert.equal(getInteger('-1'), null);
+  assert.equal(getInteger('2.5'), null);
+});
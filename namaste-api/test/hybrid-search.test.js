@@ -0,0 +1,87 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fuseRankings, isHighConfidenceMatch } from '../src/services/hybrid-search.js';
+
+const settings = {
+  weights: { vector: 0.5, fullText: 0.3, trigram: 0.2, context: 0.3 },
+  rrfK: 60,
+};
+
+const row = (code, score) => ({ code, title: `Title ${code}`, score });
+
+test('rrf scores a candidate ranked first by every signal 1', () => {
+  const [top] = fuseRankings({
+    vector: [row('SK01', 0.9)],
+    fullText: [row('SK01', 0.5)],
+    trigram: [row('SK01', 0.4)],
+  }, { ...settings, fusion: 'rrf' });
+
+  assert.equal(top.score, 1);
+  assert.equal(top.matchScore, 0.68);
+  assert.deepEqual(top.components.fullText, { score: 0.5, rank: 1 });
+});
+
+test('rrf ranks by rank across signals, keeping each signal\'s score and rank', () => {
+  const fused = fuseRankings({
+    vector: [row('A', 0.9), row('B', 0.8)],
+    fullText: [row('B', 0.2)],
+    trigram: [],
+  }, { ...settings, fusion: 'rrf' });
+
+  assert.deepEqual(fused.map(c => c.code), ['B', 'A']);
+  assert.deepEqual(fused[1].components, {
+    vector: { score: 0.9, rank: 1 },
+    fullText: null,
+    trigram: null,
+  });
+});
+
+test('weighted fusion orders by the weighted sum of scores', () => {
+  const fused = fuseRankings({
+    vector: [row('A', 0.9), row('B', 0.5)],
+    fullText: [row('B', 0.9)],
+    trigram: [],
+  }, { ...settings, fusion: 'weighted' });
+
+  assert.deepEqual(fused.map(c => [c.code, c.score]), [['B', 0.52], ['A', 0.45]]);
+  assert.ok(fused.every(c => c.score === c.matchScore));
+});
+
+test('context variants are fused as one more signal on the same scale', () => {
+  const lists = {
+    vector: [row('SN10', 0.9)],
+    fullText: [row('SN10', 0.8)],
+    trigram: [],
+    context: [row('SN12', 1), row('SN10', 0.5)],
+  };
+  const fused = fuseRankings(lists, { ...settings, fusion: 'rrf' });
+
+  assert.deepEqual(fused.map(c => c.code), ['SN10', 'SN12']);
+  assert.deepEqual(fused[1].components.context, { score: 1, rank: 1 });
+  assert.ok(fused.every(c => c.score <= 1 && c.matchScore <= 1));
+  // Without a context list the context weight plays no part
+  assert.equal(fuseRankings({ vector: [row('SN10', 1)] }, { ...settings, fusion: 'weighted' })[0].score, 0.5);
+});
+
+test('a near-identical vector match skips validation even when other signals are weak', () => {
+  const [top, second] = fuseRankings({
+    vector: [row('SK01', 0.95), row('SK02', 0.7)],
+    fullText: [row('SK01', 0.1), row('SK02', 0.3)],
+    trigram: [row('SK01', 0.4)],
+  }, { ...settings, fusion: 'rrf' });
+
+  // Weak full-text and trigram scores keep matchScore well below the threshold
+  assert.equal(top.matchScore, 0.585);
+  assert.equal(isHighConfidenceMatch(top, 0.9), true);
+  assert.equal(isHighConfidenceMatch(second, 0.5), false);
+});
+
+test('candidates without a close vector match go to validation', () => {
+  const [byText] = fuseRankings({ vector: [], fullText: [row('SK01', 1)], trigram: [row('SK01', 1)] }, { ...settings, fusion: 'rrf' });
+  const [distant] = fuseRankings({ vector: [row('SK01', 0.8)], fullText: [], trigram: [] }, { ...settings, fusion: 'rrf' });
+
+  assert.equal(isHighConfidenceMatch(byText, 0.9), false);
+  assert.equal(isHighConfidenceMatch(distant, 0.9), false);
+  assert.equal(isHighConfidenceMatch(undefined, 0.9), false);
+});
@@ -0,0 +1,66 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseEmbeddingModelId, getLlmProvider } from '../src/services/llm-providers.js';
+import { tokenize, hashEmbedding, selectCandidate } from '../src/services/offline-llm.js';
+import { config, validateConfig } from '../src/config/index.js';
+
+const cosine = (a, b) => a.reduce((sum, v, i) => sum + v * b[i], 0);
+
+test('parseEmbeddingModelId splits provider and model, with default dimensions', () => {
+  assert.deepEqual(parseEmbeddingModelId('gemini:text-embedding-004'), {
+    provider: 'gemini', model: 'text-embedding-004', dimensions: 768,
+  });
+  assert.deepEqual(parseEmbeddingModelId('openai:bge-m3'), { provider: 'openai', model: 'bge-m3' });
+  assert.equal(parseEmbeddingModelId('local:Xenova/paraphrase-multilingual-MiniLM-L12-v2').dimensions, 384);
+});
+
+test('parseEmbeddingModelId rejects unknown providers and missing models', () => {
+  for (const modelId of ['foo', 'cohere:embed-v3', 'gemini:']) {
+    assert.throws(() => parseEmbeddingModelId(modelId), /Invalid embedding model/, modelId);
+  }
+});
+
+test('getLlmProvider rejects unknown providers', () => {
+  assert.equal(typeof getLlmProvider('offline').createEmbeddings, 'function');
+  assert.throws(() => getLlmProvider('cohere'), /Unknown LLM provider 'cohere'/);
+});
+
+test('validateConfig rejects a reduced EMBEDDING_DIMENSIONS only for gemini', (t) => {
+  const { embeddingProvider, embeddingDimensions } = config.llm;
+  t.after(() => Object.assign(config.llm, { embeddingProvider, embeddingDimensions }));
+  const dimensionErrors = (provider, dimensions) => {
+    Object.assign(config.llm, { embeddingProvider: provider, embeddingDimensions: dimensions });
+    return validateConfig().errors.filter(e => e.startsWith('EMBEDDING_DIMENSIONS'));
+  };
+
+  assert.equal(dimensionErrors('gemini', 256).length, 1);
+  assert.deepEqual(dimensionErrors('gemini', 768), []);
+  assert.deepEqual(dimensionErrors('gemini', 0), []);
+  assert.deepEqual(dimensionErrors('vertex', 256), []);
+});
+
+test('offline embeddings are deterministic unit vectors that group similar wording', () => {
+  const fever = hashEmbedding('intermittent fever with chills');
+
+  assert.equal(fever.length, 768);
+  assert.deepEqual(hashEmbedding('intermittent fever with chills'), fever);
+  assert.ok(Math.abs(cosine(fever, fever) - 1) < 1e-4);
+  assert.ok(cosine(fever, hashEmbedding('fever and chills')) > cosine(fever, hashEmbedding('joint stiffness')));
+  assert.deepEqual(tokenize('Jvāra of the Joints'), ['jvara', 'joints']);
+});
+
+test('the offline model picks the candidate worded closest to the query', () => {
+  const answer = selectCandidate([
+    'Term: Jvara',
+    'Definition: fever with chills',
+    'TM2 Candidates:',
+    '1. SP52: Joint stiffness disorder - stiffness of joints',
+    '2. SK00: Fever disorder - fever with chills and heat',
+    'Respond with JSON including "candidates": [...]',
+  ].join('\n'));
+
+  assert.equal(answer.selectedCode, 'SK00');
+  assert.deepEqual(answer.candidates.map(c => c.code), ['SK00', 'SP52']);
+  assert.equal(selectCandidate('No candidates here'), null);
+});
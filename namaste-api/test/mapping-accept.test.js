@@ -0,0 +1,84 @@
+import './env.js';
+import { describe, test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMappingRoutes } from '../src/routes/mapping.js';
+import { getPrisma, disconnectDb } from '../src/db/client.js';
+
+const skip = !process.env.TEST_DATABASE_URL && 'set TEST_DATABASE_URL to run database tests';
+const CODE = `TEST-ACCEPT-${process.pid}`;
+const router = createMappingRoutes();
+
+const post = async (path, body) => {
+  const response = await router.request(path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  assert.equal(response.status, 200);
+  return response.json();
+};
+
+// A NAMASTE code with a confident AI mapping and a weaker pending candidate
+const seed = async () => {
+  const prisma = getPrisma();
+  const namasteCode = await prisma.namasteCode.create({
+    data: { code: CODE, system: 'AYURVEDA', term: 'Test fever' },
+  });
+
+  for (const [suffix, confidence] of [['A', 0.9], ['B', 0.6]]) {
+    const tm2Code = await prisma.tm2Code.create({ data: { code: `${CODE}-${suffix}`, title: `Candidate ${suffix}` } });
+    await prisma.mapping.create({
+      data: {
+        namasteCodeId: namasteCode.id,
+        tm2CodeId: tm2Code.id,
+        equivalence: 'EQUIVALENT',
+        confidence,
+        mappingSource: 'AI_VALIDATED',
+      },
+    });
+  }
+};
+
+const cleanup = async () => {
+  const prisma = getPrisma();
+  await prisma.mapping.deleteMany({ where: { namasteCode: { code: CODE } } });
+  await prisma.namasteCode.deleteMany({ where: { code: CODE } });
+  await prisma.tm2Code.deleteMany({ where: { code: { startsWith: CODE } } });
+};
+
+const accept = (supersedeOthers) => post('/accept', {
+  code: CODE,
+  system: 'ayurveda',
+  tm2Code: `${CODE}-B`,
+  equivalence: 'EQUIVALENT',
+  validatedBy: 'reviewer@example.org',
+  supersedeOthers,
+});
+
+const servedTm2Codes = async () => {
+  const single = await post('/', { code: CODE, system: 'ayurveda' });
+  const batch = await post('/batch', { codes: [{ code: CODE, system: 'ayurveda' }] });
+  return [single.mapping.tm2Code.code, batch.results[0].mapping.tm2Code];
+};
+
+describe('mapping after a reviewer accepts a weaker candidate', { skip }, () => {
+  beforeEach(async () => {
+    await cleanup();
+    await seed();
+  });
+
+  after(async () => {
+    await cleanup();
+    await disconnectDb();
+  });
+
+  test('serves the accepted candidate, not the rejected more confident one', async () => {
+    assert.equal((await accept(true)).superseded, 1);
+    assert.deepEqual(await servedTm2Codes(), [`${CODE}-B`, `${CODE}-B`]);
+  });
+
+  test('serves the approved candidate over a more confident pending one', async () => {
+    assert.equal((await accept(false)).superseded, 0);
+    assert.deepEqual(await servedTm2Codes(), [`${CODE}-B`, `${CODE}-B`]);
+  });
+});
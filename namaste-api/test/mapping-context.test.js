@@ -0,0 +1,61 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeMappingContext,
+  getContextKey,
+  getPreferredVariants,
+  getVariantSearchTerms,
+  rerankForContext,
+} from '../src/services/mapping-context.js';
+
+const candidates = [
+  { code: 'SK00', title: 'Fever disorder', score: 0.8 },
+  { code: 'SN12', title: 'Fever in pregnancy', score: 0.7 },
+  { code: 'SK05', title: 'Fever in children', score: 0.6 },
+];
+
+test('normalizeMappingContext reads a string as the complaint and drops empty fields', () => {
+  assert.deepEqual(normalizeMappingContext('  fever for 3 days '), { complaint: 'fever for 3 days' });
+  assert.deepEqual(normalizeMappingContext({ dosha: ['vata', 'pitta', 'vata'], complaint: ' ' }), {
+    dosha: ['pitta', 'vata'],
+  });
+  assert.equal(normalizeMappingContext({}), null);
+});
+
+test('getContextKey is stable across complaint case and empty without context', () => {
+  assert.equal(getContextKey({ complaint: 'Fever' }), getContextKey({ complaint: 'fever' }));
+  assert.notEqual(getContextKey({ complaint: 'fever' }), getContextKey({ complaint: 'cough' }));
+  assert.equal(getContextKey(null), '');
+});
+
+test('preferred variants follow pregnancy and paediatric age groups', () => {
+  assert.deepEqual(getPreferredVariants({ pregnant: true, sex: 'female' }), ['pregnancy']);
+  assert.deepEqual(getPreferredVariants({ pregnant: true, sex: 'male' }), []);
+  assert.deepEqual(getPreferredVariants({ ageGroup: 'infant' }), ['paediatric']);
+  assert.deepEqual(getVariantSearchTerms({ pregnant: true }).codePrefixes, ['SN1']);
+});
+
+test('rerankForContext lifts preferred variants and explains the change', () => {
+  const { candidates: ranked, effects } = rerankForContext(candidates, { pregnant: true });
+
+  assert.equal(ranked[0].code, 'SN12');
+  assert.equal(effects.topChanged, true);
+  assert.match(effects.summary, /moved SN12 from rank 2 to 1/);
+  assert.deepEqual(effects.changes[0].reasons, ['pregnancy variant preferred for this patient']);
+});
+
+test('rerankForContext penalises variants that contradict the patient', () => {
+  const { candidates: ranked } = rerankForContext(candidates, { sex: 'male', ageGroup: 'adult' });
+
+  assert.deepEqual(ranked.map(c => c.code), ['SK00', 'SN12', 'SK05']);
+  assert.ok(Math.abs(ranked[1].score - 0.5) < 1e-9);
+  assert.equal(ranked[2].contextAdjustment, -0.2);
+});
+
+test('rerankForContext leaves candidates alone without context', () => {
+  assert.deepEqual(rerankForContext(candidates, null), {
+    candidates,
+    effects: { applied: false, changes: [] },
+  });
+});
@@ -0,0 +1,22 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMappingRoutes } from '../src/routes/mapping.js';
+
+const post = (router, body) => router.request('/', {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body),
+});
+
+test('single mapping rejects a code without a system', async () => {
+  const response = await post(createMappingRoutes(), { code: 'X', text: 'fever' });
+
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).error, 'Validation Error');
+});
+
+test('single mapping rejects a body with neither code nor text', async () => {
+  const response = await post(createMappingRoutes(), { system: 'ayurveda' });
+  assert.equal(response.status, 400);
+});
@@ -0,0 +1,25 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSearchRoutes } from '../src/routes/search.js';
+
+const search = async (query) => {
+  const response = await createSearchRoutes().request(`/semantic?${query}`);
+  return { status: response.status, body: await response.json() };
+};
+
+test('semantic search validates its query parameters', async () => {
+  const cases = {
+    'q=a': /at least 2 characters/,
+    'q=fever&scope=icd10': /scope must be one of namaste, tm2, all/,
+    'q=fever&system=tcm': /system must be one of/,
+    'q=fever&minSimilarity=1.5': /between 0 and 1/,
+    'q=fever&model=unknown:model': /Invalid embedding model/,
+  };
+
+  for (const [query, message] of Object.entries(cases)) {
+    const { status, body } = await search(query);
+    assert.equal(status, 400, query);
+    assert.match(body.message, message, query);
+  }
+});
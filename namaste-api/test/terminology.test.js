@@ -0,0 +1,55 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  resolveNamasteSystem,
+  isTm2System,
+  getCanonicalSystemUri,
+  toFhirEquivalence,
+  invertEquivalence,
+  composeEquivalence,
+} from '../src/services/terminology.js';
+
+test('resolveNamasteSystem reads system names and URIs', () => {
+  assert.equal(resolveNamasteSystem('Ayurveda'), 'AYURVEDA');
+  assert.equal(resolveNamasteSystem('http://namaste.example.org/fhir/CodeSystem/namaste-siddha'), 'SIDDHA');
+  assert.equal(resolveNamasteSystem('tcm'), null);
+  assert.equal(resolveNamasteSystem(undefined), null);
+});
+
+test('isTm2System matches the configured URI and known aliases only', () => {
+  for (const system of ['http://id.who.int/icd/release/11/mms', 'TM2', 'icd11-tm2', 'http://id.who.int/icd11/tm2']) {
+    assert.equal(isTm2System(system), true, system);
+  }
+  for (const system of ['http://hl7.org/fhir/sid/icd-10', 'http://snomed.info/sct', 'icd10', 'tm2-extra', undefined]) {
+    assert.equal(isTm2System(system), false, system);
+  }
+  assert.equal(getCanonicalSystemUri('http://hl7.org/fhir/sid/icd-10'), null);
+  assert.equal(getCanonicalSystemUri('tm2'), 'http://id.who.int/icd/release/11/mms');
+});
+
+test('invertEquivalence swaps wider and narrower for reverse translation', () => {
+  assert.equal(invertEquivalence('WIDER'), 'NARROWER');
+  assert.equal(invertEquivalence('NARROWER'), 'WIDER');
+  for (const equivalence of ['EQUIVALENT', 'INEXACT', 'DISJOINT', 'UNMATCHED']) {
+    assert.equal(invertEquivalence(equivalence), equivalence);
+  }
+  assert.equal(toFhirEquivalence(invertEquivalence('WIDER')), 'narrower');
+  assert.equal(toFhirEquivalence(undefined), 'unmatched');
+});
+
+test('composeEquivalence chains two mappings through a pivot', () => {
+  assert.equal(composeEquivalence('EQUIVALENT', 'WIDER'), 'WIDER');
+  assert.equal(composeEquivalence('NARROWER', 'EQUIVALENT'), 'NARROWER');
+  assert.equal(composeEquivalence('WIDER', 'WIDER'), 'WIDER');
+  assert.equal(composeEquivalence('WIDER', 'NARROWER'), 'INEXACT');
+  assert.equal(composeEquivalence('INEXACT', 'WIDER'), 'INEXACT');
+});
+
+test('a target mapped to the same TM2 code reads inverted on the second leg', () => {
+  // Source → TM2 is wider, target → TM2 is wider: TM2 → target is narrower
+  assert.equal(composeEquivalence('WIDER', invertEquivalence('WIDER')), 'INEXACT');
+  // Source → TM2 is narrower, target → TM2 is wider: both narrow towards the target
+  assert.equal(composeEquivalence('NARROWER', invertEquivalence('WIDER')), 'NARROWER');
+  assert.equal(composeEquivalence('EQUIVALENT', invertEquivalence('EQUIVALENT')), 'EQUIVALENT');
+});
@@ -0,0 +1,62 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  tierScore,
+  foldText,
+  matchText,
+  wordSimilarity,
+  highlightSpans,
+  rankMatch,
+} from '../src/services/text-match.js';
+
+const fields = [
+  { name: 'title', text: 'Fever disorder', weight: 1 },
+  { name: 'definition', text: 'A disorder with high fever', weight: 0.7 },
+];
+
+test('tier scores are banded so a weaker tier never outranks a stronger one', () => {
+  assert.equal(tierScore('code', 1), 1);
+  assert.ok(tierScore('prefix', 0) >= tierScore('word', 1));
+  assert.ok(tierScore('word', 0) >= tierScore('fuzzy', 1));
+});
+
+test('foldText folds diacritics and collapses whitespace', () => {
+  assert.equal(foldText('Khañjaḥ  limp'), 'khanjah limp');
+});
+
+test('matchText finds exact, prefix and word matches', () => {
+  assert.deepEqual(matchText('fever', 'fever'), { tier: 'prefix', strength: 1 });
+  assert.deepEqual(matchText('fever high', 'fever'), { tier: 'prefix', strength: 0.9 });
+  assert.deepEqual(matchText('high fever', 'fever'), { tier: 'word', strength: 1 });
+  assert.deepEqual(matchText('feverish', 'ver'), { tier: 'word', strength: 0.7 });
+  assert.equal(matchText('fever', 'cough'), null);
+});
+
+test('wordSimilarity scores misspelt words like pg_trgm', () => {
+  assert.equal(wordSimilarity('arthritus', 'Rheumatoid arthritis'), 0.7);
+  assert.equal(wordSimilarity('zzz', 'fever'), 0);
+  assert.equal(wordSimilarity('', 'fever'), 0);
+});
+
+test('highlightSpans returns offsets into the text as written', () => {
+  assert.deepEqual(highlightSpans('Rheumatoid Arthritis', 'arthritis'), [[11, 20]]);
+  assert.deepEqual(highlightSpans('Rheumatoid arthritis', 'arthritus'), [[11, 20]]);
+  assert.deepEqual(highlightSpans('khañjaḥ', 'khanja'), [[0, 6]]);
+  assert.deepEqual(highlightSpans('Jvara', 'cough'), []);
+});
+
+test('rankMatch orders code, prefix, word and fuzzy matches', () => {
+  const rank = query => rankMatch({ code: 'SK01' }, query, { fields });
+
+  assert.deepEqual(rank('sk01'), { score: 1, matchType: 'code', matchedOn: 'code' });
+  assert.equal(rank('SK').matchType, 'prefix');
+  assert.equal(rank('fever').matchType, 'prefix');
+  assert.equal(rank('fever').matchedOn, 'title');
+  assert.equal(rank('high').matchedOn, 'definition');
+  assert.equal(rank('fevr').matchType, 'fuzzy');
+  assert.equal(rank('xyz').score, 0);
+
+  const scores = ['sk01', 'fever', 'disorder', 'high', 'fevr'].map(query => rank(query).score);
+  assert.deepEqual(scores, [...scores].sort((a, b) => b - a));
+});
@@ -0,0 +1,90 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  detectScript,
+  foldDiacritics,
+  devanagariToLatin,
+  latinToDevanagari,
+  tamilToLatin,
+  transliterate,
+  normalizeNative,
+  searchKey,
+  buildSearchKeys,
+} from '../src/services/transliteration.js';
+import { buildQueryKeys } from '../src/services/namaste-search.js';
+
+const CODES = {
+  khanja: {
+    system: 'ayurveda',
+    term: 'kha~jjaH',
+    nativeScript: 'खञ्जः',
+    englishName: 'limping',
+    metadata: { termDiacritical: 'khañjaḥ' },
+  },
+  suronitam: { system: 'siddha', term: 'Curōṇitam', nativeScript: 'சுரோணிதம்' },
+  rutubat: { system: 'unani', term: 'Ruṭūbat', nativeScript: 'رطوبت' },
+};
+
+// The database matches a query when search_keys contains one of its keys
+const finds = (query, code) => {
+  const stored = buildSearchKeys(code);
+  return buildQueryKeys(query).some(key => stored.includes(key));
+};
+
+test('detectScript tells Latin, Devanagari, Tamil and Arabic script apart', () => {
+  assert.deepEqual(
+    ['kha~jjaH', 'खञ्जः', 'சுரம்', 'رطوبت', ''].map(detectScript),
+    ['latin', 'devanagari', 'tamil', 'arabic', 'latin'],
+  );
+});
+
+test('foldDiacritics strips IAST marks', () => {
+  assert.equal(foldDiacritics('Khañjaḥ Ruṭūbat'), 'khanjah rutubat');
+});
+
+test('Devanagari and ITRANS round-trip through IAST', () => {
+  assert.equal(devanagariToLatin('खञ्जः'), 'khañjaḥ');
+  assert.equal(latinToDevanagari('kha~jjaH'), 'खञ्जः');
+  assert.equal(tamilToLatin('சுரோணிதம்'), 'curōṇitam');
+});
+
+test('transliterate renders a query in every script', () => {
+  assert.deepEqual(transliterate('khanja'), {
+    script: 'latin',
+    latin: 'khanja',
+    devanagari: 'खन्ज',
+    tamil: 'கஞ்ச',
+    urdu: 'خنجہ',
+  });
+});
+
+test('loose spellings of a term share one search key', () => {
+  for (const spelling of ['khanja', 'khañjaḥ', 'Khanja']) {
+    assert.equal(searchKey(spelling), 'kanja', spelling);
+  }
+  assert.equal(searchKey('kha~jjaH', { spelling: 'itrans' }), 'kanja');
+  assert.equal(normalizeNative('खञ्जः'), 'खञ्जः');
+});
+
+test('buildQueryKeys adds ITRANS, devoiced, skeleton and native-script keys', () => {
+  assert.deepEqual(buildQueryKeys('rutubat'), ['rutubat', 'rutupat']);
+  assert.deepEqual(buildQueryKeys('खञ्जः'), ['kanja', 'खञ्जः']);
+  assert.ok(buildQueryKeys('رطوبت').includes('rtbt'));
+  assert.deepEqual(buildQueryKeys('a'), []);
+});
+
+test('a code is found from any script or romanisation', () => {
+  const cases = {
+    khanja: ['khanja', 'kha~jjaH', 'khañjaḥ', 'खञ्जः', 'limping'],
+    suronitam: ['suronitha', 'curonitam', 'சுரோணிதம்'],
+    rutubat: ['rutubat', 'Ruṭūbat', 'رطوبت'],
+  };
+
+  for (const [name, queries] of Object.entries(cases)) {
+    for (const query of queries) {
+      assert.ok(finds(query, CODES[name]), `${query} finds ${name}`);
+    }
+  }
+  assert.equal(finds('rutubat', CODES.khanja), false);
+});
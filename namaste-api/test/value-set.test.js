@@ -0,0 +1,25 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateValueSetResource } from '../src/services/value-set.js';
+
+const withRegex = (value) => ({
+  resourceType: 'ValueSet',
+  url: 'https://example.org/ValueSet/test',
+  compose: {
+    include: [{
+      system: 'https://namaste.ayush.gov.in/ayurveda',
+      filter: [{ property: 'code', op: 'regex', value }],
+    }],
+  },
+});
+
+test('regex filters are accepted up to the length limit', () => {
+  assert.equal(validateValueSetResource(withRegex('AA[A-C]-\\d+')), null);
+  assert.equal(validateValueSetResource(withRegex('A'.repeat(200))), null);
+});
+
+test('overlong and invalid regex filters are rejected before storing', () => {
+  assert.match(validateValueSetResource(withRegex('A'.repeat(201))), /limited to 200 characters/);
+  assert.match(validateValueSetResource(withRegex('(AA')), /invalid regular expression/);
+});
@@ -0,0 +1,21 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { signPayload } from '../src/services/webhooks.js';
+
+test('signPayload signs the timestamp and body with HMAC-SHA256', () => {
+  const body = JSON.stringify({ event: 'job.completed', jobId: 'job-1' });
+  const digest = createHmac('sha256', 'whsec_test').update(`1700000000.${body}`).digest('hex');
+
+  assert.equal(signPayload('whsec_test', body, 1700000000), `t=1700000000,v1=${digest}`);
+});
+
+test('signPayload signatures change with the secret, body and timestamp', () => {
+  const signature = signPayload('a', '{}', 1);
+
+  assert.notEqual(signPayload('b', '{}', 1), signature);
+  assert.notEqual(signPayload('a', '{ }', 1), signature);
+  assert.notEqual(signPayload('a', '{}', 2), signature);
+  assert.match(signPayload('a', '{}'), /^t=\d{10},v1=[0-9a-f]{64}$/);
+});
@@ -2,6 +2,7 @@
 
 import { Navbar } from '@/components/layout/Navbar';
 import { MappingDemo } from '@/components/mapping/MappingDemo';
+import { BatchMapping } from '@/components/mapping/BatchMapping';
 
 export default function MappingPage() {
   return (
@@ -16,6 +17,10 @@ export default function MappingPage() {
         </div>
 
         <MappingDemo />
+
+        <div className="mt-6">
+          <BatchMapping />
+        </div>
       </div>
     </div>
   );
@@ -5,37 +5,62 @@ import { Navbar } from '@/components/layout/Navbar';
 import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/Card';
 import { Button } from '@/components/ui/Button';
 import { Input, Select } from '@/components/ui/Input';
-import { searchNamaste, searchTm2 } from '@/lib/api';
+import { searchNamaste, searchTm2, searchSemantic } from '@/lib/api';
 import { getSystemBadgeClass } from '@/lib/utils';
-import { Search, Loader2, ArrowRight } from 'lucide-react';
+import { Search, Loader2, ArrowRight, Type, Sparkles, AlertCircle } from 'lucide-react';
 import Link from 'next/link';
 
 export default function SearchPage() {
   const [query, setQuery] = useState('');
   const [system, setSystem] = useState('');
+  // keyword: autocomplete matches; meaning: semantic search
+  const [mode, setMode] = useState('keyword');
+  const [blend, setBlend] = useState(true);
   const [loading, setLoading] = useState(false);
   const [namasteResults, setNamasteResults] = useState([]);
   const [tm2Results, setTm2Results] = useState([]);
+  // Search failure, or why meaning-based matches are missing from the results
+  const [notice, setNotice] = useState(null);
 
-  const handleSearch = async (e) => {
-    e.preventDefault();
+  const runSearch = async (searchMode = mode) => {
     if (!query.trim() || query.length < 2) return;
 
     setLoading(true);
+    setNotice(null);
     try {
-      const [namaste, tm2] = await Promise.all([
-        searchNamaste(query, system || undefined),
-        searchTm2(query),
-      ]);
-      setNamasteResults(namaste.results || []);
-      setTm2Results(tm2.results || []);
+      if (searchMode === 'meaning') {
+        const result = await searchSemantic(query, { system: system || undefined, blend });
+        setNamasteResults(result.namaste?.results || []);
+        setTm2Results(result.tm2?.results || []);
+        setNotice(result.warning || null);
+      } else {
+        const [namaste, tm2] = await Promise.all([
+          searchNamaste(query, system || undefined),
+          searchTm2(query),
+        ]);
+        setNamasteResults(namaste.results || []);
+        setTm2Results(tm2.results || []);
+      }
     } catch (e) {
       console.error(e);
+      setNamasteResults([]);
+      setTm2Results([]);
+      setNotice(e.message);
     } finally {
       setLoading(false);
     }
   };
 
+  const handleSearch = (e) => {
+    e.preventDefault();
+    runSearch();
+  };
+
+  const handleModeChange = (nextMode) => {
+    setMode(nextMode);
+    runSearch(nextMode);
+  };
+
   return (
     <div className="min-h-screen bg-white">
       <Navbar />
@@ -43,7 +68,7 @@ export default function SearchPage() {
         <div className="mb-8">
           <h1 className="text-4xl font-black font-fraunces text-[#1a1a1a]">Search Codes</h1>
           <p className="text-gray-500 mt-2 font-medium">
-            Search across NAMASTE and ICD-11 TM2 code systems
+            Search across NAMASTE and ICD-11 TM2 code systems by keyword or by meaning
           </p>
         </div>
 
@@ -61,7 +86,27 @@ export default function SearchPage() {
                 />
               </div>
 
-              <div className="flex gap-4">
+              <div className="flex flex-wrap items-center gap-4">
+                <div className="flex rounded-lg border border-[#6699cc]/20 p-1">
+                  {[
+                    { value: 'keyword', label: 'Keyword', icon: Type },
+                    { value: 'meaning', label: 'Meaning', icon: Sparkles },
+                  ].map(({ value, label, icon: Icon }) => (
+                    <button
+                      key={value}
+                      type="button"
+                      onClick={() => handleModeChange(value)}
+                      className={`flex items-center gap-1.5 px-3 py-1.5 rounded-md text-sm font-medium transition-colors ${mode === value
+                        ? 'bg-[#6699cc] text-white'
+                        : 'text-gray-600 hover:bg-[#6699cc]/5'
+                        }`}
+                    >
+                      <Icon className="w-4 h-4" />
+                      {label}
+                    </button>
+                  ))}
+                </div>
+
                 <Select
                   value={system}
                   onChange={(e) => setSystem(e.target.value)}
@@ -73,6 +118,18 @@ export default function SearchPage() {
                   <option value="unani">Unani</option>
                 </Select>
 
+                {mode === 'meaning' && (
+                  <label className="flex items-center gap-2 text-sm text-gray-600">
+                    <input
+                      type="checkbox"
+                      checked={blend}
+                      onChange={(e) => setBlend(e.target.checked)}
+                      className="rounded border-gray-300"
+                    />
+                    Include keyword matches
+                  </label>
+                )}
+
                 <Button type="submit" disabled={loading || query.length < 2}>
                   {loading ? (
                     <>
@@ -91,6 +148,13 @@ export default function SearchPage() {
           </CardContent>
         </Card>
 
+        {notice && (
+          <div className="flex items-center gap-3 p-3 mb-6 rounded-lg bg-amber-50 text-amber-800">
+            <AlertCircle className="w-5 h-5" />
+            <span>{notice}</span>
+          </div>
+        )}
+
         {/* Results */}
         {(namasteResults.length > 0 || tm2Results.length > 0) && (
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
@@ -120,6 +184,11 @@ export default function SearchPage() {
                           <span className={`px-2 py-0.5 rounded text-xs font-medium border ${getSystemBadgeClass(item.system)}`}>
                             {item.system}
                           </span>
+                          {item.matchedBy && (
+                            <span className="ml-auto text-xs text-gray-500">
+                              {Math.round(item.score * 100)}% match
+                            </span>
+                          )}
                         </div>
                         <p className="text-sm text-gray-600">{item.term || item.display}</p>
                       </div>
@@ -157,6 +226,11 @@ export default function SearchPage() {
                               {item.category}
                             </span>
                           )}
+                          {item.matchedBy && (
+                            <span className="ml-auto text-xs text-gray-500">
+                              {Math.round(item.score * 100)}% match
+                            </span>
+                          )}
                         </div>
                         <p className="text-sm text-gray-600">{item.title}</p>
                       </div>
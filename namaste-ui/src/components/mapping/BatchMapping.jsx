@@ -0,0 +1,239 @@
+'use client';
+
+import { useEffect, useRef, useState } from 'react';
+import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/Card';
+import { Button } from '@/components/ui/Button';
+import { Select } from '@/components/ui/Input';
+import { Badge } from '@/components/ui/Badge';
+import {
+  Layers,
+  Loader2,
+  Play,
+  Square,
+  AlertCircle,
+} from 'lucide-react';
+import { createBatchJob, cancelBatchJob, subscribeToBatchJob } from '@/lib/api';
+import {
+  getEquivalenceBadgeClass,
+  getEquivalenceLabel,
+  getSystemBadgeClass,
+  formatConfidence,
+} from '@/lib/utils';
+
+const SYSTEMS = ['ayurveda', 'siddha', 'unani'];
+
+// One code per line, optionally followed by its system: "AAA-1" or "S-1, siddha"
+function parseCodes(text, defaultSystem) {
+  return text
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const [code, system] = line.split(/[\s,;]+/);
+      return {
+        code,
+        system: SYSTEMS.includes(system?.toLowerCase()) ? system.toLowerCase() : defaultSystem,
+      };
+    });
+}
+
+const STATUS_BADGES = {
+  pending: { variant: 'default', label: 'Pending' },
+  completed: { variant: 'success', label: 'Mapped' },
+  failed: { variant: 'error', label: 'Failed' },
+};
+
+export function BatchMapping() {
+  const [input, setInput] = useState('');
+  const [system, setSystem] = useState('ayurveda');
+  const [job, setJob] = useState(null);
+  const [rows, setRows] = useState([]);
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const unsubscribeRef = useRef(null);
+
+  // Close the event stream when leaving the page
+  useEffect(() => () => unsubscribeRef.current?.(), []);
+
+  const running = job && !['completed', 'failed', 'cancelled'].includes(job.status);
+
+  const handleStart = async () => {
+    const codes = parseCodes(input, system);
+    if (codes.length === 0) return;
+
+    unsubscribeRef.current?.();
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      const created = await createBatchJob(codes);
+      setRows(codes.map((c, position) => ({ position, ...c, status: 'pending' })));
+      setJob({ id: created.jobId, status: created.status, progress: created.progress });
+
+      unsubscribeRef.current = subscribeToBatchJob(created.jobId, {
+        snapshot: (status) => setJob((prev) => ({ ...prev, status: status.status, progress: status.progress })),
+        jobStarted: () => setJob((prev) => ({ ...prev, status: 'processing' })),
+        jobProgress: ({ progress }) => setJob((prev) => ({ ...prev, progress })),
+        codeCompleted: ({ result }) => setRows((prev) => prev.map((row) => (
+          row.position === result.position ? { ...row, ...result } : row
+        ))),
+        jobCompleted: ({ status, progress }) => setJob((prev) => ({ ...prev, status, progress })),
+        error: ({ message }) => setError(message),
+      });
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    try {
+      await cancelBatchJob(job.id);
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  const percentage = job?.progress?.percentage || 0;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Layers className="w-5 h-5 text-indigo-600" />
+          Batch Mapping
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        <div className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                NAMASTE Codes (one per line)
+              </label>
+              <textarea
+                className="w-full h-32 px-4 py-2 border border-gray-300 rounded-lg font-mono text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent placeholder:text-gray-400"
+                placeholder={'AAA-1\nAAA-2\nS-1, siddha'}
+                value={input}
+                onChange={(e) => setInput(e.target.value)}
+                disabled={running}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Default System
+              </label>
+              <Select className="text-black" value={system} onChange={(e) => setSystem(e.target.value)} disabled={running}>
+                <option value="ayurveda">Ayurveda</option>
+                <option value="siddha">Siddha</option>
+                <option value="unani">Unani</option>
+              </Select>
+            </div>
+          </div>
+
+          <div className="flex gap-2">
+            <Button onClick={handleStart} disabled={submitting || running || !input.trim()}>
+              {submitting ? (
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+              ) : (
+                <Play className="w-4 h-4 mr-2" />
+              )}
+              Start Batch
+            </Button>
+            {running && (
+              <Button variant="secondary" onClick={handleCancel}>
+                <Square className="w-4 h-4 mr-2" />
+                Cancel
+              </Button>
+            )}
+          </div>
+
+          {error && (
+            <div className="flex items-center gap-3 p-3 rounded-lg bg-red-50 text-red-700">
+              <AlertCircle className="w-5 h-5" />
+              <span>{error}</span>
+            </div>
+          )}
+
+          {job && (
+            <div className="pt-4 border-t border-gray-100">
+              {/* Progress */}
+              <div className="flex items-center justify-between mb-2 text-sm">
+                <span className="font-mono text-gray-500">{job.id}</span>
+                <span className="font-medium text-gray-900">
+                  {job.progress?.completed || 0} / {job.progress?.total || rows.length} · {job.status}
+                </span>
+              </div>
+              <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-gradient-to-r from-indigo-500 to-purple-500 rounded-full transition-all duration-500"
+                  style={{ width: `${percentage}%` }}
+                />
+              </div>
+
+              {/* Per-code results */}
+              <div className="mt-4 max-h-96 overflow-y-auto border border-gray-200 rounded-lg">
+                <table className="w-full text-sm">
+                  <thead className="bg-gray-50 text-left text-gray-500 sticky top-0">
+                    <tr>
+                      <th className="px-3 py-2 font-medium">#</th>
+                      <th className="px-3 py-2 font-medium">NAMASTE</th>
+                      <th className="px-3 py-2 font-medium">Status</th>
+                      <th className="px-3 py-2 font-medium">ICD-11 TM2</th>
+                      <th className="px-3 py-2 font-medium">Match</th>
+                      <th className="px-3 py-2 font-medium text-right">Confidence</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {rows.map((row) => {
+                      const badge = STATUS_BADGES[row.status] || STATUS_BADGES.pending;
+                      return (
+                        <tr key={row.position}>
+                          <td className="px-3 py-2 text-gray-400">{row.position + 1}</td>
+                          <td className="px-3 py-2">
+                            <span className="font-mono font-bold text-gray-900">{row.code}</span>
+                            <span className={`ml-2 px-2 py-0.5 rounded text-xs border ${getSystemBadgeClass(row.system)}`}>
+                              {row.system}
+                            </span>
+                          </td>
+                          <td className="px-3 py-2">
+                            {row.status === 'pending' && running ? (
+                              <Loader2 className="w-4 h-4 text-gray-400 animate-spin" />
+                            ) : (
+                              <Badge variant={badge.variant}>{badge.label}</Badge>
+                            )}
+                          </td>
+                          <td className="px-3 py-2 text-gray-700">
+                            {row.result?.tm2Code ? (
+                              <>
+                                <span className="font-mono font-bold">{row.result.tm2Code}</span>
+                                <span className="ml-2 text-gray-500">{row.result.tm2Title}</span>
+                              </>
+                            ) : (
+                              <span className="text-gray-400">{row.error || '—'}</span>
+                            )}
+                          </td>
+                          <td className="px-3 py-2">
+                            {row.result?.equivalence && (
+                              <span className={`px-2 py-0.5 rounded-full text-xs font-medium border ${getEquivalenceBadgeClass(row.result.equivalence)}`}>
+                                {getEquivalenceLabel(row.result.equivalence)}
+                              </span>
+                            )}
+                          </td>
+                          <td className="px-3 py-2 text-right font-medium text-gray-900">
+                            {row.result?.confidence != null ? formatConfidence(row.result.confidence) : ''}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
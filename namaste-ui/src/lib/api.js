@@ -76,6 +76,53 @@ export async function createMapping(code, system) {
   });
 }
 
+// Batch Mapping (async job)
+export async function createBatchJob(codes) {
+  return fetchApi('/api/v1/mapping/batch/async', {
+    method: 'POST',
+    body: JSON.stringify({ codes }),
+  });
+}
+
+export async function cancelBatchJob(jobId) {
+  return fetchApi(`/api/v1/mapping/batch/${jobId}`, { method: 'DELETE' });
+}
+
+// Live batch job events (SSE); returns a function that closes the stream
+export function subscribeToBatchJob(jobId, handlers = {}) {
+  const source = new EventSource(`${API_BASE}/api/v1/mapping/batch/${jobId}/events`);
+  const events = ['snapshot', 'jobStarted', 'codeCompleted', 'jobProgress', 'jobCompleted'];
+
+  events.forEach((name) => {
+    source.addEventListener(name, (e) => {
+      handlers[name]?.(JSON.parse(e.data));
+      if (name === 'jobCompleted') source.close();
+    });
+  });
+
+  // Server-sent error events carry a message, as JSON or plain text, and end
+  // the stream; connection errors carry no data and are retried by the
+  // browser unless it gave up (e.g. the events URL answered 404)
+  source.addEventListener('error', (e) => {
+    if (!e.data) {
+      if (source.readyState === EventSource.CLOSED) {
+        handlers.error?.({ message: 'Lost connection to the batch job event stream' });
+      }
+      return;
+    }
+    let error;
+    try {
+      error = JSON.parse(e.data);
+    } catch {
+      error = { message: e.data };
+    }
+    source.close();
+    handlers.error?.(error);
+  });
+
+  return () => source.close();
+}
+
 // Autocomplete
 export async function searchNamaste(query, system) {
   const params = new URLSearchParams({ q: query });
@@ -87,6 +134,14 @@ export async function searchTm2(query) {
   return fetchApi(`/api/v1/autocomplete/tm2?q=${encodeURIComponent(query)}`);
 }
 
+// Semantic search (by meaning); blend merges in keyword matches
+export async function searchSemantic(query, { scope = 'all', system, blend = false } = {}) {
+  const params = new URLSearchParams({ q: query, scope });
+  if (system) params.set('system', system);
+  if (blend) params.set('blend', 'true');
+  return fetchApi(`/api/v1/search/semantic?${params}`);
+}
+
 // Quick Map
 export async function quickMap(term, system = 'ayurveda') {
   return fetchApi('/api/v1/frontend/quick-map', {